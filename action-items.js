@@ -0,0 +1,219 @@
+const path = require('path');
+
+// Action item and decision tracker, shared by the CLI and the Electron app.
+// The extractor reads new transcript words in batches and replies with JSON; items are kept in
+// metadata.actionItems and metadata.decisions with the word range they came from, and
+// metadata.extractedThroughWord marks how far the transcript has been read. Exports are a Markdown
+// checklist, CSV and iCalendar VTODO tasks, each pointing back to the transcript position.
+
+const EXTRACTION_BATCH_WORDS = 300; // new words before the next automatic extraction
+const EXTRACTION_PASS_WORDS = 4000; // longest stretch of transcript sent in one request
+const ACTION_STATUSES = ['open', 'done'];
+
+const TRACKER_FORMATS = {
+    md: { extension: 'md', name: 'Markdown Checklist' },
+    csv: { extension: 'csv', name: 'CSV' },
+    ics: { extension: 'ics', name: 'iCalendar Tasks' }
+};
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+function generateItemId(prefix) {
+    return `${prefix}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+}
+
+// Case, punctuation and spacing differences don't make a new item
+function normalizeItemText(text) {
+    return (text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+// "120-135" or "120" inside the words that were sent; null when missing or outside them
+function parseWordRange(value, startWordIndex, endWordIndex) {
+    const match = String(value || '').match(/(\d+)(?:\s*[-–]\s*(\d+))?/);
+    if (!match) return null;
+
+    const first = parseInt(match[1]);
+    const last = match[2] !== undefined ? parseInt(match[2]) : first;
+    const start = Math.max(startWordIndex, Math.min(first, last));
+    const end = Math.min(endWordIndex, Math.max(first, last));
+    return start <= end ? { startWordIndex: start, endWordIndex: end } : null;
+}
+
+// The extractor's JSON reply -> { actionItems, decisions } without ids; anything unusable is dropped
+function parseExtraction(reply, startWordIndex, endWordIndex) {
+    const json = (reply || '').match(/\{[\s\S]*\}/);
+    if (!json) {
+        throw new Error('The extractor did not reply with JSON');
+    }
+    const data = JSON.parse(json[0]);
+    const text = value => (typeof value === 'string' ? value.trim() : '');
+    const withRange = (item, fields) => {
+        const range = parseWordRange(item.words, startWordIndex, endWordIndex);
+        return {
+            ...fields,
+            startWordIndex: range ? range.startWordIndex : null,
+            endWordIndex: range ? range.endWordIndex : null
+        };
+    };
+
+    return {
+        actionItems: (Array.isArray(data.actionItems) ? data.actionItems : [])
+            .filter(item => item && text(item.text))
+            .map(item => withRange(item, { text: text(item.text), owner: text(item.owner), dueDate: text(item.due) })),
+        decisions: (Array.isArray(data.decisions) ? data.decisions : [])
+            .filter(item => item && text(item.text))
+            .map(item => withRange(item, { text: text(item.text) }))
+    };
+}
+
+// Add the extracted items whose text is not tracked yet; returns the items that were added
+function mergeExtraction(metadata, extraction) {
+    const now = new Date().toISOString();
+    const added = { actionItems: [], decisions: [] };
+    const known = {
+        actionItems: new Set(metadata.actionItems.map(item => normalizeItemText(item.text))),
+        decisions: new Set(metadata.decisions.map(item => normalizeItemText(item.text)))
+    };
+
+    extraction.actionItems.forEach(item => {
+        const key = normalizeItemText(item.text);
+        if (known.actionItems.has(key)) return;
+        known.actionItems.add(key);
+        added.actionItems.push({ id: generateItemId('action'), ...item, status: 'open', createdAt: now });
+    });
+    extraction.decisions.forEach(item => {
+        const key = normalizeItemText(item.text);
+        if (known.decisions.has(key)) return;
+        known.decisions.add(key);
+        added.decisions.push({ id: generateItemId('decision'), ...item, createdAt: now });
+    });
+
+    metadata.actionItems.push(...added.actionItems);
+    metadata.decisions.push(...added.decisions);
+    return added;
+}
+
+// "00:12:03, words 120-135" from the transcript lines (see indexTranscriptLines in topic-outline.js)
+function describeItemPosition(item, lines) {
+    if (item.startWordIndex === null || item.startWordIndex === undefined) return '';
+
+    const line = lines.find(candidate => candidate.endWordIndex >= item.startWordIndex && candidate.startWordIndex <= item.startWordIndex);
+    const words = `words ${item.startWordIndex}-${item.endWordIndex}`;
+    return line && line.timestamp ? `${line.timestamp.replace(/[.,]\d+$/, '')}, ${words}` : words;
+}
+
+function formatTrackerMarkdown(tracker, { title, transcriptName, lines }) {
+    const sections = [`# ${title}`];
+    const position = item => {
+        const where = describeItemPosition(item, lines);
+        return where ? ` _(${transcriptName}, ${where})_` : '';
+    };
+
+    const actionLines = tracker.actionItems.map(item => {
+        const details = [item.owner && `@${item.owner}`, item.dueDate && `due ${item.dueDate}`].filter(Boolean).join(', ');
+        return `- [${item.status === 'done' ? 'x' : ' '}] ${item.text}${details ? ` - ${details}` : ''}${position(item)}`;
+    });
+    sections.push(`## Action Items\n\n${actionLines.length > 0 ? actionLines.join('\n') : '_None_'}`);
+
+    const decisionLines = tracker.decisions.map(item => `- ${item.text}${position(item)}`);
+    sections.push(`## Decisions\n\n${decisionLines.length > 0 ? decisionLines.join('\n') : '_None_'}`);
+
+    return sections.join('\n\n') + '\n';
+}
+
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatTrackerCsv(tracker, { lines }) {
+    const rows = [['Type', 'Text', 'Owner', 'Due', 'Status', 'Position', 'Start Word', 'End Word']];
+    tracker.actionItems.forEach(item => rows.push([
+        'Action item', item.text, item.owner, item.dueDate, item.status,
+        describeItemPosition(item, lines), item.startWordIndex, item.endWordIndex
+    ]));
+    tracker.decisions.forEach(item => rows.push([
+        'Decision', item.text, '', '', '',
+        describeItemPosition(item, lines), item.startWordIndex, item.endWordIndex
+    ]));
+    return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+function icsText(text) {
+    return String(text || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+function icsTimestamp(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Content lines are folded at 75 characters (RFC 5545), continuation lines start with a space
+function foldIcsLine(line) {
+    const parts = [];
+    let rest = line;
+    while (rest.length > 75) {
+        parts.push(rest.slice(0, 75));
+        rest = ` ${rest.slice(75)}`;
+    }
+    parts.push(rest);
+    return parts.join('\r\n');
+}
+
+// Action items become VTODO tasks; decisions have no task form and are left out
+function formatTrackerIcs(tracker, { title, transcriptName, lines }) {
+    const stamp = icsTimestamp(new Date());
+    const ics = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//real-time-summary//Action Items//EN', `X-WR-CALNAME:${icsText(title)}`];
+
+    tracker.actionItems.forEach(item => {
+        const where = describeItemPosition(item, lines);
+        const description = [
+            item.owner && `Owner: ${item.owner}`,
+            item.dueDate && !ISO_DATE.test(item.dueDate) && `Due: ${item.dueDate}`,
+            where && `From ${transcriptName} (${where})`
+        ].filter(Boolean).join('\n');
+
+        ics.push('BEGIN:VTODO', `UID:${item.id}@real-time-summary`, `DTSTAMP:${stamp}`, `SUMMARY:${icsText(item.text)}`);
+        if (description) ics.push(`DESCRIPTION:${icsText(description)}`);
+        if (ISO_DATE.test(item.dueDate || '')) ics.push(`DUE;VALUE=DATE:${item.dueDate.replace(/-/g, '')}`);
+        if (item.status === 'done') {
+            ics.push('STATUS:COMPLETED');
+            if (item.completedAt) ics.push(`COMPLETED:${icsTimestamp(new Date(item.completedAt))}`);
+        } else {
+            ics.push('STATUS:NEEDS-ACTION');
+        }
+        ics.push('END:VTODO');
+    });
+
+    ics.push('END:VCALENDAR');
+    return ics.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+function formatTracker(tracker, format, { title, transcriptFilePath, lines }) {
+    const options = { title, transcriptName: path.basename(transcriptFilePath), lines };
+    switch (format) {
+        case 'md':
+            return formatTrackerMarkdown(tracker, options);
+        case 'csv':
+            return formatTrackerCsv(tracker, options);
+        case 'ics':
+            return formatTrackerIcs(tracker, options);
+        default:
+            throw new Error(`Unknown action item export format: ${format}`);
+    }
+}
+
+module.exports = {
+    EXTRACTION_BATCH_WORDS,
+    EXTRACTION_PASS_WORDS,
+    ACTION_STATUSES,
+    TRACKER_FORMATS,
+    generateItemId,
+    parseExtraction,
+    mergeExtraction,
+    describeItemPosition,
+    formatTracker
+};
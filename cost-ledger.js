@@ -0,0 +1,226 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { writeJsonAtomic } = require('./safe-files');
+
+// Persistent cost tracking shared by the CLI and the Electron app.
+// Each meeting gets a JSONL ledger next to its metadata (<transcript>.costs.jsonl) with one line per
+// request; daily totals across all meetings live in ~/.real-time-summary/daily-costs.json.
+
+// Spend categories shown in the cost breakdown, keyed by summarizer operation
+const OPERATION_CATEGORIES = {
+    analyzeSegmentTopicDecision: 'topics',
+    analyzeSegmentTopicDecisionWithSplitting: 'topics',
+    analyzeSubHeaderTopicDecision: 'topics',
+    analyzeMainTopicRelatedness: 'topics',
+    shouldCreateSubHeaderForEvolution: 'topics',
+    analyzeContentForSubHeaders: 'topics',
+    assignSegmentsToSubHeaders: 'topics',
+    compressSummary: 'topics',
+    generateSubHeader: 'topics',
+    generateHeader: 'topics',
+    rebuildTopics: 'topics',
+    updateTopicSummary: 'summaries',
+    updateSummary: 'summaries',
+    condenseSummaryIfNeeded: 'summaries',
+    processControlInstruction: 'summaries',
+    compactTranscript: 'summaries',
+    createNote: 'notes',
+    createNoteFromScreenshotsOnly: 'notes',
+    answerQuestion: 'questions',
+    answerAcrossMeetings: 'questions',
+    extractActionItems: 'summaries'
+};
+
+// Background work that stops once a budget is used up; user-initiated requests keep working
+const NON_ESSENTIAL_OPERATIONS = new Set([
+    'analyzeSegmentTopicDecision',
+    'analyzeSegmentTopicDecisionWithSplitting',
+    'analyzeSubHeaderTopicDecision',
+    'analyzeMainTopicRelatedness',
+    'shouldCreateSubHeaderForEvolution',
+    'analyzeContentForSubHeaders',
+    'assignSegmentsToSubHeaders',
+    'compressSummary',
+    'generateSubHeader',
+    'condenseSummaryIfNeeded'
+]);
+
+function getCategory(operation) {
+    return OPERATION_CATEGORIES[operation] || 'other';
+}
+
+function localDateKey(date = new Date()) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function parseBudget(value) {
+    const budget = parseFloat(value);
+    return !isNaN(budget) && budget > 0 ? budget : null;
+}
+
+class CostLedger {
+    constructor(ledgerFilePath, options = {}) {
+        this.ledgerFilePath = ledgerFilePath;
+        this.dailyTotalsPath = options.dailyTotalsPath ||
+            path.join(process.env.COST_LEDGER_DIR || path.join(os.homedir(), '.real-time-summary'), 'daily-costs.json');
+        this.warnRatio = options.warnRatio || 0.8;
+        this.budgets = { meeting: null, daily: null };
+        this.setBudgets({
+            meeting: process.env.COST_BUDGET_MEETING,
+            daily: process.env.COST_BUDGET_DAILY,
+            ...(options.budgets || {})
+        });
+
+        this.meeting = { cost: 0, requests: 0, inputTokens: 0, outputTokens: 0, byCategory: {}, byOperation: {} };
+        this.lastLevel = 'ok'; // budget level last reported by updateBudgetLevel()
+        this.load();
+    }
+
+    setBudgets(budgets = {}) {
+        if (budgets.meeting !== undefined) this.budgets.meeting = parseBudget(budgets.meeting);
+        if (budgets.daily !== undefined) this.budgets.daily = parseBudget(budgets.daily);
+    }
+
+    // Rebuild the meeting totals from the ledger so they survive restarts
+    load() {
+        try {
+            if (!fs.existsSync(this.ledgerFilePath)) return;
+
+            const lines = fs.readFileSync(this.ledgerFilePath, 'utf8').split('\n').filter(line => line.trim());
+            for (const line of lines) {
+                try {
+                    this.addToMeetingTotals(JSON.parse(line));
+                } catch (error) {
+                    console.log('⚠️  Skipping unreadable cost ledger line');
+                }
+            }
+
+            if (this.meeting.requests > 0) {
+                console.log(`💰 Loaded cost ledger: ${this.meeting.requests} requests, $${this.meeting.cost.toFixed(4)} so far`);
+            }
+            this.lastLevel = this.getBudgetStatus().level;
+        } catch (error) {
+            console.error('Error loading cost ledger:', error.message);
+        }
+    }
+
+    addToMeetingTotals(entry) {
+        this.meeting.cost += entry.cost;
+        this.meeting.requests += 1;
+        this.meeting.inputTokens += entry.inputTokens;
+        this.meeting.outputTokens += entry.outputTokens;
+
+        const category = entry.category || getCategory(entry.operation);
+        this.meeting.byCategory[category] = (this.meeting.byCategory[category] || 0) + entry.cost;
+        this.meeting.byOperation[entry.operation] = (this.meeting.byOperation[entry.operation] || 0) + entry.cost;
+    }
+
+    readDailyTotals() {
+        try {
+            if (fs.existsSync(this.dailyTotalsPath)) {
+                return JSON.parse(fs.readFileSync(this.dailyTotalsPath, 'utf8'));
+            }
+        } catch (error) {
+            console.log('⚠️  Could not read daily cost totals:', error.message);
+        }
+        return {};
+    }
+
+    getDailyTotal(date = new Date()) {
+        return this.readDailyTotals()[localDateKey(date)] || { cost: 0, requests: 0 };
+    }
+
+    // Log one request; returns the budget status (see updateBudgetLevel) so callers can warn when a
+    // threshold is crossed
+    record({ operation, model, inputTokens, outputTokens, cost }) {
+        const entry = {
+            timestamp: new Date().toISOString(),
+            operation,
+            category: getCategory(operation),
+            model,
+            inputTokens,
+            outputTokens,
+            cost
+        };
+
+        this.addToMeetingTotals(entry);
+
+        try {
+            fs.appendFileSync(this.ledgerFilePath, JSON.stringify(entry) + '\n', 'utf8');
+        } catch (error) {
+            console.error('Error writing cost ledger:', error.message);
+        }
+
+        try {
+            const totals = this.readDailyTotals();
+            const key = localDateKey();
+            const today = totals[key] || { cost: 0, requests: 0 };
+            totals[key] = { cost: today.cost + cost, requests: today.requests + 1 };
+
+            fs.mkdirSync(path.dirname(this.dailyTotalsPath), { recursive: true });
+            writeJsonAtomic(this.dailyTotalsPath, totals);
+        } catch (error) {
+            console.error('Error updating daily cost totals:', error.message);
+        }
+
+        return this.updateBudgetLevel();
+    }
+
+    // The budget status, with changed set when its level differs from the last one reported, so a
+    // threshold crossing is announced once
+    updateBudgetLevel() {
+        const status = this.getBudgetStatus();
+        const changed = status.level !== this.lastLevel;
+        this.lastLevel = status.level;
+        return { ...status, changed };
+    }
+
+    // level: 'ok', 'warning' (past warnRatio of a budget) or 'exceeded'
+    getBudgetStatus() {
+        const daily = this.getDailyTotal().cost;
+        const ratios = [];
+        if (this.budgets.meeting) ratios.push({ scope: 'meeting', spent: this.meeting.cost, budget: this.budgets.meeting });
+        if (this.budgets.daily) ratios.push({ scope: 'daily', spent: daily, budget: this.budgets.daily });
+
+        const exceeded = ratios.filter(ratio => ratio.spent >= ratio.budget);
+        const warning = ratios.filter(ratio => ratio.spent >= ratio.budget * this.warnRatio && ratio.spent < ratio.budget);
+
+        return {
+            level: exceeded.length > 0 ? 'exceeded' : warning.length > 0 ? 'warning' : 'ok',
+            exceeded: exceeded.map(ratio => ratio.scope),
+            warning: warning.map(ratio => ratio.scope),
+            meetingSpent: this.meeting.cost,
+            dailySpent: daily,
+            budgets: { ...this.budgets }
+        };
+    }
+
+    isAllowed(operation) {
+        return !NON_ESSENTIAL_OPERATIONS.has(operation) || this.getBudgetStatus().level !== 'exceeded';
+    }
+
+    getSummary() {
+        return {
+            meeting: {
+                cost: this.meeting.cost,
+                requests: this.meeting.requests,
+                inputTokens: this.meeting.inputTokens,
+                outputTokens: this.meeting.outputTokens,
+                byCategory: { ...this.meeting.byCategory },
+                byOperation: { ...this.meeting.byOperation }
+            },
+            daily: this.getDailyTotal(),
+            budget: this.getBudgetStatus()
+        };
+    }
+}
+
+module.exports = {
+    CostLedger,
+    OPERATION_CATEGORIES,
+    NON_ESSENTIAL_OPERATIONS,
+    getCategory
+};
@@ -0,0 +1,436 @@
+const crypto = require('crypto');
+
+// LLM provider layer shared by the CLI and the Electron app.
+// Every provider takes Anthropic-style message params ({ model, max_tokens, messages })
+// and returns an Anthropic-shaped response ({ model, content: [{ type, text }], usage }).
+// streamMessage(params, { onText, signal }) resolves to the same shape after calling onText per chunk;
+// aborting the signal rejects with an AbortError. Both also get the operation the request is for
+// (createMessage(params, { operation }), streamMessage's options).
+
+const DEFAULT_MODEL = 'claude-sonnet-4-20250514';
+
+// USD per 1K tokens
+const MODEL_PRICING = {
+    'claude-opus-4-20250514': { input: 0.015, output: 0.075 },
+    'claude-sonnet-4-20250514': { input: 0.003, output: 0.015 },
+    'claude-3-7-sonnet-20250219': { input: 0.003, output: 0.015 },
+    'claude-3-5-sonnet-20241022': { input: 0.003, output: 0.015 },
+    'claude-3-5-haiku-20241022': { input: 0.0008, output: 0.004 },
+    'claude-3-haiku-20240307': { input: 0.00025, output: 0.00125 }
+};
+
+// Operations are the summarizer method names; groups let one setting cover several of them.
+// Model lookup order: models[operation] -> models[group] -> models.default
+const OPERATION_GROUPS = {
+    analyzeSegmentTopicDecision: 'topic',
+    analyzeSegmentTopicDecisionWithSplitting: 'topic',
+    analyzeSubHeaderTopicDecision: 'topic',
+    analyzeMainTopicRelatedness: 'topic',
+    shouldCreateSubHeaderForEvolution: 'topic',
+    analyzeContentForSubHeaders: 'topic',
+    assignSegmentsToSubHeaders: 'topic',
+    compressSummary: 'topic',
+    generateHeader: 'title',
+    generateSubHeader: 'title',
+    rebuildTopics: 'title', // writes every title of the rebuilt outline
+    updateTopicSummary: 'summary',
+    updateSummary: 'summary',
+    condenseSummaryIfNeeded: 'summary',
+    processControlInstruction: 'summary',
+    compactTranscript: 'summary',
+    createNote: 'note',
+    createNoteFromScreenshotsOnly: 'note',
+    answerQuestion: 'note',
+    answerAcrossMeetings: 'note',
+    extractActionItems: 'summary'
+};
+
+// Frequent one-word topic decisions go to the cheap model, everything else to the strong one
+const PROVIDER_DEFAULT_MODELS = {
+    anthropic: { default: DEFAULT_MODEL, topic: 'claude-3-5-haiku-20241022' },
+    openai: { default: 'llama3.1' },
+    mock: { default: 'mock' }
+};
+
+function abortError() {
+    const error = new Error('Request was aborted');
+    error.name = 'AbortError';
+    return error;
+}
+
+function estimateTokens(text) {
+    const words = (text || '').trim().split(/\s+/).filter(Boolean).length;
+    return Math.ceil(words * 1.3);
+}
+
+// Flatten Anthropic message content (string or content blocks) to plain text
+function messageText(messages) {
+    return messages.map(message => {
+        if (typeof message.content === 'string') return message.content;
+        return message.content
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join('\n');
+    }).join('\n\n');
+}
+
+// Batch topic rebuild replies: one topic per six segments of the pass
+function mockTopicOutline(prompt, hash) {
+    const range = prompt.match(/^SEGMENTS (\d+) TO (\d+):/m);
+    if (!range) return '';
+
+    const [, first, last] = range.map(Number);
+    const lines = [];
+    for (let start = first; start <= last; start += 6) {
+        const end = Math.min(start + 5, last);
+        lines.push(`TOPIC ${start}-${end} | Mock Topic ${hash.slice(0, 4)}-${start} | Segments ${start} to ${end}`);
+    }
+    return lines.join('\n');
+}
+
+// Cross-meeting answers cite the first passage they were given
+function mockCitedAnswer(prompt, hash) {
+    const passages = (prompt.match(/^\[\d+\] Meeting:/gm) || []).length;
+    return `Mock answer ${hash.slice(0, 6)} drawn from ${passages} passage(s) [1].`;
+}
+
+// ASK answers cite the first numbered transcript line they were given
+function mockTranscriptAnswer(prompt, hash) {
+    const lines = prompt.match(/^#\d+ \| .*$/gm) || [];
+    if (lines.length === 0) return `Mock answer ${hash.slice(0, 6)}: nothing to cite.`;
+
+    const start = parseInt(lines[0].slice(1));
+    const end = start + lines[0].split(' | ')[1].split(/\s+/).length - 1;
+    return `Mock answer ${hash.slice(0, 6)} from ${lines.length} transcript line(s) [words ${start}-${end}].`;
+}
+
+// Action item extraction finds one action item and one decision in the first transcript line
+function mockActionItems(prompt, hash) {
+    const line = prompt.match(/^#(\d+) \| (.*)$/m);
+    if (!line) return '{"actionItems": [], "decisions": []}';
+
+    const start = parseInt(line[1]);
+    const words = `${start}-${start + line[2].split(/\s+/).length - 1}`;
+    return JSON.stringify({
+        actionItems: [{ text: `Mock follow-up ${hash.slice(0, 6)}`, owner: 'Mock Owner', due: '', words }],
+        decisions: [{ text: `Mock decision ${hash.slice(0, 6)}`, words }]
+    });
+}
+
+class AnthropicProvider {
+    constructor(config) {
+        // Loaded lazily so mock and local runs work without the SDK or an API key
+        const Anthropic = require('@anthropic-ai/sdk');
+        this.name = 'anthropic';
+        this.client = new Anthropic({
+            apiKey: config.apiKey || process.env.ANTHROPIC_API_KEY,
+            maxRetries: 0 // Retries are handled by the shared request executor
+        });
+    }
+
+    async createMessage(params) {
+        const message = await this.client.messages.create(params);
+        return { ...message, model: params.model };
+    }
+
+    async streamMessage(params, { onText, signal } = {}) {
+        const stream = this.client.messages.stream(params, { signal });
+        if (onText) {
+            stream.on('text', onText);
+        }
+        const message = await stream.finalMessage();
+        return { ...message, model: params.model };
+    }
+}
+
+// OpenAI-compatible chat completions endpoint (Ollama, llama.cpp server, vLLM, LM Studio)
+class OpenAICompatibleProvider {
+    constructor(config) {
+        this.name = 'openai';
+        this.baseUrl = (config.baseUrl || 'http://localhost:11434/v1').replace(/\/+$/, '');
+        this.apiKey = config.apiKey || '';
+    }
+
+    convertContent(content) {
+        if (typeof content === 'string') return content;
+
+        return content.map(block => {
+            if (block.type === 'image') {
+                return {
+                    type: 'image_url',
+                    image_url: { url: `data:${block.source.media_type};base64,${block.source.data}` }
+                };
+            }
+            return { type: 'text', text: block.text };
+        });
+    }
+
+    async request(params, extraBody = {}, signal = undefined) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+
+        const response = await fetch(`${this.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers,
+            signal,
+            body: JSON.stringify({
+                model: params.model,
+                max_tokens: params.max_tokens,
+                messages: params.messages.map(message => ({
+                    role: message.role,
+                    content: this.convertContent(message.content)
+                })),
+                ...extraBody
+            })
+        });
+
+        if (!response.ok) {
+            const body = await response.text().catch(() => '');
+            const error = new Error(`${this.baseUrl} responded with ${response.status}: ${body.slice(0, 200)}`);
+            error.status = response.status;
+            error.headers = response.headers;
+            throw error;
+        }
+
+        return response;
+    }
+
+    toMessage(params, id, text, usage = {}) {
+        return {
+            id,
+            model: params.model,
+            content: [{ type: 'text', text }],
+            usage: {
+                input_tokens: usage.prompt_tokens !== undefined ? usage.prompt_tokens : estimateTokens(messageText(params.messages)),
+                output_tokens: usage.completion_tokens !== undefined ? usage.completion_tokens : estimateTokens(text)
+            }
+        };
+    }
+
+    async createMessage(params) {
+        const response = await this.request(params);
+        const data = await response.json();
+        const text = data.choices && data.choices[0] ? data.choices[0].message.content || '' : '';
+        return this.toMessage(params, data.id, text, data.usage);
+    }
+
+    // Server-sent events: "data: {chunk}" lines ending with "data: [DONE]"
+    async streamMessage(params, { onText, signal } = {}) {
+        const response = await this.request(params, { stream: true, stream_options: { include_usage: true } }, signal);
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let text = '';
+        let id = null;
+        let usage = {};
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+
+            for (const line of lines) {
+                const data = line.trim().replace(/^data:\s*/, '');
+                if (!line.trim().startsWith('data:') || data === '[DONE]') continue;
+
+                const chunk = JSON.parse(data);
+                id = chunk.id || id;
+                if (chunk.usage) usage = chunk.usage;
+
+                const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta
+                    ? chunk.choices[0].delta.content
+                    : '';
+                if (delta) {
+                    text += delta;
+                    if (onText) onText(delta);
+                }
+            }
+        }
+
+        return this.toMessage(params, id, text, usage);
+    }
+}
+
+// Mock replies by operation, in the format each operation parses; operations not listed get a
+// generic Markdown reply
+const MOCK_REPLIES = {
+    analyzeSegmentTopicDecision: () => 'FIT',
+    analyzeSegmentTopicDecisionWithSplitting: () => 'FIT',
+    analyzeSubHeaderTopicDecision: () => 'FIT',
+    analyzeMainTopicRelatedness: () => 'YES',
+    shouldCreateSubHeaderForEvolution: () => 'EVOLVE',
+    analyzeContentForSubHeaders: () => 'NO_SUBHEADERS',
+    assignSegmentsToSubHeaders: () => '0:0',
+    generateHeader: (prompt, hash) => `Mock Topic ${hash.slice(0, 6)}`,
+    generateSubHeader: (prompt, hash) => `Mock Topic ${hash.slice(0, 6)}`,
+    rebuildTopics: mockTopicOutline,
+    answerAcrossMeetings: mockCitedAnswer,
+    answerQuestion: mockTranscriptAnswer,
+    extractActionItems: mockActionItems
+};
+
+// Deterministic offline provider: the same operation and prompt always yield the same reply.
+// Custom responses ({ operation, match, text }) are checked before the built-in replies; operation
+// picks requests by operation name and match (a regular expression) by prompt text.
+class MockProvider {
+    constructor(config) {
+        this.name = 'mock';
+        this.requests = [];
+        this.streamDelayMs = config.streamDelayMs || 0;
+        this.responses = (config.responses || []).map(response => ({
+            operation: response.operation || null,
+            pattern: response.match instanceof RegExp ? response.match : response.match ? new RegExp(response.match, 'i') : null,
+            text: response.text
+        }));
+    }
+
+    async streamMessage(params, { onText, signal, operation } = {}) {
+        const message = await this.createMessage(params, { operation });
+        const chunks = message.content[0].text.match(/\S+\s*|\s+/g) || [];
+
+        for (const chunk of chunks) {
+            if (signal && signal.aborted) throw abortError();
+            if (onText) onText(chunk);
+            await new Promise(resolve => setTimeout(resolve, this.streamDelayMs));
+        }
+
+        if (signal && signal.aborted) throw abortError();
+        return message;
+    }
+
+    async createMessage(params, { operation = null } = {}) {
+        const prompt = messageText(params.messages);
+        const hash = crypto.createHash('sha256').update(prompt).digest('hex');
+        const custom = this.responses.find(response =>
+            (!response.operation || response.operation === operation) &&
+            (!response.pattern || response.pattern.test(prompt)));
+        const reply = MOCK_REPLIES[operation];
+        const text = custom
+            ? custom.text
+            : reply
+                ? reply(prompt, hash)
+                : `## Mock Response ${hash.slice(0, 8)}\n\n- Generated offline from ${estimateTokens(prompt)} prompt tokens`;
+
+        this.requests.push({ operation, model: params.model, max_tokens: params.max_tokens, prompt });
+
+        return {
+            id: `mock-${hash.slice(0, 12)}`,
+            model: params.model,
+            content: [{ type: 'text', text }],
+            usage: {
+                input_tokens: estimateTokens(prompt),
+                output_tokens: estimateTokens(text)
+            }
+        };
+    }
+}
+
+const PROVIDERS = {
+    anthropic: AnthropicProvider,
+    openai: OpenAICompatibleProvider,
+    mock: MockProvider
+};
+
+// Environment settings, overridden by explicit config (e.g. the "llm" block of app-settings.json):
+//   LLM_PROVIDER=anthropic|openai|mock, LLM_BASE_URL, LLM_API_KEY
+//   LLM_MODEL (default), LLM_MODEL_TOPIC, LLM_MODEL_TITLE, LLM_MODEL_SUMMARY, LLM_MODEL_NOTE
+//   LLM_MODEL_FALLBACK (used when the API is overloaded), LLM_MAX_CONCURRENCY, LLM_MAX_RETRIES
+//   LLM_MODELS='{"analyzeSegmentTopicDecision":"claude-3-5-haiku-20241022"}' for single operations
+function loadLlmConfig(overrides = {}, env = process.env) {
+    const provider = overrides.provider || env.LLM_PROVIDER || 'anthropic';
+
+    let envModels = {};
+    if (env.LLM_MODELS) {
+        try {
+            envModels = JSON.parse(env.LLM_MODELS);
+        } catch (error) {
+            console.log('⚠️  Ignoring invalid LLM_MODELS JSON:', error.message);
+        }
+    }
+
+    const groupModels = {
+        default: env.LLM_MODEL,
+        topic: env.LLM_MODEL_TOPIC,
+        title: env.LLM_MODEL_TITLE,
+        summary: env.LLM_MODEL_SUMMARY,
+        note: env.LLM_MODEL_NOTE,
+        fallback: env.LLM_MODEL_FALLBACK
+    };
+    Object.keys(groupModels).forEach(key => groupModels[key] === undefined && delete groupModels[key]);
+
+    return {
+        provider,
+        baseUrl: overrides.baseUrl || env.LLM_BASE_URL,
+        apiKey: overrides.apiKey || (provider === 'anthropic' ? env.ANTHROPIC_API_KEY : env.LLM_API_KEY),
+        models: { ...groupModels, ...envModels, ...(overrides.models || {}) },
+        pricing: overrides.pricing || {},
+        responses: overrides.responses,
+        streamDelayMs: overrides.streamDelayMs,
+        // Request executor limits (see request-executor.js)
+        maxConcurrent: overrides.maxConcurrent !== undefined ? overrides.maxConcurrent : env.LLM_MAX_CONCURRENCY,
+        maxRetries: overrides.maxRetries !== undefined ? overrides.maxRetries : env.LLM_MAX_RETRIES
+    };
+}
+
+class LlmClient {
+    constructor(config = {}) {
+        const Provider = PROVIDERS[config.provider || 'anthropic'];
+        if (!Provider) {
+            throw new Error(`Unknown LLM provider "${config.provider}" (expected ${Object.keys(PROVIDERS).join(', ')})`);
+        }
+
+        this.config = config;
+        this.provider = new Provider(config);
+        this.models = { ...PROVIDER_DEFAULT_MODELS[this.provider.name], ...(config.models || {}) };
+        this.pricing = { ...MODEL_PRICING, ...(config.pricing || {}) };
+    }
+
+    resolveModel(operation) {
+        return this.models[operation] || this.models[OPERATION_GROUPS[operation]] || this.models.default;
+    }
+
+    async createMessage(operation, params) {
+        return this.provider.createMessage({ ...params, model: params.model || this.resolveModel(operation) }, { operation });
+    }
+
+    async streamMessage(operation, params, options = {}) {
+        const resolved = { ...params, model: params.model || this.resolveModel(operation) };
+
+        // Providers without streaming deliver the whole reply as a single chunk
+        if (!this.provider.streamMessage) {
+            const message = await this.provider.createMessage(resolved, { operation });
+            if (options.onText) options.onText(message.content[0].text);
+            return message;
+        }
+
+        return this.provider.streamMessage(resolved, { ...options, operation });
+    }
+
+    // Unknown Anthropic models are priced like the default model; local and mock models are free
+    getPricing(model) {
+        if (this.pricing[model]) return this.pricing[model];
+        if (this.provider.name === 'anthropic') return this.pricing[DEFAULT_MODEL];
+        return { input: 0, output: 0 };
+    }
+
+    calculateCost(model, inputTokens, outputTokens) {
+        const pricing = this.getPricing(model);
+        return (inputTokens / 1000) * pricing.input + (outputTokens / 1000) * pricing.output;
+    }
+}
+
+module.exports = {
+    LlmClient,
+    AnthropicProvider,
+    OpenAICompatibleProvider,
+    MockProvider,
+    loadLlmConfig,
+    MODEL_PRICING,
+    OPERATION_GROUPS,
+    DEFAULT_MODEL
+};
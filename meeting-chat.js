@@ -0,0 +1,115 @@
+const fs = require('fs');
+const { writeJsonAtomic } = require('./safe-files');
+
+// Questions about the open meeting (ASK), shared by the CLI and the Electron app.
+// The transcript is sent with each line prefixed by the index of its first word, and answers cite
+// passages as [words 120-135] so both front ends can point back into the transcript. Every
+// question and answer is kept in <transcript>_chat.json, and the last turns go along with the next
+// question so follow-ups ("and who owns that?") have their context.
+
+const MAX_HISTORY_TURNS = 6;
+
+// "#120 | Alice: text" for each transcript line with words inside the range; the indices count the
+// whitespace-separated words of the whole transcript, like extractWordRange()
+function numberTranscriptLines(transcript, startWordIndex, endWordIndex) {
+    const lines = [];
+    let wordIndex = 0;
+
+    transcript.split('\n').forEach(line => {
+        const words = line.split(/\s+/).filter(word => word.length > 0);
+        const lineStart = wordIndex;
+        wordIndex += words.length;
+        if (words.length === 0 || wordIndex - 1 < startWordIndex || lineStart > endWordIndex) return;
+
+        const from = Math.max(startWordIndex, lineStart);
+        const to = Math.min(endWordIndex, wordIndex - 1);
+        lines.push(`#${from} | ${words.slice(from - lineStart, to - lineStart + 1).join(' ')}`);
+    });
+
+    return lines.join('\n');
+}
+
+// [{ startWordIndex, endWordIndex }] for each distinct "[words 120-135]" or "[word 120]" in the
+// answer, clamped to the range the question was asked about
+function parseWordCitations(answer, startWordIndex, endWordIndex) {
+    const citations = [];
+    const pattern = /\[words?\s+(\d+)(?:\s*[-–]\s*(\d+))?\]/gi;
+    let match;
+
+    while ((match = pattern.exec(answer || '')) !== null) {
+        const first = parseInt(match[1]);
+        const last = match[2] !== undefined ? parseInt(match[2]) : first;
+        const start = Math.max(startWordIndex, Math.min(first, last));
+        const end = Math.min(endWordIndex, Math.max(first, last));
+        if (start > end) continue;
+        if (!citations.some(citation => citation.startWordIndex === start && citation.endWordIndex === end)) {
+            citations.push({ startWordIndex: start, endWordIndex: end });
+        }
+    }
+
+    return citations;
+}
+
+// <transcript>_chat.json: { turns: [{ id, askedAt, question, answer, startWordIndex, endWordIndex,
+// scope, screenshots, citations, savedToNotes }] }
+class ChatHistory {
+    constructor(filePath) {
+        this.filePath = filePath;
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(this.filePath)) {
+                const chat = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+                if (Array.isArray(chat.turns)) return chat.turns;
+            }
+        } catch (error) {
+            console.log('⚠️  Could not read chat history:', error.message);
+        }
+        return [];
+    }
+
+    save(turns) {
+        writeJsonAtomic(this.filePath, { turns });
+    }
+
+    append(turn) {
+        const turns = this.load();
+        turns.push(turn);
+        this.save(turns);
+        return turn;
+    }
+
+    find(turnId) {
+        return this.load().find(turn => turn.id === turnId) || null;
+    }
+
+    update(turnId, changes) {
+        const turns = this.load();
+        const turn = turns.find(candidate => candidate.id === turnId);
+        if (!turn) return null;
+
+        Object.assign(turn, changes);
+        this.save(turns);
+        return turn;
+    }
+
+    clear() {
+        fs.rmSync(this.filePath, { force: true });
+    }
+
+    // Earlier turns as alternating user/assistant messages for the next request
+    recentMessages(limit = MAX_HISTORY_TURNS) {
+        return this.load().slice(-limit).flatMap(turn => [
+            { role: 'user', content: turn.question },
+            { role: 'assistant', content: turn.answer }
+        ]);
+    }
+}
+
+module.exports = {
+    ChatHistory,
+    numberTranscriptLines,
+    parseWordCitations,
+    MAX_HISTORY_TURNS
+};
@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+// Meeting-type profiles shared by the CLI and the Electron app.
+// A profile is a JSON file that sets who the summaries are written for, the summary template, what
+// counts as a topic, the note style and the default context word limit. Built-in profiles live in
+// profiles/ next to this file; files in ~/.real-time-summary/profiles override them by name (the
+// file name without .json is the profile id). Fields a profile leaves out come from the default
+// profile, so a user profile can be as small as a name and a summary template.
+
+const DEFAULT_PROFILE_ID = 'architect';
+const BUILT_IN_DIR = path.join(__dirname, 'profiles');
+
+// Text fields may be a string or an array of lines, which is easier to edit in JSON
+const TEXT_FIELDS = ['name', 'description', 'audience', 'summaryTemplate', 'summaryInstructions', 'topicGuidance', 'noteStyle'];
+
+function profileText(value) {
+    if (Array.isArray(value)) return value.join('\n');
+    return typeof value === 'string' ? value : undefined;
+}
+
+// Profile fields from one file; unusable fields are dropped so the default fills them in
+function readProfileFile(filePath) {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const profile = {};
+
+    TEXT_FIELDS.forEach(field => {
+        const text = profileText(data[field]);
+        if (text !== undefined) profile[field] = text;
+    });
+    if (Number.isInteger(data.contextLimit) && data.contextLimit >= 0) {
+        profile.contextLimit = data.contextLimit;
+    }
+    return profile;
+}
+
+function readProfileDir(dir, source) {
+    const profiles = new Map();
+    if (!fs.existsSync(dir)) return profiles;
+
+    fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json'))
+        .forEach(file => {
+            const id = path.basename(file, '.json');
+            try {
+                profiles.set(id, { ...readProfileFile(path.join(dir, file)), id, source, filePath: path.join(dir, file) });
+            } catch (error) {
+                console.log(`⚠️  Could not read meeting profile ${file}:`, error.message);
+            }
+        });
+    return profiles;
+}
+
+// A complete profile: fields the profile leaves out come from the default profile
+function resolveProfile(profiles, profileId) {
+    const profile = profiles.get(profileId);
+    return {
+        audience: 'a meeting participant',
+        summaryTemplate: '',
+        summaryInstructions: '',
+        topicGuidance: '',
+        noteStyle: '',
+        contextLimit: 0,
+        ...(profiles.get(DEFAULT_PROFILE_ID) || {}),
+        ...profile,
+        name: profile.name || profile.id,
+        description: profile.description || ''
+    };
+}
+
+class MeetingProfiles {
+    constructor(options = {}) {
+        this.builtInDir = options.builtInDir || BUILT_IN_DIR;
+        this.userDir = options.userDir ||
+            process.env.MEETING_PROFILES_DIR || path.join(os.homedir(), '.real-time-summary', 'profiles');
+    }
+
+    // Read on every call, so edits to the files apply the next time a profile is chosen
+    load() {
+        const profiles = readProfileDir(this.builtInDir, 'built-in');
+        readProfileDir(this.userDir, 'user').forEach((profile, id) => {
+            profiles.set(id, { ...(profiles.get(id) || {}), ...profile });
+        });
+        return profiles;
+    }
+
+    // Default profile first, then by name
+    list() {
+        const profiles = this.load();
+        return Array.from(profiles.keys())
+            .map(id => resolveProfile(profiles, id))
+            .map(({ id, name, description, contextLimit, source }) => ({ id, name, description, contextLimit, source }))
+            .sort((a, b) => (b.id === DEFAULT_PROFILE_ID) - (a.id === DEFAULT_PROFILE_ID) || a.name.localeCompare(b.name));
+    }
+
+    get(profileId) {
+        const profiles = this.load();
+        if (!profiles.has(profileId || DEFAULT_PROFILE_ID)) {
+            throw new Error(`Unknown meeting profile "${profileId}" (available: ${Array.from(profiles.keys()).join(', ')})`);
+        }
+        return resolveProfile(profiles, profileId || DEFAULT_PROFILE_ID);
+    }
+}
+
+module.exports = {
+    MeetingProfiles,
+    DEFAULT_PROFILE_ID
+};
@@ -0,0 +1,281 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { writeJsonAtomic } = require('./safe-files');
+
+// Retrieval across past meetings for ASK ALL, shared by the CLI and the Electron app.
+// Every meeting in the session library is cut into passages: overlapping transcript windows over
+// the same word indices the summarizer uses, one passage per note and per summary section.
+// Passages are ranked with BM25 and, when the local embedding model is available, by cosine
+// similarity too; the two rankings are merged with reciprocal rank fusion. Embeddings are cached
+// by passage text in search-embeddings.json next to the library, so only new passages are embedded.
+
+const PASSAGE_WORDS = 150;
+const PASSAGE_OVERLAP = 30;
+const MAX_PER_MEETING = 3;   // keep one long meeting from filling every slot
+const EMBEDDING_CANDIDATES = 50;
+const RRF_K = 60;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const STOPWORDS = new Set([
+    'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'had', 'her', 'was', 'one',
+    'our', 'out', 'has', 'his', 'how', 'its', 'who', 'did', 'yes', 'she', 'too', 'use', 'that', 'with',
+    'have', 'this', 'will', 'your', 'from', 'they', 'been', 'were', 'said', 'what', 'when', 'where',
+    'which', 'their', 'there', 'about', 'would', 'could', 'should', 'into', 'than', 'then', 'them',
+    'these', 'those', 'some', 'just', 'like', 'also', 'does', 'we', 'is', 'it', 'of', 'to', 'in',
+    'on', 'at', 'be', 'or', 'an', 'as', 'so', 'if', 'do', 'by', 'us'
+]);
+
+function tokenize(text) {
+    return text
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(token => token.length > 1 && !STOPWORDS.has(token));
+}
+
+function countWords(text) {
+    return text.split(/\s+/).filter(word => word.length > 0).length;
+}
+
+// Transcript windows; word indices count the whitespace-separated words of the raw file
+function transcriptPassages(content) {
+    const words = content.split(/\s+/).filter(word => word.length > 0);
+    const passages = [];
+
+    for (let start = 0; start < words.length; start += PASSAGE_WORDS - PASSAGE_OVERLAP) {
+        const end = Math.min(start + PASSAGE_WORDS, words.length) - 1;
+        passages.push({
+            source: 'transcript',
+            startWordIndex: start,
+            endWordIndex: end,
+            text: words.slice(start, end + 1).join(' ')
+        });
+        if (end === words.length - 1) break;
+    }
+    return passages;
+}
+
+// One passage per "## Note" section; notes saved from a selection carry its word range
+function notePassages(content) {
+    return content.split(/^(?=##\s)/m)
+        .filter(section => section.startsWith('##'))
+        .map(section => {
+            const range = section.match(/<!--\s*words:(\d+)-(\d+)\s*-->/);
+            const title = section.split('\n')[0].replace(/^##\s+/, '').replace(/<!--.*?-->/g, '').trim();
+            return {
+                source: 'notes',
+                label: title,
+                startWordIndex: range ? parseInt(range[1]) : null,
+                endWordIndex: range ? parseInt(range[2]) : null,
+                text: section.replace(/<!--.*?-->/g, '').trim()
+            };
+        })
+        .filter(passage => countWords(passage.text) > 0);
+}
+
+// Summary sections by heading; long sections are windowed like the transcript
+function summaryPassages(content) {
+    const passages = [];
+    content.split(/^(?=#{1,3}\s)/m).forEach(section => {
+        const text = section.trim();
+        if (!text) return;
+
+        const label = text.startsWith('#') ? text.split('\n')[0].replace(/^#+\s+/, '') : '';
+        const words = text.split(/\s+/);
+        for (let start = 0; start < words.length; start += PASSAGE_WORDS - PASSAGE_OVERLAP) {
+            passages.push({
+                source: 'summary',
+                label,
+                startWordIndex: null,
+                endWordIndex: null,
+                text: words.slice(start, start + PASSAGE_WORDS).join(' ')
+            });
+            if (start + PASSAGE_WORDS >= words.length) break;
+        }
+    });
+    return passages;
+}
+
+// BM25 over the passages' tokens: [{ index, score }] for passages sharing a term with the query
+function rankBm25(queryTokens, passageTokens) {
+    const documentFrequency = new Map();
+    passageTokens.forEach(tokens => {
+        new Set(tokens).forEach(token => documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1));
+    });
+
+    const count = passageTokens.length;
+    const averageLength = passageTokens.reduce((sum, tokens) => sum + tokens.length, 0) / Math.max(count, 1);
+    const terms = Array.from(new Set(queryTokens));
+
+    const ranked = [];
+    passageTokens.forEach((tokens, index) => {
+        const frequencies = new Map();
+        tokens.forEach(token => frequencies.set(token, (frequencies.get(token) || 0) + 1));
+
+        let score = 0;
+        terms.forEach(term => {
+            const frequency = frequencies.get(term);
+            if (!frequency) return;
+            const df = documentFrequency.get(term);
+            const idf = Math.log(1 + (count - df + 0.5) / (df + 0.5));
+            score += idf * (frequency * (BM25_K1 + 1)) /
+                (frequency + BM25_K1 * (1 - BM25_B + BM25_B * tokens.length / averageLength));
+        });
+        if (score > 0) ranked.push({ index, score });
+    });
+
+    return ranked.sort((a, b) => b.score - a.score);
+}
+
+function dotProduct(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+    return sum;
+}
+
+class MeetingSearch {
+    // embedder: a TopicEmbedder (or anything with initialize(), embed(text) and options.model)
+    constructor({ library, embedder = null, cachePath = null }) {
+        this.library = library;
+        this.embedder = embedder;
+        this.cachePath = cachePath || path.join(path.dirname(library.libraryPath), 'search-embeddings.json');
+    }
+
+    // Passages of every library meeting whose transcript still exists
+    collectPassages() {
+        const read = filePath => (filePath && fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : '');
+        const passages = [];
+
+        this.library.list()
+            .filter(session => !session.missing)
+            .forEach(session => {
+                const meeting = { transcriptFile: session.transcriptFile, title: session.title, date: session.date };
+                try {
+                    [
+                        ...transcriptPassages(read(session.transcriptFile)),
+                        ...notePassages(read(session.notesFile)),
+                        ...summaryPassages(read(session.summaryFile))
+                    ].forEach(passage => passages.push({ ...passage, meeting }));
+                } catch (error) {
+                    console.log(`⚠️  Could not read meeting ${session.title}:`, error.message);
+                }
+            });
+
+        return passages;
+    }
+
+    loadEmbeddingCache(model) {
+        try {
+            if (fs.existsSync(this.cachePath)) {
+                const cache = JSON.parse(fs.readFileSync(this.cachePath, 'utf8'));
+                if (cache.model === model && cache.embeddings) return cache.embeddings;
+            }
+        } catch (error) {
+            console.log('⚠️  Could not read search embedding cache:', error.message);
+        }
+        return {};
+    }
+
+    // Passages closest to the question by embedding, best first; null when the model is unavailable
+    async rankByEmbedding(question, passages) {
+        if (!this.embedder || !await this.embedder.initialize()) return null;
+
+        const model = this.embedder.options.model;
+        const cached = this.loadEmbeddingCache(model);
+        const embeddings = {};
+        const hashes = passages.map(passage => crypto.createHash('sha1').update(passage.text).digest('hex'));
+
+        const missing = hashes.filter(hash => !cached[hash]).length;
+        if (missing > 0) console.log(`🧭 Embedding ${missing} new passage(s) for meeting search...`);
+
+        for (let i = 0; i < passages.length; i++) {
+            const hash = hashes[i];
+            embeddings[hash] = cached[hash] || (await this.embedder.embed(passages[i].text)).map(value => Math.round(value * 10000) / 10000);
+        }
+
+        if (missing > 0 || Object.keys(cached).length !== Object.keys(embeddings).length) {
+            try {
+                fs.mkdirSync(path.dirname(this.cachePath), { recursive: true });
+                writeJsonAtomic(this.cachePath, { model, embeddings });
+            } catch (error) {
+                console.log('⚠️  Could not save search embedding cache:', error.message);
+            }
+        }
+
+        // Embeddings are normalized, so the dot product is the cosine similarity
+        const query = await this.embedder.embed(question);
+        return passages
+            .map((passage, index) => ({ index, score: dotProduct(query, embeddings[hashes[index]]) }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, EMBEDDING_CANDIDATES);
+    }
+
+    // { passages: [...best first], method: 'hybrid' | 'bm25' }
+    async search(question, { limit = 8 } = {}) {
+        const passages = this.collectPassages();
+        if (passages.length === 0) return { passages: [], method: 'bm25' };
+
+        const bm25 = rankBm25(tokenize(question), passages.map(passage => tokenize(`${passage.label || ''} ${passage.text}`)));
+        let semantic = null;
+        try {
+            semantic = await this.rankByEmbedding(question, passages);
+        } catch (error) {
+            console.log('⚠️  Embedding search failed, using keyword search only:', error.message);
+        }
+
+        // Reciprocal rank fusion: rank positions count, raw scores of the two methods never mix
+        const fused = new Map();
+        [bm25, semantic || []].forEach(ranking => {
+            ranking.forEach((entry, rank) => {
+                fused.set(entry.index, (fused.get(entry.index) || 0) + 1 / (RRF_K + rank + 1));
+            });
+        });
+
+        const perMeeting = new Map();
+        const results = [];
+        Array.from(fused.entries())
+            .sort((a, b) => b[1] - a[1])
+            .forEach(([index, score]) => {
+                if (results.length >= limit) return;
+                const passage = passages[index];
+                const taken = perMeeting.get(passage.meeting.transcriptFile) || 0;
+                if (taken >= MAX_PER_MEETING) return;
+                perMeeting.set(passage.meeting.transcriptFile, taken + 1);
+                results.push({ ...passage, score });
+            });
+
+        return { passages: results, method: semantic ? 'hybrid' : 'bm25' };
+    }
+}
+
+// Citation numbers in order of first use: "[2]", "[1][3]" or "[1, 3]"
+function parseCitations(answer, passageCount) {
+    const numbers = [];
+    const pattern = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+    let match;
+    while ((match = pattern.exec(answer || '')) !== null) {
+        match[1].split(',').map(number => parseInt(number.trim())).forEach(number => {
+            if (number >= 1 && number <= passageCount && !numbers.includes(number)) numbers.push(number);
+        });
+    }
+    return numbers;
+}
+
+function describePassageLocation(passage) {
+    if (passage.startWordIndex !== null && passage.startWordIndex !== undefined) {
+        return `${passage.source} words ${passage.startWordIndex}-${passage.endWordIndex}`;
+    }
+    return passage.label ? `${passage.source} "${passage.label}"` : passage.source;
+}
+
+module.exports = {
+    MeetingSearch,
+    tokenize,
+    rankBm25,
+    transcriptPassages,
+    notePassages,
+    summaryPassages,
+    parseCitations,
+    describePassageLocation
+};
@@ -0,0 +1,419 @@
+const fs = require('fs');
+
+// Schema, migrations and validation for <transcript>.meta.json, shared by the CLI and the Electron app.
+// Files are migrated step by step from their version to CURRENT_VERSION (the original file is
+// backed up first), then checked against METADATA_SCHEMA and the word-range rules. Anything that
+// had to be repaired ends up in a report instead of being patched silently.
+
+const CURRENT_VERSION = '2.2';
+
+// Field types: 'string', 'integer', 'number', 'boolean', 'array', [itemSchema] or a nested object
+// schema; a trailing '?' marks optional fields
+const SEGMENT_SCHEMA = {
+    id: 'string',
+    startWordIndex: 'integer',
+    endWordIndex: 'integer',
+    source: 'string?',
+    splitFrom: 'string?',
+    sessionTime: 'number?',
+    timestamp: 'string?',
+    audioStart: 'number?',
+    audioEnd: 'number?',
+    wordTimes: 'array?'
+};
+
+const SUB_HEADER_SCHEMA = {
+    id: 'string',
+    title: 'string',
+    segments: ['string'],
+    summary: 'string',
+    parentId: 'string',
+    timestamp: 'string?',
+    renamedByUser: 'boolean?'
+};
+
+const HEADER_SCHEMA = {
+    id: 'string',
+    title: 'string',
+    segments: ['string'],
+    summary: 'string',
+    locked: 'boolean',
+    subHeaders: [SUB_HEADER_SCHEMA],
+    timestamp: 'string?',
+    renamedByUser: 'boolean?',
+    unlockedByUser: 'boolean?',
+    rebuilt: 'boolean?'
+};
+
+const ACTION_ITEM_SCHEMA = {
+    id: 'string',
+    text: 'string',
+    owner: 'string?',
+    dueDate: 'string?',
+    status: 'string',
+    startWordIndex: 'integer?',
+    endWordIndex: 'integer?',
+    createdAt: 'string?',
+    completedAt: 'string?',
+    editedByUser: 'boolean?'
+};
+
+const DECISION_SCHEMA = {
+    id: 'string',
+    text: 'string',
+    startWordIndex: 'integer?',
+    endWordIndex: 'integer?',
+    createdAt: 'string?',
+    editedByUser: 'boolean?'
+};
+
+// Rolling summary of one topic (see rolling-summary.js); segments are the ones already summarized
+const TOPIC_SUMMARY_SCHEMA = {
+    headerId: 'string',
+    summary: 'string',
+    segments: ['string'],
+    updatedAt: 'string?'
+};
+
+const METADATA_SCHEMA = {
+    version: 'string',
+    transcriptFile: 'string',
+    lastModified: 'string',
+    segments: [SEGMENT_SCHEMA],
+    headers: [HEADER_SCHEMA],
+    actionItems: [ACTION_ITEM_SCHEMA],
+    decisions: [DECISION_SCHEMA],
+    topicSummaries: [TOPIC_SUMMARY_SCHEMA],
+    extractedThroughWord: 'integer?',
+    audioFile: 'string?',
+    profile: 'string?'
+};
+
+function createEmptyMetadata(transcriptFile) {
+    return {
+        transcriptFile,
+        segments: [],
+        headers: [],
+        actionItems: [],
+        decisions: [],
+        topicSummaries: [],
+        lastModified: new Date().toISOString(),
+        version: CURRENT_VERSION
+    };
+}
+
+function generateId(prefix) {
+    return `${prefix}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+}
+
+// Migrations keyed on the version they upgrade from; each returns the next version's data
+const MIGRATIONS = {
+    // 1.0 files were patched on every load: header defaults were filled in by loadMetadata, and
+    // segments with only an absolute timestamp were converted to session time by the renderer
+    '1.0': (metadata) => {
+        const headers = Array.isArray(metadata.headers) ? metadata.headers : [];
+        headers.forEach(header => {
+            if (typeof header.summary !== 'string') header.summary = '';
+            if (typeof header.locked !== 'boolean') header.locked = Array.isArray(header.segments) && header.segments.length >= 3;
+            if (!Array.isArray(header.subHeaders)) header.subHeaders = [];
+            header.subHeaders.forEach(subHeader => {
+                if (typeof subHeader.summary !== 'string') subHeader.summary = '';
+                if (!subHeader.parentId) subHeader.parentId = header.id;
+            });
+        });
+
+        const segments = Array.isArray(metadata.segments) ? metadata.segments : [];
+        const legacy = segments.filter(segment => segment.timestamp && segment.sessionTime === undefined);
+        if (legacy.length > 0 && legacy.length === segments.length) {
+            const earliest = Math.min(...legacy.map(segment => new Date(segment.timestamp).getTime()));
+            legacy.forEach(segment => {
+                segment.sessionTime = new Date(segment.timestamp).getTime() - earliest;
+            });
+        }
+
+        return { ...metadata, headers, segments, version: '2.0' };
+    },
+
+    // 2.1 adds the action item and decision tracker; nothing has been extracted yet
+    '2.0': (metadata) => ({ ...metadata, actionItems: [], decisions: [], version: '2.1' }),
+
+    // 2.2 keeps a rolling summary per topic; the next update summarizes every topic once
+    '2.1': (metadata) => ({ ...metadata, topicSummaries: [], version: '2.2' })
+};
+
+// True for versions written by a newer app ("3.0" while this one reads up to 2.2); such files
+// cannot be migrated and must not be overwritten
+function isNewerVersion(version) {
+    const parts = String(version).split('.').map(part => parseInt(part, 10) || 0);
+    const current = CURRENT_VERSION.split('.').map(part => parseInt(part, 10));
+    for (let i = 0; i < Math.max(parts.length, current.length); i++) {
+        if ((parts[i] || 0) !== (current[i] || 0)) return (parts[i] || 0) > (current[i] || 0);
+    }
+    return false;
+}
+
+function migrateMetadata(metadata) {
+    const steps = [];
+    let current = metadata;
+    let version = current.version || '1.0';
+
+    while (version !== CURRENT_VERSION) {
+        const migrate = MIGRATIONS[version];
+        if (!migrate) {
+            throw new Error(`No migration from metadata version ${version} (this app reads up to ${CURRENT_VERSION})`);
+        }
+        current = migrate(current);
+        steps.push(`${version} -> ${current.version}`);
+        version = current.version;
+    }
+
+    return { metadata: current, steps };
+}
+
+function matchesType(value, type) {
+    switch (type) {
+        case 'string': return typeof value === 'string';
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'boolean': return typeof value === 'boolean';
+        case 'array': return Array.isArray(value);
+        default: return false;
+    }
+}
+
+// Structural check against a schema: ['segments[3].endWordIndex: expected integer', ...]
+function checkSchema(value, schema, location = '') {
+    const problems = [];
+
+    Object.entries(schema).forEach(([field, type]) => {
+        const fieldLocation = location ? `${location}.${field}` : field;
+        const fieldValue = value[field];
+
+        if (typeof type === 'string') {
+            const optional = type.endsWith('?');
+            const baseType = optional ? type.slice(0, -1) : type;
+            if (fieldValue === undefined || fieldValue === null) {
+                if (!optional) problems.push(`${fieldLocation}: missing`);
+            } else if (!matchesType(fieldValue, baseType)) {
+                problems.push(`${fieldLocation}: expected ${baseType}`);
+            }
+        } else if (Array.isArray(type)) {
+            if (!Array.isArray(fieldValue)) {
+                problems.push(`${fieldLocation}: expected a list`);
+                return;
+            }
+            fieldValue.forEach((item, index) => {
+                const itemLocation = `${fieldLocation}[${index}]`;
+                if (typeof type[0] === 'string') {
+                    if (!matchesType(item, type[0])) problems.push(`${itemLocation}: expected ${type[0]}`);
+                } else if (item && typeof item === 'object') {
+                    problems.push(...checkSchema(item, type[0], itemLocation));
+                } else {
+                    problems.push(`${itemLocation}: expected an object`);
+                }
+            });
+        }
+    });
+
+    return problems;
+}
+
+// Repair what can be repaired and describe every change. wordCount is the number of words in the
+// transcript; segments pointing past it would otherwise show the wrong words.
+function validateMetadata(metadata, { wordCount = null, transcriptFile = '' } = {}) {
+    const repairs = [];
+    const result = { ...createEmptyMetadata(transcriptFile), ...metadata };
+
+    if (typeof result.transcriptFile !== 'string') result.transcriptFile = transcriptFile;
+    if (typeof result.lastModified !== 'string') result.lastModified = new Date().toISOString();
+    if (!Array.isArray(result.segments)) {
+        repairs.push('segments was not a list; started an empty one');
+        result.segments = [];
+    }
+    if (!Array.isArray(result.headers)) {
+        repairs.push('headers was not a list; started an empty one');
+        result.headers = [];
+    }
+    ['actionItems', 'decisions', 'topicSummaries'].forEach(field => {
+        if (!Array.isArray(result[field])) {
+            repairs.push(`${field} was not a list; started an empty one`);
+            result[field] = [];
+        }
+    });
+
+    // Segments: whole-number word ranges inside the transcript, unique ids, in transcript order
+    const seen = new Set();
+    result.segments = result.segments.filter((segment, index) => {
+        const label = segment && segment.id ? `segment ${segment.id}` : `segments[${index}]`;
+        if (!segment || typeof segment.id !== 'string' || seen.has(segment.id)) {
+            repairs.push(`${label}: missing or duplicate id; removed`);
+            return false;
+        }
+        if (!Number.isInteger(segment.startWordIndex) || !Number.isInteger(segment.endWordIndex)) {
+            repairs.push(`${label}: word range is not whole numbers; removed`);
+            return false;
+        }
+        if (segment.startWordIndex > segment.endWordIndex) {
+            repairs.push(`${label}: word range ${segment.startWordIndex}-${segment.endWordIndex} is reversed; swapped`);
+            [segment.startWordIndex, segment.endWordIndex] = [segment.endWordIndex, segment.startWordIndex];
+        }
+        if (segment.startWordIndex < 0) {
+            repairs.push(`${label}: word range starts before the transcript; clamped to 0`);
+            segment.startWordIndex = 0;
+        }
+        if (wordCount !== null && segment.startWordIndex >= wordCount) {
+            repairs.push(`${label}: words ${segment.startWordIndex}-${segment.endWordIndex} are past the end of the transcript (${wordCount} words); removed`);
+            return false;
+        }
+        if (wordCount !== null && segment.endWordIndex >= wordCount) {
+            repairs.push(`${label}: word range ends past the transcript; clamped to word ${wordCount - 1}`);
+            segment.endWordIndex = wordCount - 1;
+        }
+        seen.add(segment.id);
+        return true;
+    });
+
+    const sorted = [...result.segments].sort((a, b) => a.startWordIndex - b.startWordIndex);
+    if (sorted.some((segment, index) => segment !== result.segments[index])) {
+        repairs.push('segments were out of transcript order; sorted');
+        result.segments = sorted;
+    }
+    for (let i = 1; i < result.segments.length; i++) {
+        const previous = result.segments[i - 1];
+        const segment = result.segments[i];
+        if (segment.startWordIndex <= previous.endWordIndex) {
+            repairs.push(`segment ${segment.id}: overlaps segment ${previous.id} (words ${segment.startWordIndex}-${previous.endWordIndex}); trimmed`);
+            segment.startWordIndex = previous.endWordIndex + 1;
+        }
+    }
+    result.segments = result.segments.filter(segment => {
+        if (segment.startWordIndex <= segment.endWordIndex) return true;
+        seen.delete(segment.id);
+        return false;
+    });
+    const segmentIds = new Set(result.segments.map(segment => segment.id));
+
+    // Headers: required fields, only known segments, sub-header segments also listed on the header
+    const dropUnknown = (topic, label) => {
+        if (!Array.isArray(topic.segments)) {
+            repairs.push(`${label}: segments was not a list; emptied`);
+            topic.segments = [];
+        }
+        const known = topic.segments.filter(id => segmentIds.has(id));
+        if (known.length !== topic.segments.length) {
+            repairs.push(`${label}: dropped ${topic.segments.length - known.length} unknown segment reference(s)`);
+            topic.segments = known;
+        }
+    };
+
+    result.headers = result.headers.filter((header, index) => {
+        if (!header || typeof header !== 'object') {
+            repairs.push(`headers[${index}]: not an object; removed`);
+            return false;
+        }
+        if (typeof header.id !== 'string') {
+            header.id = generateId('header');
+            repairs.push(`headers[${index}]: missing id; assigned ${header.id}`);
+        }
+        const label = `topic "${header.title || header.id}"`;
+        if (typeof header.title !== 'string' || !header.title.trim()) {
+            repairs.push(`${label}: missing title; set to "Untitled topic"`);
+            header.title = 'Untitled topic';
+        }
+        if (typeof header.summary !== 'string') header.summary = '';
+        if (typeof header.locked !== 'boolean') header.locked = false;
+        if (!Array.isArray(header.subHeaders)) {
+            repairs.push(`${label}: subHeaders was not a list; emptied`);
+            header.subHeaders = [];
+        }
+        dropUnknown(header, label);
+
+        header.subHeaders = header.subHeaders.filter(subHeader => {
+            if (!subHeader || typeof subHeader !== 'object') {
+                repairs.push(`${label}: removed a sub-topic that was not an object`);
+                return false;
+            }
+            if (typeof subHeader.id !== 'string') subHeader.id = generateId('subheader');
+            const subLabel = `sub-topic "${subHeader.title || subHeader.id}"`;
+            if (typeof subHeader.title !== 'string' || !subHeader.title.trim()) {
+                repairs.push(`${subLabel}: missing title; set to "Untitled sub-topic"`);
+                subHeader.title = 'Untitled sub-topic';
+            }
+            if (typeof subHeader.summary !== 'string') subHeader.summary = '';
+            if (subHeader.parentId !== header.id) {
+                repairs.push(`${subLabel}: parent did not match its topic; fixed`);
+                subHeader.parentId = header.id;
+            }
+            dropUnknown(subHeader, subLabel);
+
+            const missing = subHeader.segments.filter(id => !header.segments.includes(id));
+            if (missing.length > 0) {
+                repairs.push(`${subLabel}: ${missing.length} segment(s) were not listed on "${header.title}"; added`);
+                header.segments.push(...missing);
+            }
+            return true;
+        });
+
+        if (header.segments.length === 0 && header.subHeaders.length === 0) {
+            repairs.push(`${label}: no segments left; removed`);
+            return false;
+        }
+        return true;
+    });
+
+    // Tracker items: text required; a word range past the transcript is dropped, the item is kept
+    ['actionItems', 'decisions'].forEach(field => {
+        result[field] = result[field].filter((item, index) => {
+            if (!item || typeof item.text !== 'string' || !item.text.trim()) {
+                repairs.push(`${field}[${index}]: no text; removed`);
+                return false;
+            }
+            if (typeof item.id !== 'string') item.id = generateId(field === 'actionItems' ? 'action' : 'decision');
+            if (field === 'actionItems' && item.status !== 'open' && item.status !== 'done') item.status = 'open';
+            const hasRange = Number.isInteger(item.startWordIndex) && Number.isInteger(item.endWordIndex);
+            if ((item.startWordIndex !== null && item.startWordIndex !== undefined && !hasRange) ||
+                (hasRange && wordCount !== null && item.endWordIndex >= wordCount)) {
+                repairs.push(`${field === 'actionItems' ? 'action item' : 'decision'} "${item.text}": word range is outside the transcript; dropped the link`);
+                item.startWordIndex = null;
+                item.endWordIndex = null;
+            }
+            return true;
+        });
+    });
+
+    // Topic summaries: a topic id and a summary; segments that no longer exist are forgotten, so
+    // their words are summarized again under the topic that holds them now
+    result.topicSummaries = result.topicSummaries.filter((entry, index) => {
+        if (!entry || typeof entry.headerId !== 'string') {
+            repairs.push(`topicSummaries[${index}]: no topic id; removed`);
+            return false;
+        }
+        if (typeof entry.summary !== 'string') entry.summary = '';
+        dropUnknown(entry, `summary of topic ${entry.headerId}`);
+        return true;
+    });
+
+    // Whatever is still off after repairs (e.g. wrong optional field types) is reported, not fixed
+    const errors = checkSchema(result, METADATA_SCHEMA);
+
+    return { metadata: result, repairs, errors };
+}
+
+// Copy the file aside before it is rewritten: <file>.v1.0.bak, or <file>.corrupt-<time>.bak
+function backupMetadataFile(metadataFilePath, label) {
+    const backupPath = `${metadataFilePath}.${label}.bak`;
+    fs.copyFileSync(metadataFilePath, backupPath);
+    return backupPath;
+}
+
+module.exports = {
+    CURRENT_VERSION,
+    METADATA_SCHEMA,
+    MIGRATIONS,
+    createEmptyMetadata,
+    isNewerVersion,
+    migrateMetadata,
+    checkSchema,
+    validateMetadata,
+    backupMetadataFile
+};
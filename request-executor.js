@@ -0,0 +1,261 @@
+// Shared executor for every LLM request made by the CLI and the Electron app:
+// a global concurrency limit with a FIFO queue, exponential backoff with jitter,
+// retry-after support and per-operation degradation when the API is overloaded.
+
+const RETRYABLE_STATUS = new Set([408, 409, 429, 500, 502, 503, 504, 529]);
+const OVERLOAD_STATUS = new Set([429, 529]);
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_SOCKET']);
+
+// Request rewrites tried, in order, after an overload; each returns null when it does not apply
+const DEGRADATIONS = {
+    // Same prompt without screenshots to shrink the request
+    dropScreenshots(params) {
+        let removed = 0;
+        const messages = params.messages.map(message => {
+            if (typeof message.content === 'string') return message;
+            const content = message.content.filter(block => block.type !== 'image');
+            removed += message.content.length - content.length;
+            return { ...message, content };
+        });
+        return removed > 0 ? { params: { ...params, messages }, description: `dropped ${removed} screenshot(s)` } : null;
+    },
+
+    // Switch to the configured fallback model (models.fallback / LLM_MODEL_FALLBACK)
+    fallbackModel(params, context) {
+        if (!context.fallbackModel || params.model === context.fallbackModel) return null;
+        return { params: { ...params, model: context.fallbackModel }, description: `switched to ${context.fallbackModel}` };
+    }
+};
+
+// Operations not listed here are retried unchanged
+const OPERATION_DEGRADATIONS = {
+    createNote: ['dropScreenshots', 'fallbackModel'],
+    generateHeader: ['dropScreenshots', 'fallbackModel'],
+    answerQuestion: ['dropScreenshots', 'fallbackModel'],
+    createNoteFromScreenshotsOnly: ['fallbackModel'],
+    updateTopicSummary: ['fallbackModel'],
+    updateSummary: ['fallbackModel'],
+    processControlInstruction: ['fallbackModel'],
+    compactTranscript: ['fallbackModel'],
+    extractActionItems: ['fallbackModel']
+};
+
+function abortError() {
+    const error = new Error('Request was aborted');
+    error.name = 'AbortError';
+    return error;
+}
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) return reject(abortError());
+
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(abortError());
+        };
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+function getHeader(headers, name) {
+    if (!headers) return null;
+    if (typeof headers.get === 'function') return headers.get(name);
+    return headers[name] || null;
+}
+
+class RequestExecutor {
+    constructor(options = {}) {
+        this.maxConcurrent = 2;
+        this.maxRetries = 3;
+        this.baseDelayMs = 1000;
+        this.maxDelayMs = 60000;
+        this.configure(options);
+
+        this.active = 0;
+        this.queue = []; // { resolve, reject, signal, onAbort } waiting for a slot
+        this.retrying = new Map(); // request id -> { operation, retryAt, status }
+        this.lastError = null;
+        this.statusListeners = new Set();
+        this.nextRequestId = 1;
+    }
+
+    configure(options = {}) {
+        ['maxConcurrent', 'maxRetries', 'baseDelayMs', 'maxDelayMs'].forEach(key => {
+            const value = parseInt(options[key], 10);
+            if (!isNaN(value) && value >= 0) {
+                this[key] = key === 'maxConcurrent' ? Math.max(1, value) : value;
+            }
+        });
+        this.drainQueue();
+    }
+
+    addStatusListener(listener) {
+        this.statusListeners.add(listener);
+    }
+
+    removeStatusListener(listener) {
+        this.statusListeners.delete(listener);
+    }
+
+    getStatus() {
+        const retrying = Array.from(this.retrying.values());
+        return {
+            active: this.active,
+            queued: this.queue.length,
+            retrying: retrying.length,
+            nextRetryAt: retrying.length > 0 ? Math.min(...retrying.map(entry => entry.retryAt)) : null,
+            maxConcurrent: this.maxConcurrent,
+            lastError: this.lastError
+        };
+    }
+
+    emitStatus() {
+        const status = this.getStatus();
+        for (const listener of this.statusListeners) {
+            try {
+                listener(status);
+            } catch (error) {
+                console.log('⚠️  Request status listener failed:', error.message);
+            }
+        }
+    }
+
+    acquire(signal) {
+        if (signal && signal.aborted) return Promise.reject(abortError());
+
+        if (this.active < this.maxConcurrent) {
+            this.active++;
+            this.emitStatus();
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => {
+            const entry = { resolve, reject, signal, onAbort: null };
+            if (signal) {
+                entry.onAbort = () => {
+                    this.queue = this.queue.filter(queued => queued !== entry);
+                    this.emitStatus();
+                    reject(abortError());
+                };
+                signal.addEventListener('abort', entry.onAbort, { once: true });
+            }
+            this.queue.push(entry);
+            this.emitStatus();
+        });
+    }
+
+    release() {
+        this.active--;
+        this.drainQueue();
+        this.emitStatus();
+    }
+
+    drainQueue() {
+        while (this.active < this.maxConcurrent && this.queue && this.queue.length > 0) {
+            const entry = this.queue.shift();
+            if (entry.signal) entry.signal.removeEventListener('abort', entry.onAbort);
+            this.active++;
+            entry.resolve();
+        }
+    }
+
+    isRetryable(error) {
+        // Partially streamed replies can't be retried without duplicating output
+        if (error.partialOutput || error.name === 'AbortError') return false;
+        if (error.status) return RETRYABLE_STATUS.has(error.status);
+
+        const code = error.code || (error.cause && error.cause.code);
+        return RETRYABLE_CODES.has(code) || /Connection(Timeout)?Error/.test(error.name || '');
+    }
+
+    // retry-after (seconds or HTTP date) wins; otherwise exponential backoff with equal jitter
+    getRetryDelay(error, attempt) {
+        const retryAfterMs = parseFloat(getHeader(error.headers, 'retry-after-ms'));
+        if (!isNaN(retryAfterMs)) return Math.min(retryAfterMs, this.maxDelayMs);
+
+        const retryAfter = getHeader(error.headers, 'retry-after');
+        if (retryAfter) {
+            const seconds = parseFloat(retryAfter);
+            const ms = !isNaN(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+            if (!isNaN(ms) && ms >= 0) return Math.min(ms, this.maxDelayMs);
+        }
+
+        const exponential = Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(2, attempt));
+        return exponential / 2 + Math.random() * (exponential / 2);
+    }
+
+    // Run send(params) under the concurrency limit, retrying transient failures.
+    // context.fallbackModel feeds the fallbackModel degradation.
+    async execute(operation, params, send, { signal = null, context = {} } = {}) {
+        const requestId = this.nextRequestId++;
+        const degradations = [...(OPERATION_DEGRADATIONS[operation] || [])];
+        let request = params;
+        let attempt = 0;
+
+        while (true) {
+            await this.acquire(signal);
+
+            let failure;
+            try {
+                const result = await send(request, attempt);
+                this.lastError = null;
+                return result;
+            } catch (error) {
+                failure = error;
+            } finally {
+                this.release();
+            }
+
+            if ((signal && signal.aborted) || !this.isRetryable(failure) || attempt >= this.maxRetries) {
+                if (!(signal && signal.aborted)) {
+                    this.lastError = `${operation}: ${failure.message}`;
+                    this.emitStatus();
+                }
+                throw failure;
+            }
+
+            attempt++;
+
+            if (OVERLOAD_STATUS.has(failure.status)) {
+                while (degradations.length > 0) {
+                    const degraded = DEGRADATIONS[degradations.shift()](request, context);
+                    if (degraded) {
+                        request = degraded.params;
+                        console.log(`🔄 ${operation}: API overloaded, ${degraded.description}`);
+                        break;
+                    }
+                }
+            }
+
+            const delay = this.getRetryDelay(failure, attempt);
+            console.log(`⏳ ${operation}: ${failure.status ? `status ${failure.status}` : failure.message}, retrying in ${(delay / 1000).toFixed(1)} seconds... (attempt ${attempt}/${this.maxRetries})`);
+
+            this.retrying.set(requestId, { operation, retryAt: Date.now() + delay, status: failure.status || null });
+            this.emitStatus();
+            try {
+                await sleep(delay, signal);
+            } finally {
+                this.retrying.delete(requestId);
+                this.emitStatus();
+            }
+        }
+    }
+}
+
+// One executor per process so the concurrency limit covers every summarizer instance
+const requestExecutor = new RequestExecutor({
+    maxConcurrent: process.env.LLM_MAX_CONCURRENCY,
+    maxRetries: process.env.LLM_MAX_RETRIES
+});
+
+module.exports = {
+    RequestExecutor,
+    requestExecutor,
+    DEGRADATIONS,
+    OPERATION_DEGRADATIONS
+};
@@ -0,0 +1,132 @@
+// Incremental meeting summary, shared by the CLI and the Electron app.
+// Each topic in metadata.headers keeps its own summary in metadata.topicSummaries, together with the
+// ids of the segments already folded into it. A summary update only sends the segments no topic
+// summary has seen yet, one request per topic, and then composes the meeting summary from the topic
+// summaries instead of re-reading the transcript. Topic summaries of topics that no longer exist
+// (merged or rebuilt topics) are dropped, and their segments are summarized again under the topics
+// that now hold them.
+
+const TOPIC_BATCH_WORDS = 2500; // most new words sent for one topic in one request
+const NO_TOPIC_ID = 'no-topic'; // summary of segments read before any topic existed
+const NO_TOPIC_TITLE = 'Discussion';
+
+// segment id -> header; sub-topic segments are listed on their header too
+function mapSegmentsToHeaders(headers) {
+    const map = new Map();
+    headers.forEach(header => header.segments.forEach(segmentId => map.set(segmentId, header)));
+    return map;
+}
+
+// The whitespace-separated words startWordIndex..endWordIndex of the transcript, keeping its lines
+// so speakers and timestamps stay readable
+function transcriptRangeText(transcript, startWordIndex, endWordIndex) {
+    const lines = [];
+    let wordIndex = 0;
+
+    transcript.split('\n').forEach(line => {
+        const words = line.split(/\s+/).filter(word => word.length > 0);
+        const lineStart = wordIndex;
+        wordIndex += words.length;
+        if (words.length === 0 || wordIndex - 1 < startWordIndex || lineStart > endWordIndex) return;
+
+        const from = Math.max(startWordIndex, lineStart);
+        const to = Math.min(endWordIndex, wordIndex - 1);
+        lines.push(words.slice(from - lineStart, to - lineStart + 1).join(' '));
+    });
+
+    return lines.join('\n');
+}
+
+// What the next update has to do: { groups: [{ headerId, title, segments }], heldBack, dropped }.
+// Segments without a topic yet go to the topic before them. Automatic updates hold back the newest
+// segments instead while their topic is still being decided, so they land in the right topic later.
+function planSummaryUpdate(metadata, { holdBackUnassigned = false } = {}) {
+    const headerIds = new Set(metadata.headers.map(header => header.id));
+    const kept = metadata.topicSummaries.filter(entry => entry.headerId === NO_TOPIC_ID || headerIds.has(entry.headerId));
+    const dropped = metadata.topicSummaries.length - kept.length;
+
+    const folded = new Set();
+    kept.forEach(entry => entry.segments.forEach(segmentId => folded.add(segmentId)));
+
+    const segmentHeaders = mapSegmentsToHeaders(metadata.headers);
+    let lastAssigned = -1;
+    metadata.segments.forEach((segment, index) => {
+        if (segmentHeaders.has(segment.id)) lastAssigned = index;
+    });
+
+    const groups = new Map();
+    let heldBack = 0;
+    let previousHeader = null;
+
+    metadata.segments.forEach((segment, index) => {
+        const assigned = segmentHeaders.get(segment.id);
+        if (assigned) previousHeader = assigned;
+        if (folded.has(segment.id)) return;
+
+        if (!assigned && holdBackUnassigned && index > lastAssigned) {
+            heldBack += segment.endWordIndex - segment.startWordIndex + 1;
+            return;
+        }
+
+        const header = assigned || previousHeader;
+        const headerId = header ? header.id : NO_TOPIC_ID;
+        if (!groups.has(headerId)) {
+            groups.set(headerId, { headerId, title: header ? header.title : NO_TOPIC_TITLE, segments: [] });
+        }
+        groups.get(headerId).segments.push(segment);
+    });
+
+    return { groups: Array.from(groups.values()), heldBack, dropped, kept };
+}
+
+// Split a topic's new segments into requests of at most TOPIC_BATCH_WORDS words
+function batchSegments(segments) {
+    const batches = [];
+    let current = [];
+    let words = 0;
+
+    segments.forEach(segment => {
+        const length = segment.endWordIndex - segment.startWordIndex + 1;
+        if (current.length > 0 && words + length > TOPIC_BATCH_WORDS) {
+            batches.push(current);
+            current = [];
+            words = 0;
+        }
+        current.push(segment);
+        words += length;
+    });
+    if (current.length > 0) batches.push(current);
+
+    return batches;
+}
+
+// Topic summaries in meeting order, titled with the topics' current titles and sub-topics
+function orderedTopicSummaries(metadata) {
+    const byHeader = new Map(metadata.topicSummaries.map(entry => [entry.headerId, entry]));
+    const topics = [];
+
+    const noTopic = byHeader.get(NO_TOPIC_ID);
+    if (noTopic && noTopic.summary) {
+        topics.push({ title: NO_TOPIC_TITLE, subTopics: [], summary: noTopic.summary });
+    }
+    metadata.headers.forEach(header => {
+        const entry = byHeader.get(header.id);
+        if (!entry || !entry.summary) return;
+        topics.push({
+            title: header.title,
+            subTopics: (header.subHeaders || []).map(subHeader => subHeader.title),
+            summary: entry.summary
+        });
+    });
+
+    return topics;
+}
+
+module.exports = {
+    TOPIC_BATCH_WORDS,
+    NO_TOPIC_ID,
+    transcriptRangeText,
+    planSummaryUpdate,
+    batchSegments,
+    orderedTopicSummaries
+};
@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+
+// Crash-safe writes for session files, shared by the CLI and the Electron app.
+// Every write goes to a temp file next to the target, is flushed to disk and then renamed over
+// the target, so a crash leaves either the old file or the new one - never half of each.
+// Edits that are not saved yet (the notes editor autosaves after a pause) go to a journal file
+// first, which is replayed on the next launch if the app died before the save.
+
+const TEMP_MARKER = '.tmp-';
+
+function writeFileAtomic(filePath, data, encoding = 'utf8') {
+    const tempPath = `${filePath}${TEMP_MARKER}${process.pid}-${Math.random().toString(36).substr(2, 6)}`;
+    let fd = null;
+
+    try {
+        fd = fs.openSync(tempPath, 'w');
+        fs.writeFileSync(fd, data, typeof data === 'string' ? encoding : undefined);
+        fs.fsyncSync(fd);
+        fs.closeSync(fd);
+        fd = null;
+        fs.renameSync(tempPath, filePath);
+    } catch (error) {
+        if (fd !== null) fs.closeSync(fd);
+        fs.rmSync(tempPath, { force: true });
+        throw error;
+    }
+}
+
+function writeJsonAtomic(filePath, value) {
+    writeFileAtomic(filePath, JSON.stringify(value, null, 2));
+}
+
+// Text files only; the whole file is rewritten, so keep this away from audio
+function appendFileAtomic(filePath, text) {
+    const existing = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : '';
+    writeFileAtomic(filePath, existing + text);
+}
+
+// Temp files left behind by a crash mid-write; the targets themselves are intact. prefix limits
+// the sweep to one transcript's files in a shared directory.
+function removeStaleTempFiles(directory, prefix = '') {
+    if (!fs.existsSync(directory)) return [];
+
+    const removed = fs.readdirSync(directory).filter(file => file.startsWith(prefix) && file.includes(TEMP_MARKER));
+    removed.forEach(file => fs.rmSync(path.join(directory, file), { force: true }));
+    return removed;
+}
+
+// Pending edits to one file: <file>.journal holds { savedAt, content } until the file is saved
+class EditJournal {
+    constructor(targetPath) {
+        this.targetPath = targetPath;
+        this.journalPath = `${targetPath}.journal`;
+    }
+
+    record(content) {
+        writeJsonAtomic(this.journalPath, { savedAt: new Date().toISOString(), content });
+    }
+
+    clear() {
+        fs.rmSync(this.journalPath, { force: true });
+    }
+
+    // The journaled edit if it differs from what is on disk, otherwise null (and the journal goes)
+    readPending() {
+        if (!fs.existsSync(this.journalPath)) return null;
+
+        try {
+            const entry = JSON.parse(fs.readFileSync(this.journalPath, 'utf8'));
+            const saved = fs.existsSync(this.targetPath) ? fs.readFileSync(this.targetPath, 'utf8') : '';
+            if (typeof entry.content === 'string' && entry.content !== saved) {
+                return entry;
+            }
+        } catch (error) {
+            console.log('⚠️  Could not read edit journal:', error.message);
+        }
+
+        this.clear();
+        return null;
+    }
+
+    // Write the journaled content over the target and drop the journal
+    replay(entry = this.readPending()) {
+        if (!entry) return false;
+
+        writeFileAtomic(this.targetPath, entry.content);
+        this.clear();
+        return true;
+    }
+}
+
+module.exports = {
+    writeFileAtomic,
+    writeJsonAtomic,
+    appendFileAtomic,
+    removeStaleTempFiles,
+    EditJournal
+};
@@ -0,0 +1,249 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { transcriptParsers } = require('./transcript-parsers');
+const { writeJsonAtomic } = require('./safe-files');
+
+// Session library shared by the CLI and the Electron app.
+// ~/.real-time-summary/library.json has one entry per transcript that was opened or recorded, keyed
+// by its path, with the stats shown in the library view (date, duration, topics, cost, notes).
+// Search reads the transcript, notes and summary files themselves, so the index stays small and
+// results never lag behind edits made outside the app.
+
+const LIBRARY_VERSION = 1;
+const MAX_SNIPPETS = 3;
+const SNIPPET_CONTEXT = 60; // characters either side of a match
+
+// HH:MM:SS(.mmm) or MM:SS to seconds; null for anything else
+function timestampSeconds(timestamp) {
+    const match = (timestamp || '').match(/^(?:(\d+):)?(\d{1,2}):(\d{2})(?:[.,](\d+))?$/);
+    if (!match) return null;
+    return parseInt(match[1] || '0') * 3600 + parseInt(match[2]) * 60 + parseInt(match[3]) + parseFloat(`0.${match[4] || '0'}`);
+}
+
+// Seconds between the first and last timestamp in the transcript (wall-clock bracketed
+// transcripts may cross midnight)
+function transcriptDuration(content, filePath) {
+    const times = transcriptParsers.parse(content, { filePath })
+        .map(record => ({
+            start: timestampSeconds(record.timestamp),
+            end: timestampSeconds(record.endTimestamp || record.timestamp)
+        }))
+        .filter(time => time.start !== null);
+    if (times.length === 0) return null;
+
+    const duration = times[times.length - 1].end - times[0].start;
+    return duration >= 0 ? duration : duration + 24 * 3600;
+}
+
+// Notes are saved as "## Title" sections, one per note
+function countNotes(notesContent) {
+    return (notesContent.match(/^##\s+\S/gm) || []).length;
+}
+
+// Entries are keyed by absolute path, so "meeting.txt" from the CLI and the app's full path are
+// the same meeting
+function resolvePath(filePath) {
+    return filePath ? path.resolve(filePath) : filePath;
+}
+
+function readIfExists(filePath) {
+    try {
+        return filePath && fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : '';
+    } catch (error) {
+        return '';
+    }
+}
+
+// Recordings keep metadata.json (startTime, duration, context) next to transcript.txt
+function readRecordingMetadata(transcriptFile) {
+    const metadataFile = path.join(path.dirname(transcriptFile), 'metadata.json');
+    if (path.basename(transcriptFile) !== 'transcript.txt' || !fs.existsSync(metadataFile)) return null;
+
+    try {
+        return JSON.parse(fs.readFileSync(metadataFile, 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+// Library entry for a summarizer's transcript: recording offsets first, then the recording's own
+// duration, then transcript timestamps
+function describeSession(summarizer) {
+    const transcriptFile = resolvePath(summarizer.filePath);
+    const transcript = readIfExists(transcriptFile);
+    const recording = readRecordingMetadata(transcriptFile);
+    const segments = (summarizer.metadata && summarizer.metadata.segments) || [];
+    const headers = (summarizer.metadata && summarizer.metadata.headers) || [];
+
+    const audioEnds = segments.filter(segment => segment.audioEnd !== undefined).map(segment => segment.audioEnd);
+    let duration = audioEnds.length > 0 ? Math.max(...audioEnds) : null;
+    if (duration === null && recording && recording.duration) duration = recording.duration / 1000;
+    if (duration === null) duration = transcriptDuration(transcript, transcriptFile);
+
+    let date = recording ? recording.startTime : null;
+    if (!date && fs.existsSync(transcriptFile)) {
+        const stats = fs.statSync(transcriptFile);
+        date = (stats.birthtimeMs > 0 && stats.birthtime < stats.mtime ? stats.birthtime : stats.mtime).toISOString();
+    }
+
+    return {
+        transcriptFile,
+        notesFile: resolvePath(summarizer.notesFilePath),
+        summaryFile: resolvePath(summarizer.summaryFilePath),
+        screenshotsDir: resolvePath(summarizer.screenshotsDir) || '',
+        title: (recording && recording.context) || path.basename(transcriptFile, path.extname(transcriptFile)),
+        date,
+        duration,
+        topics: headers.map(header => header.title),
+        cost: summarizer.costLedger ? summarizer.costLedger.getSummary().meeting.cost : 0,
+        noteCount: countNotes(readIfExists(summarizer.notesFilePath)),
+        recordingId: recording ? recording.sessionId : null
+    };
+}
+
+function makeSnippet(text, index, length) {
+    const start = Math.max(0, index - SNIPPET_CONTEXT);
+    const end = Math.min(text.length, index + length + SNIPPET_CONTEXT);
+    const snippet = text.slice(start, end).replace(/\s+/g, ' ').trim();
+    return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+}
+
+class SessionLibrary {
+    constructor(options = {}) {
+        this.libraryPath = options.libraryPath ||
+            path.join(process.env.SESSION_LIBRARY_DIR || path.join(os.homedir(), '.real-time-summary'), 'library.json');
+    }
+
+    // Read on every call: the CLI and the app may both be updating the library
+    load() {
+        try {
+            if (fs.existsSync(this.libraryPath)) {
+                const library = JSON.parse(fs.readFileSync(this.libraryPath, 'utf8'));
+                if (Array.isArray(library.sessions)) return library;
+            }
+        } catch (error) {
+            console.log('⚠️  Could not read session library:', error.message);
+        }
+        return { version: LIBRARY_VERSION, sessions: [] };
+    }
+
+    save(library) {
+        fs.mkdirSync(path.dirname(this.libraryPath), { recursive: true });
+        writeJsonAtomic(this.libraryPath, { ...library, version: LIBRARY_VERSION });
+    }
+
+    upsert(entry) {
+        entry = { ...entry, transcriptFile: resolvePath(entry.transcriptFile) };
+        const library = this.load();
+        const index = library.sessions.findIndex(session => session.transcriptFile === entry.transcriptFile);
+        if (index >= 0) {
+            library.sessions[index] = { ...library.sessions[index], ...entry };
+        } else {
+            library.sessions.push({ addedAt: new Date().toISOString(), ...entry });
+        }
+        this.save(library);
+        return entry;
+    }
+
+    find(transcriptFile) {
+        const resolved = resolvePath(transcriptFile);
+        return this.load().sessions.find(session => session.transcriptFile === resolved) || null;
+    }
+
+    // Called whenever a transcript is opened, and again when it is closed so the stats are current.
+    // The meeting date is kept from the first time; later rewrites of the file would move it.
+    recordSession(summarizer) {
+        const entry = { ...describeSession(summarizer), lastOpened: new Date().toISOString() };
+        const existing = this.find(entry.transcriptFile);
+        if (existing && existing.date) entry.date = existing.date;
+        return this.upsert(entry);
+    }
+
+    // A finished recording that has not been opened yet; stats fill in once it is
+    recordRecording(session, metadata) {
+        const transcriptFile = resolvePath(session.transcriptFile);
+        const existing = this.find(transcriptFile);
+        if (existing) return existing;
+
+        return this.upsert({
+            transcriptFile,
+            notesFile: null,
+            summaryFile: null,
+            screenshotsDir: '',
+            title: metadata.context || `Recording ${new Date(metadata.startTime).toLocaleString()}`,
+            date: metadata.startTime,
+            duration: metadata.duration ? metadata.duration / 1000 : null,
+            topics: [],
+            cost: 0,
+            noteCount: 0,
+            recordingId: metadata.sessionId || session.id
+        });
+    }
+
+    remove(transcriptFile) {
+        const library = this.load();
+        const resolved = resolvePath(transcriptFile);
+        library.sessions = library.sessions.filter(session => session.transcriptFile !== resolved);
+        this.save(library);
+    }
+
+    // Newest first; sessions whose transcript is gone stay listed but cannot be reopened
+    list() {
+        return this.load().sessions
+            .map(session => ({ ...session, missing: !fs.existsSync(session.transcriptFile) }))
+            .sort((a, b) => new Date(b.date || b.addedAt) - new Date(a.date || a.addedAt));
+    }
+
+    // Every word of the query must appear somewhere in the session (title, topics, transcript,
+    // notes or summary); results are ranked by how often the words occur
+    search(query) {
+        const terms = (query || '').toLowerCase().split(/\s+/).filter(term => term.length > 0);
+        if (terms.length === 0) return this.list();
+
+        const results = [];
+        this.list().forEach(session => {
+            const sources = [
+                { source: 'title', text: [session.title, ...(session.topics || [])].join('\n') },
+                { source: 'transcript', text: readIfExists(session.transcriptFile) },
+                { source: 'notes', text: readIfExists(session.notesFile) },
+                { source: 'summary', text: readIfExists(session.summaryFile) }
+            ];
+
+            const found = new Set();
+            const matches = [];
+            let score = 0;
+            sources.forEach(({ source, text }) => {
+                const lower = text.toLowerCase();
+                let firstMatch = null;
+                terms.forEach(term => {
+                    let index = lower.indexOf(term);
+                    if (index >= 0) {
+                        found.add(term);
+                        if (firstMatch === null) firstMatch = { index, length: term.length };
+                    }
+                    while (index >= 0) {
+                        score++;
+                        index = lower.indexOf(term, index + term.length);
+                    }
+                });
+                if (firstMatch && source !== 'title' && matches.length < MAX_SNIPPETS) {
+                    matches.push({ source, snippet: makeSnippet(text, firstMatch.index, firstMatch.length) });
+                }
+            });
+
+            if (found.size === terms.length) {
+                results.push({ ...session, matches, score });
+            }
+        });
+
+        return results.sort((a, b) => b.score - a.score);
+    }
+}
+
+module.exports = {
+    SessionLibrary,
+    describeSession,
+    transcriptDuration,
+    countNotes
+};
@@ -0,0 +1,516 @@
+// Offline speaker diarization for recorded audio, shared by the CLI and the Electron app.
+// Runs on the CPU without any model downloads: MFCC statistics over short windows give one
+// voice vector per window, average-linkage clustering groups them into speakers, and
+// transcript lines are labelled by how much of their audio each speaker covers.
+
+const FRAME_SECONDS = 0.025;
+const FRAME_HOP_SECONDS = 0.02;
+const FFT_SIZE = 512;
+const MEL_BANDS = 24;
+const CEPSTRA = 13;
+
+const DEFAULT_OPTIONS = {
+    windowSeconds: 1.5,      // audio per voice vector
+    hopSeconds: 0.75,        // step between voice vectors
+    minVoicedRatio: 0.3,     // windows with less speech than this are treated as silence
+    threshold: 0.7,          // cosine distance at which clusters stop merging
+    maxSpeakers: 6,
+    maxClusterWindows: 600,  // windows clustered directly; the rest join the nearest speaker
+    minRunWindows: 3         // shorter speaker turns are absorbed by their neighbours
+};
+
+function hzToMel(hz) {
+    return 2595 * Math.log10(1 + hz / 700);
+}
+
+function melToHz(mel) {
+    return 700 * (Math.pow(10, mel / 2595) - 1);
+}
+
+// Triangular mel filters stored as { start, weights } over FFT bins
+function createMelFilters(sampleRate) {
+    const bins = FFT_SIZE / 2 + 1;
+    const maxMel = hzToMel(Math.min(8000, sampleRate / 2));
+    const minMel = hzToMel(60);
+    const points = [];
+    for (let i = 0; i < MEL_BANDS + 2; i++) {
+        const hz = melToHz(minMel + (maxMel - minMel) * i / (MEL_BANDS + 1));
+        points.push(Math.min(bins - 1, Math.floor((FFT_SIZE + 1) * hz / sampleRate)));
+    }
+
+    const filters = [];
+    for (let band = 1; band <= MEL_BANDS; band++) {
+        const left = points[band - 1];
+        const centre = Math.max(points[band], left + 1);
+        const right = Math.max(points[band + 1], centre + 1);
+        const weights = [];
+        for (let bin = left; bin <= right; bin++) {
+            weights.push(bin <= centre
+                ? (bin - left) / (centre - left)
+                : (right - bin) / (right - centre));
+        }
+        filters.push({ start: left, weights });
+    }
+    return filters;
+}
+
+// In-place radix-2 FFT
+function fft(real, imag) {
+    const n = real.length;
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [real[i], real[j]] = [real[j], real[i]];
+            [imag[i], imag[j]] = [imag[j], imag[i]];
+        }
+    }
+
+    for (let size = 2; size <= n; size <<= 1) {
+        const angle = -2 * Math.PI / size;
+        const stepReal = Math.cos(angle);
+        const stepImag = Math.sin(angle);
+        for (let start = 0; start < n; start += size) {
+            let wReal = 1;
+            let wImag = 0;
+            for (let k = 0; k < size / 2; k++) {
+                const a = start + k;
+                const b = a + size / 2;
+                const tReal = real[b] * wReal - imag[b] * wImag;
+                const tImag = real[b] * wImag + imag[b] * wReal;
+                real[b] = real[a] - tReal;
+                imag[b] = imag[a] - tImag;
+                real[a] += tReal;
+                imag[a] += tImag;
+                const nextReal = wReal * stepReal - wImag * stepImag;
+                wImag = wReal * stepImag + wImag * stepReal;
+                wReal = nextReal;
+            }
+        }
+    }
+}
+
+// Per-frame MFCCs (without c0) plus frame energy for voice activity detection
+function computeFrames(samples, sampleRate) {
+    const frameLength = Math.round(FRAME_SECONDS * sampleRate);
+    const frameHop = Math.round(FRAME_HOP_SECONDS * sampleRate);
+    const filters = createMelFilters(sampleRate);
+    const hamming = new Float64Array(frameLength);
+    for (let i = 0; i < frameLength; i++) {
+        hamming[i] = 0.54 - 0.46 * Math.cos(2 * Math.PI * i / (frameLength - 1));
+    }
+
+    const frameCount = samples.length >= frameLength ? Math.floor((samples.length - frameLength) / frameHop) + 1 : 0;
+    const cepstra = new Float64Array(frameCount * (CEPSTRA - 1));
+    const energies = new Float64Array(frameCount);
+    const real = new Float64Array(FFT_SIZE);
+    const imag = new Float64Array(FFT_SIZE);
+    const melEnergies = new Float64Array(MEL_BANDS);
+
+    for (let frame = 0; frame < frameCount; frame++) {
+        const offset = frame * frameHop;
+        real.fill(0);
+        imag.fill(0);
+
+        let energy = 0;
+        let previous = offset > 0 ? samples[offset - 1] : 0;
+        for (let i = 0; i < frameLength && i < FFT_SIZE; i++) {
+            const sample = samples[offset + i];
+            energy += sample * sample;
+            real[i] = (sample - 0.97 * previous) * hamming[i]; // pre-emphasis
+            previous = sample;
+        }
+        energies[frame] = energy / frameLength;
+
+        fft(real, imag);
+
+        for (let band = 0; band < MEL_BANDS; band++) {
+            const { start, weights } = filters[band];
+            let sum = 0;
+            for (let i = 0; i < weights.length; i++) {
+                const bin = start + i;
+                sum += weights[i] * (real[bin] * real[bin] + imag[bin] * imag[bin]);
+            }
+            melEnergies[band] = Math.log(sum + 1e-10);
+        }
+
+        for (let c = 1; c < CEPSTRA; c++) {
+            let sum = 0;
+            for (let band = 0; band < MEL_BANDS; band++) {
+                sum += melEnergies[band] * Math.cos(Math.PI * c * (band + 0.5) / MEL_BANDS);
+            }
+            cepstra[frame * (CEPSTRA - 1) + c - 1] = sum;
+        }
+    }
+
+    return { frameCount, frameHop, cepstra, energies };
+}
+
+// One voice vector (MFCC means and deviations over voiced frames) per window
+function computeSpeakerEmbeddings(samples, sampleRate, options = {}) {
+    const embeddings = computeWindowVectors(samples, sampleRate, { ...DEFAULT_OPTIONS, ...options });
+    normalizeEmbeddings(embeddings);
+    return embeddings;
+}
+
+// Voice vectors before normalisation, with times in seconds from the first sample
+function computeWindowVectors(samples, sampleRate, settings) {
+    const { frameCount, cepstra, energies } = computeFrames(samples, sampleRate);
+    const dims = CEPSTRA - 1;
+
+    // Speech threshold relative to the loudest frames, so recording level doesn't matter
+    const sorted = Array.from(energies).sort((a, b) => a - b);
+    const loud = sorted.length > 0 ? sorted[Math.floor(sorted.length * 0.95)] : 0;
+    const energyThreshold = Math.max(loud * 0.01, 1e-7);
+
+    const framesPerWindow = Math.max(1, Math.round(settings.windowSeconds / FRAME_HOP_SECONDS));
+    const framesPerHop = Math.max(1, Math.round(settings.hopSeconds / FRAME_HOP_SECONDS));
+    const embeddings = [];
+
+    for (let first = 0; first + framesPerWindow <= frameCount || (first === 0 && frameCount > 0); first += framesPerHop) {
+        const last = Math.min(frameCount, first + framesPerWindow);
+        const mean = new Float64Array(dims);
+        const squares = new Float64Array(dims);
+        let voiced = 0;
+
+        for (let frame = first; frame < last; frame++) {
+            if (energies[frame] < energyThreshold) continue;
+            voiced++;
+            for (let d = 0; d < dims; d++) {
+                const value = cepstra[frame * dims + d];
+                mean[d] += value;
+                squares[d] += value * value;
+            }
+        }
+
+        if (voiced >= 3 && voiced / (last - first) >= settings.minVoicedRatio) {
+            const vector = new Float64Array(dims * 2);
+            for (let d = 0; d < dims; d++) {
+                vector[d] = mean[d] / voiced;
+                vector[dims + d] = Math.sqrt(Math.max(0, squares[d] / voiced - vector[d] * vector[d]));
+            }
+            embeddings.push({
+                start: first * FRAME_HOP_SECONDS,
+                end: last * FRAME_HOP_SECONDS + FRAME_SECONDS,
+                vector
+            });
+        }
+
+        if (last >= frameCount) break;
+    }
+
+    return embeddings;
+}
+
+// Mean/variance normalisation across the recording so every feature weighs the same
+function normalizeEmbeddings(embeddings) {
+    if (embeddings.length < 2) return;
+
+    const dims = embeddings[0].vector.length;
+    for (let d = 0; d < dims; d++) {
+        let mean = 0;
+        for (const embedding of embeddings) mean += embedding.vector[d];
+        mean /= embeddings.length;
+
+        let variance = 0;
+        for (const embedding of embeddings) variance += Math.pow(embedding.vector[d] - mean, 2);
+        const deviation = Math.sqrt(variance / embeddings.length) || 1;
+
+        for (const embedding of embeddings) {
+            embedding.vector[d] = (embedding.vector[d] - mean) / deviation;
+        }
+    }
+}
+
+function cosineDistance(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA && normB ? 1 - dot / Math.sqrt(normA * normB) : 1;
+}
+
+// Average-linkage agglomerative clustering; returns a cluster number per vector
+function clusterVectors(vectors, { threshold, maxSpeakers }) {
+    const n = vectors.length;
+    if (n === 0) return [];
+
+    const distances = new Float64Array(n * n);
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+            const distance = cosineDistance(vectors[i], vectors[j]);
+            distances[i * n + j] = distance;
+            distances[j * n + i] = distance;
+        }
+    }
+
+    const active = new Array(n).fill(true);
+    const sizes = new Array(n).fill(1);
+    const assignment = Array.from({ length: n }, (_, i) => i);
+    let clusters = n;
+
+    while (clusters > 1) {
+        let best = Infinity;
+        let bestI = -1;
+        let bestJ = -1;
+        for (let i = 0; i < n; i++) {
+            if (!active[i]) continue;
+            for (let j = i + 1; j < n; j++) {
+                if (active[j] && distances[i * n + j] < best) {
+                    best = distances[i * n + j];
+                    bestI = i;
+                    bestJ = j;
+                }
+            }
+        }
+
+        if (best > threshold && clusters <= maxSpeakers) break;
+
+        // Merge j into i (Lance-Williams update for average linkage)
+        for (let k = 0; k < n; k++) {
+            if (!active[k] || k === bestI || k === bestJ) continue;
+            const merged = (sizes[bestI] * distances[bestI * n + k] + sizes[bestJ] * distances[bestJ * n + k]) /
+                (sizes[bestI] + sizes[bestJ]);
+            distances[bestI * n + k] = merged;
+            distances[k * n + bestI] = merged;
+        }
+        sizes[bestI] += sizes[bestJ];
+        active[bestJ] = false;
+        for (let k = 0; k < n; k++) {
+            if (assignment[k] === bestJ) assignment[k] = bestI;
+        }
+        clusters--;
+    }
+
+    return assignment;
+}
+
+function centroid(vectors) {
+    const result = new Float64Array(vectors[0].length);
+    for (const vector of vectors) {
+        for (let d = 0; d < vector.length; d++) result[d] += vector[d] / vectors.length;
+    }
+    return result;
+}
+
+// Absorb speaker turns shorter than minRun windows into the surrounding speakers. Windows that
+// straddle a change of speaker tend to form their own small cluster; between two different
+// speakers each window goes to whichever neighbouring speaker it sounds closer to.
+function smoothLabels(labels, embeddings, centroids, minRun) {
+    const smoothed = [...labels];
+    let runStart = 0;
+    for (let i = 1; i <= smoothed.length; i++) {
+        if (i < smoothed.length && smoothed[i] === smoothed[runStart]) continue;
+
+        const before = runStart > 0 ? smoothed[runStart - 1] : null;
+        const after = i < smoothed.length ? smoothed[i] : null;
+        if (i - runStart < minRun && (before !== null || after !== null)) {
+            for (let k = runStart; k < i; k++) {
+                if (before === null || after === null || before === after) {
+                    smoothed[k] = before !== null ? before : after;
+                } else {
+                    const vector = embeddings[k].vector;
+                    smoothed[k] = cosineDistance(vector, centroids[before]) <= cosineDistance(vector, centroids[after])
+                        ? before
+                        : after;
+                }
+            }
+        }
+        runStart = i;
+    }
+    return smoothed;
+}
+
+// Cluster the recording into speakers.
+// Returns { speakers: ['Speaker 1', ...], segments: [{ start, end, speaker }] } with times in seconds.
+function diarize(samples, sampleRate, options = {}) {
+    return clusterEmbeddings(computeSpeakerEmbeddings(samples, sampleRate, options), options);
+}
+
+// Cluster normalised voice vectors into speakers, as diarize() does
+function clusterEmbeddings(embeddings, options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    if (embeddings.length === 0) {
+        return { speakers: [], segments: [] };
+    }
+
+    // Cluster an even sample of windows, then attach every window to the closest speaker
+    const stride = Math.max(1, Math.ceil(embeddings.length / settings.maxClusterWindows));
+    const sampled = embeddings.filter((_, index) => index % stride === 0);
+    const assignment = clusterVectors(sampled.map(embedding => embedding.vector), settings);
+
+    const groups = new Map();
+    assignment.forEach((cluster, index) => {
+        if (!groups.has(cluster)) groups.set(cluster, []);
+        groups.get(cluster).push(sampled[index].vector);
+    });
+    const centroids = Array.from(groups.values()).map(centroid);
+
+    let labels = embeddings.map(embedding => {
+        let best = 0;
+        let bestDistance = Infinity;
+        centroids.forEach((vector, index) => {
+            const distance = cosineDistance(embedding.vector, vector);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = index;
+            }
+        });
+        return best;
+    });
+    labels = smoothLabels(labels, embeddings, centroids, settings.minRunWindows);
+
+    // Number speakers by first appearance
+    const names = new Map();
+    labels.forEach(label => {
+        if (!names.has(label)) names.set(label, `Speaker ${names.size + 1}`);
+    });
+
+    // Each window owns the stretch around its centre; neighbouring windows of one speaker form a segment
+    const segments = [];
+    embeddings.forEach((embedding, index) => {
+        const centre = (embedding.start + embedding.end) / 2;
+        const start = Math.max(0, centre - settings.hopSeconds / 2);
+        const end = centre + settings.hopSeconds / 2;
+        const speaker = names.get(labels[index]);
+        const previous = segments[segments.length - 1];
+
+        if (previous && previous.speaker === speaker && start - previous.end < settings.hopSeconds) {
+            previous.end = end;
+        } else {
+            segments.push({ start, end, speaker });
+        }
+    });
+
+    return { speakers: Array.from(names.values()), segments };
+}
+
+// Voice vectors for a recording analysed a piece at a time (imported recordings are transcribed
+// ~30s at a time), so the samples of the whole recording are never needed at once
+class SpeakerEmbeddingCollector {
+    constructor(options = {}) {
+        this.settings = { ...DEFAULT_OPTIONS, ...options };
+        this.embeddings = [];
+    }
+
+    // offsetSeconds is where the piece starts in the recording
+    add(samples, sampleRate, offsetSeconds = 0) {
+        computeWindowVectors(samples, sampleRate, this.settings).forEach(embedding => {
+            this.embeddings.push({ ...embedding, start: embedding.start + offsetSeconds, end: embedding.end + offsetSeconds });
+        });
+    }
+
+    // Same result shape as diarize()
+    diarize() {
+        normalizeEmbeddings(this.embeddings);
+        return clusterEmbeddings(this.embeddings, this.settings);
+    }
+}
+
+// Pick the speaker covering most of each line's audio (audioStart/audioEnd in seconds).
+// Lines without audio offsets or without any nearby speech keep their current speaker.
+function assignSpeakersToLines(lines, segments) {
+    return lines.map(line => {
+        if (typeof line.audioStart !== 'number' || typeof line.audioEnd !== 'number' || segments.length === 0) {
+            return line;
+        }
+
+        const coverage = new Map();
+        for (const segment of segments) {
+            const overlap = Math.min(line.audioEnd, segment.end) - Math.max(line.audioStart, segment.start);
+            if (overlap > 0) {
+                coverage.set(segment.speaker, (coverage.get(segment.speaker) || 0) + overlap);
+            }
+        }
+
+        let speaker = null;
+        if (coverage.size > 0) {
+            speaker = Array.from(coverage.entries()).sort((a, b) => b[1] - a[1])[0][0];
+        } else {
+            // No overlap (e.g. timing drift): use the closest segment within a few seconds
+            const middle = (line.audioStart + line.audioEnd) / 2;
+            let closest = Infinity;
+            for (const segment of segments) {
+                const distance = Math.max(segment.start - middle, middle - segment.end, 0);
+                if (distance < closest && distance <= 3) {
+                    closest = distance;
+                    speaker = segment.speaker;
+                }
+            }
+        }
+
+        return speaker ? { ...line, speaker } : line;
+    });
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// One pattern for all renames so swaps (Speaker 1 <-> Speaker 2) don't chain
+function buildRenamePattern(renames) {
+    const names = Object.keys(renames)
+        .filter(name => name && renames[name] && renames[name] !== name)
+        .sort((a, b) => b.length - a.length);
+    if (names.length === 0) return null;
+    return new RegExp(`(?<![\\w])(?:${names.map(escapeRegExp).join('|')})(?![\\w])`, 'g');
+}
+
+// Replace speaker names ({ 'Speaker 1': 'Alice' }) as whole words, so "Speaker 1" never matches "Speaker 10"
+function renameSpeakersInText(text, renames) {
+    const pattern = buildRenamePattern(renames);
+    if (!pattern || !text) return text;
+    return text.replace(pattern, name => renames[name]);
+}
+
+function countWords(text) {
+    return text.split(/\s+/).filter(word => word.length > 0).length;
+}
+
+// Word indices shift when a name has a different number of words than the one it replaces.
+// Returns a function mapping a word index in the old text to the same word in the renamed text.
+function createWordIndexMapper(text, renames) {
+    const pattern = buildRenamePattern(renames);
+    const shifts = []; // { index, delta } for every renamed occurrence
+    if (pattern && text) {
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            const before = text.slice(0, match.index);
+            let index = countWords(before);
+            if (before.length > 0 && !/\s$/.test(before)) index--; // match continues the previous word
+            shifts.push({
+                index: Math.max(0, index),
+                oldWords: countWords(match[0]),
+                newWords: countWords(renames[match[0]])
+            });
+        }
+    }
+
+    return wordIndex => {
+        let mapped = wordIndex;
+        for (const shift of shifts) {
+            if (shift.index >= wordIndex) break;
+            const offset = wordIndex - shift.index;
+            // Words inside a renamed name land on the matching word of the new name (or its last word)
+            mapped += offset < shift.oldWords
+                ? Math.min(offset, shift.newWords - 1) - offset
+                : shift.newWords - shift.oldWords;
+        }
+        return mapped;
+    };
+}
+
+module.exports = {
+    diarize,
+    computeSpeakerEmbeddings,
+    SpeakerEmbeddingCollector,
+    assignSpeakersToLines,
+    renameSpeakersInText,
+    createWordIndexMapper,
+    DEFAULT_OPTIONS
+};
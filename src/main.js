@@ -7,6 +7,13 @@ const { exec } = require('child_process');
 
 // Import the existing TranscriptSummarizer class
 const { TranscriptSummarizer } = require('../transcript-summarizer');
+const { SpeakerEmbeddingCollector, assignSpeakersToLines, renameSpeakersInText } = require('../speaker-diarization');
+const { alignWordTimings, writeWordTimings, groupWordsIntoLines } = require('../word-timings');
+const { OUTLINE_FORMATS } = require('../topic-outline');
+const { TRACKER_FORMATS } = require('../action-items');
+const { MeetingProfiles, DEFAULT_PROFILE_ID } = require('../meeting-profiles');
+const { writeFileAtomic, writeJsonAtomic, removeStaleTempFiles, EditJournal } = require('../safe-files');
+const { SessionLibrary } = require('../session-library');
 
 // Audio recording system classes
 class MacOSAudioManager {
@@ -259,18 +266,30 @@ class AudioTranscriptionService {
             // Convert array back to Float32Array for Whisper
             const audioFloat32 = new Float32Array(audioData);
             
-            // Transcribe the audio using Whisper
-            const result = await this.whisperPipeline(audioFloat32, {
-                chunk_length_s: 30,
-                stride_length_s: 5,
-                return_timestamps: false
-            });
+            // Transcribe the audio using Whisper, with word timings when the model supports them
+            const options = { chunk_length_s: 30, stride_length_s: 5 };
+            let result;
+            if (this.wordTimestampsSupported !== false) {
+                try {
+                    result = await this.whisperPipeline(audioFloat32, { ...options, return_timestamps: 'word' });
+                    this.wordTimestampsSupported = true;
+                } catch (error) {
+                    console.log('⚠️ Word timestamps unavailable, using segment timestamps:', error.message);
+                    this.wordTimestampsSupported = false;
+                }
+            }
+            if (!result) {
+                result = await this.whisperPipeline(audioFloat32, { ...options, return_timestamps: true });
+            }
+            
+            console.log('🎯 Whisper transcription result:', result.text);
             
-            console.log('🎯 Whisper transcription result:', result);
+            // Word offsets are relative to the start of audioData
+            const { words } = alignWordTimings(result.chunks, audioFloat32.length / sampleRate);
             
             return {
                 text: result.text || '',
-                confidence: 0.9, // Whisper doesn't provide confidence scores by default
+                words,
                 isFinal: true
             };
             
@@ -304,6 +323,7 @@ class AudioFileManager {
     constructor() {
         this.currentSession = null;
         this.audioChunks = [];
+        this.speakerEmbeddings = new Map(); // sessionId -> SpeakerEmbeddingCollector until diarized
     }
 
     startSession(sessionContext, userDataPath) {
@@ -312,28 +332,227 @@ class AudioFileManager {
         
         fs.mkdirSync(sessionDir, { recursive: true });
         
+        // The live session's metadata stays in memory and is written out with each transcript line
+        // and on stop, not on every audio chunk
         this.currentSession = {
             id: timestamp,
             directory: sessionDir,
             audioFile: path.join(sessionDir, 'audio.webm'),
             transcriptFile: path.join(sessionDir, 'transcript.txt'),
             metadataFile: path.join(sessionDir, 'metadata.json'),
-            context: sessionContext
+            context: sessionContext,
+            metadata: {
+                sessionId: timestamp,
+                startTime: new Date().toISOString(),
+                context: sessionContext,
+                audioFormat: 'webm/opus',
+                chunks: [],
+                lines: [],       // transcript lines with audioStart/audioEnd offsets (seconds into audio.webm)
+                speakerNames: {} // renames applied on top of diarization labels, e.g. { 'Speaker 1': 'Alice' }
+            }
         };
 
         // Initialize files
-        fs.writeFileSync(this.currentSession.transcriptFile, '');
-        fs.writeFileSync(this.currentSession.metadataFile, JSON.stringify({
-            sessionId: this.currentSession.id,
-            startTime: new Date().toISOString(),
-            context: sessionContext,
-            audioFormat: 'webm/opus',
-            chunks: []
-        }, null, 2));
+        writeFileAtomic(this.currentSession.transcriptFile, '');
+        this.writeSessionMetadata(this.currentSession, this.currentSession.metadata);
 
         return this.currentSession;
     }
 
+    // Imported sessions keep the source file's extension (audio.mp3, audio.mp4, ...)
+    startImportSession(sourcePath, userDataPath) {
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const sessionId = `import-${timestamp}`;
+        const sessionDir = path.join(userDataPath, 'recordings', sessionId);
+        const extension = path.extname(sourcePath).toLowerCase();
+
+        fs.mkdirSync(sessionDir, { recursive: true });
+        try {
+            fs.copyFileSync(sourcePath, path.join(sessionDir, `audio${extension}`));
+
+            const session = this.getSessionPaths(sessionId, userDataPath);
+            writeFileAtomic(session.transcriptFile, '');
+            this.writeSessionMetadata(session, {
+                sessionId,
+                startTime: new Date().toISOString(),
+                importedFrom: sourcePath,
+                audioFormat: extension.slice(1),
+                lines: [],
+                speakerNames: {}
+            });
+
+            return session;
+        } catch (error) {
+            this.discardImportSession(sessionId, userDataPath);
+            throw error;
+        }
+    }
+
+    // A failed or abandoned import leaves nothing behind; recorded sessions are never removed here
+    discardImportSession(sessionId, userDataPath) {
+        if (!path.basename(sessionId).startsWith('import-')) {
+            throw new Error(`Not an imported recording: ${sessionId}`);
+        }
+        this.speakerEmbeddings.delete(sessionId);
+        const session = this.getSessionPaths(sessionId, userDataPath);
+        if (fs.existsSync(session.directory)) {
+            fs.rmSync(session.directory, { recursive: true, force: true });
+            console.log(`🧹 Removed unfinished import ${sessionId}`);
+        }
+    }
+
+    // Transcribed chunks of an imported recording, offsets already relative to the whole file
+    appendImportedLines(sessionId, userDataPath, lines) {
+        const session = this.getSessionPaths(sessionId, userDataPath);
+        const metadata = this.readSessionMetadata(session);
+
+        lines.forEach(line => {
+            metadata.lines.push({ recordingIndex: metadata.lines.length, ...line });
+        });
+
+        this.writeSessionMetadata(session, metadata);
+        this.writeTranscript(session, metadata.lines);
+        return metadata.lines.length;
+    }
+
+    getSessionPaths(sessionId, userDataPath) {
+        const directory = path.join(userDataPath, 'recordings', path.basename(sessionId));
+        const audioName = fs.existsSync(directory)
+            ? fs.readdirSync(directory).find(file => file.startsWith('audio.')) || 'audio.webm'
+            : 'audio.webm';
+        return {
+            id: sessionId,
+            directory,
+            audioFile: path.join(directory, audioName),
+            transcriptFile: path.join(directory, 'transcript.txt'),
+            metadataFile: path.join(directory, 'metadata.json')
+        };
+    }
+
+    // The recording in progress is read from memory; its file may lag behind by a few chunks
+    readSessionMetadata(session) {
+        if (this.currentSession && this.currentSession.metadataFile === session.metadataFile) {
+            return this.currentSession.metadata;
+        }
+        return JSON.parse(fs.readFileSync(session.metadataFile, 'utf8'));
+    }
+
+    writeSessionMetadata(session, metadata) {
+        if (this.currentSession && this.currentSession.metadataFile === session.metadataFile) {
+            this.currentSession.metadata = metadata;
+        }
+        writeJsonAtomic(session.metadataFile, metadata);
+    }
+
+    formatAudioOffset(seconds) {
+        const total = Math.max(0, seconds || 0);
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor((total % 3600) / 60);
+        const secs = total % 60;
+        return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${secs.toFixed(2).padStart(5, '0')}`;
+    }
+
+    // transcript.txt uses the bracketed format understood by the transcript parsers; word timings
+    // go to transcript.words.json first so a summarizer reading the transcript can map words to audio
+    writeTranscript(session, lines) {
+        writeWordTimings(session.transcriptFile, path.basename(session.audioFile), lines);
+        const content = lines
+            .map(line => `[${this.formatAudioOffset(line.audioStart)}] ${line.speaker}: ${line.content}`)
+            .join('\n');
+        writeFileAtomic(session.transcriptFile, content ? content + '\n' : '');
+    }
+
+    appendTranscriptLine(line) {
+        if (!this.currentSession) return;
+
+        try {
+            const metadata = this.currentSession.metadata;
+            if (!metadata.lines) metadata.lines = [];
+            metadata.lines[line.recordingIndex] = {
+                recordingIndex: line.recordingIndex,
+                timestamp: line.timestamp,
+                speaker: line.speaker,
+                content: line.content,
+                audioStart: line.audioStart,
+                audioEnd: line.audioEnd,
+                words: line.words || []
+            };
+            this.writeSessionMetadata(this.currentSession, metadata);
+            this.writeTranscript(this.currentSession, metadata.lines.filter(Boolean));
+        } catch (error) {
+            console.error('Error saving transcript line:', error);
+        }
+    }
+
+    // Voice vectors for one piece of a session's audio; a piece at offset 0 starts the analysis over
+    addDiarizationAudio(sessionId, samples, sampleRate, offsetSeconds) {
+        if (offsetSeconds === 0 || !this.speakerEmbeddings.has(sessionId)) {
+            this.speakerEmbeddings.set(sessionId, new SpeakerEmbeddingCollector());
+        }
+        this.speakerEmbeddings.get(sessionId).add(samples, sampleRate, offsetSeconds);
+    }
+
+    // Label the session's transcript lines with diarized speakers, keeping names the user already chose
+    applyDiarization(sessionId, userDataPath) {
+        const collector = this.speakerEmbeddings.get(sessionId);
+        if (!collector) {
+            throw new Error('No audio was analysed for this recording');
+        }
+        this.speakerEmbeddings.delete(sessionId);
+
+        const session = this.getSessionPaths(sessionId, userDataPath);
+        const metadata = this.readSessionMetadata(session);
+        const lines = (metadata.lines || []).filter(Boolean);
+
+        const startTime = Date.now();
+        const result = collector.diarize();
+        console.log(`🗣️  Diarization found ${result.speakers.length} speaker(s) in ${((Date.now() - startTime) / 1000).toFixed(1)}s`);
+
+        const speakerNames = metadata.speakerNames || {};
+        metadata.lines = assignSpeakersToLines(lines, result.segments).map(line => ({
+            ...line,
+            speaker: speakerNames[line.speaker] || line.speaker
+        }));
+        metadata.diarization = {
+            createdAt: new Date().toISOString(),
+            speakers: result.speakers,
+            segments: result.segments
+        };
+
+        this.writeSessionMetadata(session, metadata);
+        this.writeTranscript(session, metadata.lines);
+
+        return {
+            lines: metadata.lines,
+            speakers: result.speakers.map(speaker => speakerNames[speaker] || speaker)
+        };
+    }
+
+    renameSpeakers(sessionId, userDataPath, renames) {
+        const session = this.getSessionPaths(sessionId, userDataPath);
+        if (!fs.existsSync(session.metadataFile)) return;
+
+        const metadata = this.readSessionMetadata(session);
+        const speakerNames = metadata.speakerNames || {};
+
+        // Track renames against the original diarization labels so a re-run keeps the names
+        const labels = (metadata.diarization && metadata.diarization.speakers) || [];
+        labels.forEach(label => {
+            const current = speakerNames[label] || label;
+            if (renames[current]) speakerNames[label] = renames[current];
+        });
+        metadata.speakerNames = speakerNames;
+
+        metadata.lines = (metadata.lines || []).filter(Boolean).map(line => ({
+            ...line,
+            speaker: renames[line.speaker] || line.speaker,
+            content: renameSpeakersInText(line.content, renames)
+        }));
+
+        this.writeSessionMetadata(session, metadata);
+        this.writeTranscript(session, metadata.lines);
+    }
+
     async processAudioChunk(chunkBuffer) {
         if (!this.currentSession) return;
 
@@ -341,13 +560,11 @@ class AudioFileManager {
             // Append to audio file
             fs.appendFileSync(this.currentSession.audioFile, Buffer.from(chunkBuffer));
             
-            // Update metadata
-            const metadata = JSON.parse(fs.readFileSync(this.currentSession.metadataFile, 'utf8'));
-            metadata.chunks.push({
+            // Recorded in memory; written out with the next transcript line or on stop
+            this.currentSession.metadata.chunks.push({
                 timestamp: new Date().toISOString(),
                 size: chunkBuffer.byteLength
             });
-            fs.writeFileSync(this.currentSession.metadataFile, JSON.stringify(metadata, null, 2));
 
             console.log(`Processed audio chunk: ${chunkBuffer.byteLength} bytes`);
             
@@ -358,14 +575,56 @@ class AudioFileManager {
         }
     }
 
+    // Recordings that never reached stopSession (crash or force quit): rebuild the transcript from
+    // the saved lines and close the metadata, so the session reads like a finished one
+    recoverInterruptedSessions(userDataPath) {
+        const recordingsDir = path.join(userDataPath, 'recordings');
+        if (!fs.existsSync(recordingsDir)) return [];
+
+        const recovered = [];
+        fs.readdirSync(recordingsDir, { withFileTypes: true })
+            .filter(entry => entry.isDirectory())
+            .forEach(entry => {
+                if (this.currentSession && this.currentSession.id === entry.name) return;
+
+                const session = this.getSessionPaths(entry.name, userDataPath);
+                try {
+                    const staleWrites = removeStaleTempFiles(session.directory);
+                    if (staleWrites.length > 0) {
+                        console.log(`🧹 Removed ${staleWrites.length} unfinished write(s) in recording ${entry.name}`);
+                    }
+                    if (!fs.existsSync(session.metadataFile)) return;
+
+                    const metadata = JSON.parse(fs.readFileSync(session.metadataFile, 'utf8'));
+                    if (metadata.endTime || metadata.importedFrom) return;
+
+                    const lastWrite = fs.existsSync(session.audioFile)
+                        ? fs.statSync(session.audioFile).mtime
+                        : new Date(metadata.startTime);
+                    metadata.endTime = lastWrite.toISOString();
+                    metadata.duration = lastWrite - new Date(metadata.startTime);
+                    metadata.interrupted = true;
+                    metadata.lines = (metadata.lines || []).filter(Boolean);
+
+                    this.writeSessionMetadata(session, metadata);
+                    this.writeTranscript(session, metadata.lines);
+                    recovered.push({ ...session, startTime: metadata.startTime, lineCount: metadata.lines.length });
+                } catch (error) {
+                    console.error(`Error checking recording ${entry.name}:`, error);
+                }
+            });
+
+        return recovered;
+    }
+
     stopSession() {
         if (this.currentSession) {
             // Update metadata with end time
             try {
-                const metadata = JSON.parse(fs.readFileSync(this.currentSession.metadataFile, 'utf8'));
+                const metadata = this.currentSession.metadata;
                 metadata.endTime = new Date().toISOString();
                 metadata.duration = new Date() - new Date(metadata.startTime);
-                fs.writeFileSync(this.currentSession.metadataFile, JSON.stringify(metadata, null, 2));
+                this.writeSessionMetadata(this.currentSession, metadata);
             } catch (error) {
                 console.error('Error updating session metadata:', error);
             }
@@ -398,6 +657,18 @@ class ElectronTranscriptApp {
                 audioQuality: 'standard',
                 autoTranscribe: true,
                 selectedMicrophone: 'default'
+            },
+            budgets: {
+                meeting: null, // USD per meeting, null = no cap
+                daily: null    // USD per day across all meetings
+            },
+            // Spoken commands in the live transcript (voice-commands.js); off until turned on in
+            // Settings, blank fields use the defaults
+            voiceCommands: {
+                enabled: false,
+                trigger: 'assistant',
+                speaker: '',
+                phrases: {}
             }
         };
         
@@ -411,6 +682,7 @@ class ElectronTranscriptApp {
         // Transcript tracking
         this.wordCount = 0;
         this.currentPosition = 0;
+        this.sessionLibrary = new SessionLibrary(); // every transcript opened or recorded
         
         this.setupApp();
     }
@@ -547,6 +819,7 @@ class ElectronTranscriptApp {
         this.mainWindow.on('closed', () => {
             this.mainWindow = null;
             if (this.summarizer) {
+                this.recordInLibrary();
                 this.summarizer.stop();
             }
         });
@@ -569,6 +842,53 @@ class ElectronTranscriptApp {
                             this.handleOpenTranscript();
                         }
                     },
+                    {
+                        label: 'Session Library...',
+                        accelerator: 'CmdOrCtrl+Shift+L',
+                        click: () => {
+                            this.sendToRenderer('show-session-library');
+                        }
+                    },
+                    {
+                        label: 'Ask About This Meeting',
+                        accelerator: 'CmdOrCtrl+Shift+A',
+                        click: () => {
+                            this.sendToRenderer('toggle-chat-panel');
+                        }
+                    },
+                    {
+                        label: 'Action Items && Decisions...',
+                        accelerator: 'CmdOrCtrl+Shift+T',
+                        click: () => {
+                            this.sendToRenderer('show-action-items');
+                        }
+                    },
+                    {
+                        label: 'Summary History...',
+                        accelerator: 'CmdOrCtrl+Shift+H',
+                        click: () => {
+                            this.sendToRenderer('show-summary-history');
+                        }
+                    },
+                    {
+                        label: 'Voice Commands...',
+                        click: () => {
+                            this.sendToRenderer('show-voice-commands');
+                        }
+                    },
+                    {
+                        label: 'Import Recording...',
+                        accelerator: 'CmdOrCtrl+Shift+O',
+                        click: () => {
+                            this.handleImportRecording();
+                        }
+                    },
+                    {
+                        label: 'Export Topic Outline...',
+                        click: () => {
+                            this.handleExportOutline();
+                        }
+                    },
                     {
                         label: 'Select Screenshots Directory...',
                         click: () => {
@@ -624,6 +944,7 @@ class ElectronTranscriptApp {
         // Stop existing summarizer if running
         if (this.summarizer) {
             console.log('Stopping existing summarizer...');
+            this.recordInLibrary();
             await this.summarizer.stop();
             this.summarizer = null;
             this.sendToRenderer('status-update', { connected: false });
@@ -635,7 +956,7 @@ class ElectronTranscriptApp {
             properties: ['openFile'],
             filters: [
                 { name: 'Text Files', extensions: ['txt', 'log', 'md'] },
-                { name: 'Subtitle Files', extensions: ['srt', 'vtt'] },
+                { name: 'Subtitle Files', extensions: ['vtt', 'srt', 'sbv'] },
                 { name: 'All Files', extensions: ['*'] }
             ]
         });
@@ -652,6 +973,76 @@ class ElectronTranscriptApp {
         }
     }
 
+    // The renderer decodes the file (Chromium handles wav/mp3/aac) and feeds it back in chunks for Whisper
+    async handleImportRecording() {
+        if (this.audioFileManager.currentSession) {
+            dialog.showErrorBox('Import Recording', 'Stop the current recording before importing a file.');
+            return;
+        }
+
+        const result = await dialog.showOpenDialog(this.mainWindow, {
+            title: 'Import Recording',
+            properties: ['openFile'],
+            filters: [
+                { name: 'Audio and Video', extensions: ['wav', 'mp3', 'm4a', 'mp4'] },
+                { name: 'All Files', extensions: ['*'] }
+            ]
+        });
+
+        if (!result.canceled && result.filePaths.length > 0) {
+            try {
+                const session = this.audioFileManager.startImportSession(result.filePaths[0], app.getPath('userData'));
+                console.log(`📥 Importing recording ${result.filePaths[0]} into ${session.directory}`);
+                this.sendToRenderer('import-recording', {
+                    sessionId: session.id,
+                    fileName: path.basename(result.filePaths[0])
+                });
+            } catch (error) {
+                console.error('Error importing recording:', error);
+                dialog.showErrorBox('Import Recording', `Could not import the recording: ${error.message}`);
+            }
+        }
+    }
+
+    async handleExportOutline() {
+        if (!this.summarizer) {
+            dialog.showErrorBox('Export Topic Outline', 'Open a transcript first.');
+            return;
+        }
+
+        const result = await dialog.showSaveDialog(this.mainWindow, {
+            title: 'Export Topic Outline',
+            defaultPath: this.summarizer.getOutlineFilePath(this.summarizer.filePath, 'md'),
+            filters: Object.values(OUTLINE_FORMATS).map(format => ({ name: format.name, extensions: [format.extension] }))
+        });
+
+        if (!result.canceled && result.filePath) {
+            try {
+                // The chosen extension picks the format; anything else gets Markdown
+                const extension = path.extname(result.filePath).slice(1).toLowerCase();
+                const format = Object.keys(OUTLINE_FORMATS).find(key => OUTLINE_FORMATS[key].extension === extension) || 'md';
+                this.summarizer.exportTopicOutline(format, result.filePath);
+            } catch (error) {
+                console.error('Error exporting topic outline:', error);
+                dialog.showErrorBox('Export Topic Outline', error.message);
+            }
+        }
+    }
+
+    async openTranscriptFile(filePath) {
+        if (this.summarizer) {
+            console.log('Stopping existing summarizer...');
+            this.recordInLibrary();
+            await this.summarizer.stop();
+            this.summarizer = null;
+            this.sendToRenderer('status-update', { connected: false });
+        }
+
+        this.appSettings.transcriptFile = filePath;
+        this.saveSettings();
+        this.initializeSummarizer();
+    }
+
     async handleSelectScreenshotsDir() {
         console.log('handleSelectScreenshotsDir called');
         
@@ -690,7 +1081,7 @@ class ElectronTranscriptApp {
             properties: ['openFile'],
             filters: [
                 { name: 'Text Files', extensions: ['txt', 'log', 'md'] },
-                { name: 'Subtitle Files', extensions: ['srt', 'vtt'] },
+                { name: 'Subtitle Files', extensions: ['vtt', 'srt', 'sbv'] },
                 { name: 'All Files', extensions: ['*'] }
             ]
         });
@@ -737,15 +1128,26 @@ class ElectronTranscriptApp {
 
             console.log('Starting summarizer...');
             this.summarizer.start();
+
+            // start() has loaded the transcript's meeting profile, which sets the context word limit
+            this.sendToRenderer('settings-update', {
+                profile: this.summarizer.profile.id,
+                wordLimit: this.summarizer.contextWordLimit,
+                voiceCommands: this.appSettings.voiceCommands
+            });
             
             // Send initial data to renderer
             console.log('Sending initial data to renderer...');
             this.sendToRenderer('status-update', { connected: true });
             this.sendScreenshotsUpdate();
             this.sendAppDataUpdate();
+            this.sendCostUpdate({ request: 0, total: 0, ledger: this.summarizer.costLedger.getSummary() });
             
             // Send existing transcript content
             this.sendExistingTranscriptContent();
+
+            this.recordInLibrary();
+            this.recoverUnsavedNotes(this.summarizer.notesFilePath);
             
         } catch (error) {
             console.error('Error initializing summarizer:', error);
@@ -753,6 +1155,99 @@ class ElectronTranscriptApp {
         }
     }
 
+    // Topics, cost and notes change while a transcript is open, so its entry is refreshed on open,
+    // on close and whenever the library is shown
+    recordInLibrary() {
+        if (!this.summarizer) return;
+
+        try {
+            this.sessionLibrary.recordSession(this.summarizer);
+        } catch (error) {
+            console.error('Error updating session library:', error);
+        }
+    }
+
+    // Reopen a library session, with the screenshots directory it was last used with
+    async openLibrarySession(transcriptFile) {
+        const entry = this.sessionLibrary.find(transcriptFile);
+        if (!entry || !fs.existsSync(transcriptFile)) {
+            throw new Error('The transcript file no longer exists');
+        }
+
+        if (entry.screenshotsDir && fs.existsSync(entry.screenshotsDir)) {
+            this.appSettings.screenshotsDir = entry.screenshotsDir;
+        }
+        await this.openTranscriptFile(transcriptFile);
+    }
+
+    // Note edits that were journaled but never saved: the app quit or crashed before the autosave
+    async recoverUnsavedNotes(notesFilePath) {
+        const journal = new EditJournal(notesFilePath);
+        const pending = journal.readPending();
+        if (!pending) return;
+
+        try {
+            const { response } = await dialog.showMessageBox(this.mainWindow, {
+                type: 'warning',
+                title: 'Unsaved Notes',
+                message: 'Some note edits were not saved when the app last closed.',
+                detail: `Edits to ${path.basename(notesFilePath)} from ${new Date(pending.savedAt).toLocaleString()} were kept in a journal. Restoring them replaces the notes on disk.`,
+                buttons: ['Restore Edits', 'Discard Edits'],
+                defaultId: 0,
+                cancelId: 1
+            });
+
+            if (response === 0) {
+                journal.replay(pending);
+                console.log('📝 Restored unsaved note edits from the journal');
+                this.sendToRenderer('notes-restored');
+            } else {
+                journal.clear();
+            }
+        } catch (error) {
+            console.error('Error recovering unsaved notes:', error);
+        }
+    }
+
+    // Runs once per launch, after the window is shown so the prompt has a parent
+    async recoverInterruptedRecordings() {
+        const recovered = this.audioFileManager.recoverInterruptedSessions(app.getPath('userData'));
+        if (recovered.length === 0) return;
+
+        console.log(`🩹 Recovered ${recovered.length} interrupted recording(s)`);
+        recovered.forEach(session => {
+            try {
+                this.sessionLibrary.recordRecording(session, JSON.parse(fs.readFileSync(session.metadataFile, 'utf8')));
+            } catch (error) {
+                console.error('Error adding recovered recording to the library:', error);
+            }
+        });
+        const latest = recovered.sort((a, b) => new Date(a.startTime) - new Date(b.startTime))[recovered.length - 1];
+        const details = recovered
+            .map(session => `• ${new Date(session.startTime).toLocaleString()}: ${session.lineCount} transcript line(s)`)
+            .join('\n');
+
+        try {
+            const { response } = await dialog.showMessageBox(this.mainWindow, {
+                type: 'warning',
+                title: 'Interrupted Recording',
+                message: recovered.length === 1
+                    ? 'A recording did not finish cleanly.'
+                    : `${recovered.length} recordings did not finish cleanly.`,
+                detail: `${details}\n\nTranscripts were rebuilt from the lines saved during recording; the audio is kept up to the last saved chunk.`,
+                buttons: ['Open Latest Transcript', 'Close'],
+                defaultId: 0,
+                cancelId: 1
+            });
+
+            if (response === 0) {
+                await this.openTranscriptFile(latest.transcriptFile);
+            }
+        } catch (error) {
+            console.error('Error recovering interrupted recordings:', error);
+        }
+    }
+
     setupIPC() {
         // File operations
         ipcMain.handle('select-transcript-file', async () => {
@@ -761,7 +1256,7 @@ class ElectronTranscriptApp {
                 properties: ['openFile'],
                 filters: [
                     { name: 'Text Files', extensions: ['txt', 'log', 'md'] },
-                    { name: 'Subtitle Files', extensions: ['srt', 'vtt'] },
+                    { name: 'Subtitle Files', extensions: ['vtt', 'srt', 'sbv'] },
                     { name: 'All Files', extensions: ['*'] }
                 ]
             });
@@ -795,43 +1290,298 @@ class ElectronTranscriptApp {
             }
         });
 
-        ipcMain.handle('generate-note', async (_, noteData) => {
-            if (this.summarizer) {
-                const { header, mode, selectedScreenshots, sessionContext, startWordIndex, endWordIndex } = noteData;
-                
-                // Update summarizer's selected screenshots
-                this.summarizer.selectedScreenshots = selectedScreenshots;
-                
-                // Update session context if provided
-                if (sessionContext) {
-                    this.summarizer.sessionContext = sessionContext;
-                }
-
-                switch (mode) {
-                    case 'text-only':
-                        return await this.summarizer.createNote(header, true, startWordIndex, endWordIndex);
-                    case 'screenshots-only':
-                        return await this.summarizer.createNoteFromScreenshotsOnly(header, startWordIndex, endWordIndex);
-                    default:
-                        return await this.summarizer.createNote(header, false, startWordIndex, endWordIndex);
-                }
+        ipcMain.handle('generate-note', async (_, noteData) => {
+            if (this.summarizer) {
+                const { header, mode, selectedScreenshots, sessionContext, startWordIndex, endWordIndex } = noteData;
+                
+                // Update summarizer's selected screenshots
+                this.summarizer.selectedScreenshots = selectedScreenshots;
+                
+                // Update session context if provided
+                if (sessionContext) {
+                    this.summarizer.sessionContext = sessionContext;
+                }
+
+                switch (mode) {
+                    case 'text-only':
+                        return await this.summarizer.createNote(header, true, startWordIndex, endWordIndex);
+                    case 'screenshots-only':
+                        return await this.summarizer.createNoteFromScreenshotsOnly(header, startWordIndex, endWordIndex);
+                    default:
+                        return await this.summarizer.createNote(header, false, startWordIndex, endWordIndex);
+                }
+            }
+        });
+
+        ipcMain.handle('generate-header', async (_, contextData) => {
+            if (this.summarizer) {
+                const { sessionContext, startWordIndex, endWordIndex, contextType, selectedScreenshots } = contextData;
+                
+                // Update summarizer's selected screenshots
+                this.summarizer.selectedScreenshots = selectedScreenshots;
+                
+                // Update session context if provided
+                if (sessionContext) {
+                    this.summarizer.sessionContext = sessionContext;
+                }
+
+                return await this.summarizer.generateHeader(startWordIndex, endWordIndex, contextType);
+            }
+        });
+
+        // Chat panel: questions about the open meeting, kept in <transcript>_chat.json
+        ipcMain.handle('ask-question', async (_, questionData) => {
+            if (!this.summarizer) {
+                return { success: false, error: 'No transcript is open' };
+            }
+            const { question, sessionContext, selectedScreenshots, startWordIndex, endWordIndex, scope } = questionData;
+
+            this.summarizer.selectedScreenshots = selectedScreenshots;
+            if (sessionContext) {
+                this.summarizer.sessionContext = sessionContext;
+            }
+
+            const turn = await this.summarizer.answerQuestion(question, { startWordIndex, endWordIndex, scope });
+            if (!turn) {
+                return { success: false, error: 'Could not answer the question' };
+            }
+            return { success: true, turn };
+        });
+
+        ipcMain.handle('get-chat-history', () => {
+            if (!this.summarizer) {
+                return { success: true, turns: [] };
+            }
+            return { success: true, turns: this.summarizer.chatHistory.load() };
+        });
+
+        ipcMain.handle('clear-chat-history', () => {
+            try {
+                if (this.summarizer) this.summarizer.chatHistory.clear();
+                return { success: true };
+            } catch (error) {
+                console.error('Error clearing chat history:', error.message);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('save-chat-to-notes', (_, turnId) => {
+            if (!this.summarizer) {
+                return { success: false, error: 'No transcript is open' };
+            }
+            try {
+                const turn = this.summarizer.saveChatTurnToNotes(turnId);
+                this.sendNoteCreated({
+                    content: this.markdownToHtml(`## ${turn.question} <!-- words:${turn.startWordIndex}-${turn.endWordIndex} -->\n\n${turn.answer}`),
+                    position: turn.startWordIndex,
+                    id: Date.now().toString(),
+                    fromChat: true
+                });
+                return { success: true, turn };
+            } catch (error) {
+                console.error('Error saving answer to notes:', error.message);
+                return { success: false, error: error.message };
+            }
+        });
+
+        // Action item and decision tracker; every change is also pushed as 'action-items-update'
+        ipcMain.handle('get-action-items', () => {
+            if (!this.summarizer) {
+                return { success: false, error: 'No transcript is open' };
+            }
+            return { success: true, tracker: this.summarizer.getActionTracker() };
+        });
+
+        ipcMain.handle('extract-action-items', async () => {
+            if (!this.summarizer) {
+                return { success: false, error: 'No transcript is open' };
+            }
+            try {
+                const added = await this.summarizer.extractActionItems();
+                return { success: true, added, tracker: this.summarizer.getActionTracker() };
+            } catch (error) {
+                console.error('Error extracting action items:', error.message);
+                return { success: false, error: error.message };
+            }
+        });
+
+        const editTracker = (edit) => {
+            if (!this.summarizer) {
+                return { success: false, error: 'No transcript is open' };
+            }
+            try {
+                const item = edit(this.summarizer);
+                return { success: true, item, tracker: this.summarizer.getActionTracker() };
+            } catch (error) {
+                console.error('Error editing action items:', error.message);
+                return { success: false, error: error.message };
+            }
+        };
+
+        ipcMain.handle('add-action-item', (_, kind, fields) => editTracker(summarizer => summarizer.addTrackerItem(kind, fields)));
+        ipcMain.handle('update-action-item', (_, kind, itemId, changes) => editTracker(summarizer => summarizer.updateTrackerItem(kind, itemId, changes)));
+        ipcMain.handle('remove-action-item', (_, kind, itemId) => editTracker(summarizer => summarizer.removeTrackerItem(kind, itemId)));
+
+        ipcMain.handle('export-action-items', async () => {
+            if (!this.summarizer) {
+                return { success: false, error: 'No transcript is open' };
+            }
+
+            const result = await dialog.showSaveDialog(this.mainWindow, {
+                title: 'Export Action Items',
+                defaultPath: this.summarizer.getActionItemsFilePath(this.summarizer.filePath, 'md'),
+                filters: Object.values(TRACKER_FORMATS).map(format => ({ name: format.name, extensions: [format.extension] }))
+            });
+            if (result.canceled || !result.filePath) {
+                return { success: false, canceled: true };
+            }
+
+            try {
+                // The chosen extension picks the format; anything else gets the Markdown checklist
+                const extension = path.extname(result.filePath).slice(1).toLowerCase();
+                const format = Object.keys(TRACKER_FORMATS).find(key => TRACKER_FORMATS[key].extension === extension) || 'md';
+                return { success: true, filePath: this.summarizer.exportActionItems(format, result.filePath) };
+            } catch (error) {
+                console.error('Error exporting action items:', error.message);
+                return { success: false, error: error.message };
+            }
+        });
+
+        // Summary panel: _summary.md as Markdown and as HTML for display, hand edits, and instruction
+        // edits that are previewed as a diff before they replace the summary
+        const editSummary = async (edit) => {
+            if (!this.summarizer) {
+                return { success: false, error: 'No transcript is open' };
+            }
+            try {
+                return { success: true, ...(await edit(this.summarizer)) };
+            } catch (error) {
+                console.error('Error editing summary:', error.message);
+                return { success: false, error: error.message };
+            }
+        };
+
+        ipcMain.handle('get-summary', () => editSummary(summarizer => ({
+            summary: summarizer.currentSummary,
+            html: this.markdownToHtml(summarizer.currentSummary)
+        })));
+        ipcMain.handle('save-summary', (_, summary) => editSummary(async summarizer => {
+            this.sendSummaryUpdate(await summarizer.saveEditedSummary(summary));
+            return {};
+        }));
+        ipcMain.handle('preview-summary-instruction', (_, instruction) => editSummary(summarizer =>
+            summarizer.previewSummaryInstruction(instruction)));
+        ipcMain.handle('apply-summary-preview', () => editSummary(async summarizer => {
+            this.sendSummaryUpdate(await summarizer.applySummaryPreview());
+            return {};
+        }));
+        ipcMain.handle('discard-summary-preview', () => editSummary(summarizer => ({
+            discarded: summarizer.discardSummaryPreview()
+        })));
+
+        // Summary history: compare revisions, restore one or copy back single sections. Restores
+        // are pushed as 'summary-update' like any other summary change
+        const withSummaryHistory = async (read) => {
+            if (!this.summarizer) {
+                return { success: false, error: 'No transcript is open' };
+            }
+            try {
+                return { success: true, ...(await read(this.summarizer)) };
+            } catch (error) {
+                console.error('Error reading summary history:', error.message);
+                return { success: false, error: error.message };
+            }
+        };
+
+        ipcMain.handle('get-summary-history', () => withSummaryHistory(summarizer => ({
+            revisions: summarizer.getSummaryRevisions()
+        })));
+        ipcMain.handle('get-summary-revision', (_, number) => withSummaryHistory(summarizer => ({
+            revision: summarizer.getSummaryRevision(number)
+        })));
+        ipcMain.handle('diff-summary-revisions', (_, fromNumber, toNumber) => withSummaryHistory(summarizer => ({
+            diff: summarizer.diffSummaryRevisions(fromNumber, toNumber)
+        })));
+        ipcMain.handle('rollback-summary', (_, number) => withSummaryHistory(async summarizer => {
+            const summary = await summarizer.rollbackSummary(number);
+            this.sendSummaryUpdate(summary);
+            return { summary };
+        }));
+        ipcMain.handle('cherry-pick-summary-section', (_, number, sectionIndex) => withSummaryHistory(async summarizer => {
+            const summary = await summarizer.cherryPickSummarySection(number, sectionIndex);
+            this.sendSummaryUpdate(summary);
+            return { summary };
+        }));
+
+        // Commands cut from the live transcript; each new one is also pushed as 'voice-command'
+        ipcMain.handle('get-voice-commands', () => {
+            if (!this.summarizer) {
+                return { success: false, error: 'No transcript is open' };
+            }
+            return {
+                success: true,
+                commands: this.summarizer.getVoiceCommands(),
+                settings: this.summarizer.voiceCommands
+            };
+        });
+
+        // Manual topic editing from the transcript context menu; the renderer redraws from the returned metadata
+        const editTopics = (edit) => {
+            if (!this.summarizer) {
+                return { success: false, error: 'No transcript is open' };
+            }
+            try {
+                const topic = edit(this.summarizer);
+                return { success: true, topicId: topic.id, metadata: this.summarizer.metadata };
+            } catch (error) {
+                console.error('Error editing topics:', error.message);
+                return { success: false, error: error.message };
+            }
+        };
+
+        ipcMain.handle('rename-topic', (_, topicId, title) => editTopics(summarizer => summarizer.renameTopic(topicId, title)));
+        ipcMain.handle('set-topic-locked', (_, headerId, locked) => editTopics(summarizer => summarizer.setTopicLocked(headerId, locked)));
+        ipcMain.handle('merge-topics', (_, headerId) => editTopics(summarizer => summarizer.mergeTopicWithNext(headerId)));
+        ipcMain.handle('split-topic', (_, wordIndex) => editTopics(summarizer => summarizer.splitTopicAtWord(wordIndex)));
+        ipcMain.handle('promote-subheader', (_, subHeaderId) => editTopics(summarizer => summarizer.promoteSubHeader(subHeaderId)));
+        ipcMain.handle('move-segment', (_, segmentId, topicId) => editTopics(summarizer => summarizer.moveSegmentToTopic(segmentId, topicId)));
+
+        // Batch topic rebuild: propose, show the diff in the renderer, then apply or discard
+        ipcMain.handle('rebuild-topics', async () => {
+            if (!this.summarizer) {
+                return { success: false, error: 'No transcript is open' };
+            }
+            try {
+                const proposal = await this.summarizer.rebuildTopics();
+                return { success: true, diff: proposal.diff, topicCount: proposal.headers.length };
+            } catch (error) {
+                console.error('Error rebuilding topics:', error.message);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('apply-topic-rebuild', () => {
+            if (!this.summarizer) {
+                return { success: false, error: 'No transcript is open' };
+            }
+            try {
+                this.summarizer.applyTopicRebuild();
+                return { success: true, metadata: this.summarizer.metadata };
+            } catch (error) {
+                console.error('Error applying topic rebuild:', error.message);
+                return { success: false, error: error.message };
             }
         });
 
-        ipcMain.handle('generate-header', async (_, contextData) => {
-            if (this.summarizer) {
-                const { sessionContext, startWordIndex, endWordIndex, contextType, selectedScreenshots } = contextData;
-                
-                // Update summarizer's selected screenshots
-                this.summarizer.selectedScreenshots = selectedScreenshots;
-                
-                // Update session context if provided
-                if (sessionContext) {
-                    this.summarizer.sessionContext = sessionContext;
-                }
+        ipcMain.handle('discard-topic-rebuild', () => {
+            return this.summarizer ? this.summarizer.discardTopicRebuild() : false;
+        });
 
-                return await this.summarizer.generateHeader(startWordIndex, endWordIndex, contextType);
+        ipcMain.handle('cancel-stream', (_, streamId) => {
+            if (this.summarizer) {
+                return this.summarizer.cancelStream(streamId || null);
             }
+            return 0;
         });
 
         ipcMain.handle('update-screenshot-selection', (_, selectedPaths) => {
@@ -848,10 +1598,64 @@ class ElectronTranscriptApp {
 
         ipcMain.handle('update-settings', (_, settings) => {
             if (this.summarizer) {
+                // Switching profiles sets its default word limit; the one from the form is applied after it
+                if (settings.profile && settings.profile !== this.summarizer.profile.id) {
+                    try {
+                        this.summarizer.setProfile(settings.profile);
+                    } catch (error) {
+                        console.error('Error switching meeting profile:', error);
+                    }
+                }
                 this.summarizer.contextWordLimit = settings.wordLimit || 0;
                 this.summarizer.readOnlyMode = settings.readOnlyMode;
                 // Apply other settings...
             }
+            
+            if (settings.budgets) {
+                this.appSettings.budgets = { ...this.appSettings.budgets, ...settings.budgets };
+                this.saveSettings();
+                
+                if (this.summarizer) {
+                    this.summarizer.costLedger.setBudgets(this.appSettings.budgets);
+                    this.sendCostUpdate({
+                        request: 0,
+                        total: this.summarizer.totalCost,
+                        ledger: this.summarizer.costLedger.getSummary()
+                    });
+                }
+            }
+
+            if (settings.voiceCommands) {
+                this.appSettings.voiceCommands = { ...this.appSettings.voiceCommands, ...settings.voiceCommands };
+                this.saveSettings();
+
+                if (this.summarizer) {
+                    this.summarizer.setVoiceCommands(this.appSettings.voiceCommands);
+                }
+            }
+        });
+
+        // Meeting profiles: built-in ones and the JSON files in the user's profiles folder
+        ipcMain.handle('get-meeting-profiles', () => {
+            try {
+                const profiles = this.summarizer ? this.summarizer.meetingProfiles : new MeetingProfiles();
+                return {
+                    success: true,
+                    profiles: profiles.list(),
+                    activeProfile: this.summarizer ? this.summarizer.profile.id : DEFAULT_PROFILE_ID,
+                    profilesDir: profiles.userDir
+                };
+            } catch (error) {
+                console.error('Error listing meeting profiles:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('open-profiles-folder', async () => {
+            const profilesDir = new MeetingProfiles().userDir;
+            fs.mkdirSync(profilesDir, { recursive: true });
+            const error = await shell.openPath(profilesDir);
+            return error ? { success: false, error } : { success: true, profilesDir };
         });
 
         ipcMain.handle('save-notes', async (_, content) => {
@@ -860,7 +1664,8 @@ class ElectronTranscriptApp {
                 try {
                     // Convert HTML to markdown or plain text
                     const textContent = this.htmlToMarkdown(content);
-                    fs.writeFileSync(notesPath, textContent, 'utf8');
+                    writeFileAtomic(notesPath, textContent);
+                    new EditJournal(notesPath).clear();
                     return true;
                 } catch (error) {
                     console.error('Error saving notes:', error);
@@ -869,6 +1674,17 @@ class ElectronTranscriptApp {
             }
         });
 
+        // Edits between autosaves; replayed on the next launch if the app dies before saving
+        ipcMain.handle('journal-notes', async (_, content) => {
+            if (this.summarizer) {
+                try {
+                    new EditJournal(this.summarizer.notesFilePath).record(this.htmlToMarkdown(content));
+                } catch (error) {
+                    console.error('Error journaling notes:', error);
+                }
+            }
+        });
+
         ipcMain.handle('export-notes', async () => {
             if (this.summarizer) {
                 const result = await dialog.showSaveDialog(this.mainWindow, {
@@ -884,7 +1700,7 @@ class ElectronTranscriptApp {
                 if (!result.canceled) {
                     try {
                         const notes = fs.readFileSync(this.summarizer.notesFilePath, 'utf8');
-                        fs.writeFileSync(result.filePath, notes, 'utf8');
+                        writeFileAtomic(result.filePath, notes);
                         return true;
                     } catch (error) {
                         dialog.showErrorBox('Export Error', error.message);
@@ -927,6 +1743,55 @@ class ElectronTranscriptApp {
             return '';
         });
 
+        // Session library
+        ipcMain.handle('get-session-library', async (_, query) => {
+            try {
+                this.recordInLibrary();
+                const sessions = query ? this.sessionLibrary.search(query) : this.sessionLibrary.list();
+                return { success: true, sessions, currentFile: this.summarizer ? this.summarizer.filePath : null };
+            } catch (error) {
+                console.error('Error reading session library:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('ask-across-meetings', async (_, question) => {
+            if (!this.summarizer) {
+                return { success: false, error: 'Open a transcript first' };
+            }
+            try {
+                this.recordInLibrary();
+                const result = await this.summarizer.answerAcrossMeetings(question);
+                if (!result) {
+                    return { success: false, error: 'Could not answer the question' };
+                }
+                return { success: true, ...result };
+            } catch (error) {
+                console.error('Error answering across meetings:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('open-library-session', async (_, transcriptFile) => {
+            try {
+                await this.openLibrarySession(transcriptFile);
+                return { success: true };
+            } catch (error) {
+                console.error('Error reopening session:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('remove-library-session', async (_, transcriptFile) => {
+            try {
+                this.sessionLibrary.remove(transcriptFile);
+                return { success: true };
+            } catch (error) {
+                console.error('Error removing session from the library:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
         // Menu and external links
         ipcMain.handle('open-external', (_, url) => {
             shell.openExternal(url);
@@ -945,7 +1810,7 @@ class ElectronTranscriptApp {
         });
 
         // Renderer ready signal
-        ipcMain.handle('renderer-ready', () => {
+        ipcMain.handle('renderer-ready', async () => {
             console.log('Renderer process ready');
             
             // Show window if not visible
@@ -954,6 +1819,11 @@ class ElectronTranscriptApp {
                 this.mainWindow.show();
                 this.mainWindow.focus();
             }
+
+            if (!this.launchRecoveryDone) {
+                this.launchRecoveryDone = true;
+                await this.recoverInterruptedRecordings();
+            }
             
             // Always re-initialize data when renderer is ready (handles refresh case)
             if (this.appSettings.transcriptFile) {
@@ -1031,6 +1901,9 @@ class ElectronTranscriptApp {
                 
                 const sessionData = this.audioFileManager.stopSession();
                 console.log('Stopped audio recording session');
+                if (sessionData) {
+                    this.sessionLibrary.recordRecording(sessionData, sessionData.metadata);
+                }
                 return { success: true, sessionData };
             } catch (error) {
                 console.error('Error stopping audio recording:', error);
@@ -1050,6 +1923,136 @@ class ElectronTranscriptApp {
             }
         });
 
+        // Lines from the app's own recorder: voice commands in them run on the open transcript
+        ipcMain.handle('process-recorded-line', (_, line) => {
+            if (!this.summarizer) {
+                return { success: true, content: line.content };
+            }
+            try {
+                return { success: true, content: this.summarizer.handleRecordedLine(line) };
+            } catch (error) {
+                console.error('Error checking recorded line for voice commands:', error.message);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('save-recording-line', (_, line) => {
+            this.audioFileManager.appendTranscriptLine(line);
+            return { success: true };
+        });
+
+        // Speaker diarization: the renderer decodes the recording (Chromium handles webm/opus) and sends PCM back
+        ipcMain.handle('read-recording-audio', async (_, sessionId) => {
+            try {
+                const session = this.audioFileManager.getSessionPaths(sessionId, app.getPath('userData'));
+                return { success: true, data: fs.readFileSync(session.audioFile) };
+            } catch (error) {
+                console.error('Error reading recording audio:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        // Imported recordings: one chunk of decoded 16kHz audio at a time, starting offsetSeconds into the file
+        ipcMain.handle('transcribe-import-chunk', async (_, sessionId, samples, sampleRate, offsetSeconds) => {
+            try {
+                await this.audioTranscriptionService.initializeWhisper();
+                const result = await this.audioTranscriptionService.transcribeAudio(samples, sampleRate);
+
+                const words = (result.words || []).map(word => ({
+                    word: word.word,
+                    start: word.start + offsetSeconds,
+                    end: word.end + offsetSeconds
+                }));
+                const lines = groupWordsIntoLines(words).map(line => ({ speaker: 'Speaker', ...line }));
+                const lineCount = this.audioFileManager.appendImportedLines(sessionId, app.getPath('userData'), lines);
+
+                // Speakers are told apart from the same pieces once the whole file is transcribed
+                this.audioFileManager.addDiarizationAudio(sessionId, samples, sampleRate, offsetSeconds);
+
+                return { success: true, lines: lines.length, totalLines: lineCount };
+            } catch (error) {
+                console.error('Error transcribing imported recording:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('finish-import', async (_, sessionId) => {
+            try {
+                const session = this.audioFileManager.getSessionPaths(sessionId, app.getPath('userData'));
+                console.log(`📥 Import complete, opening ${session.transcriptFile}`);
+                await this.openTranscriptFile(session.transcriptFile);
+                return { success: true, transcriptFile: session.transcriptFile };
+            } catch (error) {
+                console.error('Error opening imported transcript:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        // Recording behind the open transcript (imported or recorded sessions with word timings)
+        ipcMain.handle('read-transcript-audio', async () => {
+            try {
+                if (!this.summarizer || !this.summarizer.getWordTimeline() || !this.summarizer.metadata.audioFile) {
+                    return { success: false, error: 'No recording for this transcript' };
+                }
+                const audioPath = path.join(path.dirname(this.summarizer.filePath), this.summarizer.metadata.audioFile);
+                return { success: true, data: fs.readFileSync(audioPath) };
+            } catch (error) {
+                console.error('Error reading transcript audio:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('discard-import', async (_, sessionId) => {
+            try {
+                this.audioFileManager.discardImportSession(sessionId, app.getPath('userData'));
+                return { success: true };
+            } catch (error) {
+                console.error('Error removing unfinished import:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        // Recorded sessions send their decoded audio a piece at a time, then ask for the speakers
+        ipcMain.handle('add-diarization-audio', async (_, sessionId, samples, sampleRate, offsetSeconds) => {
+            try {
+                this.audioFileManager.addDiarizationAudio(sessionId, samples, sampleRate, offsetSeconds);
+                return { success: true };
+            } catch (error) {
+                console.error('Error analysing recording audio:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('diarize-recording', async (_, sessionId) => {
+            try {
+                const result = this.audioFileManager.applyDiarization(sessionId, app.getPath('userData'));
+                return { success: true, ...result };
+            } catch (error) {
+                console.error('Error diarizing recording:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('rename-speakers', async (_, renames, sessionId) => {
+            try {
+                if (sessionId) {
+                    this.audioFileManager.renameSpeakers(sessionId, app.getPath('userData'), renames);
+                }
+
+                let updated = [];
+                if (this.summarizer) {
+                    updated = this.summarizer.renameSpeakers(renames);
+                    if (updated.includes('summary')) {
+                        this.sendSummaryUpdate(this.summarizer.currentSummary);
+                    }
+                }
+                return { success: true, updated };
+            } catch (error) {
+                console.error('Error renaming speakers:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
         ipcMain.handle('open-blackhole-installer', () => {
             shell.openExternal('https://github.com/ExistentialAudio/BlackHole');
         });
@@ -1164,6 +2167,11 @@ class ElectronTranscriptApp {
         this.sendToRenderer('summary-update', summary);
     }
 
+    // Streamed generation events: { streamId, kind, header, type: 'start' | 'delta' | 'end', ... }
+    sendStreamUpdate(streamData) {
+        this.sendToRenderer('stream-update', streamData);
+    }
+
     sendTopicUpdate(topicData) {
         this.sendToRenderer('topic-update', topicData);
     }
@@ -1192,6 +2200,7 @@ class ElectronTranscriptApp {
             const lines = this.summarizer.parseTranscriptToLines();
             const wordCount = this.summarizer.getWordCount();
             const currentPosition = this.summarizer.lastPosition;
+            this.summarizer.getWordTimeline(); // sets metadata.audioFile when the transcript has a recording
             const metadata = this.summarizer.metadata;
             
             console.log(`Sending ${lines.length} transcript lines and ${metadata.segments.length} segments to renderer`);
@@ -1399,7 +2408,7 @@ class ElectronTranscriptApp {
     saveSettings() {
         try {
             const settingsPath = path.join(__dirname, '..', 'app-settings.json');
-            fs.writeFileSync(settingsPath, JSON.stringify(this.appSettings, null, 2), 'utf8');
+            writeJsonAtomic(settingsPath, this.appSettings);
         } catch (error) {
             console.log('Could not save settings:', error.message);
         }
@@ -1409,8 +2418,11 @@ class ElectronTranscriptApp {
 // Extended TranscriptSummarizer for Electron integration
 class ElectronTranscriptSummarizer extends TranscriptSummarizer {
     constructor(filePath, screenshotsDir, electronApp) {
-        super(filePath, screenshotsDir);
+        // The optional "llm" block of app-settings.json overrides the LLM_* environment settings
+        super(filePath, screenshotsDir, electronApp.appSettings.llm || {});
         this.electronApp = electronApp;
+        this.costLedger.setBudgets(electronApp.appSettings.budgets || {});
+        this.setVoiceCommands(electronApp.appSettings.voiceCommands);
         this.sessionContext = '';
         this.screenshotWatcher = null;
         this.setupScreenshotWatcher();
@@ -1463,75 +2475,48 @@ class ElectronTranscriptSummarizer extends TranscriptSummarizer {
         // Could send log messages to renderer UI
     }
 
-    // Override the processNewContent method to send updates to UI
-    async processNewContent() {
-        try {
-            const stats = fs.statSync(this.filePath);
-            if (stats.size > this.lastPosition) {
-                const oldPosition = this.lastPosition;
-                
-                // First call the parent method to handle segment creation
-                await super.processNewContent();
-                
-                // Now read the new content that was just processed
-                if (stats.size > oldPosition) {
-                    const stream = fs.createReadStream(this.filePath, {
-                        start: oldPosition,
-                        end: stats.size
-                    });
+    // Send each piece of new transcript content to the renderer for animation
+    onTranscriptContent(content, startWordIndex) {
+        console.log(`\n📝 Sending new transcript content to renderer (${content.length} chars)`);
+
+        const newLines = this.parseNewContent(content, startWordIndex);
+        if (newLines.length > 0 && this.electronApp) {
+            this.electronApp.sendTranscriptUpdate(
+                newLines,
+                this.getWordCount(),
+                this.lastPosition,
+                this.metadata // Include metadata with segments
+            );
+        }
+    }
 
-                    let newContent = '';
-                    stream.on('data', (chunk) => {
-                        newContent += chunk.toString();
-                    });
+    // Show recognized commands as they run; an instruction changes the summary
+    onVoiceCommand(entry) {
+        if (!this.electronApp) return;
 
-                    stream.on('end', async () => {
-                        const trimmedContent = newContent.trim();
-                        
-                        if (trimmedContent) {
-                            console.log(`\n📝 Sending new transcript content to renderer (${newContent.length} chars)`);
-                            
-                            // Send only the new lines to renderer for animation
-                            const newLines = this.parseNewContent(trimmedContent);
-                            if (newLines.length > 0 && this.electronApp) {
-                                this.electronApp.sendTranscriptUpdate(
-                                    newLines,
-                                    this.getWordCount(),
-                                    this.lastPosition,
-                                    this.metadata // Include metadata with segments
-                                );
-                            }
-                        }
-                    });
-                }
-            }
-        } catch (error) {
-            console.error('Error processing new content:', error.message);
+        this.electronApp.sendToRenderer('voice-command', entry);
+        if (entry.kind === 'instruction' && entry.status === 'done') {
+            this.electronApp.sendSummaryUpdate(this.currentSummary);
         }
     }
 
-    // Parse only new content into lines
-    parseNewContent(content) {
+    // Parse only new content into lines; startWordIndex is the transcript word the content starts at
+    parseNewContent(content, startWordIndex) {
         try {
-            const lines = content.split('\n').filter(line => line.trim());
             const parsedLines = [];
             
-            // Calculate the current word index by getting existing word count
-            let currentWordIndex = this.getWordCount() - content.trim().split(/\s+/).length;
+            let currentWordIndex = startWordIndex;
             
-            lines.forEach((line) => {
-                const parsed = this.parseTranscriptLineFlexible(line.trim());
-                if (parsed) {
-                    const lineWordCount = parsed.content.split(/\s+/).length;
-                    parsedLines.push({
-                        timestamp: parsed.timestamp,
-                        speaker: parsed.speaker,
-                        content: parsed.content,
-                        wordIndex: currentWordIndex,
-                        wordCount: lineWordCount
-                    });
-                    currentWordIndex += lineWordCount;
-                }
+            this.parseTranscript(content).forEach((parsed) => {
+                const lineWordCount = parsed.content.split(/\s+/).length;
+                parsedLines.push({
+                    timestamp: parsed.timestamp,
+                    speaker: parsed.speaker,
+                    content: parsed.content,
+                    wordIndex: currentWordIndex,
+                    wordCount: lineWordCount
+                });
+                currentWordIndex += lineWordCount;
             });
             
             return parsedLines;
@@ -1546,76 +2531,18 @@ class ElectronTranscriptSummarizer extends TranscriptSummarizer {
             const content = fs.readFileSync(this.filePath, 'utf8');
             console.log('Transcript content length:', content.length);
             
-            // Split content into lines
-            const initialLines = content.split('\n').filter(line => line.trim());
-            console.log('Total initial lines:', initialLines.length);
-            
-            // Check if this is already line-separated (time range format like SRT)
-            const hasTimeRangeFormat = initialLines.some(line => 
-                line.match(/^\[\d{2}:\d{2}:\d{2}\.\d{3}\s*-->\s*\d{2}:\d{2}:\d{2}\.\d{3}\]/)
-            );
-            
-            let lines = [];
-            
-            if (hasTimeRangeFormat) {
-                // Time range format is already separated by lines
-                lines = initialLines;
-                console.log('Detected time range format, using existing line breaks');
-            } else {
-                // Check if this is Microsoft Teams format with speaker changes
-                const firstLineHasTimestamp = initialLines[0] && initialLines[0].match(/^\[\d{2}:\d{2}:\d{2}\.\d+\]/);
-                
-                if (firstLineHasTimestamp) {
-                    console.log('Detected Microsoft Teams format');
-                    
-                    // For Microsoft Teams format, treat each line as a separate transcript entry
-                    // but preserve the original text format without adding synthetic speakers/timestamps
-                    for (let i = 0; i < initialLines.length; i++) {
-                        const line = initialLines[i];
-                        
-                        if (line.trim()) {
-                            lines.push(line);
-                        }
-                    }
-                } else {
-                    // Try to split by timestamp markers [XX:XX:XX.XX] for other formats
-                    const timestampPattern = /(\[\d{2}:\d{2}:\d{2}\.\d{1,3}\]:?)/g;
-                    const segments = content.split(timestampPattern).filter(segment => segment.trim());
-                    
-                    console.log('Total segments after splitting by timestamps:', segments.length);
-                    
-                    // Reconstruct lines by combining timestamp + content pairs
-                    for (let i = 0; i < segments.length - 1; i += 2) {
-                        if (segments[i].match(timestampPattern) && segments[i + 1]) {
-                            lines.push(segments[i] + segments[i + 1]);
-                        }
-                    }
-                }
-            }
-            
-            console.log('Reconstructed lines:', lines.length);
-            
-            if (lines.length > 0) {
-                console.log('First line example:', lines[0].substring(0, 100) + '...');
-                console.log('Second line example:', lines[1] ? lines[1].substring(0, 100) + '...' : 'No second line');
-                console.log('Third line example:', lines[2] ? lines[2].substring(0, 100) + '...' : 'No third line');
-            }
-            
-            // Parse each line using a more flexible parser
-            const parsedLines = lines.map((line, index) => {
-                const parsed = this.parseTranscriptLineFlexible(line.trim());
-                console.log(`Line ${index + 1}: "${line.trim().substring(0, 50)}..." -> Parsed:`, parsed ? 'SUCCESS' : 'FAILED');
-                if (parsed) {
-                    return {
-                        timestamp: parsed.timestamp,
-                        speaker: parsed.speaker,
-                        content: parsed.content
-                    };
-                }
-                return null;
-            }).filter(Boolean);
+            // Format detection and line splitting are shared with the CLI via the parser registry
+            // Voice commands stay in the file but are not shown, as they were not while live
+            const parsedLines = this.parseTranscript(content)
+                .map(parsed => this.withoutVoiceCommand(parsed))
+                .filter(Boolean)
+                .map(parsed => ({
+                    timestamp: parsed.timestamp,
+                    speaker: parsed.speaker,
+                    content: parsed.content
+                }));
             
-            console.log('Successfully parsed lines:', parsedLines.length);
+            console.log(`Successfully parsed ${parsedLines.length} lines as ${this.getTranscriptFormat()}`);
             return parsedLines;
         } catch (error) {
             console.error('Error parsing transcript lines:', error);
@@ -1623,41 +2550,6 @@ class ElectronTranscriptSummarizer extends TranscriptSummarizer {
         }
     }
 
-    parseTranscriptLineFlexible(line) {
-        // Try multiple patterns to extract timestamp, speaker, and content
-        
-        // Pattern 1: [HH:MM:SS.SS] Speaker: Content
-        let match = line.match(/^\[(\d{2}:\d{2}:\d{2}\.\d{1,3})\]\s*([^:]+):\s*(.+)$/);
-        if (match) {
-            return {
-                timestamp: match[1],
-                speaker: match[2].trim(),
-                content: match[3].trim()
-            };
-        }
-        
-        // Pattern 2: [HH:MM:SS.SS] Content (no explicit speaker)
-        match = line.match(/^\[(\d{2}:\d{2}:\d{2}\.\d{1,3})\]\s*(.+)$/);
-        if (match) {
-            return {
-                timestamp: match[1],
-                speaker: '', // Empty speaker for display
-                content: match[2].trim()
-            };
-        }
-        
-        // Pattern 3: Just content without timestamp (don't add synthetic data)
-        if (line.trim()) {
-            return {
-                timestamp: '', // Empty timestamp for display
-                speaker: '', // Empty speaker for display
-                content: line.trim()
-            };
-        }
-        
-        return null;
-    }
-
     getWordCount() {
         try {
             const content = fs.readFileSync(this.filePath, 'utf8');
@@ -1691,7 +2583,8 @@ class ElectronTranscriptSummarizer extends TranscriptSummarizer {
         
         const result = await super.createNote(noteRequest, forceTextOnly, startWordIndex, endWordIndex);
         
-        if (this.electronApp) {
+        // No note when generation failed or was cancelled - the renderer resets from the invoke result
+        if (this.electronApp && result) {
             // Create the properly formatted note content with H2 header and word indices
             let formattedContent = '';
             if (noteRequest) {
@@ -1742,7 +2635,8 @@ class ElectronTranscriptSummarizer extends TranscriptSummarizer {
         
         const result = await super.createNoteFromScreenshotsOnly(noteRequest, startWordIndex, endWordIndex);
         
-        if (this.electronApp) {
+        // No note when generation failed or was cancelled - the renderer resets from the invoke result
+        if (this.electronApp && result) {
             // Create the properly formatted note content with H2 header and word indices
             let formattedContent = '';
             if (noteRequest) {
@@ -1769,6 +2663,62 @@ class ElectronTranscriptSummarizer extends TranscriptSummarizer {
         return result;
     }
 
+    // Forward streamed summary and note text to the renderer
+    onStreamStart(stream) {
+        if (this.electronApp) {
+            this.electronApp.sendStreamUpdate({ streamId: stream.id, kind: stream.kind, header: stream.header, type: 'start' });
+        }
+    }
+
+    onStreamDelta(stream, delta) {
+        if (this.electronApp) {
+            this.electronApp.sendStreamUpdate({ streamId: stream.id, kind: stream.kind, type: 'delta', delta });
+        }
+    }
+
+    onStreamEnd(stream, result) {
+        if (this.electronApp) {
+            this.electronApp.sendStreamUpdate({
+                streamId: stream.id,
+                kind: stream.kind,
+                type: 'end',
+                cancelled: result.cancelled,
+                error: result.error || null
+            });
+        }
+    }
+
+    // Repaired or unreadable metadata is worth telling the user about; plain version upgrades are not
+    onMetadataReport(report) {
+        if (!this.electronApp || !this.electronApp.mainWindow || (report.repairs.length === 0 && report.errors.length === 0)) return;
+
+        const details = [...report.errors, ...report.repairs];
+        if (report.backupPath) {
+            details.push('', `The previous file was backed up to ${report.backupPath}`);
+        }
+        dialog.showMessageBox(this.electronApp.mainWindow, {
+            type: 'warning',
+            title: 'Transcript Metadata',
+            message: report.errors.length > 0
+                ? 'Problems were found in the topic and segment metadata for this transcript.'
+                : `The topic and segment metadata for this transcript was repaired (${report.repairs.length} change${report.repairs.length === 1 ? '' : 's'}).`,
+            detail: details.join('\n')
+        });
+    }
+
+    onActionItemsChanged(tracker) {
+        if (this.electronApp) {
+            this.electronApp.sendToRenderer('action-items-update', tracker);
+        }
+    }
+
+    // Show queued and retrying AI requests in the status bar
+    onRequestQueueStatus(status) {
+        if (this.electronApp) {
+            this.electronApp.sendToRenderer('status-update', { requestQueue: status });
+        }
+    }
+
     // Override cost reporting to send to UI
     displayCostReport(requestCost, inputTokens, outputTokens) {
         super.displayCostReport(requestCost, inputTokens, outputTokens);
@@ -1782,14 +2732,15 @@ class ElectronTranscriptSummarizer extends TranscriptSummarizer {
                     output: outputTokens,
                     totalInput: this.totalInputTokens,
                     totalOutput: this.totalOutputTokens
-                }
+                },
+                ledger: this.costLedger.getSummary()
             });
         }
     }
 
     // Override summary updates
-    async updateSummary(newContent) {
-        const result = await super.updateSummary(newContent);
+    async updateSummary(options) {
+        const result = await super.updateSummary(options);
         
         if (this.electronApp) {
             this.electronApp.sendSummaryUpdate(this.currentSummary);
@@ -14,6 +14,49 @@ contextBridge.exposeInMainWorld('electronAPI', {
     createSummary: (sessionContext) => ipcRenderer.invoke('create-summary', sessionContext),
     generateNote: (noteData) => ipcRenderer.invoke('generate-note', noteData),
     generateHeader: (contextData) => ipcRenderer.invoke('generate-header', contextData),
+    cancelStream: (streamId) => ipcRenderer.invoke('cancel-stream', streamId),
+    
+    // Chat panel (ASK about the open meeting)
+    askQuestion: (questionData) => ipcRenderer.invoke('ask-question', questionData),
+    getChatHistory: () => ipcRenderer.invoke('get-chat-history'),
+    clearChatHistory: () => ipcRenderer.invoke('clear-chat-history'),
+    saveChatToNotes: (turnId) => ipcRenderer.invoke('save-chat-to-notes', turnId),
+    
+    // Action items and decisions (kind: 'actionItems' | 'decisions')
+    getActionItems: () => ipcRenderer.invoke('get-action-items'),
+    extractActionItems: () => ipcRenderer.invoke('extract-action-items'),
+    addActionItem: (kind, fields) => ipcRenderer.invoke('add-action-item', kind, fields),
+    updateActionItem: (kind, itemId, changes) => ipcRenderer.invoke('update-action-item', kind, itemId, changes),
+    removeActionItem: (kind, itemId) => ipcRenderer.invoke('remove-action-item', kind, itemId),
+    exportActionItems: () => ipcRenderer.invoke('export-action-items'),
+    
+    // Summary panel
+    getSummary: () => ipcRenderer.invoke('get-summary'),
+    saveSummary: (summary) => ipcRenderer.invoke('save-summary', summary),
+    previewSummaryInstruction: (instruction) => ipcRenderer.invoke('preview-summary-instruction', instruction),
+    applySummaryPreview: () => ipcRenderer.invoke('apply-summary-preview'),
+    discardSummaryPreview: () => ipcRenderer.invoke('discard-summary-preview'),
+    
+    // Summary history (revisions are numbered from 1)
+    getSummaryHistory: () => ipcRenderer.invoke('get-summary-history'),
+    getSummaryRevision: (number) => ipcRenderer.invoke('get-summary-revision', number),
+    diffSummaryRevisions: (fromNumber, toNumber) => ipcRenderer.invoke('diff-summary-revisions', fromNumber, toNumber),
+    rollbackSummary: (number) => ipcRenderer.invoke('rollback-summary', number),
+    cherryPickSummarySection: (number, sectionIndex) => ipcRenderer.invoke('cherry-pick-summary-section', number, sectionIndex),
+    
+    // Voice commands recognized in the live transcript
+    getVoiceCommands: () => ipcRenderer.invoke('get-voice-commands'),
+    
+    // Topic editing
+    renameTopic: (topicId, title) => ipcRenderer.invoke('rename-topic', topicId, title),
+    setTopicLocked: (headerId, locked) => ipcRenderer.invoke('set-topic-locked', headerId, locked),
+    mergeTopics: (headerId) => ipcRenderer.invoke('merge-topics', headerId),
+    splitTopic: (wordIndex) => ipcRenderer.invoke('split-topic', wordIndex),
+    promoteSubHeader: (subHeaderId) => ipcRenderer.invoke('promote-subheader', subHeaderId),
+    moveSegment: (segmentId, topicId) => ipcRenderer.invoke('move-segment', segmentId, topicId),
+    rebuildTopics: () => ipcRenderer.invoke('rebuild-topics'),
+    applyTopicRebuild: () => ipcRenderer.invoke('apply-topic-rebuild'),
+    discardTopicRebuild: () => ipcRenderer.invoke('discard-topic-rebuild'),
     
     // Screenshot operations
     updateScreenshotSelection: (selectedPaths) => ipcRenderer.invoke('update-screenshot-selection', selectedPaths),
@@ -21,12 +64,21 @@ contextBridge.exposeInMainWorld('electronAPI', {
     
     // Settings
     updateSettings: (settings) => ipcRenderer.invoke('update-settings', settings),
+    getMeetingProfiles: () => ipcRenderer.invoke('get-meeting-profiles'),
+    openProfilesFolder: () => ipcRenderer.invoke('open-profiles-folder'),
     
     // Notes operations
     loadNotes: () => ipcRenderer.invoke('load-notes'),
     saveNotes: (content) => ipcRenderer.invoke('save-notes', content),
+    journalNotes: (content) => ipcRenderer.invoke('journal-notes', content),
     exportNotes: () => ipcRenderer.invoke('export-notes'),
     
+    // Session library
+    getSessionLibrary: (query) => ipcRenderer.invoke('get-session-library', query),
+    openLibrarySession: (transcriptFile) => ipcRenderer.invoke('open-library-session', transcriptFile),
+    removeLibrarySession: (transcriptFile) => ipcRenderer.invoke('remove-library-session', transcriptFile),
+    askAcrossMeetings: (question) => ipcRenderer.invoke('ask-across-meetings', question),
+    
     // Timeline operations
     seekTimeline: (position) => ipcRenderer.invoke('seek-timeline', position),
     selectTimelineRange: (startPercent, endPercent) => ipcRenderer.invoke('select-timeline-range', startPercent, endPercent),
@@ -45,6 +97,16 @@ contextBridge.exposeInMainWorld('electronAPI', {
     startAudioRecording: (sessionContext) => ipcRenderer.invoke('start-audio-recording', sessionContext),
     stopAudioRecording: () => ipcRenderer.invoke('stop-audio-recording'),
     processAudioChunk: (chunkBuffer) => ipcRenderer.invoke('process-audio-chunk', chunkBuffer),
+    processRecordedLine: (line) => ipcRenderer.invoke('process-recorded-line', line),
+    saveRecordingLine: (line) => ipcRenderer.invoke('save-recording-line', line),
+    readRecordingAudio: (sessionId) => ipcRenderer.invoke('read-recording-audio', sessionId),
+    readTranscriptAudio: () => ipcRenderer.invoke('read-transcript-audio'),
+    addDiarizationAudio: (sessionId, samples, sampleRate, offsetSeconds) => ipcRenderer.invoke('add-diarization-audio', sessionId, samples, sampleRate, offsetSeconds),
+    diarizeRecording: (sessionId) => ipcRenderer.invoke('diarize-recording', sessionId),
+    renameSpeakers: (renames, sessionId) => ipcRenderer.invoke('rename-speakers', renames, sessionId),
+    transcribeImportChunk: (sessionId, samples, sampleRate, offsetSeconds) => ipcRenderer.invoke('transcribe-import-chunk', sessionId, samples, sampleRate, offsetSeconds),
+    finishImport: (sessionId) => ipcRenderer.invoke('finish-import', sessionId),
+    discardImport: (sessionId) => ipcRenderer.invoke('discard-import', sessionId),
     openBlackHoleInstaller: () => ipcRenderer.invoke('open-blackhole-installer'),
     openAudioMidiSetup: () => ipcRenderer.invoke('open-audio-midi-setup'),
     
@@ -72,6 +134,10 @@ contextBridge.exposeInMainWorld('electronAPI', {
         ipcRenderer.on('summary-update', (event, summary) => callback(summary));
     },
     
+    onStreamUpdate: (callback) => {
+        ipcRenderer.on('stream-update', (event, update) => callback(update));
+    },
+    
     onTopicUpdate: (callback) => {
         ipcRenderer.on('topic-update', (event, topicData) => callback(topicData));
     },
@@ -92,6 +158,42 @@ contextBridge.exposeInMainWorld('electronAPI', {
         ipcRenderer.on('app-data-update', (event, appData) => callback(appData));
     },
     
+    onImportRecording: (callback) => {
+        ipcRenderer.on('import-recording', (event, importData) => callback(importData));
+    },
+    
+    onNotesRestored: (callback) => {
+        ipcRenderer.on('notes-restored', () => callback());
+    },
+    
+    onShowSessionLibrary: (callback) => {
+        ipcRenderer.on('show-session-library', () => callback());
+    },
+    
+    onToggleChatPanel: (callback) => {
+        ipcRenderer.on('toggle-chat-panel', () => callback());
+    },
+    
+    onShowActionItems: (callback) => {
+        ipcRenderer.on('show-action-items', () => callback());
+    },
+    
+    onActionItemsUpdate: (callback) => {
+        ipcRenderer.on('action-items-update', (event, tracker) => callback(tracker));
+    },
+    
+    onShowSummaryHistory: (callback) => {
+        ipcRenderer.on('show-summary-history', () => callback());
+    },
+    
+    onShowVoiceCommands: (callback) => {
+        ipcRenderer.on('show-voice-commands', () => callback());
+    },
+    
+    onVoiceCommand: (callback) => {
+        ipcRenderer.on('voice-command', (event, entry) => callback(entry));
+    },
+    
     // Remove listeners (cleanup)
     removeAllListeners: (channel) => {
         ipcRenderer.removeAllListeners(channel);
@@ -35,6 +35,9 @@ class RendererApp {
         this.lastClickedWord = null;
         this.transcriptMetadata = null; // Metadata for transcript segments
         this.notesLoaded = false; // Flag to prevent autosave until notes are loaded
+        this.costSummary = null; // Persistent spend ledger summary from the main process
+        this.activeStreams = new Map(); // streamId -> { kind, text } for summaries/notes being generated
+        this.editingSummary = false; // Summary panel shows the Markdown editor instead of the rendered summary
         
         // Virtual scrolling properties
         this.allScreenshots = [];
@@ -43,9 +46,22 @@ class RendererApp {
         
         // Audio recording properties
         this.isRecording = false;
+        this.isImporting = false; // File > Import Recording in progress
         this.mediaRecorder = null;
         this.audioStream = null;
         this.currentSession = null;
+        this.lastRecordingSession = null; // session whose lines can be diarized and renamed
+        this.recordingStartedAt = null;
+        this.recordingLineIndex = 0;
+        this.capturedAudioSeconds = 0; // audio sent to Whisper so far, for line offsets
+        
+        // Recording playback
+        this.playbackSource = null; // recording session id, or 'transcript' for the open transcript's audio
+        this.playbackUrl = null;
+        this.playbackStopAt = null; // end of the range being played, in seconds
+        this.wordTimeLookup = null; // word index -> [start, end] seconds
+        this.playbackWordTimes = []; // the same timings sorted by start, for karaoke highlighting
+        this.playingWordIndex = null;
         
         // Speech recognition properties
         this.speechRecognition = null;
@@ -88,9 +104,24 @@ class RendererApp {
         this.noteHeaderInput = document.getElementById('note-header');
         this.screenshotSearchInput = document.getElementById('screenshot-search');
         this.wordLimitInput = document.getElementById('word-limit');
+        this.meetingProfileSelect = document.getElementById('meeting-profile');
+        this.meetingProfileDescription = document.getElementById('meeting-profile-description');
+        this.openProfilesFolderBtn = document.getElementById('open-profiles-folder');
         this.readOnlyModeInput = document.getElementById('read-only-mode');
         this.autoSaveInput = document.getElementById('auto-save');
         this.followTranscriptInput = document.getElementById('follow-transcript');
+        this.budgetMeetingInput = document.getElementById('budget-meeting');
+        this.budgetDailyInput = document.getElementById('budget-daily');
+        this.voiceCommandsEnabledInput = document.getElementById('voice-commands-enabled');
+        this.voiceTriggerInput = document.getElementById('voice-trigger');
+        this.voiceSpeakerInput = document.getElementById('voice-speaker');
+        this.voicePhraseInputs = {
+            note: document.getElementById('voice-phrases-note'),
+            decision: document.getElementById('voice-phrases-decision'),
+            actionItem: document.getElementById('voice-phrases-action-item'),
+            newTopic: document.getElementById('voice-phrases-new-topic')
+        };
+        this.costBreakdown = document.getElementById('cost-breakdown');
 
         // Display elements
         this.transcriptContent = document.getElementById('transcript-content');
@@ -114,6 +145,24 @@ class RendererApp {
         this.generateHeaderBtn = document.getElementById('generate-header-btn');
         this.noteTextOnlyBtn = document.getElementById('note-text-only');
         this.noteScreenshotsOnlyBtn = document.getElementById('note-screenshots-only');
+        this.cancelNoteBtn = document.getElementById('cancel-note');
+        this.cancelSummaryBtn = document.getElementById('cancel-summary');
+        this.closeSummaryStreamBtn = document.getElementById('close-summary-stream');
+        this.summaryStream = document.getElementById('summary-stream');
+        this.summaryStreamContent = document.getElementById('summary-stream-content');
+        this.summaryPanelBtn = document.getElementById('summary-panel-btn');
+        this.editSummaryBtn = document.getElementById('edit-summary');
+        this.summaryEditor = document.getElementById('summary-editor');
+        this.summaryEditActions = document.getElementById('summary-edit-actions');
+        this.cancelSummaryEditBtn = document.getElementById('cancel-summary-edit');
+        this.saveSummaryEditBtn = document.getElementById('save-summary-edit');
+        this.summaryPreview = document.getElementById('summary-preview');
+        this.summaryPreviewStatus = document.getElementById('summary-preview-status');
+        this.summaryPreviewDiff = document.getElementById('summary-preview-diff');
+        this.acceptSummaryPreviewBtn = document.getElementById('accept-summary-preview');
+        this.discardSummaryPreviewBtn = document.getElementById('discard-summary-preview');
+        this.summaryInstructionInput = document.getElementById('summary-instruction');
+        this.previewSummaryInstructionBtn = document.getElementById('preview-summary-instruction');
         this.sessionFilterBtn = document.getElementById('session-filter');
         this.allFilterBtn = document.getElementById('all-filter');
         this.exportNotesBtn = document.getElementById('export-notes');
@@ -131,16 +180,84 @@ class RendererApp {
 
         // Modal elements
         this.settingsModal = document.getElementById('settings-modal');
+        this.speakersModal = document.getElementById('speakers-modal');
+        this.speakerList = document.getElementById('speaker-list');
+        this.speakersStatus = document.getElementById('speakers-status');
+        this.identifySpeakersBtn = document.getElementById('identify-speakers');
+        this.applySpeakersBtn = document.getElementById('apply-speakers');
+        this.closeSpeakersBtn = document.getElementById('close-speakers');
+        this.rebuildTopicsBtn = document.getElementById('rebuild-topics-btn');
+        this.rebuildTopicsModal = document.getElementById('rebuild-topics-modal');
+        this.rebuildTopicsStatus = document.getElementById('rebuild-topics-status');
+        this.topicDiff = document.getElementById('topic-diff');
+        this.applyRebuildTopicsBtn = document.getElementById('apply-rebuild-topics');
+        this.discardRebuildTopicsBtn = document.getElementById('discard-rebuild-topics');
+        this.closeRebuildTopicsBtn = document.getElementById('close-rebuild-topics');
+        this.libraryBtn = document.getElementById('library-btn');
+        this.sessionLibraryModal = document.getElementById('session-library-modal');
+        this.librarySearchInput = document.getElementById('library-search');
+        this.libraryStatus = document.getElementById('library-status');
+        this.libraryList = document.getElementById('library-list');
+        this.closeSessionLibraryBtn = document.getElementById('close-session-library');
+        this.libraryQuestionInput = document.getElementById('library-question');
+        this.libraryAskBtn = document.getElementById('library-ask-btn');
+        this.libraryAnswer = document.getElementById('library-answer');
+        this.actionItemsBtn = document.getElementById('action-items-btn');
+        this.actionItemsModal = document.getElementById('action-items-modal');
+        this.actionItemsStatus = document.getElementById('action-items-status');
+        this.actionItemList = document.getElementById('action-item-list');
+        this.decisionList = document.getElementById('decision-list');
+        this.newActionItemInput = document.getElementById('new-action-item');
+        this.newDecisionInput = document.getElementById('new-decision');
+        this.addActionItemBtn = document.getElementById('add-action-item');
+        this.addDecisionBtn = document.getElementById('add-decision');
+        this.extractActionItemsBtn = document.getElementById('extract-action-items');
+        this.exportActionItemsBtn = document.getElementById('export-action-items');
+        this.closeActionItemsBtn = document.getElementById('close-action-items');
+        this.summaryHistoryBtn = document.getElementById('summary-history-btn');
+        this.summaryHistoryModal = document.getElementById('summary-history-modal');
+        this.summaryHistoryStatus = document.getElementById('summary-history-status');
+        this.historyFromSelect = document.getElementById('history-from');
+        this.historyToSelect = document.getElementById('history-to');
+        this.summaryDiff = document.getElementById('summary-diff');
+        this.historySectionList = document.getElementById('history-section-list');
+        this.rollbackSummaryBtn = document.getElementById('rollback-summary');
+        this.closeSummaryHistoryBtn = document.getElementById('close-summary-history');
+        this.chatBtn = document.getElementById('chat-btn');
+        this.chatPanel = document.getElementById('chat-panel');
+        this.chatMessages = document.getElementById('chat-messages');
+        this.chatScopeSelect = document.getElementById('chat-scope');
+        this.chatContext = document.getElementById('chat-context');
+        this.chatInput = document.getElementById('chat-input');
+        this.chatAskBtn = document.getElementById('chat-ask-btn');
+        this.clearChatBtn = document.getElementById('clear-chat');
+        this.closeChatPanelBtn = document.getElementById('close-chat-panel');
+        this.voiceCommandsModal = document.getElementById('voice-commands-modal');
+        this.voiceCommandsHint = document.getElementById('voice-commands-hint');
+        this.voiceCommandList = document.getElementById('voice-command-list');
+        this.closeVoiceCommandsBtn = document.getElementById('close-voice-commands');
 
         // Status elements
         this.connectionStatus = document.getElementById('connection-status');
         this.apiCost = document.getElementById('api-cost');
+        this.requestQueueStatus = document.getElementById('request-queue');
+        this.voiceCommandsStatus = document.getElementById('voice-commands-status');
         this.selectedScreenshotsStatus = document.getElementById('selected-screenshots');
         this.sessionTime = document.getElementById('session-time');
         this.timelineDuration = document.getElementById('timeline-duration');
         this.wordCountDisplay = document.getElementById('word-count');
         this.recordingStatus = document.getElementById('recording-status');
 
+        this.topicMenu = document.getElementById('topic-menu');
+
+        // Playback elements
+        this.audioPlayer = document.getElementById('audio-player');
+        this.playbackAudio = document.getElementById('playback-audio');
+        this.playPauseBtn = document.getElementById('play-pause');
+        this.playbackSeek = document.getElementById('playback-seek');
+        this.playbackTime = document.getElementById('playback-time');
+        this.playInOutBtn = document.getElementById('play-in-out');
+
         // Audio recording elements
         this.recordingEnabledInput = document.getElementById('recording-enabled');
         this.sourceMicrophoneInput = document.getElementById('source-microphone');
@@ -158,10 +275,25 @@ class RendererApp {
         this.generateNoteBtn.addEventListener('click', () => this.handleGenerateNote());
         this.noteTextOnlyBtn.addEventListener('click', () => this.handleGenerateNote('text-only'));
         this.noteScreenshotsOnlyBtn.addEventListener('click', () => this.handleGenerateNote('screenshots-only'));
+        this.cancelNoteBtn.addEventListener('click', () => this.cancelStreams('note'));
+        this.cancelSummaryBtn.addEventListener('click', () => this.cancelStreams('summary'));
+        this.closeSummaryStreamBtn.addEventListener('click', () => this.toggleSummaryPanel(false));
+        this.summaryPanelBtn.addEventListener('click', () => this.toggleSummaryPanel());
+        this.editSummaryBtn.addEventListener('click', () => this.startSummaryEdit());
+        this.cancelSummaryEditBtn.addEventListener('click', () => this.cancelSummaryEdit());
+        this.saveSummaryEditBtn.addEventListener('click', () => this.saveSummaryEdit());
+        this.previewSummaryInstructionBtn.addEventListener('click', () => this.previewSummaryInstruction());
+        this.summaryInstructionInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.previewSummaryInstruction();
+        });
+        this.acceptSummaryPreviewBtn.addEventListener('click', () => this.acceptSummaryPreview());
+        this.discardSummaryPreviewBtn.addEventListener('click', () => this.discardSummaryPreview());
         this.exportNotesBtn.addEventListener('click', () => this.handleExportNotes());
         this.clearNotesBtn.addEventListener('click', () => this.handleClearNotes());
         this.saveSettingsBtn.addEventListener('click', () => this.saveSettings());
         this.closeSettingsBtn.addEventListener('click', () => this.hideSettings());
+        this.meetingProfileSelect.addEventListener('change', () => this.handleProfileChange());
+        this.openProfilesFolderBtn.addEventListener('click', () => this.openProfilesFolder());
 
         // Formatting toolbar event listeners
         this.formatBoldBtn.addEventListener('click', () => this.formatText('bold'));
@@ -207,6 +339,142 @@ class RendererApp {
         this.settingsModal.addEventListener('click', (e) => {
             if (e.target === this.settingsModal) this.hideSettings();
         });
+        this.speakersModal.addEventListener('click', (e) => {
+            if (e.target === this.speakersModal) this.hideSpeakers();
+        });
+        this.closeSpeakersBtn.addEventListener('click', () => this.hideSpeakers());
+        this.rebuildTopicsModal.addEventListener('click', (e) => {
+            if (e.target === this.rebuildTopicsModal) this.hideRebuildTopics();
+        });
+        this.applySpeakersBtn.addEventListener('click', () => this.applySpeakerNames());
+        this.identifySpeakersBtn.addEventListener('click', () => this.identifySpeakers(this.lastRecordingSession));
+        this.rebuildTopicsBtn.addEventListener('click', () => this.rebuildTopics());
+        this.applyRebuildTopicsBtn.addEventListener('click', () => this.applyTopicRebuild());
+        this.discardRebuildTopicsBtn.addEventListener('click', () => this.hideRebuildTopics());
+        this.closeRebuildTopicsBtn.addEventListener('click', () => this.hideRebuildTopics());
+        this.libraryBtn.addEventListener('click', () => this.showSessionLibrary());
+        this.closeSessionLibraryBtn.addEventListener('click', () => this.hideSessionLibrary());
+        this.sessionLibraryModal.addEventListener('click', (e) => {
+            if (e.target === this.sessionLibraryModal) this.hideSessionLibrary();
+        });
+        this.libraryAskBtn.addEventListener('click', () => this.askAcrossMeetings());
+        this.libraryQuestionInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.askAcrossMeetings();
+        });
+        this.actionItemsBtn.addEventListener('click', () => this.showActionItems());
+        this.closeActionItemsBtn.addEventListener('click', () => this.hideActionItems());
+        this.actionItemsModal.addEventListener('click', (e) => {
+            if (e.target === this.actionItemsModal) this.hideActionItems();
+        });
+        this.extractActionItemsBtn.addEventListener('click', () => this.extractActionItems());
+        this.exportActionItemsBtn.addEventListener('click', () => this.exportActionItems());
+        this.addActionItemBtn.addEventListener('click', () => this.addTrackerItem('actionItems', this.newActionItemInput));
+        this.addDecisionBtn.addEventListener('click', () => this.addTrackerItem('decisions', this.newDecisionInput));
+        this.newActionItemInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.addTrackerItem('actionItems', this.newActionItemInput);
+        });
+        this.newDecisionInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.addTrackerItem('decisions', this.newDecisionInput);
+        });
+        this.summaryHistoryBtn.addEventListener('click', () => this.showSummaryHistory());
+        this.closeSummaryHistoryBtn.addEventListener('click', () => this.hideSummaryHistory());
+        this.summaryHistoryModal.addEventListener('click', (e) => {
+            if (e.target === this.summaryHistoryModal) this.hideSummaryHistory();
+        });
+        this.historyFromSelect.addEventListener('change', () => this.showSummaryRevision());
+        this.historyToSelect.addEventListener('change', () => this.showSummaryRevision());
+        this.rollbackSummaryBtn.addEventListener('click', () => this.rollbackSummary());
+        this.voiceCommandsStatus.addEventListener('click', () => this.showVoiceCommands());
+        this.closeVoiceCommandsBtn.addEventListener('click', () => this.hideVoiceCommands());
+        this.voiceCommandsModal.addEventListener('click', (e) => {
+            if (e.target === this.voiceCommandsModal) this.hideVoiceCommands();
+        });
+        this.chatBtn.addEventListener('click', () => this.toggleChatPanel());
+        this.closeChatPanelBtn.addEventListener('click', () => this.toggleChatPanel(false));
+        this.clearChatBtn.addEventListener('click', () => this.clearChatHistory());
+        this.chatAskBtn.addEventListener('click', () => this.askQuestion());
+        this.chatScopeSelect.addEventListener('change', () => this.updateChatContext());
+        this.chatInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                this.askQuestion();
+            }
+        });
+        this.librarySearchInput.addEventListener('input', () => {
+            clearTimeout(this.librarySearchTimeout);
+            this.librarySearchTimeout = setTimeout(() => this.loadSessionLibrary(), 300);
+        });
+        
+        // Recording playback
+        this.playPauseBtn.addEventListener('click', () => this.togglePlayback());
+        this.playInOutBtn.addEventListener('click', () => this.playInOutRange());
+        this.playbackSeek.addEventListener('input', () => {
+            this.playbackStopAt = null;
+            this.playbackAudio.currentTime = parseFloat(this.playbackSeek.value);
+        });
+        this.playbackAudio.addEventListener('play', () => {
+            this.playPauseBtn.textContent = '⏸';
+            this.playbackFrame();
+        });
+        this.playbackAudio.addEventListener('pause', () => {
+            this.playPauseBtn.textContent = '▶';
+            this.updatePlaybackPosition();
+        });
+        this.playbackAudio.addEventListener('loadedmetadata', () => this.updatePlaybackPosition());
+        
+        // Clicking a speaker name opens the rename dialog
+        this.transcriptContent.addEventListener('click', (e) => {
+            if (e.target.classList.contains('transcript-speaker')) this.showSpeakers();
+        });
+        
+        // Spend breakdown popover
+        this.apiCost.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.costBreakdown.classList.toggle('hidden');
+        });
+        document.addEventListener('click', (e) => {
+            if (!this.costBreakdown.contains(e.target)) {
+                this.costBreakdown.classList.add('hidden');
+            }
+        });
+
+        // Topic editing: right-click menu on topics and words, drag a segment's timestamp onto a topic
+        this.transcriptContent.addEventListener('contextmenu', (e) => this.showTopicMenu(e));
+        document.addEventListener('click', (e) => {
+            if (!this.topicMenu.contains(e.target)) {
+                this.hideTopicMenu();
+            }
+        });
+        this.transcriptContent.addEventListener('dragstart', (e) => {
+            const lineElement = e.target.closest('.transcript-line');
+            if (lineElement && lineElement.dataset.segmentId) {
+                e.dataTransfer.setData('application/x-segment-id', lineElement.dataset.segmentId);
+                e.dataTransfer.effectAllowed = 'move';
+            }
+        });
+        this.transcriptContent.addEventListener('dragover', (e) => {
+            const topicElement = e.target.closest('.topic-header, .topic-subheader');
+            if (topicElement && e.dataTransfer.types.includes('application/x-segment-id')) {
+                e.preventDefault();
+                topicElement.classList.add('drop-target');
+            }
+        });
+        this.transcriptContent.addEventListener('dragleave', (e) => {
+            const topicElement = e.target.closest('.topic-header, .topic-subheader');
+            if (topicElement && !topicElement.contains(e.relatedTarget)) {
+                topicElement.classList.remove('drop-target');
+            }
+        });
+        this.transcriptContent.addEventListener('drop', (e) => {
+            const topicElement = e.target.closest('.topic-header, .topic-subheader');
+            const segmentId = e.dataTransfer.getData('application/x-segment-id');
+            if (!topicElement || !segmentId) return;
+
+            e.preventDefault();
+            topicElement.classList.remove('drop-target');
+            const topicId = topicElement.dataset.headerId || topicElement.dataset.subHeaderId;
+            this.applyTopicEdit(window.electronAPI.moveSegment(segmentId, topicId));
+        });
 
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => this.handleKeyboardShortcuts(e));
@@ -240,11 +508,21 @@ class RendererApp {
             window.electronAPI.onScreenshotsUpdate((screenshots) => this.updateScreenshots(screenshots));
             window.electronAPI.onNoteCreated((note) => this.handleNoteCreated(note));
             window.electronAPI.onSummaryUpdate((summary) => this.handleSummaryUpdate(summary));
+            window.electronAPI.onStreamUpdate((update) => this.handleStreamUpdate(update));
             window.electronAPI.onTopicUpdate((topicData) => this.handleTopicUpdate(topicData));
             window.electronAPI.onCostUpdate((cost) => this.updateCost(cost));
             window.electronAPI.onStatusUpdate((status) => this.updateStatus(status));
             window.electronAPI.onSettingsUpdate((settings) => this.updateSettings(settings));
             window.electronAPI.onAppDataUpdate((appData) => this.handleAppDataUpdate(appData));
+            window.electronAPI.onImportRecording((importData) => this.importRecording(importData));
+            window.electronAPI.onNotesRestored(() => this.loadExistingNotes());
+            window.electronAPI.onShowSessionLibrary(() => this.showSessionLibrary());
+            window.electronAPI.onToggleChatPanel(() => this.toggleChatPanel());
+            window.electronAPI.onShowActionItems(() => this.showActionItems());
+            window.electronAPI.onActionItemsUpdate((tracker) => this.renderActionTracker(tracker));
+            window.electronAPI.onShowSummaryHistory(() => this.showSummaryHistory());
+            window.electronAPI.onShowVoiceCommands(() => this.showVoiceCommands());
+            window.electronAPI.onVoiceCommand((entry) => this.handleVoiceCommand(entry));
         }
     }
 
@@ -325,7 +603,7 @@ class RendererApp {
             if (result && result.success !== false) {
                 return {
                     text: result.text || '',
-                    confidence: result.confidence || 0.9,
+                    words: result.words || [],
                     isFinal: result.isFinal || true
                 };
             } else {
@@ -697,6 +975,11 @@ class RendererApp {
             // Get the actual sample rate from the audio context
             const originalSampleRate = this.audioContext.sampleRate;
             
+            // Position of this audio in the recording
+            const audioStart = this.capturedAudioSeconds;
+            const audioEnd = audioStart + totalSamples / originalSampleRate;
+            this.capturedAudioSeconds = audioEnd;
+            
             console.log('🎯 Combined audio data:', {
                 totalSamples: totalSamples,
                 originalSampleRate: originalSampleRate,
@@ -720,8 +1003,14 @@ class RendererApp {
                 // Add transcription to the UI
                 this.handleLiveTranscription({
                     text: result.text,
-                    confidence: result.confidence || 0.9,
-                    isFinal: true
+                    isFinal: true,
+                    audioStart,
+                    audioEnd,
+                    words: (result.words || []).map(word => ({
+                        word: word.word,
+                        start: word.start + audioStart,
+                        end: word.end + audioStart
+                    }))
                 });
             } else {
                 console.log('🎯 No transcription result or empty text');
@@ -806,7 +1095,7 @@ class RendererApp {
         }
     }
 
-    handleLiveTranscription(result) {
+    async handleLiveTranscription(result) {
         try {
             if (!result.text || !result.text.trim()) return;
             
@@ -815,10 +1104,32 @@ class RendererApp {
             // Create a transcript line for live audio
             const transcriptLine = {
                 timestamp: new Date().toLocaleTimeString('en-GB', { hour12: false }),
-                speaker: 'Live Audio',
+                speaker: result.speaker || 'Live Audio',
                 content: result.text.trim()
             };
             
+            // Voice commands run in the main process (the log and status bar show them); only the
+            // words said before the trigger stay in the transcript
+            let words = result.words || [];
+            if (window.electronAPI) {
+                const checked = await window.electronAPI.processRecordedLine(transcriptLine);
+                if (checked.success && checked.content !== transcriptLine.content) {
+                    if (!checked.content) return;
+                    transcriptLine.content = checked.content;
+                    words = words.slice(0, checked.content.split(/\s+/).length);
+                }
+            }
+            
+            // Keep recorded lines with their audio offsets so speakers can be identified later
+            if (this.currentSession && typeof result.audioStart === 'number') {
+                transcriptLine.recordingSession = this.currentSession;
+                transcriptLine.recordingIndex = this.recordingLineIndex++;
+                transcriptLine.audioStart = result.audioStart;
+                transcriptLine.audioEnd = result.audioEnd;
+                transcriptLine.words = words;
+                window.electronAPI.saveRecordingLine(transcriptLine);
+            }
+            
             // Add to transcript through the normal flow
             const transcriptData = {
                 lines: [transcriptLine],
@@ -1162,11 +1473,17 @@ class RendererApp {
                 
                 // Allow [BLANK_AUDIO] through for debugging
                 if (text.includes('[BLANK_AUDIO]') || (text.length > 3 && !text.match(/^(um|uh|hmm|ah)$/i))) {
-                    this.addTranscriptLine({
-                        timestamp: new Date().toLocaleTimeString(),
+                    // MediaRecorder delivers 1-second chunks; the latest one ends now
+                    const audioEnd = this.recordingStartedAt ? (Date.now() - this.recordingStartedAt) / 1000 : null;
+                    const audioStart = audioEnd !== null ? Math.max(0, audioEnd - recentChunks.length) : undefined;
+                    this.handleLiveTranscription({
+                        text,
                         speaker: 'Whisper',
-                        content: text,
-                        confidence: result.confidence
+                        audioStart,
+                        audioEnd: audioEnd !== null ? audioEnd : undefined,
+                        words: audioStart !== undefined
+                            ? (result.words || []).map(word => ({ word: word.word, start: word.start + audioStart, end: word.end + audioStart }))
+                            : []
                     });
                     
                     console.log('✅ Whisper transcription:', text);
@@ -1507,6 +1824,11 @@ class RendererApp {
                 return;
             }
             
+            if (this.isImporting) {
+                alert('Please wait for the recording import to finish.');
+                return;
+            }
+            
             // Get the session context for the recording
             const sessionContext = this.sessionTopicInput ? this.sessionTopicInput.value.trim() : 'Audio Recording Session';
             
@@ -1517,6 +1839,10 @@ class RendererApp {
             }
             
             this.currentSession = result.sessionId;
+            this.playbackAudio.pause();
+            this.recordingStartedAt = Date.now();
+            this.recordingLineIndex = 0;
+            this.capturedAudioSeconds = 0;
             
             // Get user media
             const constraints = this.getAudioConstraints();
@@ -1576,67 +1902,1530 @@ class RendererApp {
                 console.log('🎯 Skipping direct audio capture setup - conditions not met');
             }
 
-            // Start recording with 1-second chunks for real-time processing
-            this.mediaRecorder.start(1000);
-            this.isRecording = true;
-            
-            // Start transcription if enabled
-            if (this.settings.audio && this.settings.audio.autoTranscribe) {
-                this.startTranscription();
-            }
-            
-            // Update UI
-            this.recordBtn.textContent = '⏹ Stop';
-            this.updateRecordingStatus();
-            
-            console.log('Audio recording started');
-            
-        } catch (error) {
-            console.error('Error starting recording:', error);
-            alert(`Failed to start recording: ${error.message}`);
-            this.stopRecording();
+            // Start recording with 1-second chunks for real-time processing
+            this.mediaRecorder.start(1000);
+            this.isRecording = true;
+            this.updatePlayerAvailability();
+            
+            // Start transcription if enabled
+            if (this.settings.audio && this.settings.audio.autoTranscribe) {
+                this.startTranscription();
+            }
+            
+            // Update UI
+            this.recordBtn.textContent = '⏹ Stop';
+            this.updateRecordingStatus();
+            
+            console.log('Audio recording started');
+            
+        } catch (error) {
+            console.error('Error starting recording:', error);
+            alert(`Failed to start recording: ${error.message}`);
+            this.stopRecording();
+        }
+    }
+
+    async stopRecording() {
+        try {
+            if (this.mediaRecorder && this.mediaRecorder.state !== 'inactive') {
+                this.mediaRecorder.stop();
+            }
+            
+            if (this.audioStream) {
+                this.audioStream.getTracks().forEach(track => track.stop());
+                this.audioStream = null;
+            }
+            
+            if (this.currentSession && window.electronAPI) {
+                const result = await window.electronAPI.stopAudioRecording();
+                if (result.success) {
+                    console.log('Recording session stopped:', result.sessionData);
+                }
+            }
+            
+            const recordedSession = this.currentSession;
+            this.isRecording = false;
+            this.mediaRecorder = null;
+            this.currentSession = null;
+            
+            // Stop all transcription methods
+            this.stopTranscription();
+            
+            // Cleanup direct audio capture
+            this.cleanupDirectAudioCapture();
+            
+            // Update UI
+            this.recordBtn.textContent = '● Record';
+            this.updateRecordingStatus();
+            
+            // Offline speaker diarization once the recording is complete
+            if (recordedSession && this.transcriptLines.some(line => line.recordingSession === recordedSession)) {
+                this.lastRecordingSession = recordedSession;
+                this.identifySpeakers(recordedSession);
+            }
+            this.updatePlayerAvailability();
+            
+            console.log('Audio recording stopped');
+            
+        } catch (error) {
+            console.error('Error stopping recording:', error);
+        }
+    }
+
+    // Offline speaker diarization: decode the saved recording here and pass it to the main process
+    // 30 seconds at a time, where the voices are clustered. Each piece is mixed and resampled on its
+    // own, so no 16kHz copy of the whole recording is built.
+    async identifySpeakers(sessionId) {
+        if (!sessionId || !window.electronAPI) return;
+
+        try {
+            this.setSpeakerStatus('Identifying speakers...');
+
+            const audio = await window.electronAPI.readRecordingAudio(sessionId);
+            if (!audio.success) {
+                throw new Error(audio.error);
+            }
+
+            const audioBuffer = await this.decodeRecordingBuffer(audio.data);
+
+            console.log(`🗣️ Identifying speakers in ${audioBuffer.duration.toFixed(1)}s of recorded audio`);
+            const pieceSeconds = 30;
+            for (let start = 0; start < audioBuffer.duration; start += pieceSeconds) {
+                const samples = this.recordingSamples(audioBuffer, start, start + pieceSeconds);
+                const added = await window.electronAPI.addDiarizationAudio(sessionId, samples, 16000, start);
+                if (!added.success) {
+                    throw new Error(added.error);
+                }
+            }
+            const result = await window.electronAPI.diarizeRecording(sessionId);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            result.lines.forEach(recordedLine => {
+                const line = this.transcriptLines.find(l =>
+                    l.recordingSession === sessionId && l.recordingIndex === recordedLine.recordingIndex
+                );
+                if (line) line.speaker = recordedLine.speaker;
+            });
+            this.updateSpeakerLabels();
+
+            this.setSpeakerStatus(`${result.speakers.length} speaker(s) identified`);
+            console.log('🗣️ Speakers identified:', result.speakers);
+        } catch (error) {
+            console.error('❌ Error identifying speakers:', error);
+            this.setSpeakerStatus('Speaker identification failed');
+        }
+    }
+
+    // Decode a recording file to mono 16kHz samples, the format Whisper and diarization expect
+    async decodeRecording(data) {
+        const audioBuffer = await this.decodeRecordingBuffer(data);
+        return { samples: this.recordingSamples(audioBuffer, 0, audioBuffer.duration), duration: audioBuffer.duration };
+    }
+
+    async decodeRecordingBuffer(data) {
+        const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        const arrayBuffer = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+        try {
+            return await audioContext.decodeAudioData(arrayBuffer);
+        } finally {
+            audioContext.close();
+        }
+    }
+
+    // Mono 16kHz samples for startSeconds..endSeconds of a decoded recording
+    recordingSamples(audioBuffer, startSeconds, endSeconds) {
+        const from = Math.floor(startSeconds * audioBuffer.sampleRate);
+        const to = Math.min(audioBuffer.length, Math.floor(endSeconds * audioBuffer.sampleRate));
+        const mono = new Float32Array(Math.max(0, to - from));
+        for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+            const channelData = audioBuffer.getChannelData(channel);
+            for (let i = 0; i < mono.length; i++) {
+                mono[i] += channelData[from + i] / audioBuffer.numberOfChannels;
+            }
+        }
+
+        return audioBuffer.sampleRate !== 16000
+            ? this.resampleAudio(mono, audioBuffer.sampleRate, 16000)
+            : mono;
+    }
+
+    // File > Import Recording: the main process has copied the file into a recording session,
+    // decode it here and transcribe it chunk by chunk, then open the result as the transcript.
+    // The session is removed again when the import fails or cannot start.
+    async importRecording({ sessionId, fileName }) {
+        if (this.isRecording || this.isImporting) {
+            this.setImportStatus('Finish the current recording or import first', 'error');
+            window.electronAPI.discardImport(sessionId);
+            return;
+        }
+
+        this.isImporting = true;
+        let transcribed = false;
+        try {
+            this.setImportStatus(`Decoding ${fileName}...`);
+            const audio = await window.electronAPI.readRecordingAudio(sessionId);
+            if (!audio.success) {
+                throw new Error(audio.error);
+            }
+            const { samples, duration } = await this.decodeRecording(audio.data);
+            console.log(`📥 Importing ${fileName}: ${duration.toFixed(1)}s of audio`);
+
+            this.setImportStatus('Loading Whisper model...');
+            const whisper = await window.electronAPI.initializeWhisper();
+            if (!whisper.success) {
+                throw new Error(`Whisper unavailable: ${whisper.error}`);
+            }
+
+            const sampleRate = 16000;
+            let start = 0;
+            while (start < samples.length) {
+                const end = this.findChunkBoundary(samples, start, sampleRate);
+                // slice() rather than subarray() so only this chunk is copied over IPC
+                const result = await window.electronAPI.transcribeImportChunk(
+                    sessionId, samples.slice(start, end), sampleRate, start / sampleRate
+                );
+                if (!result.success) {
+                    throw new Error(result.error);
+                }
+
+                start = end;
+                const percent = Math.round((start / samples.length) * 100);
+                this.setImportStatus(`Transcribing ${fileName}: ${percent}% (${result.totalLines} lines)`);
+            }
+            transcribed = true;
+
+            // Speakers are clustered from the pieces sent for transcription
+            this.setImportStatus('Identifying speakers...');
+            const diarization = await window.electronAPI.diarizeRecording(sessionId);
+            if (!diarization.success) {
+                console.error('❌ Speaker identification failed for import:', diarization.error);
+            }
+
+            // The imported transcript replaces whatever is on screen
+            this.resetTranscriptView();
+            const finished = await window.electronAPI.finishImport(sessionId);
+            if (!finished.success) {
+                throw new Error(finished.error);
+            }
+
+            this.setImportStatus(`Imported ${fileName}`);
+        } catch (error) {
+            console.error('❌ Error importing recording:', error);
+            this.setImportStatus(`Import failed: ${error.message}`, 'error');
+            // A recording that was transcribed in full is kept even if it could not be opened
+            if (!transcribed) {
+                window.electronAPI.discardImport(sessionId);
+            }
+        } finally {
+            this.isImporting = false;
+        }
+    }
+
+    // End the next Whisper chunk (~30s) at the quietest 20ms frame of its last two seconds,
+    // so chunk boundaries rarely cut through a word
+    findChunkBoundary(samples, start, sampleRate) {
+        const target = start + 30 * sampleRate;
+        if (target >= samples.length) return samples.length;
+
+        const frame = Math.round(0.02 * sampleRate);
+        let best = target;
+        let bestEnergy = Infinity;
+        for (let frameStart = target - 2 * sampleRate; frameStart + frame <= target; frameStart += frame) {
+            let energy = 0;
+            for (let i = frameStart; i < frameStart + frame; i++) {
+                energy += samples[i] * samples[i];
+            }
+            if (energy < bestEnergy) {
+                bestEnergy = energy;
+                best = frameStart + Math.floor(frame / 2);
+            }
+        }
+        return best;
+    }
+
+    resetTranscriptView() {
+        this.transcriptLines = [];
+        this.transcriptMetadata = null;
+        this.transcriptContent.innerHTML = '';
+        this.wordCount = 0;
+        this.currentPosition = 0;
+        this.contextMarkers = { in: null, out: null };
+        this.updateContextMarkersDisplay();
+        this.updatePlayerAvailability();
+    }
+
+    setImportStatus(text, state = 'ready') {
+        if (!this.recordingStatus) return;
+        this.recordingStatus.style.display = 'inline';
+        this.recordingStatus.textContent = text;
+        this.recordingStatus.className = `recording-status ${state}`;
+    }
+
+    setSpeakerStatus(text) {
+        if (this.speakersStatus) {
+            this.speakersStatus.textContent = text;
+        }
+        if (this.recordingStatus && !this.isRecording) {
+            this.recordingStatus.style.display = 'inline';
+            this.recordingStatus.textContent = text;
+            this.recordingStatus.className = 'recording-status ready';
+        }
+    }
+
+    updateSpeakerLabels() {
+        this.transcriptLines.forEach(line => {
+            const speakerElement = this.transcriptContent.querySelector(
+                `.transcript-line[data-word-index="${line.wordIndex}"] .transcript-speaker`
+            );
+            if (speakerElement && line.speaker) {
+                speakerElement.textContent = `${line.speaker}:`;
+            }
+        });
+    }
+
+    showSpeakers() {
+        const speakers = Array.from(new Set(this.transcriptLines.map(line => line.speaker).filter(Boolean)));
+
+        this.speakerList.innerHTML = '';
+        speakers.forEach(speaker => {
+            const row = document.createElement('div');
+            row.className = 'setting-subgroup';
+
+            const label = document.createElement('label');
+            label.textContent = speaker;
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.value = speaker;
+            input.dataset.speaker = speaker;
+
+            row.appendChild(label);
+            row.appendChild(input);
+            this.speakerList.appendChild(row);
+        });
+
+        if (speakers.length === 0) {
+            this.speakerList.textContent = 'No speakers in the transcript yet.';
+        }
+
+        this.identifySpeakersBtn.style.display = this.lastRecordingSession ? 'inline-block' : 'none';
+        this.speakersModal.classList.remove('hidden');
+    }
+
+    hideSpeakers() {
+        this.speakersModal.classList.add('hidden');
+    }
+
+    async applySpeakerNames() {
+        const renames = {};
+        this.speakerList.querySelectorAll('input[data-speaker]').forEach(input => {
+            const name = input.value.trim();
+            if (name && name !== input.dataset.speaker) {
+                renames[input.dataset.speaker] = name;
+            }
+        });
+
+        if (Object.keys(renames).length === 0) {
+            this.hideSpeakers();
+            return;
+        }
+
+        try {
+            const result = await window.electronAPI.renameSpeakers(renames, this.lastRecordingSession);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            this.transcriptLines.forEach(line => {
+                if (renames[line.speaker]) line.speaker = renames[line.speaker];
+            });
+            this.updateSpeakerLabels();
+
+            // Notes were rewritten on disk; reload so auto-save doesn't bring the old names back
+            if (result.updated.includes('notes')) {
+                await this.loadExistingNotes();
+            }
+
+            this.hideSpeakers();
+        } catch (error) {
+            console.error('Error renaming speakers:', error);
+            alert(`Failed to rename speakers: ${error.message}`);
+        }
+    }
+
+    // Batch topic rebuild: the proposal is shown as a diff and only replaces the topics on Apply
+    async rebuildTopics() {
+        this.topicDiff.innerHTML = '';
+        this.rebuildTopicsStatus.textContent = 'Analyzing the whole transcript...';
+        this.applyRebuildTopicsBtn.disabled = true;
+        this.rebuildTopicsBtn.disabled = true;
+        this.rebuildTopicsModal.classList.remove('hidden');
+
+        try {
+            const result = await window.electronAPI.rebuildTopics();
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            const changes = result.diff.filter(entry => entry.type !== 'same').length;
+            this.rebuildTopicsStatus.textContent = changes > 0
+                ? `${result.topicCount} topics proposed. Removed lines are struck through, new ones highlighted.`
+                : `${result.topicCount} topics proposed - the same as the current topics.`;
+            this.renderDiff(this.topicDiff, result.diff);
+            this.applyRebuildTopicsBtn.disabled = changes === 0;
+        } catch (error) {
+            console.error('Error rebuilding topics:', error);
+            this.rebuildTopicsStatus.textContent = `Could not rebuild topics: ${error.message}`;
+        } finally {
+            this.rebuildTopicsBtn.disabled = false;
+        }
+    }
+
+    async applyTopicRebuild() {
+        this.applyRebuildTopicsBtn.disabled = true;
+        try {
+            const result = await window.electronAPI.applyTopicRebuild();
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            this.transcriptMetadata = result.metadata;
+            this.reconstructTranscriptFromCurrentMetadata();
+            this.rebuildTopicsModal.classList.add('hidden');
+        } catch (error) {
+            console.error('Error applying topic rebuild:', error);
+            alert(`Failed to apply the rebuilt topics: ${error.message}`);
+        }
+    }
+
+    // Line diff ([{ type: 'same' | 'removed' | 'added', text }]) with removed lines struck through
+    renderDiff(container, diff) {
+        container.innerHTML = '';
+        diff.forEach(entry => {
+            const line = document.createElement('div');
+            line.className = `topic-diff-line ${entry.type}`;
+            line.textContent = `${entry.type === 'added' ? '+' : entry.type === 'removed' ? '-' : ' '} ${entry.text}`;
+            container.appendChild(line);
+        });
+    }
+
+    hideRebuildTopics() {
+        if (this.rebuildTopicsModal.classList.contains('hidden')) return;
+        this.rebuildTopicsModal.classList.add('hidden');
+        window.electronAPI.discardTopicRebuild();
+    }
+
+    // Session library: every meeting opened or recorded, searchable across transcripts, notes and summaries
+    showSessionLibrary() {
+        this.sessionLibraryModal.classList.remove('hidden');
+        this.librarySearchInput.focus();
+        this.loadSessionLibrary();
+    }
+
+    hideSessionLibrary() {
+        this.sessionLibraryModal.classList.add('hidden');
+    }
+
+    async loadSessionLibrary() {
+        const query = this.librarySearchInput.value.trim();
+        try {
+            const result = await window.electronAPI.getSessionLibrary(query);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            // A slower search for an older query must not overwrite newer results
+            if (query !== this.librarySearchInput.value.trim()) return;
+            this.libraryCurrentFile = result.currentFile;
+
+            this.libraryList.innerHTML = '';
+            if (result.sessions.length === 0) {
+                this.libraryStatus.textContent = query ? `No meetings match "${query}".` : 'No meetings yet. Open or record a transcript to add it.';
+                return;
+            }
+            this.libraryStatus.textContent = query
+                ? `${result.sessions.length} meeting(s) match "${query}".`
+                : `${result.sessions.length} meeting(s).`;
+            result.sessions.forEach(session => {
+                this.libraryList.appendChild(this.createLibrarySessionElement(session, result.currentFile));
+            });
+        } catch (error) {
+            console.error('Error loading session library:', error);
+            this.libraryStatus.textContent = `Could not load the library: ${error.message}`;
+        }
+    }
+
+    createLibrarySessionElement(session, currentFile) {
+        const element = document.createElement('div');
+        element.className = `library-session${session.missing ? ' missing' : ''}`;
+
+        const info = document.createElement('div');
+        info.className = 'library-session-info';
+
+        const title = document.createElement('div');
+        title.className = 'library-session-title';
+        title.textContent = session.title;
+        title.title = session.transcriptFile;
+        info.appendChild(title);
+
+        const details = [];
+        if (session.date) details.push(new Date(session.date).toLocaleString());
+        if (session.duration) details.push(this.formatPlaybackTime(session.duration));
+        details.push(`${(session.topics || []).length} topic(s)`);
+        details.push(`$${(session.cost || 0).toFixed(4)}`);
+        details.push(`${session.noteCount || 0} note(s)`);
+        if (session.missing) details.push('file missing');
+        const meta = document.createElement('div');
+        meta.className = 'library-session-meta';
+        meta.textContent = details.join(' · ');
+        info.appendChild(meta);
+
+        if (session.topics && session.topics.length > 0) {
+            const topics = document.createElement('div');
+            topics.className = 'library-session-topics';
+            topics.textContent = session.topics.join(' · ');
+            topics.title = session.topics.join('\n');
+            info.appendChild(topics);
+        }
+
+        (session.matches || []).forEach(match => {
+            const line = document.createElement('div');
+            line.className = 'library-match';
+            const source = document.createElement('span');
+            source.className = 'library-match-source';
+            source.textContent = match.source;
+            line.appendChild(source);
+            line.appendChild(document.createTextNode(match.snippet));
+            info.appendChild(line);
+        });
+
+        const actions = document.createElement('div');
+        actions.className = 'library-session-actions';
+
+        const isCurrent = session.transcriptFile === currentFile;
+        const openBtn = document.createElement('button');
+        openBtn.className = 'btn btn-small btn-primary';
+        openBtn.textContent = isCurrent ? 'Current' : 'Reopen';
+        openBtn.disabled = isCurrent || session.missing;
+        openBtn.addEventListener('click', () => this.openLibrarySession(session.transcriptFile));
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'btn btn-small btn-secondary';
+        removeBtn.textContent = 'Remove';
+        removeBtn.title = 'Remove from the library (files are kept)';
+        removeBtn.disabled = isCurrent;
+        removeBtn.addEventListener('click', () => this.removeLibrarySession(session.transcriptFile));
+
+        actions.appendChild(openBtn);
+        actions.appendChild(removeBtn);
+        element.appendChild(info);
+        element.appendChild(actions);
+        return element;
+    }
+
+    // range: { startWordIndex, endWordIndex } to select once the transcript has loaded
+    async openLibrarySession(transcriptFile, range = null) {
+        try {
+            // Save pending note edits before the notes file changes underneath the editor
+            clearTimeout(this.autoSaveTimeout);
+            if (this.notesLoaded) this.saveNotes();
+
+            // The reopened transcript replaces whatever is on screen; main sends it before replying
+            this.pendingWordJump = range;
+            this.resetTranscriptView();
+            const result = await window.electronAPI.openLibrarySession(transcriptFile);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            this.hideSessionLibrary();
+        } catch (error) {
+            this.pendingWordJump = null;
+            console.error('Error reopening session:', error);
+            alert(`Failed to reopen the meeting: ${error.message}`);
+        }
+    }
+
+    applyPendingWordJump() {
+        if (!this.pendingWordJump || this.wordCount === 0) return;
+        const { startWordIndex, endWordIndex } = this.pendingWordJump;
+        this.pendingWordJump = null;
+        this.highlightNoteRange(startWordIndex, Math.min(endWordIndex, this.wordCount - 1));
+    }
+
+    async askAcrossMeetings() {
+        const question = this.libraryQuestionInput.value.trim();
+        if (!question || this.libraryAskBtn.disabled) return;
+
+        this.libraryAskBtn.disabled = true;
+        this.libraryAnswer.classList.remove('hidden');
+        this.libraryAnswer.textContent = 'Searching past meetings...';
+        try {
+            const result = await window.electronAPI.askAcrossMeetings(question);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            this.renderLibraryAnswer(result.answer, result.citations);
+        } catch (error) {
+            console.error('Error asking across meetings:', error);
+            this.libraryAnswer.textContent = `Could not answer: ${error.message}`;
+        } finally {
+            this.libraryAskBtn.disabled = false;
+        }
+    }
+
+    // Answer text with its [n] citations as links, followed by the cited meetings
+    renderLibraryAnswer(answer, citations) {
+        const byNumber = new Map(citations.map(citation => [citation.number, citation]));
+        this.libraryAnswer.innerHTML = '';
+
+        const text = document.createElement('div');
+        text.className = 'library-answer-text';
+        answer.split(/(\[\d+(?:\s*,\s*\d+)*\])/).forEach(part => {
+            const numbers = part.match(/^\[([\d,\s]+)\]$/);
+            if (!numbers) {
+                text.appendChild(document.createTextNode(part));
+                return;
+            }
+            numbers[1].split(',').map(number => parseInt(number.trim())).forEach(number => {
+                const citation = byNumber.get(number);
+                if (!citation) {
+                    text.appendChild(document.createTextNode(`[${number}]`));
+                    return;
+                }
+                text.appendChild(this.createCitationLink(`[${number}]`, citation));
+            });
+        });
+        this.libraryAnswer.appendChild(text);
+
+        if (citations.length > 0) {
+            const sources = document.createElement('div');
+            sources.className = 'library-answer-sources';
+            citations.forEach(citation => {
+                const location = citation.startWordIndex !== null
+                    ? `${citation.source} words ${citation.startWordIndex}-${citation.endWordIndex}`
+                    : citation.label ? `${citation.source} "${citation.label}"` : citation.source;
+                const date = citation.date ? ` · ${new Date(citation.date).toLocaleDateString()}` : '';
+                const line = document.createElement('div');
+                line.appendChild(this.createCitationLink(`[${citation.number}] ${citation.title}${date} · ${location}`, citation));
+                sources.appendChild(line);
+            });
+            this.libraryAnswer.appendChild(sources);
+        }
+    }
+
+    createCitationLink(label, citation) {
+        const link = document.createElement('span');
+        link.className = 'citation-link';
+        link.textContent = label;
+        link.title = `Open ${citation.transcriptFile}`;
+        link.addEventListener('click', () => this.openCitation(citation));
+        return link;
+    }
+
+    // Cited passages open their meeting with the cited words selected
+    openCitation(citation) {
+        const range = citation.startWordIndex !== null
+            ? { startWordIndex: citation.startWordIndex, endWordIndex: citation.endWordIndex }
+            : null;
+
+        if (citation.transcriptFile === this.libraryCurrentFile) {
+            this.hideSessionLibrary();
+            if (range) {
+                this.pendingWordJump = range;
+                this.applyPendingWordJump();
+            }
+            return;
+        }
+        this.openLibrarySession(citation.transcriptFile, range);
+    }
+
+    // Action item and decision tracker
+    showActionItems() {
+        this.actionItemsModal.classList.remove('hidden');
+        this.loadActionItems();
+    }
+
+    hideActionItems() {
+        this.actionItemsModal.classList.add('hidden');
+    }
+
+    async loadActionItems() {
+        try {
+            const result = await window.electronAPI.getActionItems();
+            if (result.success) {
+                this.renderActionTracker(result.tracker);
+            }
+        } catch (error) {
+            console.error('Error loading action items:', error);
+        }
+    }
+
+    renderActionTracker(tracker) {
+        this.actionTracker = tracker;
+        const open = tracker.actionItems.filter(item => item.status !== 'done').length;
+        this.actionItemsBtn.textContent = open > 0 ? `Actions (${open})` : 'Actions';
+
+        // Don't rebuild the rows under an edit in progress; the edit's own save brings the next update
+        const editing = document.activeElement && document.activeElement.closest &&
+            document.activeElement.closest('.tracker-item');
+        if (this.actionItemsModal.classList.contains('hidden') || editing) return;
+
+        const done = tracker.actionItems.length - open;
+        const read = tracker.extractedThroughWord >= 0 ? `, checked through word ${tracker.extractedThroughWord + 1} of ${this.wordCount.toLocaleString()}` : ', transcript not checked yet';
+        this.actionItemsStatus.textContent = `${open} open, ${done} done, ${tracker.decisions.length} decision${tracker.decisions.length !== 1 ? 's' : ''}${read}`;
+
+        this.actionItemList.innerHTML = '';
+        tracker.actionItems.forEach(item => this.actionItemList.appendChild(this.createTrackerItemElement('actionItems', item)));
+        if (tracker.actionItems.length === 0) {
+            this.actionItemList.innerHTML = '<div class="tracker-empty">No action items yet</div>';
+        }
+
+        this.decisionList.innerHTML = '';
+        tracker.decisions.forEach(item => this.decisionList.appendChild(this.createTrackerItemElement('decisions', item)));
+        if (tracker.decisions.length === 0) {
+            this.decisionList.innerHTML = '<div class="tracker-empty">No decisions yet</div>';
+        }
+    }
+
+    createTrackerItemElement(kind, item) {
+        const element = document.createElement('div');
+        element.className = `tracker-item${item.status === 'done' ? ' done' : ''}`;
+
+        const field = (name, className, placeholder) => {
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = className;
+            input.value = item[name] || '';
+            input.placeholder = placeholder;
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') input.blur();
+            });
+            input.addEventListener('change', () => this.updateTrackerItem(kind, item.id, { [name]: input.value }));
+            return input;
+        };
+
+        if (kind === 'actionItems') {
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = item.status === 'done';
+            checkbox.title = 'Done';
+            checkbox.addEventListener('change', () => {
+                this.updateTrackerItem(kind, item.id, { status: checkbox.checked ? 'done' : 'open' });
+            });
+            element.append(checkbox, field('text', 'tracker-text', 'Action item'),
+                field('owner', 'tracker-owner', 'Owner'), field('dueDate', 'tracker-due', 'Due'));
+        } else {
+            element.appendChild(field('text', 'tracker-text', 'Decision'));
+        }
+
+        if (item.startWordIndex !== null && item.startWordIndex !== undefined) {
+            const link = document.createElement('span');
+            link.className = 'citation-link';
+            link.textContent = `words ${item.startWordIndex}-${item.endWordIndex}`;
+            link.title = 'Show where this came up in the transcript';
+            link.addEventListener('click', () => {
+                this.hideActionItems();
+                this.highlightNoteRange(item.startWordIndex, item.endWordIndex);
+            });
+            element.appendChild(link);
+        }
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'btn btn-small btn-danger';
+        removeBtn.textContent = '×';
+        removeBtn.title = 'Remove';
+        removeBtn.addEventListener('click', () => this.removeTrackerItem(kind, item.id));
+        element.appendChild(removeBtn);
+
+        return element;
+    }
+
+    // The main process pushes the saved tracker after every change; errors are all that's left here
+    async updateTrackerItem(kind, itemId, changes) {
+        const result = await window.electronAPI.updateActionItem(kind, itemId, changes);
+        if (!result.success) {
+            alert(`Failed to update the item: ${result.error}`);
+        }
+        this.renderActionTracker(result.success ? result.tracker : this.actionTracker);
+    }
+
+    async removeTrackerItem(kind, itemId) {
+        const result = await window.electronAPI.removeActionItem(kind, itemId);
+        if (!result.success) {
+            alert(`Failed to remove the item: ${result.error}`);
+        }
+    }
+
+    // New items point at the transcript selection when there is one
+    async addTrackerItem(kind, input) {
+        const text = input.value.trim();
+        if (!text) return;
+
+        const hasSelection = this.selectedRange.start !== null && this.selectedRange.end !== null;
+        const result = await window.electronAPI.addActionItem(kind, {
+            text,
+            startWordIndex: hasSelection ? Math.min(this.selectedRange.start, this.selectedRange.end) : null,
+            endWordIndex: hasSelection ? Math.max(this.selectedRange.start, this.selectedRange.end) : null
+        });
+        if (result.success) {
+            input.value = '';
+        } else {
+            alert(`Failed to add the item: ${result.error}`);
+        }
+    }
+
+    async extractActionItems() {
+        this.extractActionItemsBtn.disabled = true;
+        this.actionItemsStatus.textContent = 'Reading the transcript for action items and decisions...';
+        try {
+            const result = await window.electronAPI.extractActionItems();
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            this.renderActionTracker(result.tracker);
+            this.actionItemsStatus.textContent = `Found ${result.added.actionItems.length} new action item(s) and ${result.added.decisions.length} new decision(s). ${this.actionItemsStatus.textContent}`;
+        } catch (error) {
+            console.error('Error extracting action items:', error);
+            this.actionItemsStatus.textContent = `Could not read the transcript: ${error.message}`;
+        } finally {
+            this.extractActionItemsBtn.disabled = false;
+        }
+    }
+
+    async exportActionItems() {
+        const result = await window.electronAPI.exportActionItems();
+        if (result.success) {
+            this.actionItemsStatus.textContent = `Exported to ${result.filePath}`;
+        } else if (!result.canceled) {
+            alert(`Failed to export action items: ${result.error}`);
+        }
+    }
+
+    // Summary panel: the rendered _summary.md, replaced by the streamed text while an update runs.
+    // Edit switches to the Markdown text; instructions are previewed as a diff before they apply.
+    toggleSummaryPanel(show = this.summaryStream.style.display === 'none') {
+        this.summaryStream.style.display = show ? '' : 'none';
+        this.summaryPanelBtn.classList.toggle('active', show);
+        if (show) {
+            this.loadSummary();
+        } else {
+            this.cancelSummaryEdit();
+            this.discardSummaryPreview();
+        }
+    }
+
+    async loadSummary() {
+        if (!window.electronAPI || this.isStreaming('summary')) return;
+
+        try {
+            const result = await window.electronAPI.getSummary();
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            this.summaryStreamContent.classList.add('rendered');
+            this.summaryStreamContent.innerHTML = result.summary
+                ? result.html
+                : '<div class="summary-placeholder">No summary yet. Click Summarize to create one from the transcript.</div>';
+        } catch (error) {
+            console.error('Error loading summary:', error);
+        }
+    }
+
+    setSummaryEditing(editing) {
+        this.editingSummary = editing;
+        this.summaryEditor.style.display = editing ? '' : 'none';
+        this.summaryEditActions.style.display = editing ? '' : 'none';
+        this.summaryStreamContent.style.display = editing ? 'none' : '';
+        this.editSummaryBtn.disabled = editing || this.isStreaming('summary');
+    }
+
+    async startSummaryEdit() {
+        const result = await window.electronAPI.getSummary();
+        if (!result.success) {
+            alert(`Failed to load the summary: ${result.error}`);
+            return;
+        }
+
+        this.discardSummaryPreview();
+        this.summaryEditor.value = result.summary;
+        this.setSummaryEditing(true);
+        this.summaryEditor.focus();
+    }
+
+    cancelSummaryEdit() {
+        if (this.editingSummary) {
+            this.setSummaryEditing(false);
+        }
+    }
+
+    // The main process pushes the saved summary, which redraws the panel
+    async saveSummaryEdit() {
+        this.saveSummaryEditBtn.disabled = true;
+        try {
+            const result = await window.electronAPI.saveSummary(this.summaryEditor.value);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            this.setSummaryEditing(false);
+        } catch (error) {
+            console.error('Error saving summary:', error);
+            alert(`Failed to save the summary: ${error.message}`);
+        } finally {
+            this.saveSummaryEditBtn.disabled = false;
+        }
+    }
+
+    async previewSummaryInstruction() {
+        const instruction = this.summaryInstructionInput.value.trim();
+        if (!instruction) return;
+
+        this.cancelSummaryEdit();
+        this.summaryPreview.style.display = '';
+        this.summaryPreviewDiff.innerHTML = '';
+        this.summaryPreviewStatus.textContent = `Applying "${instruction}"...`;
+        this.acceptSummaryPreviewBtn.disabled = true;
+        this.previewSummaryInstructionBtn.disabled = true;
+
+        try {
+            const result = await window.electronAPI.previewSummaryInstruction(instruction);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            const changes = result.diff.filter(entry => entry.type !== 'same').length;
+            this.summaryPreviewStatus.textContent = changes > 0
+                ? `Preview of "${instruction}": struck-through lines are removed, highlighted lines added.`
+                : `"${instruction}" left the summary unchanged.`;
+            this.renderDiff(this.summaryPreviewDiff, result.diff);
+            this.acceptSummaryPreviewBtn.disabled = changes === 0;
+        } catch (error) {
+            console.error('Error previewing summary instruction:', error);
+            this.summaryPreviewStatus.textContent = `Could not apply the instruction: ${error.message}`;
+        } finally {
+            this.previewSummaryInstructionBtn.disabled = false;
+        }
+    }
+
+    async acceptSummaryPreview() {
+        this.acceptSummaryPreviewBtn.disabled = true;
+        try {
+            const result = await window.electronAPI.applySummaryPreview();
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            this.summaryPreview.style.display = 'none';
+            this.summaryInstructionInput.value = '';
+        } catch (error) {
+            console.error('Error applying summary instruction:', error);
+            this.summaryPreviewStatus.textContent = `Could not apply the instruction: ${error.message}`;
+        }
+    }
+
+    discardSummaryPreview() {
+        if (this.summaryPreview.style.display === 'none') return;
+        this.summaryPreview.style.display = 'none';
+        window.electronAPI.discardSummaryPreview();
+    }
+
+    // Summary history: any two revisions compared line by line; a revision or one of its sections
+    // can be restored. The main process pushes the restored summary, which reloads the history.
+    showSummaryHistory() {
+        this.summaryHistoryModal.classList.remove('hidden');
+        this.loadSummaryHistory();
+    }
+
+    hideSummaryHistory() {
+        this.summaryHistoryModal.classList.add('hidden');
+    }
+
+    async loadSummaryHistory() {
+        try {
+            const result = await window.electronAPI.getSummaryHistory();
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            await this.renderSummaryHistory(result.revisions);
+        } catch (error) {
+            console.error('Error loading summary history:', error);
+            this.summaryHistoryStatus.textContent = `Could not load the summary history: ${error.message}`;
+        }
+    }
+
+    // The chosen revision is kept across reloads; it is compared with the latest one by default
+    async renderSummaryHistory(revisions) {
+        const numbers = revisions.map(revision => revision.number);
+        const latest = numbers.length > 0 ? numbers[numbers.length - 1] : null;
+        const chosen = parseInt(this.historyFromSelect.value);
+        const from = numbers.includes(chosen) ? chosen : numbers.length > 1 ? numbers[numbers.length - 2] : latest;
+
+        [this.historyFromSelect, this.historyToSelect].forEach(select => {
+            select.innerHTML = '';
+            revisions.slice().reverse().forEach(revision => {
+                const option = document.createElement('option');
+                option.value = revision.number;
+                option.textContent = `${revision.number}. ${new Date(revision.createdAt).toLocaleString()} - ${revision.description} (${revision.words} words)`;
+                select.appendChild(option);
+            });
+        });
+
+        if (revisions.length === 0) {
+            this.summaryHistoryStatus.textContent = 'No summary yet. Every version of the summary is kept here once there is one.';
+            this.summaryDiff.innerHTML = '';
+            this.historySectionList.innerHTML = '';
+            this.rollbackSummaryBtn.disabled = true;
+            return;
+        }
+
+        this.historyFromSelect.value = from;
+        this.historyToSelect.value = latest;
+        await this.showSummaryRevision();
+    }
+
+    async showSummaryRevision() {
+        const from = parseInt(this.historyFromSelect.value);
+        const to = parseInt(this.historyToSelect.value);
+        if (isNaN(from) || isNaN(to)) return;
+
+        try {
+            const [diffResult, revisionResult] = await Promise.all([
+                window.electronAPI.diffSummaryRevisions(from, to),
+                window.electronAPI.getSummaryRevision(from)
+            ]);
+            if (!diffResult.success || !revisionResult.success) {
+                throw new Error(diffResult.error || revisionResult.error);
+            }
+
+            const changes = diffResult.diff.filter(entry => entry.type !== 'same').length;
+            this.summaryHistoryStatus.textContent = changes > 0
+                ? `Struck-through lines are only in revision ${from}, highlighted lines only in revision ${to}.`
+                : `Revisions ${from} and ${to} are the same.`;
+            this.renderDiff(this.summaryDiff, diffResult.diff);
+
+            this.historySectionList.innerHTML = '';
+            revisionResult.revision.sections.forEach((title, index) => {
+                const element = document.createElement('div');
+                element.className = 'tracker-item';
+
+                const titleElement = document.createElement('span');
+                titleElement.className = 'history-section-title';
+                titleElement.textContent = title;
+
+                const restoreBtn = document.createElement('button');
+                restoreBtn.className = 'btn btn-small';
+                restoreBtn.textContent = 'Restore Section';
+                restoreBtn.title = 'Put this section into the current summary, replacing the section with the same heading';
+                restoreBtn.addEventListener('click', () => this.cherryPickSummarySection(from, index));
+
+                element.append(titleElement, restoreBtn);
+                this.historySectionList.appendChild(element);
+            });
+
+            this.rollbackSummaryBtn.textContent = `Restore Revision ${from}`;
+            this.rollbackSummaryBtn.disabled = false;
+        } catch (error) {
+            console.error('Error showing summary revision:', error);
+            this.summaryHistoryStatus.textContent = `Could not compare the revisions: ${error.message}`;
+        }
+    }
+
+    async rollbackSummary() {
+        const result = await window.electronAPI.rollbackSummary(parseInt(this.historyFromSelect.value));
+        if (!result.success) {
+            alert(`Failed to restore the summary: ${result.error}`);
+        }
+    }
+
+    async cherryPickSummarySection(number, sectionIndex) {
+        const result = await window.electronAPI.cherryPickSummarySection(number, sectionIndex);
+        if (!result.success) {
+            alert(`Failed to restore the section: ${result.error}`);
+        }
+    }
+
+    // Voice commands: sentences starting with the trigger phrase are cut from the transcript and run
+    // by the main process. The status bar counts them; the log shows what each one did.
+    showVoiceCommands() {
+        this.voiceCommandsModal.classList.remove('hidden');
+        this.loadVoiceCommands();
+    }
+
+    hideVoiceCommands() {
+        this.voiceCommandsModal.classList.add('hidden');
+    }
+
+    async loadVoiceCommands() {
+        try {
+            const result = await window.electronAPI.getVoiceCommands();
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            this.voiceCommands = result.commands;
+            this.voiceCommandSettings = result.settings;
+            this.renderVoiceCommands();
+        } catch (error) {
+            console.error('Error loading voice commands:', error);
+            this.voiceCommandsHint.textContent = `Could not load the voice commands: ${error.message}`;
+        }
+    }
+
+    handleVoiceCommand(entry) {
+        this.voiceCommands = [...(this.voiceCommands || []), entry];
+        this.renderVoiceCommands();
+
+        const outcome = entry.status === 'done' ? entry.result : `Failed: ${entry.error}`;
+        this.voiceCommandsStatus.title = `Last: ${entry.description} - ${outcome}`;
+    }
+
+    renderVoiceCommands() {
+        const commands = this.voiceCommands || [];
+        const failed = commands.filter(entry => entry.status === 'failed').length;
+        this.voiceCommandsStatus.textContent = `Voice: ${commands.length}${failed > 0 ? ` (${failed} failed)` : ''}`;
+        this.voiceCommandsStatus.className = failed > 0 ? 'voice-commands-status failed' : 'voice-commands-status';
+        if (this.voiceCommandsModal.classList.contains('hidden')) return;
+
+        const settings = this.voiceCommandSettings;
+        this.voiceCommandsHint.textContent = settings
+            ? `Say "${settings.trigger}, ..." at the start of a sentence${settings.speaker ? ` as ${settings.speaker}` : ''}: "${settings.phrases.note[0]} ...", "${settings.phrases.decision[0]}", "${settings.phrases.actionItem[0]} ...", "${settings.phrases.newTopic[0]} ..." or an instruction for the summary.`
+            : 'Voice commands are turned off in Settings.';
+
+        this.voiceCommandList.innerHTML = '';
+        if (commands.length === 0) {
+            this.voiceCommandList.innerHTML = '<div class="tracker-empty">No voice commands yet</div>';
+            return;
+        }
+
+        // Newest first
+        commands.slice().reverse().forEach(entry => {
+            const element = document.createElement('div');
+            element.className = `tracker-item${entry.status === 'failed' ? ' failed' : ''}`;
+
+            const time = document.createElement('span');
+            time.className = 'voice-command-time';
+            time.textContent = entry.timestamp || new Date(entry.recognizedAt).toLocaleTimeString('en-GB', { hour12: false });
+
+            const text = document.createElement('div');
+            text.className = 'voice-command-text';
+            text.textContent = `${entry.speaker ? `${entry.speaker}: ` : ''}${entry.description}`;
+            text.title = entry.text;
+
+            const result = document.createElement('div');
+            result.className = 'voice-command-result';
+            result.textContent = entry.status === 'done' ? entry.result : `Failed: ${entry.error}`;
+            text.appendChild(result);
+
+            element.append(time, text);
+            this.voiceCommandList.appendChild(element);
+        });
+    }
+
+    // Chat panel: questions about the open meeting, answered with clickable [words a-b] citations
+    toggleChatPanel(show = this.chatPanel.classList.contains('hidden')) {
+        this.chatPanel.classList.toggle('hidden', !show);
+        this.chatPanel.parentElement.classList.toggle('chat-open', show);
+        this.chatBtn.classList.toggle('active', show);
+        if (show) {
+            this.updateChatContext();
+            this.chatInput.focus();
+        }
+    }
+
+    // Words the question is about: the chosen scope, or Auto's Selection > IN/OUT markers > transcript
+    getChatScope() {
+        const hasSelection = this.selectedRange.start !== null && this.selectedRange.end !== null;
+        const hasMarkers = this.contextMarkers.in !== null || this.contextMarkers.out !== null;
+        let scope = this.chatScopeSelect.value;
+        if (scope === 'auto') {
+            scope = hasSelection ? 'selection' : hasMarkers ? 'markers' : 'transcript';
+        }
+
+        if (scope === 'selection') {
+            if (!hasSelection) return { scope, error: 'Select some transcript words first' };
+            return {
+                scope,
+                startWordIndex: Math.min(this.selectedRange.start, this.selectedRange.end),
+                endWordIndex: Math.max(this.selectedRange.start, this.selectedRange.end)
+            };
+        }
+        if (scope === 'markers') {
+            if (!hasMarkers) return { scope, error: 'Set an IN or OUT marker first (I / O)' };
+            const start = this.contextMarkers.in !== null ? this.contextMarkers.in : 0;
+            const end = this.contextMarkers.out !== null ? this.contextMarkers.out : this.wordCount - 1;
+            return { scope, startWordIndex: Math.min(start, end), endWordIndex: Math.max(start, end) };
+        }
+        // The whole transcript still honours the word limit from Settings
+        return { scope: 'transcript', startWordIndex: null, endWordIndex: null };
+    }
+
+    updateChatContext() {
+        if (!this.chatContext || this.chatPanel.classList.contains('hidden')) return;
+
+        const context = this.getChatScope();
+        let text;
+        if (context.error) {
+            text = context.error;
+        } else if (context.startWordIndex !== null) {
+            text = `Words ${context.startWordIndex}-${context.endWordIndex}`;
+        } else if (this.settings.wordLimit > 0 && this.wordCount > this.settings.wordLimit) {
+            text = `Last ${this.settings.wordLimit} words`;
+        } else {
+            text = `All ${this.wordCount.toLocaleString()} words`;
+        }
+
+        const screenshots = this.selectedScreenshots.size;
+        if (screenshots > 0) {
+            text += ` + ${screenshots} screenshot${screenshots !== 1 ? 's' : ''}`;
+        }
+        this.chatContext.textContent = text;
+        this.chatContext.title = context.error ? '' : 'Sent with the question';
+    }
+
+    async loadChatHistory() {
+        try {
+            const result = await window.electronAPI.getChatHistory();
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            this.chatMessages.innerHTML = '';
+            if (result.turns.length === 0) {
+                this.showChatPlaceholder();
+                return;
+            }
+            result.turns.forEach(turn => this.addChatTurn(turn));
+        } catch (error) {
+            console.error('Error loading chat history:', error);
+        }
+    }
+
+    showChatPlaceholder() {
+        this.chatMessages.innerHTML = '<div class="chat-placeholder">Ask about decisions, owners or anything said in the meeting. Follow-up questions see the earlier answers.</div>';
+    }
+
+    async askQuestion() {
+        const question = this.chatInput.value.trim();
+        if (!question || this.chatAskBtn.disabled) return;
+
+        const context = this.getChatScope();
+        if (context.error) {
+            alert(context.error);
+            return;
+        }
+
+        const placeholder = this.chatMessages.querySelector('.chat-placeholder');
+        if (placeholder) placeholder.remove();
+
+        const questionElement = this.createChatQuestionElement(question, null);
+        const pending = document.createElement('div');
+        pending.className = 'chat-answer pending';
+        pending.textContent = 'Thinking...';
+        this.chatMessages.append(questionElement, pending);
+        this.chatMessages.scrollTop = this.chatMessages.scrollHeight;
+
+        this.chatInput.value = '';
+        this.chatAskBtn.disabled = true;
+        try {
+            const result = await window.electronAPI.askQuestion({
+                question,
+                sessionContext: this.sessionTopicInput.value.trim(),
+                selectedScreenshots: Array.from(this.selectedScreenshots),
+                startWordIndex: context.startWordIndex,
+                endWordIndex: context.endWordIndex,
+                scope: context.scope
+            });
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            questionElement.remove();
+            pending.remove();
+            this.addChatTurn(result.turn);
+        } catch (error) {
+            console.error('Error answering question:', error);
+            pending.className = 'chat-answer error';
+            pending.textContent = `Could not answer: ${error.message}`;
+            // Keep the question so it can be edited and asked again
+            this.chatInput.value = question;
+        } finally {
+            this.chatAskBtn.disabled = false;
+        }
+    }
+
+    createChatQuestionElement(question, turn) {
+        const element = document.createElement('div');
+        element.className = 'chat-question';
+        element.textContent = question;
+        if (turn) {
+            const scopes = { selection: 'selection', markers: 'IN/OUT', limit: 'word limit', transcript: 'transcript' };
+            const screenshots = turn.screenshots.length > 0 ? `, ${turn.screenshots.length} screenshot(s)` : '';
+            element.title = `Asked about the ${scopes[turn.scope] || turn.scope} (words ${turn.startWordIndex}-${turn.endWordIndex}${screenshots})`;
+        }
+        return element;
+    }
+
+    addChatTurn(turn) {
+        const answer = document.createElement('div');
+        answer.className = 'chat-answer';
+
+        // [words a-b] citations become links that select those words in the transcript
+        turn.answer.split(/(\[words?\s+\d+(?:\s*[-–]\s*\d+)?\])/i).forEach(part => {
+            const match = part.match(/^\[words?\s+(\d+)(?:\s*[-–]\s*(\d+))?\]$/i);
+            if (!match) {
+                answer.appendChild(document.createTextNode(part));
+                return;
+            }
+            const first = parseInt(match[1]);
+            const last = match[2] !== undefined ? parseInt(match[2]) : first;
+            const link = document.createElement('span');
+            link.className = 'citation-link';
+            link.textContent = part;
+            link.title = 'Show these words in the transcript';
+            link.addEventListener('click', () => this.highlightNoteRange(Math.min(first, last), Math.max(first, last)));
+            answer.appendChild(link);
+        });
+
+        const meta = document.createElement('div');
+        meta.className = 'chat-turn-meta';
+        const asked = document.createElement('span');
+        asked.textContent = new Date(turn.askedAt).toLocaleTimeString();
+        const saveBtn = document.createElement('button');
+        saveBtn.className = 'btn btn-small';
+        saveBtn.textContent = turn.savedToNotes ? 'Saved to Notes' : 'Save to Notes';
+        saveBtn.disabled = turn.savedToNotes;
+        saveBtn.addEventListener('click', () => this.saveChatToNotes(turn.id, saveBtn));
+        meta.append(asked, saveBtn);
+        answer.appendChild(meta);
+
+        this.chatMessages.append(this.createChatQuestionElement(turn.question, turn), answer);
+        this.chatMessages.scrollTop = this.chatMessages.scrollHeight;
+    }
+
+    async saveChatToNotes(turnId, button) {
+        button.disabled = true;
+        const result = await window.electronAPI.saveChatToNotes(turnId);
+        if (result.success) {
+            button.textContent = 'Saved to Notes';
+        } else {
+            button.disabled = false;
+            alert(`Failed to save the answer: ${result.error}`);
+        }
+    }
+
+    async clearChatHistory() {
+        if (!confirm('Start a new conversation? Earlier questions and answers will be forgotten.')) return;
+
+        const result = await window.electronAPI.clearChatHistory();
+        if (result.success) {
+            this.showChatPlaceholder();
+        } else {
+            alert(`Failed to clear the conversation: ${result.error}`);
+        }
+    }
+
+    async removeLibrarySession(transcriptFile) {
+        const result = await window.electronAPI.removeLibrarySession(transcriptFile);
+        if (result.success) {
+            this.loadSessionLibrary();
+        } else {
+            alert(`Failed to remove the meeting: ${result.error}`);
+        }
+    }
+
+    // Recording playback: live recordings carry Whisper word timings on their lines, recorded
+    // transcripts carry them in segment metadata (wordTimes)
+    getPlaybackSource() {
+        if (this.isRecording) return null;
+        if (this.lastRecordingSession && this.transcriptLines.some(line => line.recordingSession === this.lastRecordingSession)) {
+            return this.lastRecordingSession;
+        }
+        if (this.transcriptMetadata && this.transcriptMetadata.audioFile) {
+            return 'transcript';
+        }
+        return null;
+    }
+
+    updatePlayerAvailability() {
+        const source = this.getPlaybackSource();
+        this.audioPlayer.style.display = source ? 'flex' : 'none';
+        this.wordTimeLookup = null; // rebuilt on next use
+
+        if (source !== this.playbackSource) {
+            this.playbackAudio.pause();
+            this.playbackSource = null;
+        }
+    }
+
+    async ensurePlaybackAudio() {
+        const source = this.getPlaybackSource();
+        if (!source || !window.electronAPI) return false;
+        if (this.playbackSource === source) return true;
+
+        const audio = source === 'transcript'
+            ? await window.electronAPI.readTranscriptAudio()
+            : await window.electronAPI.readRecordingAudio(source);
+        if (!audio.success) {
+            console.error('❌ Could not load recording for playback:', audio.error);
+            return false;
+        }
+
+        if (this.playbackUrl) {
+            URL.revokeObjectURL(this.playbackUrl);
         }
+        this.playbackUrl = URL.createObjectURL(new Blob([audio.data]));
+        this.playbackAudio.src = this.playbackUrl;
+        this.playbackSource = source;
+        this.wordTimeLookup = null;
+        return true;
     }
 
-    async stopRecording() {
-        try {
-            if (this.mediaRecorder && this.mediaRecorder.state !== 'inactive') {
-                this.mediaRecorder.stop();
-            }
-            
-            if (this.audioStream) {
-                this.audioStream.getTracks().forEach(track => track.stop());
-                this.audioStream = null;
-            }
-            
-            if (this.currentSession && window.electronAPI) {
-                const result = await window.electronAPI.stopAudioRecording();
-                if (result.success) {
-                    console.log('Recording session stopped:', result.sessionData);
-                }
+    buildWordTimeLookup() {
+        const lookup = new Map();
+
+        if (this.playbackSource === 'transcript') {
+            ((this.transcriptMetadata && this.transcriptMetadata.segments) || []).forEach(segment => {
+                (segment.wordTimes || []).forEach((time, offset) => {
+                    if (time) lookup.set(segment.startWordIndex + offset, time);
+                });
+            });
+        } else {
+            this.transcriptLines
+                .filter(line => line.recordingSession === this.playbackSource)
+                .forEach(line => {
+                    (line.words || []).forEach((word, offset) => {
+                        lookup.set(line.wordIndex + offset, [word.start, word.end]);
+                    });
+                });
+        }
+
+        this.wordTimeLookup = lookup;
+        this.playbackWordTimes = Array.from(lookup.entries())
+            .map(([wordIndex, [start, end]]) => ({ wordIndex, start, end }))
+            .sort((a, b) => a.start - b.start || a.wordIndex - b.wordIndex);
+    }
+
+    // Audio span of a word range, using the nearest timed words inside the range
+    getRangeTimes(startWord, endWord) {
+        if (!this.wordTimeLookup) this.buildWordTimeLookup();
+
+        let start = null;
+        let end = null;
+        for (let i = startWord; i <= endWord && start === null; i++) {
+            if (this.wordTimeLookup.has(i)) start = this.wordTimeLookup.get(i)[0];
+        }
+        for (let i = endWord; i >= startWord && end === null; i--) {
+            if (this.wordTimeLookup.has(i)) end = this.wordTimeLookup.get(i)[1];
+        }
+        return start !== null ? { start, end } : null;
+    }
+
+    async playFromWord(wordIndex) {
+        if (!await this.ensurePlaybackAudio()) return;
+
+        // Words without timings (e.g. speaker names) play from the next timed word
+        const times = this.getRangeTimes(wordIndex, wordIndex + 50);
+        if (!times) {
+            console.log('No audio position for word', wordIndex);
+            return;
+        }
+
+        this.playbackStopAt = null;
+        this.playbackAudio.currentTime = times.start;
+        this.playbackAudio.play().catch(error => console.error('Playback failed:', error));
+    }
+
+    async playWordRange(startWord, endWord) {
+        if (!await this.ensurePlaybackAudio()) return;
+
+        const times = this.getRangeTimes(startWord, endWord);
+        if (!times) {
+            console.log(`No audio for words ${startWord}-${endWord}`);
+            return;
+        }
+
+        console.log(`▶️ Playing words ${startWord}-${endWord} (${times.start.toFixed(1)}s - ${times.end.toFixed(1)}s)`);
+        this.playbackAudio.currentTime = times.start;
+        this.playbackStopAt = times.end;
+        this.playbackAudio.play().catch(error => console.error('Playback failed:', error));
+    }
+
+    playInOutRange() {
+        const { in: inWord, out: outWord } = this.contextMarkers;
+        if (inWord === null && outWord === null) {
+            console.log('No IN/OUT markers set. Click a word and press I or O first.');
+            return;
+        }
+
+        const startWord = inWord !== null && outWord !== null ? Math.min(inWord, outWord) : (inWord !== null ? inWord : 0);
+        const endWord = inWord !== null && outWord !== null ? Math.max(inWord, outWord) : (outWord !== null ? outWord : this.wordCount - 1);
+        this.playWordRange(startWord, endWord);
+    }
+
+    async togglePlayback() {
+        if (!this.playbackAudio.paused) {
+            this.playbackAudio.pause();
+            return;
+        }
+        if (!await this.ensurePlaybackAudio()) return;
+        this.playbackAudio.play().catch(error => console.error('Playback failed:', error));
+    }
+
+    playbackFrame() {
+        if (this.playbackAudio.paused) return;
+        this.updatePlaybackPosition();
+        requestAnimationFrame(() => this.playbackFrame());
+    }
+
+    updatePlaybackPosition() {
+        const time = this.playbackAudio.currentTime;
+        if (this.playbackStopAt !== null && time >= this.playbackStopAt) {
+            this.playbackStopAt = null;
+            this.playbackAudio.pause();
+        }
+
+        // MediaRecorder webm files often report an infinite duration; fall back to the last timed word
+        if (!this.wordTimeLookup) this.buildWordTimeLookup();
+        const lastWord = this.playbackWordTimes[this.playbackWordTimes.length - 1];
+        const duration = isFinite(this.playbackAudio.duration) ? this.playbackAudio.duration : (lastWord ? lastWord.end : 0);
+
+        this.playbackSeek.max = duration;
+        this.playbackSeek.value = time;
+        this.playbackTime.textContent = `${this.formatPlaybackTime(time)} / ${this.formatPlaybackTime(duration)}`;
+        this.highlightPlayingWord(this.playbackAudio.paused ? null : time);
+    }
+
+    // Karaoke-style highlight of the word being spoken
+    highlightPlayingWord(time) {
+        let wordIndex = null;
+        if (time !== null) {
+            let low = 0;
+            let high = this.playbackWordTimes.length - 1;
+            while (low <= high) {
+                const middle = (low + high) >> 1;
+                if (this.playbackWordTimes[middle].start <= time) low = middle + 1;
+                else high = middle - 1;
             }
-            
-            this.isRecording = false;
-            this.mediaRecorder = null;
-            this.currentSession = null;
-            
-            // Stop all transcription methods
-            this.stopTranscription();
-            
-            // Cleanup direct audio capture
-            this.cleanupDirectAudioCapture();
-            
-            // Update UI
-            this.recordBtn.textContent = '● Record';
-            this.updateRecordingStatus();
-            
-            console.log('Audio recording stopped');
-            
-        } catch (error) {
-            console.error('Error stopping recording:', error);
+            const current = this.playbackWordTimes[high];
+            if (current && time <= current.end + 0.5) wordIndex = current.wordIndex;
+        }
+
+        if (wordIndex === this.playingWordIndex) return;
+
+        const previous = this.transcriptContent.querySelector('.word.playing');
+        if (previous) previous.classList.remove('playing');
+
+        this.playingWordIndex = wordIndex;
+        if (wordIndex === null) return;
+
+        const wordElement = this.transcriptContent.querySelector(`.word[data-word-index="${wordIndex}"]`);
+        if (wordElement) {
+            wordElement.classList.add('playing');
+            wordElement.scrollIntoView({ block: 'nearest' });
         }
     }
 
+    formatPlaybackTime(seconds) {
+        const total = Math.floor(seconds || 0);
+        const minutes = Math.floor(total / 60);
+        return `${minutes}:${(total % 60).toString().padStart(2, '0')}`;
+    }
+
     getAudioConstraints() {
         const audioSources = (this.settings.audio && this.settings.audio.audioSources) || ['microphone'];
         const quality = (this.settings.audio && this.settings.audio.audioQuality) || 'standard';
@@ -1710,22 +3499,15 @@ class RendererApp {
         }
     }
 
-    // Initialize session start time based on existing segments
+    // Initialize session start time based on existing segments (metadata migrations give every
+    // segment a sessionTime, including legacy ones that only had an absolute timestamp)
     initializeSessionTime(metadata) {
         if (metadata && metadata.segments && metadata.segments.length > 0) {
-            // Check if segments have the new sessionTime format or old timestamp format
-            const hasSessionTime = metadata.segments.some(segment => segment.sessionTime !== undefined);
-            
-            if (hasSessionTime) {
-                // Find the latest sessionTime to determine current session position
-                const latestSessionTime = Math.max(...metadata.segments.map(s => s.sessionTime || 0));
-                // Set sessionStartTime so that current time minus sessionStartTime equals latestSessionTime
-                this.sessionStartTime = Date.now() - latestSessionTime;
-                console.log(`Resuming session from ${latestSessionTime}ms (${Math.floor(latestSessionTime/1000)}s)`);
-            } else {
-                // Legacy segments with absolute timestamps - convert them to session time
-                this.convertLegacyTimestamps(metadata);
-            }
+            // Find the latest sessionTime to determine current session position
+            const latestSessionTime = Math.max(...metadata.segments.map(s => s.sessionTime || 0));
+            // Set sessionStartTime so that current time minus sessionStartTime equals latestSessionTime
+            this.sessionStartTime = Date.now() - latestSessionTime;
+            console.log(`Resuming session from ${latestSessionTime}ms (${Math.floor(latestSessionTime/1000)}s)`);
         }
         // If no segments exist, sessionStartTime remains as initialized in constructor (Date.now())
         
@@ -1735,30 +3517,6 @@ class RendererApp {
         }
     }
 
-    // Convert legacy absolute timestamps to session time format
-    convertLegacyTimestamps(metadata) {
-        if (!metadata.segments || metadata.segments.length === 0) return;
-        
-        // Find the earliest absolute timestamp to use as session start reference
-        const earliestTimestamp = Math.min(...metadata.segments.map(s => {
-            return s.timestamp ? new Date(s.timestamp).getTime() : Date.now();
-        }));
-        
-        // Convert all segments to use sessionTime relative to earliest timestamp
-        metadata.segments.forEach(segment => {
-            if (segment.timestamp && !segment.sessionTime) {
-                const absoluteTime = new Date(segment.timestamp).getTime();
-                segment.sessionTime = absoluteTime - earliestTimestamp;
-                // Keep the original timestamp for compatibility if needed
-                // delete segment.timestamp; // Uncomment if you want to remove legacy format
-            }
-        });
-        
-        // Set session start time based on the earliest timestamp
-        this.sessionStartTime = earliestTimestamp;
-        console.log(`Converted ${metadata.segments.length} legacy segments to session time format`);
-    }
-
     // Transcript handling
     handleTranscriptUpdate(data) {
         const { lines, wordCount, currentPosition, metadata } = data;
@@ -1783,6 +3541,8 @@ class RendererApp {
                 this.updateContextMarkersDisplay();
                 this.updateContextHighlighting();
                 this.renderSegmentMarkers();
+                this.updatePlayerAvailability();
+                this.applyPendingWordJump();
                 return;
             }
             
@@ -1840,6 +3600,8 @@ class RendererApp {
         this.updateContextMarkersDisplay();
         this.updateContextHighlighting();
         this.renderSegmentMarkers();
+        this.updatePlayerAvailability();
+        this.applyPendingWordJump();
     }
 
     addTranscriptLine(line, animate = false) {
@@ -1884,6 +3646,14 @@ class RendererApp {
         
         lineElement.innerHTML = lineHTML;
         lineElement.appendChild(contentSpan);
+        
+        // Lines rebuilt from segments can be dragged onto another topic by their timestamp
+        const timestampElement = lineElement.querySelector('.transcript-timestamp');
+        if (line.segmentId && timestampElement) {
+            lineElement.dataset.segmentId = line.segmentId;
+            timestampElement.draggable = true;
+            timestampElement.title = 'Drag onto a topic to move this segment';
+        }
 
         this.transcriptContent.appendChild(lineElement);
         
@@ -2226,6 +3996,9 @@ class RendererApp {
     }
 
     startTranscriptSelection(e, wordIndex) {
+        // Right-click opens the topic menu and keeps the current selection
+        if (e.button !== 0) return;
+        
         e.preventDefault();
         e.stopPropagation();
         
@@ -2240,6 +4013,11 @@ class RendererApp {
             this.selectedRange.active = false;
             document.removeEventListener('mouseup', handleMouseUp);
             
+            // A plain click on a word plays the recording from that word
+            if (this.selectedRange.start === this.selectedRange.end && this.getPlaybackSource()) {
+                this.playFromWord(this.selectedRange.start);
+            }
+            
             if (this.selectedRange.start !== null && this.selectedRange.end !== null) {
                 // Convert word indices to percentages and update timeline
                 const startPercent = (Math.min(this.selectedRange.start, this.selectedRange.end) / this.wordCount) * 100;
@@ -2427,6 +4205,7 @@ class RendererApp {
     }
 
     updateContextLimitHighlighting() {
+        this.updateChatContext();
         // Clear existing context limit highlighting
         document.querySelectorAll('.word').forEach(el => {
             el.classList.remove('context-limit', 'context-limit-end');
@@ -2560,7 +4339,13 @@ class RendererApp {
 
         // Send note generation request to main process
         if (window.electronAPI) {
-            window.electronAPI.generateNote(noteData);
+            window.electronAPI.generateNote(noteData).then(result => {
+                // Failed or cancelled generations don't send note-created, so reset here
+                if (!result) {
+                    this.generateNoteBtn.textContent = 'Generate Note';
+                    this.generateNoteBtn.disabled = false;
+                }
+            });
         }
 
         // Show loading state
@@ -2676,7 +4461,7 @@ class RendererApp {
         marker.dataset.startWord = noteData.startWord;
         marker.dataset.endWord = noteData.endWord;
         marker.style.left = `${percentage}%`;
-        marker.title = `${noteData.title} (words ${noteData.startWord}-${noteData.endWord})`;
+        marker.title = `${noteData.title} (words ${noteData.startWord}-${noteData.endWord}) - double-click to play`;
         
         // Add click handler to jump to note
         marker.addEventListener('click', (e) => {
@@ -2684,6 +4469,10 @@ class RendererApp {
             console.log('Clicked note marker:', noteData.title, 'at words', noteData.startWord, '-', noteData.endWord);
             this.jumpToNote(noteData);
         });
+        marker.addEventListener('dblclick', (e) => {
+            e.stopPropagation();
+            this.playWordRange(noteData.startWord, noteData.endWord);
+        });
         
         this.noteMarkers.appendChild(marker);
     }
@@ -2877,6 +4666,13 @@ class RendererApp {
     handleNoteCreated(noteData) {
         const { content, position, id } = noteData;
         
+        // Replace the streamed preview with the final formatted note
+        this.notesEditor.querySelectorAll('.note-entry.streaming').forEach(element => {
+            if (!this.activeStreams.has(element.dataset.streamId)) {
+                element.remove();
+            }
+        });
+        
         // Content is already HTML from the main process, just insert it
         const noteElement = document.createElement('div');
         noteElement.className = 'note-entry';
@@ -2890,12 +4686,15 @@ class RendererApp {
         const percentage = (position / this.wordCount) * 100;
         this.addNoteMarker(percentage, id);
         
-        // Clear note header
-        this.noteHeaderInput.value = '';
-        
-        // Reset button state
-        this.generateNoteBtn.textContent = 'Generate Note';
-        this.generateNoteBtn.disabled = false;
+        // Answers saved from the chat panel leave a note being written alone
+        if (!noteData.fromChat) {
+            // Clear note header
+            this.noteHeaderInput.value = '';
+            
+            // Reset button state
+            this.generateNoteBtn.textContent = 'Generate Note';
+            this.generateNoteBtn.disabled = false;
+        }
         
         // Save immediately after adding a generated note
         this.saveNotes();
@@ -2933,6 +4732,10 @@ class RendererApp {
             return;
         }
         
+        // Journal the edit shortly after typing stops, so a crash before the autosave loses nothing
+        clearTimeout(this.journalTimeout);
+        this.journalTimeout = setTimeout(() => this.journalNotes(), 500);
+
         // Clear any existing autosave timeout
         clearTimeout(this.autoSaveTimeout);
         
@@ -2974,8 +4777,23 @@ class RendererApp {
         }
     }
 
+    // Editor content as it should be saved: notes that are still being streamed are left out
+    getNotesContent() {
+        const editorCopy = this.notesEditor.cloneNode(true);
+        editorCopy.querySelectorAll('.note-entry.streaming').forEach(element => element.remove());
+        return editorCopy.innerHTML;
+    }
+
+    journalNotes() {
+        if (window.electronAPI) {
+            window.electronAPI.journalNotes(this.getNotesContent());
+        }
+    }
+
     saveNotes() {
-        const content = this.notesEditor.innerHTML;
+        // A save supersedes any journal write still waiting
+        clearTimeout(this.journalTimeout);
+        const content = this.getNotesContent();
         if (window.electronAPI) {
             window.electronAPI.saveNotes(content).then(() => {
                 this.showSaveStatus('saved');
@@ -3082,10 +4900,108 @@ class RendererApp {
         this.summarizeBtn.textContent = 'Summarize';
         this.summarizeBtn.disabled = false;
         
+        // Show the final text (it may have been condensed after streaming)
+        if (this.summaryStream.style.display !== 'none') {
+            this.loadSummary();
+        }
+        
+        if (!this.summaryHistoryModal.classList.contains('hidden')) {
+            this.loadSummaryHistory();
+        }
+        
         // Could show summary in a modal or status update
         console.log('Summary updated:', summary);
     }
 
+    // Streamed summary and note text from the main process (start -> delta... -> end)
+    handleStreamUpdate(update) {
+        if (update.type === 'start') {
+            this.activeStreams.set(update.streamId, { kind: update.kind, text: '' });
+            
+            if (update.kind === 'note') {
+                const noteElement = document.createElement('div');
+                noteElement.className = 'note-entry streaming';
+                noteElement.dataset.streamId = update.streamId;
+                noteElement.contentEditable = 'false';
+                
+                const heading = document.createElement('h2');
+                heading.textContent = update.header || 'Note';
+                const body = document.createElement('div');
+                body.className = 'stream-text';
+                noteElement.append(heading, body);
+                
+                this.notesEditor.appendChild(noteElement);
+                noteElement.scrollIntoView({ behavior: 'smooth', block: 'end' });
+                this.cancelNoteBtn.style.display = '';
+            } else {
+                this.summaryStream.style.display = '';
+                this.summaryPanelBtn.classList.add('active');
+                this.summaryStreamContent.textContent = '';
+                this.summaryStreamContent.classList.remove('rendered');
+                this.summaryStreamContent.classList.add('streaming');
+                this.cancelSummaryBtn.style.display = '';
+                this.editSummaryBtn.disabled = true;
+            }
+            return;
+        }
+        
+        const stream = this.activeStreams.get(update.streamId);
+        if (!stream) return;
+        
+        const target = stream.kind === 'note'
+            ? this.notesEditor.querySelector(`.note-entry.streaming[data-stream-id="${update.streamId}"]`)
+            : this.summaryStreamContent;
+        
+        if (update.type === 'delta') {
+            stream.text += update.delta;
+            if (stream.kind === 'note') {
+                if (target) {
+                    target.querySelector('.stream-text').textContent = stream.text;
+                }
+            } else {
+                this.summaryStreamContent.textContent = stream.text;
+                this.summaryStreamContent.scrollTop = this.summaryStreamContent.scrollHeight;
+            }
+        } else if (update.type === 'end') {
+            this.activeStreams.delete(update.streamId);
+            
+            if (stream.kind === 'note') {
+                // Completed notes stay until handleNoteCreated swaps in the formatted version
+                if ((update.cancelled || update.error) && target) {
+                    target.remove();
+                }
+                if (!this.isStreaming('note')) {
+                    this.cancelNoteBtn.style.display = 'none';
+                }
+            } else {
+                if (!this.isStreaming('summary')) {
+                    this.summaryStreamContent.classList.remove('streaming');
+                    this.cancelSummaryBtn.style.display = 'none';
+                    this.editSummaryBtn.disabled = this.editingSummary;
+                }
+                if (update.cancelled) {
+                    this.summaryStreamContent.textContent = `${stream.text}\n\n⏹ Cancelled - the previous summary was kept`;
+                } else if (update.error) {
+                    this.summaryStreamContent.textContent = `${stream.text}\n\n⚠️ ${update.error}`;
+                }
+            }
+        }
+    }
+    
+    isStreaming(kind) {
+        return Array.from(this.activeStreams.values()).some(stream => stream.kind === kind);
+    }
+    
+    cancelStreams(kind) {
+        if (!window.electronAPI) return;
+        
+        for (const [streamId, stream] of this.activeStreams) {
+            if (stream.kind === kind) {
+                window.electronAPI.cancelStream(streamId);
+            }
+        }
+    }
+
     handleTopicUpdate(topicData) {
         console.log('Topic update received:', topicData);
         
@@ -3157,6 +5073,131 @@ class RendererApp {
         }
     }
 
+    // Manual topic editing
+    showTopicMenu(e) {
+        if (!window.electronAPI || !this.transcriptMetadata) return;
+        
+        const headers = this.transcriptMetadata.headers || [];
+        const headerElement = e.target.closest('.topic-header');
+        const subHeaderElement = e.target.closest('.topic-subheader');
+        const wordElement = e.target.closest('.word');
+        const items = [];
+        
+        if (headerElement) {
+            const index = headers.findIndex(h => h.id === headerElement.dataset.headerId);
+            const header = headers[index];
+            if (!header) return;
+            
+            items.push({ label: 'Rename topic', action: () => this.startTopicRename(headerElement.querySelector('.topic-title'), header.id) });
+            items.push({
+                label: header.locked ? 'Unlock title' : 'Lock title',
+                action: () => this.applyTopicEdit(window.electronAPI.setTopicLocked(header.id, !header.locked))
+            });
+            if (index < headers.length - 1) {
+                items.push({
+                    label: `Merge with "${headers[index + 1].title}"`,
+                    action: () => this.applyTopicEdit(window.electronAPI.mergeTopics(header.id))
+                });
+            }
+        } else if (subHeaderElement) {
+            const subHeaderId = subHeaderElement.dataset.subHeaderId;
+            items.push({ label: 'Rename sub-topic', action: () => this.startTopicRename(subHeaderElement.querySelector('.topic-subtitle'), subHeaderId) });
+            items.push({ label: 'Promote to main topic', action: () => this.applyTopicEdit(window.electronAPI.promoteSubHeader(subHeaderId)) });
+        } else if (wordElement && headers.length > 0) {
+            const wordIndex = parseInt(wordElement.dataset.wordIndex);
+            items.push({
+                label: 'Start new topic here',
+                action: async () => {
+                    // The new topic gets a placeholder title; let the user name it straight away
+                    const topicId = await this.applyTopicEdit(window.electronAPI.splitTopic(wordIndex));
+                    const titleElement = topicId && this.transcriptContent.querySelector(`.topic-header[data-header-id="${topicId}"] .topic-title`);
+                    if (titleElement) {
+                        this.startTopicRename(titleElement, topicId);
+                    }
+                }
+            });
+        }
+        
+        if (items.length === 0) return;
+        e.preventDefault();
+        
+        this.topicMenu.innerHTML = '';
+        items.forEach(item => {
+            const button = document.createElement('button');
+            button.className = 'context-menu-item';
+            button.textContent = item.label;
+            button.addEventListener('click', () => {
+                this.hideTopicMenu();
+                item.action();
+            });
+            this.topicMenu.appendChild(button);
+        });
+        
+        this.topicMenu.style.left = `${e.clientX}px`;
+        this.topicMenu.style.top = `${e.clientY}px`;
+        this.topicMenu.classList.remove('hidden');
+    }
+
+    hideTopicMenu() {
+        if (this.topicMenu) {
+            this.topicMenu.classList.add('hidden');
+        }
+    }
+
+    // Edit a topic title in place: Enter saves, Escape cancels
+    startTopicRename(titleElement, topicId) {
+        const originalTitle = titleElement.textContent;
+        titleElement.contentEditable = 'true';
+        titleElement.classList.add('editing');
+        titleElement.focus();
+        document.getSelection().selectAllChildren(titleElement);
+        
+        const finish = (save) => {
+            titleElement.removeEventListener('keydown', handleKeyDown);
+            titleElement.removeEventListener('blur', handleBlur);
+            titleElement.contentEditable = 'false';
+            titleElement.classList.remove('editing');
+            
+            const newTitle = titleElement.textContent.trim();
+            if (!save || !newTitle || newTitle === originalTitle) {
+                titleElement.textContent = originalTitle;
+                return;
+            }
+            this.applyTopicEdit(window.electronAPI.renameTopic(topicId, newTitle));
+        };
+        const handleKeyDown = (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                finish(true);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                finish(false);
+            }
+        };
+        const handleBlur = () => finish(true);
+        
+        titleElement.addEventListener('keydown', handleKeyDown);
+        titleElement.addEventListener('blur', handleBlur);
+    }
+
+    // Topic edits come back with the saved metadata; redraw the transcript from it
+    async applyTopicEdit(request) {
+        try {
+            const result = await request;
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            
+            this.transcriptMetadata = result.metadata;
+            this.reconstructTranscriptFromCurrentMetadata();
+            return result.topicId;
+        } catch (error) {
+            console.error('❌ Topic edit failed:', error);
+            alert(`Topic edit failed: ${error.message}`);
+            return null;
+        }
+    }
+
     reconstructTranscriptFromCurrentMetadata() {
         if (!this.transcriptMetadata || !this.transcriptLines.length) {
             console.log('No metadata or transcript lines available for reconstruction');
@@ -3175,7 +5216,8 @@ class RendererApp {
         
         // Clear current transcript content
         this.transcriptContent.innerHTML = '';
-        const originalLines = [...this.transcriptLines]; // Save original lines
+        // Rebuild from lines in transcript order; the display order follows the topics
+        const originalLines = [...this.transcriptLines].sort((a, b) => a.wordIndex - b.wordIndex);
         this.transcriptLines = []; // Clear for reconstruction
         
         // Use the existing reconstruction logic
@@ -3413,9 +5455,68 @@ class RendererApp {
         this.autoSaveInput.checked = this.settings.autoSave;
         this.followTranscriptInput.checked = this.settings.followTranscript;
         
+        const budgets = this.costSummary ? this.costSummary.budget.budgets : {};
+        this.budgetMeetingInput.value = budgets.meeting || '';
+        this.budgetDailyInput.value = budgets.daily || '';
+        
+        const voiceCommands = this.settings.voiceCommands || {};
+        this.voiceCommandsEnabledInput.checked = voiceCommands.enabled === true;
+        this.voiceTriggerInput.value = voiceCommands.trigger || '';
+        this.voiceSpeakerInput.value = voiceCommands.speaker || '';
+        Object.entries(this.voicePhraseInputs).forEach(([kind, input]) => {
+            const phrases = (voiceCommands.phrases || {})[kind];
+            input.value = Array.isArray(phrases) ? phrases.join(', ') : phrases || '';
+        });
+        
+        this.loadMeetingProfiles();
         this.settingsModal.classList.remove('hidden');
     }
 
+    // Profiles are files, so the list is read again each time the settings open
+    async loadMeetingProfiles() {
+        try {
+            const result = await window.electronAPI.getMeetingProfiles();
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            this.meetingProfiles = result.profiles;
+            this.meetingProfileSelect.innerHTML = '';
+            result.profiles.forEach(profile => {
+                const option = document.createElement('option');
+                option.value = profile.id;
+                option.textContent = profile.source === 'user' ? `${profile.name} (custom)` : profile.name;
+                this.meetingProfileSelect.appendChild(option);
+            });
+            this.meetingProfileSelect.value = this.settings.profile || result.activeProfile;
+            this.updateProfileDescription();
+        } catch (error) {
+            console.error('Error loading meeting profiles:', error);
+            this.meetingProfileDescription.textContent = `Could not load meeting profiles: ${error.message}`;
+        }
+    }
+
+    updateProfileDescription() {
+        const profile = (this.meetingProfiles || []).find(candidate => candidate.id === this.meetingProfileSelect.value);
+        this.meetingProfileDescription.textContent = profile ? profile.description : '';
+    }
+
+    // A newly chosen profile brings its default word limit; it can still be changed before saving
+    handleProfileChange() {
+        const profile = (this.meetingProfiles || []).find(candidate => candidate.id === this.meetingProfileSelect.value);
+        if (profile) {
+            this.wordLimitInput.value = profile.contextLimit;
+        }
+        this.updateProfileDescription();
+    }
+
+    async openProfilesFolder() {
+        const result = await window.electronAPI.openProfilesFolder();
+        if (!result.success) {
+            alert(`Could not open the profiles folder: ${result.error}`);
+        }
+    }
+
     hideSettings() {
         this.settingsModal.classList.add('hidden');
     }
@@ -3425,9 +5526,21 @@ class RendererApp {
         this.settings = {
             ...this.settings, // Preserve existing settings including audio
             wordLimit: parseInt(this.wordLimitInput.value) || 0,
+            profile: this.meetingProfileSelect.value || this.settings.profile,
             readOnlyMode: this.readOnlyModeInput.checked,
             autoSave: this.autoSaveInput.checked,
-            followTranscript: this.followTranscriptInput.checked
+            followTranscript: this.followTranscriptInput.checked,
+            budgets: {
+                meeting: parseFloat(this.budgetMeetingInput.value) || null,
+                daily: parseFloat(this.budgetDailyInput.value) || null
+            },
+            voiceCommands: {
+                enabled: this.voiceCommandsEnabledInput.checked,
+                trigger: this.voiceTriggerInput.value.trim(),
+                speaker: this.voiceSpeakerInput.value.trim(),
+                phrases: Object.fromEntries(Object.entries(this.voicePhraseInputs)
+                    .map(([kind, input]) => [kind, input.value.trim()]))
+            }
         };
         
         console.log('Saving settings, preserving audio:', this.settings);
@@ -3470,21 +5583,86 @@ class RendererApp {
         
         // Load existing notes now that we have app data
         this.loadExistingNotes();
+        this.loadChatHistory();
+        this.loadActionItems();
+        this.loadVoiceCommands();
+        if (this.summaryStream.style.display !== 'none') {
+            this.loadSummary();
+        }
     }
 
     // Status updates
     updateStatus(status) {
-        this.connectionStatus.textContent = status.connected ? 'Connected' : 'Disconnected';
-        this.connectionStatus.className = status.connected ? 'status-connected' : 'status-disconnected';
+        if (status.connected !== undefined) {
+            this.connectionStatus.textContent = status.connected ? 'Connected' : 'Disconnected';
+            this.connectionStatus.className = status.connected ? 'status-connected' : 'status-disconnected';
+        }
+        
+        if (status.requestQueue) {
+            this.updateRequestQueueStatus(status.requestQueue);
+        }
+    }
+
+    updateRequestQueueStatus(queue) {
+        const parts = [];
+        if (queue.active > 0) parts.push(`${queue.active} running`);
+        if (queue.queued > 0) parts.push(`${queue.queued} queued`);
+        if (queue.retrying > 0) {
+            const seconds = Math.max(0, Math.round((queue.nextRetryAt - Date.now()) / 1000));
+            parts.push(`${queue.retrying} retrying in ${seconds}s`);
+        }
+        
+        this.requestQueueStatus.style.display = parts.length > 0 ? '' : 'none';
+        this.requestQueueStatus.textContent = `AI: ${parts.join(', ')}`;
+        this.requestQueueStatus.className = queue.retrying > 0 ? 'request-queue retrying' : 'request-queue';
+        this.requestQueueStatus.title = queue.lastError || '';
     }
 
     updateCost(costData) {
-        this.apiCost.textContent = `$${costData.total.toFixed(4)}`;
+        if (!costData.ledger) {
+            this.apiCost.textContent = `$${costData.total.toFixed(4)}`;
+            return;
+        }
+        
+        // Show the persisted meeting total, which survives restarts
+        this.costSummary = costData.ledger;
+        const { meeting, daily, budget } = costData.ledger;
+        this.apiCost.textContent = `$${meeting.cost.toFixed(4)}`;
+        this.apiCost.className = budget.level === 'ok' ? 'api-cost' : `api-cost budget-${budget.level}`;
+        this.renderCostBreakdown(meeting, daily, budget);
+    }
+    
+    renderCostBreakdown(meeting, daily, budget) {
+        const labels = { topics: 'Topics', summaries: 'Summaries', notes: 'Notes', questions: 'Questions', other: 'Other' };
+        const rows = Object.entries(meeting.byCategory)
+            .sort((a, b) => b[1] - a[1])
+            .map(([category, cost]) => {
+                const share = meeting.cost > 0 ? Math.round((cost / meeting.cost) * 100) : 0;
+                return `<tr><td>${labels[category] || category}</td><td class="amount">$${cost.toFixed(4)}</td><td class="amount">${share}%</td></tr>`;
+            })
+            .join('');
+        
+        const formatBudget = (spent, cap) => cap ? `$${spent.toFixed(2)} of $${cap.toFixed(2)}` : `$${spent.toFixed(4)}`;
+        
+        this.costBreakdown.innerHTML = `
+            <h4>Meeting spend (${meeting.requests} requests)</h4>
+            <table>${rows || '<tr><td>No AI requests yet</td></tr>'}</table>
+            <div class="cost-totals">
+                <div>Meeting: ${formatBudget(meeting.cost, budget.budgets.meeting)}</div>
+                <div>Today: ${formatBudget(daily.cost, budget.budgets.daily)}</div>
+            </div>
+            ${budget.level === 'exceeded'
+                ? `<div class="budget-note">${budget.exceeded.join(' and ')} budget exceeded - automatic topics and summary updates are paused</div>`
+                : budget.level === 'warning'
+                    ? `<div class="budget-note">Approaching the ${budget.warning.join(' and ')} budget</div>`
+                    : ''}
+        `;
     }
 
     updateSelectedScreenshotsStatus() {
         const count = this.selectedScreenshots.size;
         this.selectedScreenshotsStatus.textContent = `${count} screenshot${count !== 1 ? 's' : ''} selected`;
+        this.updateChatContext();
     }
 
     updateSessionContext(context) {
@@ -3557,6 +5735,13 @@ class RendererApp {
         
         if (e.key === 'Escape') {
             this.hideSettings();
+            this.hideSpeakers();
+            this.hideTopicMenu();
+            this.hideRebuildTopics();
+            this.hideSessionLibrary();
+            this.hideActionItems();
+            this.hideSummaryHistory();
+            this.hideVoiceCommands();
             this.clearSelection();
         }
         
@@ -3566,8 +5751,9 @@ class RendererApp {
             this.clearSelection();
         }
         
-        // IN/OUT marker shortcuts (only when not in notes editor)
-        if (e.target !== this.notesEditor && e.target !== this.noteHeaderInput && e.target !== this.sessionTopicInput) {
+        // IN/OUT marker shortcuts (only when not typing in the notes editor or a text field)
+        if (e.target !== this.notesEditor && !['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName) &&
+            !this.speakersModal.contains(e.target) && !e.target.isContentEditable) {
             if (e.key === 'i' || e.key === 'I') {
                 e.preventDefault();
                 this.toggleInMarker();
@@ -3576,6 +5762,10 @@ class RendererApp {
                 e.preventDefault();
                 this.toggleOutMarker();
             }
+            if ((e.key === 'p' || e.key === 'P') && this.getPlaybackSource()) {
+                e.preventDefault();
+                this.playInOutRange();
+            }
         }
     }
 
@@ -3877,6 +6067,7 @@ class RendererApp {
         headerElement.innerHTML = `
             <div class="topic-header-content">
                 <div class="topic-title">${header.title}</div>
+                ${header.locked ? '<div class="topic-lock" title="Title locked">🔒</div>' : ''}
                 <div class="topic-timestamp">${new Date(header.timestamp).toLocaleTimeString('en-GB', { hour12: false })}</div>
             </div>
         `;
@@ -3915,10 +6106,12 @@ class RendererApp {
             
             // Create a segment line with the segment's words
             // Handle both new sessionTime format and legacy timestamp format
+            // Recorded transcripts know the real audio offset; otherwise use the session time
+            const elapsedMs = segment.audioStart !== undefined ? segment.audioStart * 1000 : segment.sessionTime;
             let displayTimestamp;
-            if (segment.sessionTime !== undefined) {
+            if (elapsedMs !== undefined) {
                 // Convert session time to display format (hours:minutes:seconds)
-                const totalSeconds = Math.floor(segment.sessionTime / 1000);
+                const totalSeconds = Math.floor(elapsedMs / 1000);
                 const hours = Math.floor(totalSeconds / 3600);
                 const minutes = Math.floor((totalSeconds % 3600) / 60);
                 const seconds = totalSeconds % 60;
@@ -3980,6 +6173,26 @@ class RendererApp {
                 text-shadow: 0 1px 2px rgba(0, 0, 0, 0.2);
             }
             
+            .topic-lock {
+                margin-left: auto;
+                margin-right: 8px;
+                font-size: 11px;
+            }
+            
+            .topic-title.editing,
+            .topic-subtitle.editing {
+                outline: 2px solid rgba(255, 255, 255, 0.8);
+                border-radius: 3px;
+                padding: 0 4px;
+                cursor: text;
+            }
+            
+            .topic-header.drop-target,
+            .topic-subheader.drop-target {
+                outline: 2px dashed #ffb300;
+                outline-offset: 2px;
+            }
+            
             .topic-timestamp {
                 font-size: 11px;
                 color: rgba(255, 255, 255, 0.8);
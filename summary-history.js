@@ -0,0 +1,157 @@
+const fs = require('fs');
+const { writeJsonAtomic } = require('./safe-files');
+const { diffTopicOutlines } = require('./topic-rebuild');
+
+// Summary revisions, shared by the CLI and the Electron app.
+// Every version of the meeting summary is kept in <transcript>_summary_history.json together with
+// what produced it, so an instruction that damages a good summary can be undone. Revisions are
+// numbered from 1 and can be compared line by line, restored as a whole, or have single sections
+// (a Markdown heading and everything under it) copied into the current summary. Restoring and
+// copying are revisions themselves, so they can be undone the same way.
+
+const SUMMARY_TRIGGERS = {
+    loaded: 'Existing summary',
+    'auto-update': 'Automatic update',
+    summarize: 'SUMMARIZE',
+    regenerate: 'REGENERATE',
+    instruction: 'INSTRUCTION',
+    condense: 'Condensed',
+    'speaker-rename': 'Speakers renamed',
+    edit: 'Edited',
+    rollback: 'Restored',
+    'cherry-pick': 'Section restored'
+};
+
+// "INSTRUCTION: split the payment section"
+function describeRevision(revision) {
+    const label = SUMMARY_TRIGGERS[revision.trigger] || revision.trigger;
+    return revision.detail ? `${label}: ${revision.detail}` : label;
+}
+
+// [{ title, level, text }] in summary order; text keeps the heading line. Anything before the first
+// heading is a section with an empty title and level 0.
+function splitSummarySections(summary) {
+    const sections = [];
+    let current = null;
+
+    (summary || '').split('\n').forEach(line => {
+        const heading = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+        if (heading || !current) {
+            current = heading
+                ? { title: heading[2], level: heading[1].length, lines: [] }
+                : { title: '', level: 0, lines: [] };
+            sections.push(current);
+        }
+        current.lines.push(line);
+    });
+
+    return sections
+        .map(section => ({ title: section.title, level: section.level, text: section.lines.join('\n').replace(/\s+$/, '') }))
+        .filter(section => section.title || section.text.trim());
+}
+
+function sectionKey(section) {
+    return `${section.level}:${section.title.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim()}`;
+}
+
+// The summary with section sectionIndex of sourceSummary in it: it replaces the section with the same
+// heading, or goes in after the section that comes before it in the source (at the end otherwise)
+function cherryPickSection(summary, sourceSummary, sectionIndex) {
+    const source = splitSummarySections(sourceSummary);
+    const picked = source[sectionIndex];
+    if (!picked) {
+        throw new Error(`Revision has no section ${sectionIndex + 1}`);
+    }
+
+    const sections = splitSummarySections(summary);
+    const existing = sections.findIndex(section => sectionKey(section) === sectionKey(picked));
+    if (existing >= 0) {
+        sections[existing] = picked;
+    } else {
+        const previous = sectionIndex > 0
+            ? sections.findIndex(section => sectionKey(section) === sectionKey(source[sectionIndex - 1]))
+            : -1;
+        if (previous >= 0) {
+            sections.splice(previous + 1, 0, picked);
+        } else if (!picked.title) {
+            sections.unshift(picked);
+        } else {
+            sections.push(picked);
+        }
+    }
+
+    return sections.map(section => section.text).join('\n\n');
+}
+
+// Line diff from one summary to another: [{ type: 'same' | 'removed' | 'added', text }]
+function diffSummaries(fromSummary, toSummary) {
+    return diffTopicOutlines((fromSummary || '').split('\n'), (toSummary || '').split('\n'));
+}
+
+// <transcript>_summary_history.json: { revisions: [{ number, createdAt, trigger, detail, summary }] }
+class SummaryHistory {
+    constructor(filePath) {
+        this.filePath = filePath;
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(this.filePath)) {
+                const history = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+                if (Array.isArray(history.revisions)) return history.revisions;
+            }
+        } catch (error) {
+            console.log('⚠️  Could not read summary history:', error.message);
+        }
+        return [];
+    }
+
+    latest() {
+        const revisions = this.load();
+        return revisions.length > 0 ? revisions[revisions.length - 1] : null;
+    }
+
+    get(number) {
+        const revision = this.load().find(candidate => candidate.number === number);
+        if (!revision) {
+            throw new Error(`Unknown summary revision ${number}`);
+        }
+        return revision;
+    }
+
+    // Revisions without their text, oldest first
+    list() {
+        return this.load().map(({ summary, ...revision }) => ({
+            ...revision,
+            description: describeRevision(revision),
+            words: summary.split(/\s+/).filter(word => word.length > 0).length
+        }));
+    }
+
+    // Adds a revision unless the summary is the same as the latest one; returns the new revision or null
+    record(summary, trigger, detail = '') {
+        const revisions = this.load();
+        const latest = revisions[revisions.length - 1];
+        if (!summary || (latest && latest.summary.trim() === summary.trim())) return null;
+
+        const revision = {
+            number: latest ? latest.number + 1 : 1,
+            createdAt: new Date().toISOString(),
+            trigger,
+            detail,
+            summary
+        };
+        revisions.push(revision);
+        writeJsonAtomic(this.filePath, { revisions });
+        return revision;
+    }
+}
+
+module.exports = {
+    SummaryHistory,
+    SUMMARY_TRIGGERS,
+    describeRevision,
+    splitSummarySections,
+    cherryPickSection,
+    diffSummaries
+};
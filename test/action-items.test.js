@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Extraction runs offline against the mock provider, in a scratch directory
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'real-time-summary-test-'));
+process.env.LLM_PROVIDER = 'mock';
+process.env.TOPIC_DETECTION = 'llm';
+process.env.COST_LEDGER_DIR = workDir;
+process.env.SESSION_LIBRARY_DIR = workDir;
+process.env.MEETING_PROFILES_DIR = path.join(workDir, 'profiles');
+
+const actionItems = require('../action-items');
+const { TranscriptSummarizer } = require('../transcript-summarizer');
+
+const LINES = [
+    { timestamp: '00:00:00.000', startWordIndex: 0, endWordIndex: 9 },
+    { timestamp: '00:12:03.500', startWordIndex: 10, endWordIndex: 19 }
+];
+
+const TRACKER = {
+    actionItems: [
+        { id: 'action-1', text: 'Send the rollback plan, with "notes"', owner: 'Bob', dueDate: '2026-10-23', status: 'open', startWordIndex: 12, endWordIndex: 15 },
+        { id: 'action-2', text: 'Drop the old monitoring', owner: '', dueDate: 'next sprint', status: 'done', completedAt: '2026-10-20T08:00:00.000Z', startWordIndex: null, endWordIndex: null }
+    ],
+    decisions: [
+        { id: 'decision-1', text: 'Migrate over the weekend', startWordIndex: 3, endWordIndex: 5 }
+    ]
+};
+
+test.after(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('extraction replies are parsed with word ranges clamped to the words that were sent', () => {
+    const extraction = actionItems.parseExtraction('Sure:\n{"actionItems": [{"text": " Send the plan ", "owner": "Bob", "due": "Friday", "words": "95-130"}, {"text": ""}], "decisions": [{"text": "Ship it", "words": "500"}]}', 100, 200);
+
+    assert.deepStrictEqual(extraction, {
+        actionItems: [{ text: 'Send the plan', owner: 'Bob', dueDate: 'Friday', startWordIndex: 100, endWordIndex: 130 }],
+        decisions: [{ text: 'Ship it', startWordIndex: null, endWordIndex: null }]
+    });
+    assert.throws(() => actionItems.parseExtraction('No items here', 0, 10), /did not reply with JSON/);
+});
+
+test('merged items skip text that is already tracked', () => {
+    const metadata = { actionItems: [{ text: 'Send the plan.' }], decisions: [] };
+    const added = actionItems.mergeExtraction(metadata, {
+        actionItems: [{ text: 'send the PLAN' }, { text: 'Book a room' }, { text: 'Book a room!' }],
+        decisions: [{ text: 'Ship it' }]
+    });
+
+    assert.deepStrictEqual(added.actionItems.map(item => [item.text, item.status]), [['Book a room', 'open']]);
+    assert.deepStrictEqual(metadata.actionItems.map(item => item.text), ['Send the plan.', 'Book a room']);
+    assert.strictEqual(metadata.decisions.length, 1);
+});
+
+test('CSV export quotes fields and points back to the transcript', () => {
+    const csv = actionItems.formatTracker(TRACKER, 'csv', { title: 'Sync', transcriptFilePath: '/meetings/sync.txt', lines: LINES });
+
+    assert.deepStrictEqual(csv.split('\r\n'), [
+        'Type,Text,Owner,Due,Status,Position,Start Word,End Word',
+        'Action item,"Send the rollback plan, with ""notes""",Bob,2026-10-23,open,"00:12:03, words 12-15",12,15',
+        'Action item,Drop the old monitoring,,next sprint,done,,,',
+        'Decision,Migrate over the weekend,,,,"00:00:00, words 3-5",3,5',
+        ''
+    ]);
+});
+
+test('iCalendar export turns action items into VTODO tasks', () => {
+    const ics = actionItems.formatTracker(TRACKER, 'ics', { title: 'Sync', transcriptFilePath: '/meetings/sync.txt', lines: LINES });
+    const lines = ics.split('\r\n');
+
+    assert.strictEqual(lines[0], 'BEGIN:VCALENDAR');
+    assert.strictEqual(lines[lines.length - 2], 'END:VCALENDAR');
+    assert.strictEqual(lines.filter(line => line === 'BEGIN:VTODO').length, 2);
+    assert.ok(lines.includes('SUMMARY:Send the rollback plan\\, with "notes"'));
+    assert.ok(lines.includes('DUE;VALUE=DATE:20261023'));
+    assert.ok(lines.includes('STATUS:COMPLETED'));
+    assert.ok(lines.includes('COMPLETED:20261020T080000Z'));
+    assert.ok(lines.includes('DESCRIPTION:Due: next sprint'));
+    assert.ok(!ics.includes('Migrate over the weekend'));
+    assert.ok(lines.every(line => line.length <= 75));
+    assert.throws(() => actionItems.formatTracker(TRACKER, 'pdf', { title: 'Sync', transcriptFilePath: 'sync.txt', lines: LINES }), /Unknown action item export format/);
+});
+
+test('action items are extracted once, and failed automatic passes back off', async () => {
+    const transcriptFile = path.join(workDir, 'meeting.txt');
+    fs.writeFileSync(transcriptFile, '[00:00:00.000] Bob: I will send the rollback plan before Friday.\n[00:00:05.000] Jane: We agreed to migrate over the weekend.\n');
+
+    const lastWord = fs.readFileSync(transcriptFile, 'utf8').split(/\s+/).filter(word => word.length > 0).length - 1;
+    const summarizer = new TranscriptSummarizer(transcriptFile);
+    summarizer.readOnlyMode = false;
+    const added = await summarizer.extractActionItems();
+    assert.strictEqual(added.actionItems.length, 1);
+    assert.strictEqual(added.decisions.length, 1);
+    assert.strictEqual(summarizer.getActionTracker().extractedThroughWord, lastWord);
+
+    // Nothing new to read, so nothing is sent
+    const requestCount = summarizer.llm.provider.requests.length;
+    await summarizer.extractActionItems();
+    assert.strictEqual(summarizer.llm.provider.requests.length, requestCount);
+
+    fs.appendFileSync(transcriptFile, '[00:00:09.000] Bob: Someone should book a room.\n');
+    summarizer.llm.provider.responses.push({ operation: 'extractActionItems', pattern: null, text: 'Sorry, no JSON today' });
+    const extractionRequests = () => summarizer.llm.provider.requests.filter(request => request.operation === 'extractActionItems').length;
+    const runIfDue = async lastWordIndex => {
+        summarizer.extractActionItemsIfDue(lastWordIndex);
+        if (summarizer.actionItemExtraction) await summarizer.actionItemExtraction.catch(() => {});
+    };
+
+    const before = extractionRequests();
+    await runIfDue(lastWord + actionItems.EXTRACTION_BATCH_WORDS);
+    assert.strictEqual(extractionRequests(), before + 1);
+    assert.strictEqual(summarizer.getActionTracker().extractedThroughWord, lastWord);
+
+    // The next segments don't repeat the failed request until enough new words have come in
+    await runIfDue(lastWord + actionItems.EXTRACTION_BATCH_WORDS + 10);
+    await runIfDue(lastWord + actionItems.EXTRACTION_BATCH_WORDS * 2 - 1);
+    assert.strictEqual(extractionRequests(), before + 1);
+
+    await runIfDue(lastWord + actionItems.EXTRACTION_BATCH_WORDS * 2);
+    assert.strictEqual(extractionRequests(), before + 2);
+    assert.strictEqual(summarizer.actionItemRetry.failures, 2);
+});
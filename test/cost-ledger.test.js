@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CostLedger } = require('../cost-ledger');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'real-time-summary-test-'));
+
+function createLedger(name, budgets) {
+    return new CostLedger(path.join(workDir, `${name}_costs.jsonl`), {
+        dailyTotalsPath: path.join(workDir, `${name}-daily-costs.json`),
+        budgets
+    });
+}
+
+function spend(ledger, cost, operation = 'updateSummary') {
+    return ledger.record({ operation, model: 'test-model', inputTokens: 100, outputTokens: 10, cost });
+}
+
+test.after(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('the budget level warns at 80% and reports each change once', () => {
+    const ledger = createLedger('levels', { meeting: 1, daily: 0 });
+
+    assert.deepStrictEqual([spend(ledger, 0.5).level, spend(ledger, 0.2).changed], ['ok', false]);
+
+    const warning = spend(ledger, 0.15);
+    assert.deepStrictEqual([warning.level, warning.changed, warning.warning], ['warning', true, ['meeting']]);
+    assert.strictEqual(spend(ledger, 0.05).changed, false);
+
+    const exceeded = spend(ledger, 0.2);
+    assert.deepStrictEqual([exceeded.level, exceeded.changed, exceeded.exceeded], ['exceeded', true, ['meeting']]);
+    assert.strictEqual(exceeded.budgets.daily, null);
+});
+
+test('background work stops once a budget is exceeded, requests the user makes do not', () => {
+    const ledger = createLedger('allowed', { meeting: 0, daily: 0.5 });
+    spend(ledger, 0.6, 'generateHeader');
+
+    assert.deepStrictEqual(ledger.getBudgetStatus().exceeded, ['daily']);
+    assert.strictEqual(ledger.isAllowed('analyzeSegmentTopicDecision'), false);
+    assert.strictEqual(ledger.isAllowed('answerQuestion'), true);
+    assert.strictEqual(ledger.isAllowed('updateSummary'), true);
+});
+
+test('meeting totals are rebuilt from the ledger file by category', () => {
+    const ledger = createLedger('reload', { meeting: 1 });
+    spend(ledger, 0.9, 'generateHeader');
+    spend(ledger, 0.05, 'answerQuestion');
+
+    const reloaded = createLedger('reload', { meeting: 1 });
+    const summary = reloaded.getSummary();
+    assert.strictEqual(summary.meeting.requests, 2);
+    assert.strictEqual(summary.meeting.byCategory.topics, 0.9);
+    assert.strictEqual(summary.meeting.byCategory.questions, 0.05);
+    assert.strictEqual(summary.daily.requests, 2);
+    // A restart does not report the level it was already at as a change
+    assert.strictEqual(spend(reloaded, 0.01).changed, false);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { LlmClient, loadLlmConfig } = require('../llm-providers');
+
+function ask(client, operation, prompt) {
+    return client.createMessage(operation, { max_tokens: 100, messages: [{ role: 'user', content: prompt }] })
+        .then(message => message.content[0].text);
+}
+
+test('the mock provider replies by operation, whatever the prompt says', async () => {
+    const client = new LlmClient(loadLlmConfig({ provider: 'mock' }, {}));
+
+    assert.strictEqual(await ask(client, 'analyzeSegmentTopicDecision', 'Does this fit?'), 'FIT');
+    assert.strictEqual(await ask(client, 'analyzeMainTopicRelatedness', 'Related?'), 'YES');
+    assert.strictEqual(await ask(client, 'analyzeContentForSubHeaders', 'Split it?'), 'NO_SUBHEADERS');
+    assert.match(await ask(client, 'generateHeader', 'Respond with "FIT"'), /^Mock Topic [0-9a-f]{6}$/);
+    assert.match(await ask(client, 'updateSummary', 'Respond with "FIT"'), /^## Mock Response /);
+    assert.deepStrictEqual(client.provider.requests.map(request => request.operation), [
+        'analyzeSegmentTopicDecision',
+        'analyzeMainTopicRelatedness',
+        'analyzeContentForSubHeaders',
+        'generateHeader',
+        'updateSummary'
+    ]);
+});
+
+test('the mock provider is deterministic and streams the same reply', async () => {
+    const client = new LlmClient(loadLlmConfig({ provider: 'mock' }, {}));
+    const params = { max_tokens: 100, messages: [{ role: 'user', content: 'Summarize the meeting' }] };
+
+    const first = await client.createMessage('updateSummary', params);
+    const chunks = [];
+    const streamed = await client.streamMessage('updateSummary', params, { onText: chunk => chunks.push(chunk) });
+
+    assert.strictEqual(streamed.content[0].text, first.content[0].text);
+    assert.strictEqual(chunks.join(''), first.content[0].text);
+    assert.strictEqual(client.calculateCost(first.model, 1000, 1000), 0);
+});
+
+test('custom mock responses match on operation or prompt text', async () => {
+    const client = new LlmClient(loadLlmConfig({
+        provider: 'mock',
+        responses: [
+            { operation: 'createNote', text: 'Custom note' },
+            { match: 'budget', text: 'Budget answer' }
+        ]
+    }, {}));
+
+    assert.strictEqual(await ask(client, 'createNote', 'Anything'), 'Custom note');
+    assert.strictEqual(await ask(client, 'answerQuestion', 'What about the budget?'), 'Budget answer');
+    assert.strictEqual(await ask(client, 'analyzeSubHeaderTopicDecision', 'Anything'), 'FIT');
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CURRENT_VERSION, createEmptyMetadata, isNewerVersion, migrateMetadata, validateMetadata } = require('../metadata-schema');
+
+test('1.0 files are migrated step by step to the current version', () => {
+    const legacy = {
+        transcriptFile: 'meeting.txt',
+        lastModified: '2024-01-01T00:00:00.000Z',
+        segments: [
+            { id: 'segment-1', startWordIndex: 0, endWordIndex: 9, timestamp: '2024-01-01T10:00:00.000Z' },
+            { id: 'segment-2', startWordIndex: 10, endWordIndex: 19, timestamp: '2024-01-01T10:00:30.000Z' }
+        ],
+        headers: [{ id: 'header-1', title: 'Budget', segments: ['segment-1', 'segment-2'], subHeaders: [{ id: 'sub-1', title: 'Costs', segments: [] }] }]
+    };
+
+    const { metadata, steps } = migrateMetadata(legacy);
+
+    assert.deepStrictEqual(steps, ['1.0 -> 2.0', '2.0 -> 2.1', '2.1 -> 2.2']);
+    assert.strictEqual(metadata.version, CURRENT_VERSION);
+    assert.deepStrictEqual(metadata.segments.map(segment => segment.sessionTime), [0, 30000]);
+    assert.strictEqual(metadata.headers[0].summary, '');
+    assert.strictEqual(metadata.headers[0].locked, false);
+    assert.strictEqual(metadata.headers[0].subHeaders[0].parentId, 'header-1');
+    assert.deepStrictEqual([metadata.actionItems, metadata.decisions, metadata.topicSummaries], [[], [], []]);
+    const report = validateMetadata(metadata, { wordCount: 20, transcriptFile: 'meeting.txt' });
+    assert.deepStrictEqual([report.repairs, report.errors], [[], []]);
+});
+
+test('current files need no migration', () => {
+    const metadata = createEmptyMetadata('meeting.txt');
+    assert.deepStrictEqual(migrateMetadata(metadata), { metadata, steps: [] });
+});
+
+test('unknown versions are not migrated', () => {
+    assert.throws(() => migrateMetadata({ ...createEmptyMetadata('meeting.txt'), version: '0.5' }), /No migration/);
+});
+
+test('versions from a newer app are recognized', () => {
+    assert.strictEqual(isNewerVersion('3.0'), true);
+    assert.strictEqual(isNewerVersion('2.10'), true);
+    assert.strictEqual(isNewerVersion(CURRENT_VERSION), false);
+    assert.strictEqual(isNewerVersion('1.0'), false);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Offline run of the whole pipeline against the mock provider, in a scratch directory
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'real-time-summary-test-'));
+process.env.LLM_PROVIDER = 'mock';
+process.env.TOPIC_DETECTION = 'llm';
+process.env.COST_LEDGER_DIR = workDir;
+process.env.SESSION_LIBRARY_DIR = workDir;
+process.env.MEETING_PROFILES_DIR = path.join(workDir, 'profiles');
+
+const { TranscriptSummarizer } = require('../transcript-summarizer');
+
+const LINES = [
+    'Jane: Welcome everyone, today we go through the migration plan and the budget for the quarter.',
+    'Bob: The database migration starts next week and we expect two days of reduced performance.',
+    'Jane: We agreed to run the migration over the weekend to keep the impact on customers low.',
+    'Bob: I will send the rollback plan to the team before Friday so everyone can review it.',
+    'Jane: The budget for the quarter is fixed, so any new tooling has to replace something we pay for.',
+    'Bob: Then we should drop the old monitoring service once the new dashboards are running.'
+];
+
+test.after(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('a transcript is segmented, given topics and summarized', async () => {
+    const transcriptFile = path.join(workDir, 'meeting.txt');
+    fs.writeFileSync(transcriptFile, LINES.map((line, index) => `[00:00:${String(index * 10).padStart(2, '0')}.000] ${line}`).join('\n') + '\n');
+
+    const summarizer = new TranscriptSummarizer(transcriptFile);
+    await summarizer.initializeWordCount();
+
+    const wordCount = fs.readFileSync(transcriptFile, 'utf8').split(/\s+/).filter(word => word.length > 0).length;
+    const segments = summarizer.metadata.segments;
+    assert.strictEqual(summarizer.lastKnownWordCount, wordCount);
+    assert.strictEqual(segments[0].startWordIndex, 0);
+    assert.strictEqual(segments[segments.length - 1].endWordIndex, wordCount - 1);
+    assert.ok(summarizer.metadata.headers.length > 0);
+    assert.match(summarizer.metadata.headers[0].title, /^Mock Topic /);
+
+    summarizer.readOnlyMode = false;
+    await summarizer.updateSummary();
+    assert.ok(summarizer.currentSummary.length > 0);
+    assert.ok(fs.existsSync(summarizer.summaryFilePath));
+
+    // Nothing new was said, so the rolling summary sends no further requests
+    const requestCount = summarizer.llm.provider.requests.length;
+    await summarizer.updateSummary();
+    assert.strictEqual(summarizer.llm.provider.requests.length, requestCount);
+
+    const operations = new Set(summarizer.llm.provider.requests.map(request => request.operation));
+    ['generateHeader', 'updateSummary'].forEach(operation => {
+        assert.ok(operations.has(operation), `${operation} was requested`);
+    });
+});
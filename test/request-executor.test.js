@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { RequestExecutor } = require('../request-executor');
+
+// Retry messages are not part of what is tested
+test.beforeEach(t => t.mock.method(console, 'log', () => {}));
+
+function apiError(status, headers = {}) {
+    const error = new Error(`status ${status}`);
+    error.status = status;
+    error.headers = headers;
+    return error;
+}
+
+test('transient failures are retried, overloads degrade the request', async () => {
+    const executor = new RequestExecutor({ maxRetries: 3, baseDelayMs: 0 });
+    const sent = [];
+    const send = async (params, attempt) => {
+        sent.push(params);
+        if (attempt === 0) throw apiError(529);
+        if (attempt === 1) throw apiError(500);
+        return 'done';
+    };
+    const params = {
+        model: 'main-model',
+        messages: [{ role: 'user', content: [{ type: 'text', text: 'Title?' }, { type: 'image', source: {} }] }]
+    };
+
+    const result = await executor.execute('generateHeader', params, send, { context: { fallbackModel: 'small-model' } });
+
+    assert.strictEqual(result, 'done');
+    assert.strictEqual(sent.length, 3);
+    assert.strictEqual(sent[0].messages[0].content.length, 2);
+    assert.strictEqual(sent[1].messages[0].content.length, 1);
+    assert.strictEqual(sent[1].model, 'main-model');
+    // A plain server error retries the request unchanged
+    assert.strictEqual(sent[2], sent[1]);
+    assert.strictEqual(executor.getStatus().lastError, null);
+});
+
+test('errors that are not transient, and the last retry, are thrown', async () => {
+    const executor = new RequestExecutor({ maxRetries: 2, baseDelayMs: 0 });
+    let calls = 0;
+
+    await assert.rejects(executor.execute('updateSummary', {}, async () => { calls++; throw apiError(400); }), /status 400/);
+    assert.strictEqual(calls, 1);
+
+    calls = 0;
+    await assert.rejects(executor.execute('updateSummary', {}, async () => { calls++; throw apiError(503); }), /status 503/);
+    assert.strictEqual(calls, 3);
+    assert.strictEqual(executor.getStatus().lastError, 'updateSummary: status 503');
+
+    const partial = apiError(500);
+    partial.partialOutput = true;
+    assert.strictEqual(executor.isRetryable(partial), false);
+    assert.strictEqual(executor.isRetryable(Object.assign(new Error('reset'), { code: 'ECONNRESET' })), true);
+});
+
+test('retry-after wins over exponential backoff and is capped', () => {
+    const executor = new RequestExecutor({ baseDelayMs: 1000, maxDelayMs: 10000 });
+
+    assert.strictEqual(executor.getRetryDelay(apiError(429, { 'retry-after-ms': '250' }), 1), 250);
+    assert.strictEqual(executor.getRetryDelay(apiError(429, { 'retry-after': '3' }), 1), 3000);
+    assert.strictEqual(executor.getRetryDelay(apiError(429, new Map([['retry-after', '120']])), 1), 10000);
+
+    for (let attempt = 1; attempt <= 5; attempt++) {
+        const exponential = Math.min(10000, 1000 * 2 ** attempt);
+        const delay = executor.getRetryDelay(apiError(500), attempt);
+        assert.ok(delay >= exponential / 2 && delay <= exponential, `attempt ${attempt}: ${delay}`);
+    }
+});
+
+test('requests beyond the concurrency limit wait in order', async () => {
+    const executor = new RequestExecutor({ maxConcurrent: 1 });
+    const order = [];
+    let releaseFirst;
+    const first = executor.execute('createNote', {}, () => new Promise(resolve => {
+        order.push('first');
+        releaseFirst = resolve;
+    }));
+    const second = executor.execute('createNote', {}, async () => order.push('second'));
+
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepStrictEqual(order, ['first']);
+    assert.strictEqual(executor.getStatus().queued, 1);
+
+    releaseFirst();
+    await Promise.all([first, second]);
+    assert.deepStrictEqual(order, ['first', 'second']);
+    assert.deepStrictEqual([executor.getStatus().active, executor.getStatus().queued], [0, 0]);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { writeFileAtomic, writeJsonAtomic, appendFileAtomic, removeStaleTempFiles, EditJournal } = require('../safe-files');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'real-time-summary-test-'));
+
+test.after(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('atomic writes replace the file and leave no temp files behind', () => {
+    const filePath = path.join(workDir, 'meeting_summary.md');
+
+    writeFileAtomic(filePath, 'first');
+    writeFileAtomic(filePath, 'second');
+    appendFileAtomic(filePath, ' and third');
+    assert.strictEqual(fs.readFileSync(filePath, 'utf8'), 'second and third');
+
+    writeJsonAtomic(path.join(workDir, 'meeting_metadata.json'), { version: '2.2' });
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(workDir, 'meeting_metadata.json'), 'utf8')), { version: '2.2' });
+    assert.deepStrictEqual(fs.readdirSync(workDir).filter(file => file.includes('.tmp-')), []);
+});
+
+test('a failed write keeps the old file and removes its temp file', () => {
+    const filePath = path.join(workDir, 'notes.md');
+    writeFileAtomic(filePath, 'kept');
+
+    // Renaming a file over a directory fails after the temp file was written
+    const directoryPath = path.join(workDir, 'not-a-file');
+    fs.mkdirSync(directoryPath);
+    assert.throws(() => writeFileAtomic(directoryPath, 'lost'));
+
+    assert.strictEqual(fs.readFileSync(filePath, 'utf8'), 'kept');
+    assert.deepStrictEqual(fs.readdirSync(workDir).filter(file => file.includes('.tmp-')), []);
+});
+
+test('temp files left by a crash are swept for one transcript only', () => {
+    const directory = path.join(workDir, 'sweep');
+    fs.mkdirSync(directory);
+    ['meeting_summary.md.tmp-1-abc', 'other_summary.md.tmp-2-def', 'meeting_summary.md'].forEach(file => {
+        fs.writeFileSync(path.join(directory, file), '');
+    });
+
+    assert.deepStrictEqual(removeStaleTempFiles(directory, 'meeting'), ['meeting_summary.md.tmp-1-abc']);
+    assert.deepStrictEqual(fs.readdirSync(directory).sort(), ['meeting_summary.md', 'other_summary.md.tmp-2-def']);
+    assert.deepStrictEqual(removeStaleTempFiles(path.join(workDir, 'missing')), []);
+});
+
+test('journaled edits are recovered when they were not saved', () => {
+    const notesPath = path.join(workDir, 'meeting_notes.md');
+    writeFileAtomic(notesPath, 'saved notes');
+    const journal = new EditJournal(notesPath);
+
+    journal.record('unsaved notes');
+    const pending = new EditJournal(notesPath).readPending();
+    assert.strictEqual(pending.content, 'unsaved notes');
+    assert.ok(!isNaN(Date.parse(pending.savedAt)));
+
+    assert.strictEqual(journal.replay(), true);
+    assert.strictEqual(fs.readFileSync(notesPath, 'utf8'), 'unsaved notes');
+    assert.strictEqual(fs.existsSync(journal.journalPath), false);
+    assert.strictEqual(journal.replay(), false);
+});
+
+test('journals that match the saved file or cannot be read are dropped', () => {
+    const notesPath = path.join(workDir, 'standup_notes.md');
+    writeFileAtomic(notesPath, 'same');
+    const journal = new EditJournal(notesPath);
+
+    journal.record('same');
+    assert.strictEqual(journal.readPending(), null);
+    assert.strictEqual(fs.existsSync(journal.journalPath), false);
+
+    fs.writeFileSync(journal.journalPath, '{"content": "cut off');
+    assert.strictEqual(journal.readPending(), null);
+    assert.strictEqual(fs.existsSync(journal.journalPath), false);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SessionLibrary, transcriptDuration, countNotes } = require('../session-library');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'real-time-summary-test-'));
+const library = new SessionLibrary({ libraryPath: path.join(workDir, 'library.json') });
+
+function addSession(name, { date, topics = [], transcript = '', notes = '', summary = '' }) {
+    const file = suffix => path.join(workDir, `${name}${suffix}`);
+    fs.writeFileSync(file('.txt'), transcript);
+    fs.writeFileSync(file('_notes.md'), notes);
+    fs.writeFileSync(file('_summary.md'), summary);
+    return library.upsert({
+        transcriptFile: file('.txt'),
+        notesFile: file('_notes.md'),
+        summaryFile: file('_summary.md'),
+        title: name,
+        date,
+        topics
+    });
+}
+
+test.before(() => {
+    addSession('planning', {
+        date: '2026-10-01T09:00:00.000Z',
+        topics: ['Database migration'],
+        transcript: '[00:00:01.000] Jane: The migration runs over the weekend. The migration needs a rollback plan.',
+        summary: '## Decisions\n- Migrate over the weekend'
+    });
+    addSession('standup', {
+        date: '2026-10-02T09:00:00.000Z',
+        topics: ['Blockers'],
+        transcript: '[00:00:01.000] Bob: Waiting for the migration review.',
+        notes: '## Budget\nBudget is fixed for the quarter'
+    });
+});
+
+test.after(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('every word of the query must match, and results rank by how often they occur', () => {
+    assert.deepStrictEqual(library.search('migration').map(session => session.title), ['planning', 'standup']);
+    assert.deepStrictEqual(library.search('MIGRATION budget').map(session => session.title), ['standup']);
+    assert.deepStrictEqual(library.search('migration hiring'), []);
+});
+
+test('search results carry a snippet from each file that matched', () => {
+    const [standup] = library.search('budget');
+
+    assert.deepStrictEqual(standup.matches, [{ source: 'notes', snippet: '## Budget Budget is fixed for the quarter' }]);
+    assert.deepStrictEqual(library.search('weekend')[0].matches.map(match => match.source), ['transcript', 'summary']);
+    assert.deepStrictEqual(library.search('blockers')[0].matches, []);
+});
+
+test('an empty query lists every session, newest first', () => {
+    assert.deepStrictEqual(library.search('  ').map(session => session.title), ['standup', 'planning']);
+
+    fs.rmSync(path.join(workDir, 'standup.txt'));
+    assert.deepStrictEqual(library.list().map(session => [session.title, session.missing]), [['standup', true], ['planning', false]]);
+});
+
+test('sessions are keyed by their resolved path', () => {
+    const relative = path.relative(process.cwd(), path.join(workDir, 'planning.txt'));
+
+    assert.strictEqual(library.find(relative).title, 'planning');
+    library.upsert({ transcriptFile: relative, title: 'Planning meeting' });
+    assert.strictEqual(library.load().sessions.length, 2);
+    assert.strictEqual(library.find(path.join(workDir, 'planning.txt')).title, 'Planning meeting');
+});
+
+test('durations come from the transcript timestamps and notes are counted by heading', () => {
+    assert.strictEqual(transcriptDuration('[00:00:05.000] Jane: Hi\n[00:01:35.500] Bob: Bye', 'meeting.txt'), 90.5);
+    assert.strictEqual(transcriptDuration('No timestamps at all', 'meeting.txt'), null);
+    assert.strictEqual(countNotes('## First\ntext\n## Second\n### Not a note'), 2);
+});
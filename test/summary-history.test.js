@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SummaryHistory, splitSummarySections, cherryPickSection, diffSummaries } = require('../summary-history');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'real-time-summary-test-'));
+
+const OLD_SUMMARY = [
+    'Weekly sync',
+    '',
+    '## Decisions',
+    '- Migrate over the weekend',
+    '',
+    '## Payments',
+    '- Refunds take five days',
+    '',
+    '## Open Questions',
+    '- Who owns monitoring?'
+].join('\n');
+
+const CURRENT_SUMMARY = [
+    '## Decisions',
+    '- Nothing decided',
+    '',
+    '## Open Questions',
+    '- None'
+].join('\n');
+
+test.after(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('summaries split into heading sections, with text before the first heading on its own', () => {
+    assert.deepStrictEqual(splitSummarySections(OLD_SUMMARY).map(section => [section.title, section.level]), [
+        ['', 0],
+        ['Decisions', 2],
+        ['Payments', 2],
+        ['Open Questions', 2]
+    ]);
+    assert.strictEqual(splitSummarySections(OLD_SUMMARY)[2].text, '## Payments\n- Refunds take five days');
+});
+
+test('a picked section replaces the section with the same heading', () => {
+    assert.strictEqual(cherryPickSection(CURRENT_SUMMARY, OLD_SUMMARY, 1), [
+        '## Decisions',
+        '- Migrate over the weekend',
+        '',
+        '## Open Questions',
+        '- None'
+    ].join('\n'));
+
+    // Headings match regardless of case and punctuation
+    assert.match(cherryPickSection('## open questions:\n- None', OLD_SUMMARY, 3), /^## Open Questions\n- Who owns monitoring\?$/);
+});
+
+test('a missing section goes after the section that precedes it in the source', () => {
+    assert.strictEqual(cherryPickSection(CURRENT_SUMMARY, OLD_SUMMARY, 2), [
+        '## Decisions',
+        '- Nothing decided',
+        '',
+        '## Payments',
+        '- Refunds take five days',
+        '',
+        '## Open Questions',
+        '- None'
+    ].join('\n'));
+
+    assert.match(cherryPickSection(CURRENT_SUMMARY, OLD_SUMMARY, 0), /^Weekly sync\n\n## Decisions/);
+    assert.match(cherryPickSection('## Actions\n- None', OLD_SUMMARY, 2), /## Actions\n- None\n\n## Payments/);
+    assert.throws(() => cherryPickSection(CURRENT_SUMMARY, OLD_SUMMARY, 4), /has no section 5/);
+});
+
+test('revisions are numbered, skip unchanged summaries and can be compared', () => {
+    const history = new SummaryHistory(path.join(workDir, 'meeting_summary_history.json'));
+
+    assert.strictEqual(history.record(OLD_SUMMARY, 'summarize').number, 1);
+    assert.strictEqual(history.record(`${OLD_SUMMARY}\n`, 'auto-update'), null);
+    assert.strictEqual(history.record(CURRENT_SUMMARY, 'instruction', 'drop the payments').number, 2);
+
+    assert.deepStrictEqual(history.list().map(revision => [revision.number, revision.description, revision.words]), [
+        [1, 'SUMMARIZE', 23],
+        [2, 'INSTRUCTION: drop the payments', 10]
+    ]);
+    assert.throws(() => history.get(3), /Unknown summary revision 3/);
+
+    const diff = diffSummaries(history.get(1).summary, history.latest().summary);
+    assert.deepStrictEqual(diff.filter(entry => entry.type === 'added').map(entry => entry.text), ['- Nothing decided', '- None']);
+});
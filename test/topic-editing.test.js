@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Topic edits on hand-built metadata; nothing is sent to the (mock) provider
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'real-time-summary-test-'));
+process.env.LLM_PROVIDER = 'mock';
+process.env.TOPIC_DETECTION = 'llm';
+process.env.COST_LEDGER_DIR = workDir;
+process.env.SESSION_LIBRARY_DIR = workDir;
+process.env.MEETING_PROFILES_DIR = path.join(workDir, 'profiles');
+
+const { TranscriptSummarizer } = require('../transcript-summarizer');
+
+// Three lines of ten words each: words 0-9, 10-19 and 20-29
+const TRANSCRIPT = [
+    '[00:00:00.000] Jane: We start with the migration plan for next week.',
+    '[00:00:10.000] Bob: The rollback plan is ready and reviewed by ops.',
+    '[00:00:20.000] Jane: Budget is fixed so new tools replace old ones.'
+].join('\n') + '\n';
+
+let counter = 0;
+
+function createSummarizer() {
+    const transcriptFile = path.join(workDir, `meeting-${++counter}.txt`);
+    fs.writeFileSync(transcriptFile, TRANSCRIPT);
+
+    const summarizer = new TranscriptSummarizer(transcriptFile);
+    summarizer.metadata.segments = [
+        { id: 'segment-1', startWordIndex: 0, endWordIndex: 9 },
+        { id: 'segment-2', startWordIndex: 10, endWordIndex: 19 },
+        { id: 'segment-3', startWordIndex: 20, endWordIndex: 29 }
+    ];
+    summarizer.metadata.headers = [
+        { id: 'header-1', title: 'Migration', segments: ['segment-1'], summary: '', locked: false, subHeaders: [
+            { id: 'subheader-1', title: 'Rollback', segments: ['segment-2'], parentId: 'header-1' }
+        ] },
+        { id: 'header-2', title: 'Budget', segments: ['segment-3'], summary: '', locked: false, subHeaders: [] }
+    ];
+    return summarizer;
+}
+
+test.after(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('renaming a topic locks its main topic against automatic titles', () => {
+    const summarizer = createSummarizer();
+
+    const renamed = summarizer.renameTopic('subheader-1', '"Title: Rollback plan"');
+    assert.strictEqual(renamed.title, 'Rollback plan');
+    assert.strictEqual(renamed.renamedByUser, true);
+    assert.strictEqual(summarizer.metadata.headers[0].locked, true);
+
+    assert.throws(() => summarizer.renameTopic('header-2', '  '), /cannot be empty/);
+    assert.throws(() => summarizer.renameTopic('header-9', 'Other'), /Topic not found/);
+
+    const saved = JSON.parse(fs.readFileSync(summarizer.metadataFilePath, 'utf8'));
+    assert.strictEqual(saved.headers[0].subHeaders[0].title, 'Rollback plan');
+});
+
+test('splitting a topic moves everything from the word on to a new topic', () => {
+    const summarizer = createSummarizer();
+
+    const newHeader = summarizer.splitTopicAtWord(15);
+    assert.deepStrictEqual(summarizer.metadata.segments.map(segment => [segment.id, segment.startWordIndex, segment.endWordIndex]), [
+        ['segment-1', 0, 9],
+        ['segment-2-part1', 10, 14],
+        ['segment-2-part2', 15, 19],
+        ['segment-3', 20, 29]
+    ]);
+    assert.deepStrictEqual(summarizer.metadata.headers.map(header => header.title), ['Migration', 'Migration (continued)', 'Budget']);
+    assert.deepStrictEqual(summarizer.metadata.headers[0].subHeaders[0].segments, ['segment-2-part1']);
+    assert.deepStrictEqual(newHeader.segments, []);
+    assert.deepStrictEqual(newHeader.subHeaders.map(subHeader => [subHeader.title, subHeader.segments, subHeader.parentId]), [
+        ['Rollback', ['segment-2-part2'], newHeader.id]
+    ]);
+
+    assert.throws(() => summarizer.splitTopicAtWord(20), /at its first word/);
+});
+
+test('merging a topic with the next keeps segments in transcript order', () => {
+    const summarizer = createSummarizer();
+    summarizer.splitTopicAtWord(10, 'Rollback details');
+
+    const merged = summarizer.mergeTopicWithNext('header-1');
+    assert.deepStrictEqual(summarizer.metadata.headers.map(header => header.title), ['Migration', 'Budget']);
+    assert.deepStrictEqual(merged.segments, ['segment-1']);
+    assert.deepStrictEqual(merged.subHeaders.map(subHeader => [subHeader.title, subHeader.segments, subHeader.parentId]), [
+        ['Rollback', ['segment-2'], 'header-1']
+    ]);
+
+    assert.deepStrictEqual(summarizer.mergeTopicWithNext('header-1').segments, ['segment-1', 'segment-3']);
+    assert.throws(() => summarizer.mergeTopicWithNext('header-1'), /no following topic/);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const topicRebuild = require('../topic-rebuild');
+
+const SEGMENTS = [
+    { id: 'segment-0', startWordIndex: 0, endWordIndex: 99 },
+    { id: 'segment-1', startWordIndex: 100, endWordIndex: 199 },
+    { id: 'segment-2', startWordIndex: 200, endWordIndex: 299 },
+    { id: 'segment-3', startWordIndex: 300, endWordIndex: 399 }
+];
+
+test('segments are grouped into passes under the word limit', () => {
+    const texts = ['one two three', 'four five', 'six seven eight nine', 'ten'];
+
+    assert.deepStrictEqual(topicRebuild.planRebuildPasses(texts, 5), [
+        { start: 0, end: 1 },
+        { start: 2, end: 3 }
+    ]);
+    // A segment longer than the limit still gets a pass of its own
+    assert.deepStrictEqual(topicRebuild.planRebuildPasses(texts, 3), [
+        { start: 0, end: 0 },
+        { start: 1, end: 1 },
+        { start: 2, end: 2 },
+        { start: 3, end: 3 }
+    ]);
+    assert.deepStrictEqual(topicRebuild.planRebuildPasses([], 5), []);
+});
+
+test('outline replies are repaired into consecutive topics', () => {
+    const reply = [
+        'Here is the outline:',
+        '- TOPIC 0-1 | Migration plan | Dates and rollback',
+        'SUB 0-0 | Dates | When it runs',
+        'SUB 1-1 | Rollback | How to undo it',
+        'TOPIC 3-5 | Budget | Fixed for the quarter'
+    ].join('\n');
+
+    assert.deepStrictEqual(topicRebuild.parseTopicOutline(reply, { start: 0, end: 3 }), [
+        {
+            start: 0, end: 2, title: 'Migration plan', summary: 'Dates and rollback',
+            subTopics: [
+                { start: 0, end: 0, title: 'Dates', summary: 'When it runs' },
+                { start: 1, end: 1, title: 'Rollback', summary: 'How to undo it' }
+            ]
+        },
+        { start: 3, end: 3, title: 'Budget', summary: 'Fixed for the quarter', subTopics: [] }
+    ]);
+    assert.deepStrictEqual(topicRebuild.parseTopicOutline('I could not do it', { start: 4, end: 9 }), [
+        { start: 4, end: 9, title: null, summary: '', subTopics: [] }
+    ]);
+});
+
+test('a CONTINUED topic extends the last topic of the previous pass', () => {
+    const topics = [{ start: 0, end: 1, title: 'Migration', summary: '', subTopics: [] }];
+    topicRebuild.mergeOutlinePass(topics, [
+        { start: 2, end: 2, title: 'continued', summary: '', subTopics: [] },
+        { start: 3, end: 3, title: 'Budget', summary: '', subTopics: [] }
+    ]);
+
+    assert.deepStrictEqual(topics.map(topic => [topic.title, topic.start, topic.end]), [['Migration', 0, 2], ['Budget', 3, 3]]);
+});
+
+test('the rebuild diff shows which topics change', () => {
+    const oldHeaders = [
+        { title: 'Migration', segments: ['segment-0', 'segment-1'], subHeaders: [] },
+        { title: 'Budget', segments: ['segment-2', 'segment-3'], subHeaders: [] }
+    ];
+    const newHeaders = topicRebuild.buildHeadersFromOutline([
+        { start: 0, end: 1, title: 'Migration', summary: '', subTopics: [] },
+        { start: 2, end: 2, title: 'Budget', summary: '', subTopics: [] },
+        { start: 3, end: 3, title: 'Hiring', summary: '', subTopics: [] }
+    ], SEGMENTS);
+
+    const oldLines = topicRebuild.renderTopicOutline(oldHeaders, SEGMENTS);
+    const newLines = topicRebuild.renderTopicOutline(newHeaders, SEGMENTS);
+    assert.deepStrictEqual(oldLines, ['Migration (words 0-199)', 'Budget (words 200-399)']);
+
+    const diff = topicRebuild.diffTopicOutlines(oldLines, newLines);
+    assert.deepStrictEqual(diff, [
+        { type: 'same', text: 'Migration (words 0-199)' },
+        { type: 'removed', text: 'Budget (words 200-399)' },
+        { type: 'added', text: 'Budget (words 200-299)' },
+        { type: 'added', text: 'Hiring (words 300-399)' }
+    ]);
+    assert.strictEqual(topicRebuild.formatTopicDiff(diff), [
+        '  Migration (words 0-199)',
+        '- Budget (words 200-399)',
+        '+ Budget (words 200-299)',
+        '+ Hiring (words 300-399)'
+    ].join('\n'));
+    assert.deepStrictEqual(newHeaders.map(header => [header.locked, header.rebuilt]), [[false, true], [false, true], [false, true]]);
+});
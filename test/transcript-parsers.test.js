@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { transcriptParsers, normalizeTimestamp } = require('../transcript-parsers');
+
+test('bracketed lines with speakers, without speakers and with time ranges', () => {
+    const records = transcriptParsers.parse([
+        '[00:42:55.55] Jane: Hello there',
+        '[00:00:00.16]: No speaker here',
+        '[00:00:00.000 --> 00:00:01.760]   Whisper line'
+    ].join('\n'), { format: 'bracketed' });
+
+    assert.deepStrictEqual(records, [
+        { timestamp: '00:42:55.55', speaker: 'Jane', content: 'Hello there' },
+        { timestamp: '00:00:00.16', speaker: '', content: 'No speaker here' },
+        { timestamp: '00:00:00.000', endTimestamp: '00:00:01.760', speaker: '', content: 'Whisper line' }
+    ]);
+});
+
+test('bracketed transcripts on one line keep a leading title', () => {
+    const records = transcriptParsers.parse('Weekly sync\n[00:00:01.000] Jane: One [00:00:02.000] Bob: Two', { format: 'bracketed' });
+
+    assert.deepStrictEqual(records.map(record => [record.timestamp, record.speaker, record.content]), [
+        ['', '', 'Weekly sync'],
+        ['00:00:01.000', 'Jane', 'One'],
+        ['00:00:02.000', 'Bob', 'Two']
+    ]);
+});
+
+test('a leading title does not merge timed lines with their untimed continuations', () => {
+    const records = transcriptParsers.parse('Title\n[00:00:01.000] Jane: One\ncontinued here\n[00:00:02.000] Bob: Two', { format: 'bracketed' });
+
+    assert.deepStrictEqual(records.map(record => [record.timestamp, record.speaker, record.content]), [
+        ['', '', 'Title'],
+        ['00:00:01.000', 'Jane', 'One'],
+        ['', '', 'continued here'],
+        ['00:00:02.000', 'Bob', 'Two']
+    ]);
+});
+
+test('WebVTT cues with voice tags and speaker prefixes', () => {
+    const vtt = 'WEBVTT\n\n1\n00:01.500 --> 00:03.000\n<v Jane Doe>Hello</v>\n\nNOTE skipped\n\n00:00:04.000 --> 00:00:06.000\nBob: Second cue\n';
+    const records = transcriptParsers.parse(vtt, { filePath: 'meeting.vtt' });
+
+    assert.strictEqual(transcriptParsers.detectFormat('meeting.vtt', vtt), 'webvtt');
+    assert.deepStrictEqual(records, [
+        { timestamp: '00:00:01.500', endTimestamp: '00:00:03.000', speaker: 'Jane Doe', content: 'Hello' },
+        { timestamp: '00:00:04.000', endTimestamp: '00:00:06.000', speaker: 'Bob', content: 'Second cue' }
+    ]);
+});
+
+test('SRT and SBV cues', () => {
+    const srt = '1\n00:00:01,000 --> 00:00:02,500\nJane: From SubRip\n\n2\n00:00:03,000 --> 00:00:04,000\nNo speaker\n';
+    const sbv = '0:00:01.000,0:00:02.000\nBob: From SubViewer\n';
+
+    assert.strictEqual(transcriptParsers.detectFormat('meeting.txt', srt), 'srt');
+    assert.strictEqual(transcriptParsers.detectFormat('meeting.txt', sbv), 'sbv');
+    assert.deepStrictEqual(transcriptParsers.parse(srt, { filePath: 'meeting.srt' }), [
+        { timestamp: '00:00:01.000', endTimestamp: '00:00:02.500', speaker: 'Jane', content: 'From SubRip' },
+        { timestamp: '00:00:03.000', endTimestamp: '00:00:04.000', speaker: '', content: 'No speaker' }
+    ]);
+    assert.deepStrictEqual(transcriptParsers.parse(sbv, { filePath: 'meeting.sbv' }), [
+        { timestamp: '00:00:01.000', endTimestamp: '00:00:02.000', speaker: 'Bob', content: 'From SubViewer' }
+    ]);
+});
+
+test('line parsers carry the cue timing to the cue text', () => {
+    const parseLine = transcriptParsers.createLineParser('srt');
+    const parsed = '1\n00:00:01,000 --> 00:00:02,500\nJane: Hello'.split('\n').map(parseLine);
+
+    assert.deepStrictEqual(parsed, [
+        null,
+        null,
+        { timestamp: '00:00:01.000', endTimestamp: '00:00:02.500', speaker: 'Jane', content: 'Hello' }
+    ]);
+    assert.deepStrictEqual(transcriptParsers.parseLine('Jane: Hello', 'srt'), { timestamp: '', speaker: 'Jane', content: 'Hello' });
+    assert.strictEqual(transcriptParsers.parseLine('Jane: Hello'), null);
+});
+
+test('cue timestamps are normalized to HH:MM:SS.mmm', () => {
+    assert.strictEqual(normalizeTimestamp('00:01.5'), '00:00:01.500');
+    assert.strictEqual(normalizeTimestamp('0:00:01,250'), '00:00:01.250');
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeVoiceSettings, parseVoiceCommand, describeVoiceCommand } = require('../voice-commands');
+
+const settings = normalizeVoiceSettings({ enabled: true, trigger: 'Assistant' });
+
+test('voice commands are off unless enabled and fall back to the default phrases', () => {
+    assert.strictEqual(normalizeVoiceSettings({}).enabled, false);
+    assert.strictEqual(normalizeVoiceSettings({}).trigger, 'assistant');
+    assert.strictEqual(normalizeVoiceSettings({}).grammar, 'commands');
+
+    const custom = normalizeVoiceSettings({ enabled: true, phrases: { note: ' Jot down, Remember ', decision: '' } });
+    assert.deepStrictEqual(custom.phrases.note, ['jot down', 'remember']);
+    assert.deepStrictEqual(custom.phrases.decision, ['mark decision', 'decision']);
+});
+
+test('the trigger needs a separator and must start the line or a sentence', () => {
+    assert.deepStrictEqual(parseVoiceCommand('Assistant, note that the budget is fixed', 'Jane', settings), {
+        before: '',
+        text: 'note that the budget is fixed',
+        kind: 'note',
+        argument: 'the budget is fixed'
+    });
+    assert.deepStrictEqual(parseVoiceCommand('Let us move on. assistant: new topic: Hiring', 'Jane', settings), {
+        before: 'Let us move on.',
+        text: 'new topic: Hiring',
+        kind: 'newTopic',
+        argument: 'Hiring'
+    });
+    assert.strictEqual(parseVoiceCommand('Ask the assistant, later', 'Jane', settings), null);
+    assert.strictEqual(parseVoiceCommand('Assistant managers need more budget', 'Jane', settings), null);
+    assert.strictEqual(parseVoiceCommand('Assistant,', 'Jane', settings), null);
+});
+
+test('the longest phrase wins and unknown openings are summary instructions', () => {
+    assert.strictEqual(parseVoiceCommand('Assistant, mark decision we ship Friday', '', settings).kind, 'decision');
+    assert.strictEqual(parseVoiceCommand('Assistant, to do: book a room', '', settings).kind, 'actionItem');
+    assert.strictEqual(parseVoiceCommand('Assistant, notes are shared later', '', settings).kind, 'instruction');
+    assert.strictEqual(describeVoiceCommand(parseVoiceCommand('Assistant, action item send the plan', '', settings)), 'Action item: send the plan');
+});
+
+test('only the configured speaker is listened to', () => {
+    const juho = normalizeVoiceSettings({ enabled: true, trigger: 'Assistant', speaker: 'Juho' });
+
+    assert.ok(parseVoiceCommand('Assistant, note that it works', 'juho', juho));
+    assert.strictEqual(parseVoiceCommand('Assistant, note that it works', 'Jane', juho), null);
+});
+
+test('the instructions grammar keeps the CLI control channel', () => {
+    const cli = normalizeVoiceSettings({ enabled: true, trigger: 'Message to summary robot', speaker: 'Juho', grammar: 'instructions' });
+
+    assert.deepStrictEqual(parseVoiceCommand('Okay so Message to summary robot note the budget is fixed', 'Juho', cli), {
+        before: '',
+        text: 'note the budget is fixed',
+        kind: 'instruction',
+        argument: 'note the budget is fixed'
+    });
+    assert.strictEqual(parseVoiceCommand('Message to summary robot. New topic is hiring', 'Juho', cli).kind, 'instruction');
+    assert.strictEqual(parseVoiceCommand('message to summary robot, shorten it', 'Juho', cli), null);
+    assert.strictEqual(parseVoiceCommand('Message to summary robot, shorten it', 'Jane', cli), null);
+});
@@ -0,0 +1,136 @@
+// Local topic boundary detection for automatic topic headers, shared by the CLI and the Electron app.
+// Segments are embedded with a small sentence-embedding model (@xenova/transformers, runs on the CPU)
+// and compared with the current topic. Clear FIT and clear NEW cases are decided here; only segments
+// in between go to the LLM, which also still writes every header title.
+
+const DEFAULT_OPTIONS = {
+    enabled: true,
+    model: 'Xenova/all-MiniLM-L6-v2',
+    fitThreshold: 0.55,   // similarity at or above this stays with the current topic
+    newThreshold: 0.25,   // similarity at or below this starts a new topic
+    recentSegments: 3,    // the topic's latest segments, to follow a drifting discussion
+    topicSegments: 12     // how many of the topic's segments describe it as a whole
+};
+
+// TOPIC_DETECTION=llm turns local detection off; the thresholds can be tuned per model
+function loadTopicDetectionConfig(overrides = {}, env = process.env) {
+    const config = { ...DEFAULT_OPTIONS };
+    if (env.TOPIC_DETECTION) config.enabled = env.TOPIC_DETECTION !== 'llm';
+    if (env.TOPIC_EMBEDDING_MODEL) config.model = env.TOPIC_EMBEDDING_MODEL;
+    if (env.TOPIC_FIT_THRESHOLD) config.fitThreshold = parseFloat(env.TOPIC_FIT_THRESHOLD);
+    if (env.TOPIC_NEW_THRESHOLD) config.newThreshold = parseFloat(env.TOPIC_NEW_THRESHOLD);
+    return { ...config, ...overrides };
+}
+
+function cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+function centroid(vectors) {
+    if (vectors.length === 0) return null;
+    const sum = new Array(vectors[0].length).fill(0);
+    vectors.forEach(vector => vector.forEach((value, i) => { sum[i] += value; }));
+    return sum.map(value => value / vectors.length);
+}
+
+// Segment text comes straight from the transcript; timestamps carry no topic information
+function cleanSegmentText(text) {
+    return text
+        .replace(/\[[^\]]*\]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function classifySimilarity(similarity, { fitThreshold, newThreshold }) {
+    if (similarity >= fitThreshold) return 'FIT';
+    if (similarity <= newThreshold) return 'NEW';
+    return 'AMBIGUOUS';
+}
+
+class TopicEmbedder {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.extractor = null;
+        this.available = false;
+        this.initializationPromise = null;
+        this.cache = new Map(); // segment id -> embedding
+    }
+
+    async initialize() {
+        if (!this.options.enabled) return false;
+        if (!this.initializationPromise) {
+            this.initializationPromise = this.loadModel();
+        }
+        return this.initializationPromise;
+    }
+
+    async loadModel() {
+        try {
+            console.log(`🧭 Loading topic embedding model ${this.options.model}...`);
+            // @xenova/transformers is an ES module
+            const { pipeline } = await import('@xenova/transformers');
+            this.extractor = await pipeline('feature-extraction', this.options.model);
+            this.available = true;
+            console.log('✅ Local topic detection ready');
+        } catch (error) {
+            console.log('⚠️  Local topic detection unavailable, using the LLM for every topic decision:', error.message);
+            this.available = false;
+        }
+        return this.available;
+    }
+
+    async embed(text) {
+        const output = await this.extractor(cleanSegmentText(text), { pooling: 'mean', normalize: true });
+        return Array.from(output.data);
+    }
+
+    async embedSegment(segment, text) {
+        if (!this.cache.has(segment.id)) {
+            this.cache.set(segment.id, await this.embed(text));
+        }
+        return this.cache.get(segment.id);
+    }
+
+    forget(segmentId) {
+        this.cache.delete(segmentId);
+    }
+
+    // Similarity of a segment to a topic made of earlier segments ([{ segment, text }] in transcript
+    // order): the better of the topic's latest segments and the topic as a whole
+    async compareToTopic(segment, text, topicSegments) {
+        const embedding = await this.embedSegment(segment, text);
+        const known = topicSegments.filter(entry => entry.segment.id !== segment.id);
+        if (known.length === 0) return null;
+
+        const vectors = [];
+        for (const entry of known.slice(-this.options.topicSegments)) {
+            vectors.push(await this.embedSegment(entry.segment, entry.text));
+        }
+
+        const recent = cosineSimilarity(embedding, centroid(vectors.slice(-this.options.recentSegments)));
+        const overall = cosineSimilarity(embedding, centroid(vectors));
+        const similarity = Math.max(recent, overall);
+
+        return {
+            similarity,
+            action: classifySimilarity(similarity, this.options)
+        };
+    }
+}
+
+module.exports = {
+    TopicEmbedder,
+    loadTopicDetectionConfig,
+    cosineSimilarity,
+    centroid,
+    classifySimilarity,
+    DEFAULT_OPTIONS
+};
@@ -0,0 +1,279 @@
+const path = require('path');
+const { normalizeTimestamp } = require('./transcript-parsers');
+
+// Topic outline export, shared by the CLI and the Electron app.
+// Turns metadata.headers into a meeting agenda: every topic and sub-topic with its summary, time
+// span, the speakers involved and links to the notes written for that part of the transcript.
+// Markdown pastes into wikis; HTML and the Word (.doc) variant of it open in browsers and Word.
+
+const OUTLINE_FORMATS = {
+    md: { extension: 'md', name: 'Markdown' },
+    html: { extension: 'html', name: 'HTML' },
+    doc: { extension: 'doc', name: 'Word Document' }
+};
+
+const CUE_TIMING = /^((?:\d+:)?\d{1,2}:\d{2}(?:[.,]\d{1,3})?)\s*(?:-->|,)\s*((?:\d+:)?\d{1,2}:\d{2}(?:[.,]\d{1,3})?)/;
+const SPEAKER_PREFIX = /^(?:>>\s*)?([^:.?!<>\[\]]{1,40}?):\s+\S/;
+
+function countWords(text) {
+    return text.split(/\s+/).filter(word => word.length > 0).length;
+}
+
+// Raw transcript lines with the word indices they cover (the summarizer counts words over the raw
+// file), plus the timestamp and speaker in effect on each line. Bracketed lines go through
+// parseLine; cue formats carry the time on a timing line and the speaker in the cue text.
+function indexTranscriptLines(content, parseLine) {
+    const lines = [];
+    let wordIndex = 0;
+    let timestamp = '';
+    let endTimestamp = '';
+    let speaker = '';
+
+    for (const rawLine of content.split('\n')) {
+        const words = countWords(rawLine);
+        if (words === 0) continue;
+
+        const line = rawLine.trim();
+        const parsed = parseLine(line);
+        const timing = line.match(CUE_TIMING);
+        if (parsed) {
+            timestamp = parsed.timestamp || timestamp;
+            endTimestamp = parsed.endTimestamp || '';
+            speaker = parsed.speaker;
+        } else if (timing) {
+            timestamp = normalizeTimestamp(timing[1].replace(',', '.'));
+            endTimestamp = normalizeTimestamp(timing[2].replace(',', '.'));
+            speaker = '';
+        } else {
+            const voice = line.match(/<v(?:\.[^\s>]+)?\s+([^>]+)>/);
+            const prefix = line.match(SPEAKER_PREFIX);
+            if (voice) speaker = voice[1].trim();
+            else if (prefix && !/^\d+$/.test(prefix[1].trim())) speaker = prefix[1].trim();
+        }
+
+        lines.push({ startWordIndex: wordIndex, endWordIndex: wordIndex + words - 1, timestamp, endTimestamp, speaker });
+        wordIndex += words;
+    }
+
+    return lines;
+}
+
+function linesInRange(lines, startWordIndex, endWordIndex) {
+    return lines.filter(line => line.endWordIndex >= startWordIndex && line.startWordIndex <= endWordIndex);
+}
+
+function formatSeconds(seconds) {
+    const total = Math.max(0, Math.floor(seconds));
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = total % 60;
+    return hours > 0
+        ? `${hours}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}`
+        : `${minutes}:${String(secs).padStart(2, '0')}`;
+}
+
+// Recording offsets first, then session time (a segment's sessionTime is taken when its last word
+// arrives, so a topic starts where the segment before it ended), then transcript timestamps.
+// Segments cut from an already written file all share one session time, so they skip it.
+function topicTimeSpan(topicSegments, allSegments, lines) {
+    const first = topicSegments[0];
+    const last = topicSegments[topicSegments.length - 1];
+
+    if (first.audioStart !== undefined && last.audioEnd !== undefined) {
+        return { start: formatSeconds(first.audioStart), end: formatSeconds(last.audioEnd) };
+    }
+
+    const live = topicSegments.every(segment => segment.source !== 'initial-load');
+    if (live && first.sessionTime !== undefined && last.sessionTime !== undefined) {
+        const before = allSegments.filter(segment => segment.endWordIndex < first.startWordIndex && segment.sessionTime !== undefined);
+        const start = before.length > 0 ? before[before.length - 1].sessionTime : 0;
+        return { start: formatSeconds(start / 1000), end: formatSeconds(last.sessionTime / 1000) };
+    }
+
+    // Lines only carry a start time; the topic ends where the line after it begins
+    const range = linesInRange(lines, first.startWordIndex, last.endWordIndex).filter(line => line.timestamp);
+    if (range.length === 0) return null;
+    const trim = timestamp => timestamp.replace(/[.,]\d+$/, '');
+    const lastLine = range[range.length - 1];
+    const nextLine = lines.find(line => line.startWordIndex > last.endWordIndex && line.timestamp);
+    const end = lastLine.endTimestamp || (nextLine ? nextLine.timestamp : lastLine.timestamp);
+    return { start: trim(range[0].timestamp), end: trim(end) };
+}
+
+// GitHub-style heading anchors, so links land on the note in the rendered notes file
+function headingAnchor(title) {
+    return title
+        .trim()
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+        .replace(/\s/g, '-');
+}
+
+// Notes saved with a word range: "## Title <!-- words:120-340 -->"
+function parseNoteRanges(notesContent) {
+    const notes = [];
+    const pattern = /^##\s+(.+?)\s*<!--\s*words:(\d+)-(\d+)\s*-->/gm;
+    let match;
+    while ((match = pattern.exec(notesContent || '')) !== null) {
+        notes.push({
+            title: match[1],
+            anchor: headingAnchor(match[1]),
+            startWordIndex: parseInt(match[2]),
+            endWordIndex: parseInt(match[3])
+        });
+    }
+    return notes;
+}
+
+// Segment summaries start out as raw transcript text; drop timestamps and speaker prefixes
+function cleanSummary(summary) {
+    return (summary || '')
+        .replace(/\[[^\]]*\]\s*(?:[^:\s][^:]{0,40}:\s)?/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// { headers, segments, transcript, notes, parseLine } -> [{ number, title, summary, span, speakers, notes, subTopics }]
+function buildTopicOutline({ headers, segments, transcript, notes = '', parseLine }) {
+    const lines = indexTranscriptLines(transcript || '', parseLine);
+    const noteRanges = parseNoteRanges(notes);
+    const byId = new Map(segments.map(segment => [segment.id, segment]));
+    const ordered = [...segments].sort((a, b) => a.startWordIndex - b.startWordIndex);
+
+    const describe = (topic, number) => {
+        const topicSegments = topic.segments
+            .map(id => byId.get(id))
+            .filter(Boolean)
+            .sort((a, b) => a.startWordIndex - b.startWordIndex);
+        if (topicSegments.length === 0) {
+            return { number, title: topic.title, summary: cleanSummary(topic.summary), span: null, speakers: [], notes: [] };
+        }
+
+        const speakers = new Set();
+        topicSegments.forEach(segment => {
+            linesInRange(lines, segment.startWordIndex, segment.endWordIndex)
+                .forEach(line => { if (line.speaker) speakers.add(line.speaker); });
+        });
+
+        const startWordIndex = topicSegments[0].startWordIndex;
+        const endWordIndex = topicSegments[topicSegments.length - 1].endWordIndex;
+
+        return {
+            number,
+            title: topic.title,
+            summary: cleanSummary(topic.summary),
+            span: topicTimeSpan(topicSegments, ordered, lines),
+            speakers: Array.from(speakers),
+            notes: noteRanges.filter(note => note.startWordIndex <= endWordIndex && note.endWordIndex >= startWordIndex)
+        };
+    };
+
+    return (headers || []).map((header, index) => ({
+        ...describe(header, `${index + 1}`),
+        subTopics: (header.subHeaders || []).map((subHeader, subIndex) => describe(subHeader, `${index + 1}.${subIndex + 1}`))
+    }));
+}
+
+function describeDetails(topic) {
+    const details = [];
+    if (topic.span) details.push(`${topic.span.start}–${topic.span.end}`);
+    if (topic.speakers.length > 0) details.push(topic.speakers.join(', '));
+    return details.join(' · ');
+}
+
+function formatOutlineMarkdown(outline, { title, notesFileName }) {
+    const sections = [`# ${title}`];
+
+    const addTopic = (topic, level) => {
+        const parts = [`${'#'.repeat(level)} ${topic.number}. ${topic.title}`];
+        const details = describeDetails(topic);
+        if (details) parts.push(`*${details}*`);
+        if (topic.summary) parts.push(topic.summary);
+        if (topic.notes.length > 0) {
+            parts.push(`Notes: ${topic.notes.map(note => `[${note.title}](${notesFileName}#${note.anchor})`).join(', ')}`);
+        }
+        sections.push(parts.join('\n\n'));
+    };
+
+    outline.forEach(topic => {
+        addTopic(topic, 2);
+        topic.subTopics.forEach(subTopic => addTopic(subTopic, 3));
+    });
+
+    return sections.join('\n\n') + '\n';
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Word opens HTML saved as .doc with its own headings, so the same markup serves both formats
+function formatOutlineHtml(outline, { title, notesFileName, word = false }) {
+    const body = [];
+
+    const addTopic = (topic, level) => {
+        body.push(`<h${level}>${escapeHtml(`${topic.number}. ${topic.title}`)}</h${level}>`);
+        const details = describeDetails(topic);
+        if (details) body.push(`<p class="details"><em>${escapeHtml(details)}</em></p>`);
+        if (topic.summary) body.push(`<p>${escapeHtml(topic.summary)}</p>`);
+        if (topic.notes.length > 0) {
+            const links = topic.notes
+                .map(note => `<a href="${escapeHtml(`${notesFileName}#${note.anchor}`)}">${escapeHtml(note.title)}</a>`)
+                .join(', ');
+            body.push(`<p class="notes">Notes: ${links}</p>`);
+        }
+    };
+
+    outline.forEach(topic => {
+        addTopic(topic, 2);
+        topic.subTopics.forEach(subTopic => addTopic(subTopic, 3));
+    });
+
+    const htmlTag = word
+        ? '<html xmlns:o="urn:schemas-microsoft-com:office:office" xmlns:w="urn:schemas-microsoft-com:office:word">'
+        : '<html>';
+
+    return `<!DOCTYPE html>
+${htmlTag}
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 800px; margin: 2em auto; line-height: 1.5; }
+.details { color: #666; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+${body.join('\n')}
+</body>
+</html>
+`;
+}
+
+function formatTopicOutline(outline, format, { title, notesFilePath }) {
+    const options = { title, notesFileName: path.basename(notesFilePath) };
+    switch (format) {
+        case 'md':
+            return formatOutlineMarkdown(outline, options);
+        case 'html':
+            return formatOutlineHtml(outline, options);
+        case 'doc':
+            return formatOutlineHtml(outline, { ...options, word: true });
+        default:
+            throw new Error(`Unknown outline format: ${format}`);
+    }
+}
+
+module.exports = {
+    OUTLINE_FORMATS,
+    indexTranscriptLines,
+    parseNoteRanges,
+    headingAnchor,
+    buildTopicOutline,
+    formatTopicOutline
+};
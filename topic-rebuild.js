@@ -0,0 +1,232 @@
+// Batch topic rebuilding for finished transcripts, shared by the CLI and the Electron app.
+// Instead of one request per segment, the numbered segments go to the LLM in a few large passes
+// and come back as an outline over segment numbers:
+//   TOPIC 0-7 | Title | One-sentence summary
+//   SUB 0-3 | Sub-topic title | One-sentence summary
+// The outline becomes metadata headers; word ranges follow from the segments each topic holds.
+
+const PASS_WORD_LIMIT = 12000; // transcript words per request, well inside the context window
+const CONTINUED_TITLE = 'CONTINUED'; // first topic of a pass that carries on from the previous pass
+
+const OUTLINE_LINE = /^(TOPIC|SUB)\s+(\d+)\s*-\s*(\d+)\s*\|\s*([^|]+?)\s*(?:\|\s*(.*))?$/i;
+
+// Group consecutive segments into passes of at most wordLimit words: [{ start, end }] (inclusive)
+function planRebuildPasses(segmentTexts, wordLimit = PASS_WORD_LIMIT) {
+    const passes = [];
+    let start = 0;
+    let words = 0;
+
+    segmentTexts.forEach((text, index) => {
+        const count = text.split(/\s+/).filter(word => word.length > 0).length;
+        if (index > start && words + count > wordLimit) {
+            passes.push({ start, end: index - 1 });
+            start = index;
+            words = 0;
+        }
+        words += count;
+    });
+
+    if (segmentTexts.length > 0) {
+        passes.push({ start, end: segmentTexts.length - 1 });
+    }
+    return passes;
+}
+
+// profile: the session's meeting profile (audience and topic guidance), see meeting-profiles.js
+function buildRebuildPrompt(segmentTexts, { start, end }, previousTitle = null, profile = null) {
+    const numbered = segmentTexts
+        .slice(start, end + 1)
+        .map((text, offset) => `[${start + offset}] ${text}`)
+        .join('\n');
+
+    const continuation = previousTitle
+        ? `\nThe previous part of the meeting ended with the topic "${previousTitle}". If segment ${start} still continues that topic, use ${CONTINUED_TITLE} as the title of your first topic.\n`
+        : '';
+
+    const audience = profile ? profile.audience : 'a SOFTWARE SOLUTION ARCHITECT';
+    const guidance = profile && profile.topicGuidance ? `\nTOPICS IN THIS KIND OF MEETING:\n${profile.topicGuidance}\n` : '';
+
+    return `You are rebuilding the topic structure of a meeting transcript for ${audience}.
+
+The transcript is split into numbered segments. Group consecutive segments into main topics, and split a main topic into sub-topics only where it has clearly distinct parts.
+${guidance}${continuation}
+SEGMENTS ${start} TO ${end}:
+${numbered}
+
+Guidelines:
+- Every segment from ${start} to ${end} belongs to exactly one main topic, and main topics are consecutive ranges
+- A main topic covers a substantial part of the discussion, usually several segments
+- Titles are specific and descriptive (3-6 words)
+- Sub-topics are optional; use at least 2 for a main topic if you use any, inside the main topic's range
+- Summaries are one sentence
+
+Response format (IMPORTANT - follow exactly, one line per topic, sub-topics right after their main topic):
+TOPIC ${start}-${start + 7} | Title | Summary
+SUB ${start}-${start + 3} | Sub-topic title | Summary
+SUB ${start + 4}-${start + 7} | Sub-topic title | Summary
+TOPIC ${start + 8}-${end} | Title | Summary
+
+Respond with ONLY these lines - no explanations.`;
+}
+
+// Parse one pass's reply and repair it into consecutive topics covering start..end exactly
+function parseTopicOutline(text, { start, end }) {
+    const topics = [];
+
+    (text || '').split('\n').forEach(rawLine => {
+        const match = rawLine.trim().replace(/^[-*]\s*/, '').match(OUTLINE_LINE);
+        if (!match) return;
+
+        const entry = {
+            start: parseInt(match[2]),
+            end: parseInt(match[3]),
+            title: match[4].trim(),
+            summary: (match[5] || '').trim()
+        };
+        if (match[1].toUpperCase() === 'TOPIC') {
+            topics.push({ ...entry, subTopics: [] });
+        } else if (topics.length > 0) {
+            topics[topics.length - 1].subTopics.push(entry);
+        }
+    });
+
+    topics.sort((a, b) => a.start - b.start);
+
+    // Close gaps and overlaps: each topic runs until the next one starts
+    const repaired = [];
+    topics.forEach((topic, index) => {
+        const previous = repaired[repaired.length - 1];
+        topic.start = previous ? previous.end + 1 : start;
+        const next = topics[index + 1];
+        topic.end = next ? Math.min(Math.max(topic.end, next.start - 1), end) : end;
+        if (topic.start > topic.end) return;
+
+        let subEnd = topic.start - 1;
+        topic.subTopics = topic.subTopics
+            .sort((a, b) => a.start - b.start)
+            .map(subTopic => {
+                const clipped = { ...subTopic, start: Math.max(subTopic.start, subEnd + 1), end: Math.min(subTopic.end, topic.end) };
+                if (clipped.start <= clipped.end) subEnd = clipped.end;
+                return clipped;
+            })
+            .filter(subTopic => subTopic.start <= subTopic.end);
+        if (topic.subTopics.length < 2) topic.subTopics = [];
+
+        repaired.push(topic);
+    });
+
+    if (repaired.length === 0) {
+        // Unusable reply: keep the pass together as one topic rather than losing it
+        return [{ start, end, title: null, summary: '', subTopics: [] }];
+    }
+    return repaired;
+}
+
+// Append a pass's topics, folding a CONTINUED first topic into the last topic so far
+function mergeOutlinePass(topics, passTopics) {
+    passTopics.forEach((topic, index) => {
+        const previous = topics[topics.length - 1];
+        const continues = index === 0 && previous && (topic.title || '').toUpperCase() === CONTINUED_TITLE;
+        if (continues) {
+            previous.end = topic.end;
+            previous.subTopics.push(...topic.subTopics);
+        } else {
+            topics.push(topic);
+        }
+    });
+    return topics;
+}
+
+// Turn the outline into metadata headers; segments are in transcript order, matching the numbering
+function buildHeadersFromOutline(topics, segments) {
+    const idSuffix = () => `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    const timestamp = new Date().toISOString();
+
+    return topics.map(topic => {
+        const headerId = `header-${idSuffix()}`;
+        const segmentIds = segments.slice(topic.start, topic.end + 1).map(segment => segment.id);
+        return {
+            id: headerId,
+            title: topic.title,
+            segments: segmentIds,
+            summary: topic.summary,
+            locked: segmentIds.length >= 3,
+            subHeaders: topic.subTopics.map(subTopic => ({
+                id: `subheader-${idSuffix()}`,
+                title: subTopic.title,
+                segments: segments.slice(subTopic.start, subTopic.end + 1).map(segment => segment.id),
+                summary: subTopic.summary,
+                parentId: headerId,
+                timestamp
+            })),
+            timestamp,
+            rebuilt: true
+        };
+    });
+}
+
+// One line per topic ("Title (words 0-349)"), sub-topics indented, for comparing structures
+function renderTopicOutline(headers, segments) {
+    const byId = new Map(segments.map(segment => [segment.id, segment]));
+    const describe = (topic) => {
+        const ranges = topic.segments.map(id => byId.get(id)).filter(Boolean);
+        if (ranges.length === 0) return topic.title;
+        const first = Math.min(...ranges.map(segment => segment.startWordIndex));
+        const last = Math.max(...ranges.map(segment => segment.endWordIndex));
+        return `${topic.title} (words ${first}-${last})`;
+    };
+
+    const lines = [];
+    (headers || []).forEach(header => {
+        lines.push(describe(header));
+        (header.subHeaders || []).forEach(subHeader => lines.push(`  ${describe(subHeader)}`));
+    });
+    return lines;
+}
+
+// Line diff of two outlines: [{ type: 'same' | 'removed' | 'added', text }]
+function diffTopicOutlines(oldLines, newLines) {
+    const lengths = Array.from({ length: oldLines.length + 1 }, () => new Array(newLines.length + 1).fill(0));
+    for (let i = oldLines.length - 1; i >= 0; i--) {
+        for (let j = newLines.length - 1; j >= 0; j--) {
+            lengths[i][j] = oldLines[i] === newLines[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const diff = [];
+    let i = 0;
+    let j = 0;
+    while (i < oldLines.length || j < newLines.length) {
+        if (i < oldLines.length && j < newLines.length && oldLines[i] === newLines[j]) {
+            diff.push({ type: 'same', text: oldLines[i] });
+            i++;
+            j++;
+        } else if (j >= newLines.length || (i < oldLines.length && lengths[i + 1][j] >= lengths[i][j + 1])) {
+            diff.push({ type: 'removed', text: oldLines[i] });
+            i++;
+        } else {
+            diff.push({ type: 'added', text: newLines[j] });
+            j++;
+        }
+    }
+    return diff;
+}
+
+function formatTopicDiff(diff) {
+    const prefixes = { same: '  ', removed: '- ', added: '+ ' };
+    return diff.map(entry => `${prefixes[entry.type]}${entry.text}`).join('\n');
+}
+
+module.exports = {
+    PASS_WORD_LIMIT,
+    planRebuildPasses,
+    buildRebuildPrompt,
+    parseTopicOutline,
+    mergeOutlinePass,
+    buildHeadersFromOutline,
+    renderTopicOutline,
+    diffTopicOutlines,
+    formatTopicDiff
+};
@@ -0,0 +1,362 @@
+const path = require('path');
+
+// Transcript format parsers shared by the CLI and the Electron app.
+// Every parser turns raw file content into { timestamp, speaker, content } records
+// (cue-based formats also carry endTimestamp). Empty strings mean "unknown".
+
+// Normalize cue timestamps (00:01.5, 0:00:01,500, 00:00:01.500) to HH:MM:SS.mmm
+function normalizeTimestamp(timestamp) {
+    if (!timestamp) return '';
+
+    const match = timestamp.trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{2})(?:[.,](\d{1,3}))?$/);
+    if (!match) return timestamp.trim();
+
+    const hours = (match[1] || '0').padStart(2, '0');
+    const minutes = match[2].padStart(2, '0');
+    const seconds = match[3];
+    const millis = (match[4] || '0').padEnd(3, '0');
+    return `${hours}:${minutes}:${seconds}.${millis}`;
+}
+
+// Split "Speaker Name: text" into parts, as used by Zoom VTT, Otter SRT and Meet SBV exports
+function splitSpeakerPrefix(text) {
+    const match = text.match(/^(?:>>\s*)?([^:.?!<>]{1,40}?):\s+([\s\S]+)$/);
+    if (match && !/^\d+$/.test(match[1].trim())) {
+        return { speaker: match[1].trim(), content: match[2].trim() };
+    }
+    return { speaker: '', content: text.replace(/^>>\s*/, '').trim() };
+}
+
+// Remove inline cue markup (<c>, <i>, <00:00:01.000> karaoke tags) and decode basic entities
+function stripCueMarkup(text) {
+    return text
+        .replace(/<[^>]*>/g, '')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Bracketed timestamp formats written by our recorders and whisper.cpp:
+//   [00:42:55.55] Speaker: content
+//   [00:00:00.16]: content
+//   [00:00:00.000 --> 00:00:01.760]   content
+class BracketedTranscriptParser {
+    constructor() {
+        this.name = 'bracketed';
+        this.extensions = ['.txt', '.log', '.md'];
+    }
+
+    detect(sample) {
+        return sample.split('\n').some(line => /^\[\d{2}:\d{2}:\d{2}\.\d{1,3}(\s*-->\s*\d{2}:\d{2}:\d{2}\.\d{1,3})?\]/.test(line.trim()));
+    }
+
+    // Parse a single line, returning null when it carries no bracketed timestamp
+    parseLine(line) {
+        const trimmed = line.trim();
+
+        // [HH:MM:SS.mmm --> HH:MM:SS.mmm] Content
+        let match = trimmed.match(/^\[(\d{2}:\d{2}:\d{2}\.\d{1,3})\s*-->\s*(\d{2}:\d{2}:\d{2}\.\d{1,3})\]\s*(.+)$/);
+        if (match) {
+            return {
+                timestamp: match[1],
+                endTimestamp: match[2],
+                speaker: '',
+                content: match[3].trim()
+            };
+        }
+
+        // [HH:MM:SS.SS] Speaker: Content
+        match = trimmed.match(/^\[(\d{2}:\d{2}:\d{2}\.\d{1,3})\]\s*([^:]+):\s*(.+)$/);
+        if (match) {
+            return {
+                timestamp: match[1],
+                speaker: match[2].trim(),
+                content: match[3].trim()
+            };
+        }
+
+        // [HH:MM:SS.SS]: Content or [HH:MM:SS.SS] Content (no explicit speaker)
+        match = trimmed.match(/^\[(\d{2}:\d{2}:\d{2}\.\d{1,3})\]:?\s*(.+)$/);
+        if (match) {
+            return {
+                timestamp: match[1],
+                speaker: '',
+                content: match[2].trim()
+            };
+        }
+
+        return null;
+    }
+
+    // Split a line at each timestamp marker; text before the first marker, such as a title, stays on its own
+    splitAtTimestamps(line) {
+        const isTimestamp = piece => /^\[\d{2}:\d{2}:\d{2}\.\d{1,3}\]:?$/.test(piece);
+        const pieces = line.split(/(\[\d{2}:\d{2}:\d{2}\.\d{1,3}\]:?)/g).filter(piece => piece.trim());
+        const joined = [];
+
+        for (let i = 0; i < pieces.length; i++) {
+            if (!isTimestamp(pieces[i])) {
+                joined.push(pieces[i]);
+            } else if (pieces[i + 1] && !isTimestamp(pieces[i + 1])) {
+                joined.push(pieces[i] + pieces[i + 1]);
+                i++;
+            }
+        }
+
+        return joined;
+    }
+
+    parse(content) {
+        let lines = content.split('\n').filter(line => line.trim());
+
+        // Some recorders write everything on one line; split that line on the timestamp markers instead.
+        // Transcripts with a timestamp on several lines are parsed line by line, so untimed lines between
+        // them stay their own records.
+        const timedLines = lines.filter(line => /^\[\d{2}:\d{2}:\d{2}\.\d+/.test(line.trim()));
+        if (timedLines.length <= 1) {
+            lines = lines.flatMap(line => this.splitAtTimestamps(line));
+        }
+
+        return lines.map(line => {
+            const parsed = this.parseLine(line);
+            if (parsed) return parsed;
+
+            // Plain text without a timestamp - keep it rather than dropping content
+            const text = line.trim();
+            return text ? { timestamp: '', speaker: '', content: text } : null;
+        }).filter(Boolean);
+    }
+}
+
+// Shared block handling for cue-based subtitle formats
+class CueTranscriptParser {
+    constructor(name, extensions) {
+        this.name = name;
+        this.extensions = extensions;
+    }
+
+    // Returns { start, end } when the line is this format's timing line
+    parseTimingLine(line) {
+        return null;
+    }
+
+    // Blocks that are not cues (headers, NOTE/STYLE blocks)
+    isMetadataBlock(lines) {
+        return false;
+    }
+
+    // One line of cue text without its timing, or null for timing lines, cue numbers and headers
+    parseLine(line) {
+        const trimmed = line.trim();
+        if (!trimmed || this.parseTimingLine(trimmed) || /^\d+$/.test(trimmed) || this.isMetadataBlock([trimmed])) {
+            return null;
+        }
+
+        const cues = this.parseCueText(trimmed);
+        if (cues.length === 0) return null;
+        return { timestamp: '', speaker: cues[0].speaker, content: cues.map(cue => cue.content).join(' ') };
+    }
+
+    // Parse lines in file order: each cue text line gets the timing of the cue it belongs to.
+    // A blank line ends the cue; lines before a cue's timing line (ids, headers) give null.
+    createLineParser() {
+        let timing = null;
+        return line => {
+            const trimmed = line.trim();
+            if (!trimmed) {
+                timing = null;
+                return null;
+            }
+
+            const lineTiming = this.parseTimingLine(trimmed);
+            if (lineTiming) {
+                timing = lineTiming;
+                return null;
+            }
+
+            const parsed = timing ? this.parseLine(trimmed) : null;
+            return parsed ? { ...parsed, timestamp: timing.start, endTimestamp: timing.end } : null;
+        };
+    }
+
+    parse(content) {
+        const records = [];
+        const blocks = content.replace(/^\uFEFF/, '').split(/\r?\n\s*\r?\n/);
+
+        for (const block of blocks) {
+            const lines = block.split(/\r?\n/).filter(line => line.trim());
+            if (lines.length === 0 || this.isMetadataBlock(lines)) continue;
+
+            // Cue identifiers (SRT counters, VTT ids) come before the timing line
+            const timingIndex = lines.findIndex(line => this.parseTimingLine(line));
+            if (timingIndex === -1) continue;
+
+            const timing = this.parseTimingLine(lines[timingIndex]);
+            const text = lines.slice(timingIndex + 1).join('\n');
+            if (!text.trim()) continue;
+
+            for (const cue of this.parseCueText(text)) {
+                records.push({
+                    timestamp: timing.start,
+                    endTimestamp: timing.end,
+                    speaker: cue.speaker,
+                    content: cue.content
+                });
+            }
+        }
+
+        return records;
+    }
+
+    parseCueText(text) {
+        const cue = splitSpeakerPrefix(stripCueMarkup(text));
+        return cue.content ? [cue] : [];
+    }
+}
+
+// WebVTT, including Teams voice tags: <v Jane Doe>text</v>
+class WebVttParser extends CueTranscriptParser {
+    constructor() {
+        super('webvtt', ['.vtt']);
+    }
+
+    detect(sample) {
+        return /^\uFEFF?WEBVTT/.test(sample);
+    }
+
+    parseTimingLine(line) {
+        const match = line.trim().match(/^((?:\d+:)?\d{1,2}:\d{2}\.\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}\.\d{1,3})/);
+        return match ? { start: normalizeTimestamp(match[1]), end: normalizeTimestamp(match[2]) } : null;
+    }
+
+    isMetadataBlock(lines) {
+        return /^\uFEFF?(WEBVTT|NOTE|STYLE|REGION)\b/.test(lines[0]) && !lines.some(line => line.includes('-->'));
+    }
+
+    parseCueText(text) {
+        // A cue can hold several voices; each becomes its own record
+        const voicePattern = /<v(?:\.[^\s>]+)*\s+([^>]+)>([\s\S]*?)(?=<v[\s.]|$)/g;
+        const cues = [];
+        let match;
+
+        while ((match = voicePattern.exec(text)) !== null) {
+            const content = stripCueMarkup(match[2]);
+            if (content) {
+                cues.push({ speaker: match[1].trim(), content });
+            }
+        }
+
+        return cues.length > 0 ? cues : super.parseCueText(text);
+    }
+}
+
+// SubRip (.srt), as exported by Otter and most captioning tools
+class SrtParser extends CueTranscriptParser {
+    constructor() {
+        super('srt', ['.srt']);
+    }
+
+    detect(sample) {
+        return /^\uFEFF?\s*\d+\s*\r?\n\s*\d{1,2}:\d{2}:\d{2},\d{1,3}\s*-->/.test(sample);
+    }
+
+    parseTimingLine(line) {
+        const match = line.trim().match(/^(\d{1,2}:\d{2}:\d{2}[,.]\d{1,3})\s*-->\s*(\d{1,2}:\d{2}:\d{2}[,.]\d{1,3})/);
+        return match ? { start: normalizeTimestamp(match[1]), end: normalizeTimestamp(match[2]) } : null;
+    }
+}
+
+// SubViewer (.sbv), as exported by Google Meet and YouTube
+class SbvParser extends CueTranscriptParser {
+    constructor() {
+        super('sbv', ['.sbv']);
+    }
+
+    detect(sample) {
+        return /^\uFEFF?\s*\d+:\d{2}:\d{2}\.\d{1,3},\d+:\d{2}:\d{2}\.\d{1,3}\s*$/m.test(sample.split(/\r?\n/).slice(0, 3).join('\n'));
+    }
+
+    parseTimingLine(line) {
+        const match = line.trim().match(/^(\d+:\d{2}:\d{2}\.\d{1,3}),(\d+:\d{2}:\d{2}\.\d{1,3})$/);
+        return match ? { start: normalizeTimestamp(match[1]), end: normalizeTimestamp(match[2]) } : null;
+    }
+}
+
+class TranscriptParserRegistry {
+    constructor() {
+        this.parsers = [];
+        this.fallbackName = 'bracketed';
+    }
+
+    // Later registrations take precedence so custom parsers can override built-ins
+    register(parser) {
+        this.parsers = this.parsers.filter(existing => existing.name !== parser.name);
+        this.parsers.unshift(parser);
+        return this;
+    }
+
+    getParser(name) {
+        return this.parsers.find(parser => parser.name === name) || null;
+    }
+
+    // Content sniffing wins over the extension; unknown input is treated as bracketed text
+    detectFormat(filePath, content = '') {
+        const sample = content.slice(0, 2000);
+
+        if (sample.trim()) {
+            const sniffed = this.parsers.find(parser => parser.detect && parser.detect(sample));
+            if (sniffed) return sniffed.name;
+        }
+
+        const extension = filePath ? path.extname(filePath).toLowerCase() : '';
+        const byExtension = this.parsers.find(parser => (parser.extensions || []).includes(extension));
+        return byExtension ? byExtension.name : this.fallbackName;
+    }
+
+    parse(content, options = {}) {
+        const format = options.format || this.detectFormat(options.filePath, content);
+        const parser = this.getParser(format) || this.getParser(this.fallbackName);
+
+        try {
+            return parser.parse(content);
+        } catch (error) {
+            console.log(`⚠️  Error parsing transcript as ${parser.name}:`, error.message);
+            return [];
+        }
+    }
+
+    // Single-line parsing for line-oriented callers (voice commands, live appends). Cue formats
+    // carry the time on a separate line, so their lines come back without a timestamp; use
+    // createLineParser() to read lines in order with their cue's timing.
+    parseLine(line, format = this.fallbackName) {
+        const parser = this.getParser(format) || this.getParser(this.fallbackName);
+        return parser && parser.parseLine ? parser.parseLine(line) : null;
+    }
+
+    // A line => record function for reading a transcript's lines in order
+    createLineParser(format = this.fallbackName) {
+        const parser = this.getParser(format) || this.getParser(this.fallbackName);
+        if (parser && parser.createLineParser) return parser.createLineParser();
+        return line => (parser && parser.parseLine ? parser.parseLine(line) : null);
+    }
+}
+
+const transcriptParsers = new TranscriptParserRegistry();
+transcriptParsers.register(new BracketedTranscriptParser());
+transcriptParsers.register(new SbvParser());
+transcriptParsers.register(new SrtParser());
+transcriptParsers.register(new WebVttParser());
+
+module.exports = {
+    TranscriptParserRegistry,
+    BracketedTranscriptParser,
+    CueTranscriptParser,
+    WebVttParser,
+    SrtParser,
+    SbvParser,
+    transcriptParsers,
+    normalizeTimestamp
+};
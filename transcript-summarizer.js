@@ -2,16 +2,37 @@ const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const readline = require('readline');
-const Anthropic = require('@anthropic-ai/sdk');
+const { LlmClient, loadLlmConfig } = require('./llm-providers');
+const { requestExecutor } = require('./request-executor');
+const { CostLedger } = require('./cost-ledger');
+const { transcriptParsers } = require('./transcript-parsers');
+const { renameSpeakersInText, createWordIndexMapper } = require('./speaker-diarization');
+const { getWordTimingsFilePath, loadWordTimings, buildWordTimeline } = require('./word-timings');
+const { TopicEmbedder, loadTopicDetectionConfig } = require('./topic-embeddings');
+const topicRebuild = require('./topic-rebuild');
+const { OUTLINE_FORMATS, indexTranscriptLines, buildTopicOutline, formatTopicOutline } = require('./topic-outline');
+const actionItems = require('./action-items');
+const { CURRENT_VERSION, createEmptyMetadata, isNewerVersion, migrateMetadata, validateMetadata, backupMetadataFile } = require('./metadata-schema');
+const { writeFileAtomic, appendFileAtomic, removeStaleTempFiles } = require('./safe-files');
+const { SessionLibrary } = require('./session-library');
+const { MeetingSearch, parseCitations, describePassageLocation } = require('./meeting-search');
+const { ChatHistory, numberTranscriptLines, parseWordCitations } = require('./meeting-chat');
+const { MeetingProfiles, DEFAULT_PROFILE_ID } = require('./meeting-profiles');
+const rollingSummary = require('./rolling-summary');
+const summaryHistory = require('./summary-history');
+const { VoiceCommandLog, normalizeVoiceSettings, parseVoiceCommand, describeVoiceCommand } = require('./voice-commands');
 
 class TranscriptSummarizer {
-    constructor(filePath, screenshotsDir = null) {
+    constructor(filePath, screenshotsDir = null, llmConfig = {}) {
         this.filePath = filePath;
         this.screenshotsDir = screenshotsDir;
         this.summaryFilePath = this.getSummaryFilePath(filePath);
         this.notesFilePath = this.getNotesFilePath(filePath);
         this.compactedFilePath = this.getCompactedFilePath(filePath);
         this.metadataFilePath = this.getMetadataFilePath(filePath);
+        this.costLedgerFilePath = this.getCostLedgerFilePath(filePath);
+        this.wordTimingsFilePath = getWordTimingsFilePath(filePath);
+        this.wordTimelineCache = null;
         this.lastPosition = 0;
         this.currentSummary = '';
         this.pendingContent = '';
@@ -22,35 +43,49 @@ class TranscriptSummarizer {
         this.contextUsage = 0;
         this.compressedTranscript = null; // Compressed version for context management
         this.useCompressed = false; // Whether to use compressed version for operations
-        // Control now comes from desktop app UI, no need for voice control
+        // Spoken commands ("<trigger>, note that ...") are off unless a front end calls setVoiceCommands()
+        this.voiceCommands = null;
+        this.pendingVoiceTopic = null; // { title } from a "new topic" command, for the next live segment
+        this.lastLiveLine = null; // { text, startWordIndex, endWordIndex } of the newest live line
+        this.liveLineParser = null; // createLineParser() that has seen every transcript line read so far
+        this.lastRecordedLine = null; // { text } of the newest line passed to handleRecordedLine()
         this.startTime = Date.now();
         this.totalInputTokens = 0;
         this.totalOutputTokens = 0;
         this.totalCost = 0;
         this.requestCount = 0;
-        this.PRICING = {
-            input: 0.003,   // $3 per 1M tokens = $0.003 per 1K tokens
-            output: 0.015   // $15 per 1M tokens = $0.015 per 1K tokens
-        };
-        this.anthropic = new Anthropic({
-            apiKey: process.env.ANTHROPIC_API_KEY,
-        });
+        this.costLedger = new CostLedger(this.costLedgerFilePath); // Persistent per-meeting and per-day spend
+        this.chatHistory = new ChatHistory(this.getChatFilePath(filePath)); // ASK questions and answers for this meeting
+        this.summaryHistory = new summaryHistory.SummaryHistory(this.getSummaryHistoryFilePath(filePath)); // Every summary revision
+        this.voiceCommandLog = new VoiceCommandLog(this.getVoiceCommandsFilePath(filePath)); // Voice commands and what they did
+        // Provider, per-operation models and pricing come from LLM_* env vars and llmConfig
+        this.llm = new LlmClient(loadLlmConfig(llmConfig));
+        requestExecutor.configure(this.llm.config);
+        this.topicEmbedder = new TopicEmbedder(loadTopicDetectionConfig()); // Local FIT/NEW decisions before asking the LLM
+        this.pendingTopicRebuild = null; // Proposed headers from rebuildTopics(), waiting to be applied
+        this.actionItemExtraction = null; // Running extractActionItems() promise; one pass at a time
+        this.actionItemRetry = null; // { failures, atWord } after failed automatic extractions (see extractActionItemsIfDue())
+        this.summaryUpdate = null; // Running updateSummary() promise; one update at a time
+        this.pendingSummaryEdit = null; // Instruction preview from previewSummaryInstruction(), waiting to be applied
+        this.handleRequestQueueStatus = status => this.onRequestQueueStatus(status);
+        this.activeStreams = new Map(); // streamId -> { kind, controller } for cancellable generations
+        this.streamsToConsole = false; // Front ends that echo streamed text skip the final full-text print
         this.rl = null;
         this.selectedScreenshots = []; // User-selected screenshots for context
         this.screenshotPageSize = 20; // Screenshots per page
         this.currentScreenshotPage = 0; // Current page for screenshot menu
         this.contextWordLimit = 0; // Word limit for ASK/NOTE commands (0 = no limit)
+        this.meetingProfiles = new MeetingProfiles();
+        this.profile = this.meetingProfiles.get(DEFAULT_PROFILE_ID); // Audience, summary template, topic and note style
+        this.requestedProfile = null; // Profile id to use instead of the saved one (see applySessionProfile())
         
         // Metadata and segmentation
-        this.metadata = {
-            transcriptFile: path.basename(filePath),
-            segments: [],
-            headers: [],
-            lastModified: new Date().toISOString(),
-            version: "1.0"
-        };
+        this.metadata = createEmptyMetadata(path.basename(filePath));
+        this.metadataReport = null; // Migrations and repairs from the last loadMetadata()
+        this.metadataLocked = false; // true while the file on disk is from a newer version of the app
         this.lastKnownWordCount = 0; // Track word count for delta detection
         this.sessionStartTime = null; // Will be set by renderer for consistent timing
+        this.transcriptFormat = null; // Detected on first non-empty read (bracketed, webvtt, srt, sbv)
     }
 
     // Set session start time for consistent timing across app restarts
@@ -83,63 +118,124 @@ class TranscriptSummarizer {
         return path.join(dir, `${basename}.meta.json`);
     }
 
+    getCostLedgerFilePath(transcriptPath) {
+        const dir = path.dirname(transcriptPath);
+        const basename = path.basename(transcriptPath, path.extname(transcriptPath));
+        return path.join(dir, `${basename}.costs.jsonl`);
+    }
+
+    getChatFilePath(transcriptPath) {
+        const dir = path.dirname(transcriptPath);
+        const basename = path.basename(transcriptPath, path.extname(transcriptPath));
+        return path.join(dir, `${basename}_chat.json`);
+    }
+
+    getSummaryHistoryFilePath(transcriptPath) {
+        const dir = path.dirname(transcriptPath);
+        const basename = path.basename(transcriptPath, path.extname(transcriptPath));
+        return path.join(dir, `${basename}_summary_history.json`);
+    }
+
+    getVoiceCommandsFilePath(transcriptPath) {
+        const dir = path.dirname(transcriptPath);
+        const basename = path.basename(transcriptPath, path.extname(transcriptPath));
+        return path.join(dir, `${basename}_voice_commands.json`);
+    }
+
+    getOutlineFilePath(transcriptPath, format = 'md') {
+        const dir = path.dirname(transcriptPath);
+        const basename = path.basename(transcriptPath, path.extname(transcriptPath));
+        return path.join(dir, `${basename}_outline.${OUTLINE_FORMATS[format].extension}`);
+    }
+
+    getActionItemsFilePath(transcriptPath, format = 'md') {
+        const dir = path.dirname(transcriptPath);
+        const basename = path.basename(transcriptPath, path.extname(transcriptPath));
+        return path.join(dir, `${basename}_actions.${actionItems.TRACKER_FORMATS[format].extension}`);
+    }
+
+    // Load <transcript>.meta.json: migrate older versions (after backing the file up), then validate
+    // and repair it. What was changed is logged and passed to onMetadataReport().
     loadMetadata() {
+        const transcriptFile = path.basename(this.filePath);
+        this.metadataReport = null;
+        this.metadataLocked = false;
+
+        if (!fs.existsSync(this.metadataFilePath)) {
+            console.log('No existing metadata file found, starting fresh');
+            this.metadata = createEmptyMetadata(transcriptFile);
+            return;
+        }
+
+        const report = { migrations: [], repairs: [], errors: [], backupPath: null };
         try {
-            if (fs.existsSync(this.metadataFilePath)) {
-                const metadataContent = fs.readFileSync(this.metadataFilePath, 'utf8');
-                this.metadata = JSON.parse(metadataContent);
-                
-                // Ensure backward compatibility - add headers array if missing
-                if (!this.metadata.headers) {
-                    this.metadata.headers = [];
-                }
-                
-                // Ensure headers have all required fields for backward compatibility
-                this.metadata.headers.forEach(header => {
-                    if (!header.summary) {
-                        header.summary = '';
-                        console.log(`Added empty summary to existing header: "${header.title}"`);
-                    }
-                    if (header.locked === undefined) {
-                        header.locked = header.segments ? header.segments.length >= 3 : false;
-                        console.log(`Set locked status for existing header: "${header.title}" (${header.locked})`);
-                    }
-                    if (!header.subHeaders) {
-                        header.subHeaders = [];
-                        console.log(`Added subHeaders array to existing header: "${header.title}"`);
-                    }
-                });
-                
-                console.log(`Loaded metadata with ${this.metadata.segments.length} segments and ${this.metadata.headers.length} headers`);
-            } else {
-                console.log('No existing metadata file found, starting fresh');
-                // Initialize with empty metadata structure
-                this.metadata = {
-                    transcriptFile: path.basename(this.filePath),
-                    segments: [],
-                    headers: [],
-                    lastModified: new Date().toISOString(),
-                    version: "1.0"
-                };
+            let metadata = JSON.parse(fs.readFileSync(this.metadataFilePath, 'utf8'));
+            if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+                throw new Error('the file does not contain a JSON object');
+            }
+
+            const version = metadata.version || '1.0';
+            if (isNewerVersion(version)) {
+                // Work on empty metadata in memory and leave the file as the newer app wrote it
+                this.metadataLocked = true;
+                report.errors.push(`The metadata was written by a newer version of the app (version ${version}, this one reads up to ${CURRENT_VERSION}). It is left unchanged and topics and segments are not saved for this transcript.`);
+                metadata = createEmptyMetadata(transcriptFile);
+            } else if (version !== CURRENT_VERSION) {
+                report.backupPath = backupMetadataFile(this.metadataFilePath, `v${version}`);
+                const migrated = migrateMetadata(metadata);
+                metadata = migrated.metadata;
+                report.migrations = migrated.steps;
             }
+
+            const validation = validateMetadata(metadata, { wordCount: this.countTranscriptWords(), transcriptFile });
+            this.metadata = validation.metadata;
+            report.repairs = validation.repairs;
+            report.errors = validation.errors;
         } catch (error) {
-            console.error('Error loading metadata:', error);
-            // Fallback to empty metadata
-            this.metadata = {
-                transcriptFile: path.basename(this.filePath),
-                segments: [],
-                headers: [],
-                lastModified: new Date().toISOString(),
-                version: "1.0"
-            };
+            // Keep the unreadable file aside; starting fresh would otherwise overwrite it on the next save
+            report.backupPath = backupMetadataFile(this.metadataFilePath, `corrupt-${Date.now()}`);
+            report.errors.push(`Could not load metadata (${error.message}); started with empty metadata`);
+            this.metadata = createEmptyMetadata(transcriptFile);
+        }
+
+        if (report.migrations.length > 0 || report.repairs.length > 0) {
+            if (!report.backupPath) {
+                report.backupPath = backupMetadataFile(this.metadataFilePath, `repaired-${Date.now()}`);
+            }
+            this.saveMetadata();
+        }
+
+        console.log(`Loaded metadata with ${this.metadata.segments.length} segments and ${this.metadata.headers.length} headers`);
+        if (report.migrations.length > 0 || report.repairs.length > 0 || report.errors.length > 0) {
+            report.migrations.forEach(step => console.log(`🩺 Migrated metadata ${step}`));
+            report.repairs.forEach(repair => console.log(`🩺 Repaired ${repair}`));
+            report.errors.forEach(error => console.log(`⚠️  Metadata problem: ${error}`));
+            if (report.backupPath) {
+                console.log(`💾 Previous metadata backed up to: ${report.backupPath}`);
+            }
+            this.metadataReport = report;
+            this.onMetadataReport(report);
+        }
+    }
+
+    // Metadata hook, called when loading migrated, repaired or could not read the metadata file
+    onMetadataReport(report) {}
+
+    countTranscriptWords() {
+        try {
+            return fs.readFileSync(this.filePath, 'utf8').split(/\s+/).filter(word => word.length > 0).length;
+        } catch (error) {
+            return null;
         }
     }
 
     saveMetadata() {
+        if (this.metadataLocked) return;
+
         try {
             this.metadata.lastModified = new Date().toISOString();
             const metadataJson = JSON.stringify(this.metadata, null, 2);
-            fs.writeFileSync(this.metadataFilePath, metadataJson, 'utf8');
+            writeFileAtomic(this.metadataFilePath, metadataJson);
             console.log('Metadata saved successfully');
         } catch (error) {
             console.error('Error saving metadata:', error);
@@ -164,20 +260,76 @@ class TranscriptSummarizer {
             sessionTime: sessionTime, // Store relative session time instead of absolute timestamp
             source
         };
+        this.attachSegmentTimings(segment);
         
         this.metadata.segments.push(segment);
         this.saveMetadata();
         
         console.log(`Added segment: ${segmentId} (${startWordIndex}-${endWordIndex}, source: ${source})`);
         
-        // Trigger automatic topic assignment for live transcription
+        // Trigger automatic topic assignment and action item extraction for live transcription
         if (source === 'live-transcription') {
             this.processAutomaticTopicAssignment(segment);
+            this.extractActionItemsIfDue(endWordIndex);
         }
         
         return segment;
     }
 
+    // Word index -> [start, end] seconds into the recording, for transcripts that come with
+    // Whisper word timings (<transcript>.words.json); null when there is no recording
+    getWordTimeline() {
+        try {
+            if (!fs.existsSync(this.wordTimingsFilePath)) return null;
+
+            const stamp = `${fs.statSync(this.wordTimingsFilePath).mtimeMs}:${fs.statSync(this.filePath).size}`;
+            if (this.wordTimelineCache && this.wordTimelineCache.stamp === stamp) {
+                return this.wordTimelineCache.timeline;
+            }
+
+            const timings = loadWordTimings(this.filePath);
+            const content = fs.readFileSync(this.filePath, 'utf8');
+            const timeline = buildWordTimeline(content, timings, this.createLineParser());
+            if (timings.audioFile) {
+                this.metadata.audioFile = timings.audioFile;
+            }
+
+            this.wordTimelineCache = { stamp, timeline };
+            return timeline;
+        } catch (error) {
+            console.error('Error loading word timings:', error.message);
+            return null;
+        }
+    }
+
+    getAudioOffset(wordIndex) {
+        const timeline = this.getWordTimeline();
+        const timing = timeline && timeline[wordIndex];
+        return timing ? timing[0] : null;
+    }
+
+    // Store audio offsets on a segment: audioStart/audioEnd plus one [start, end] per word
+    attachSegmentTimings(segment, timeline = this.getWordTimeline()) {
+        if (!timeline) return segment;
+
+        const wordTimes = timeline.slice(segment.startWordIndex, segment.endWordIndex + 1);
+        const known = wordTimes.filter(Boolean);
+        if (known.length === 0) return segment;
+
+        segment.audioStart = known[0][0];
+        segment.audioEnd = known[known.length - 1][1];
+        segment.wordTimes = wordTimes;
+        return segment;
+    }
+
+    refreshSegmentTimings() {
+        const timeline = this.getWordTimeline();
+        if (!timeline) return;
+
+        this.metadata.segments.forEach(segment => this.attachSegmentTimings(segment, timeline));
+        this.saveMetadata();
+    }
+
     splitSegmentAtWordIndex(originalSegment, splitWordIndex) {
         console.log(`Splitting segment ${originalSegment.id} at word index ${splitWordIndex}`);
         
@@ -193,6 +345,7 @@ class TranscriptSummarizer {
             startWordIndex: originalSegment.startWordIndex,
             endWordIndex: splitWordIndex - 1,
             timestamp: originalSegment.timestamp,
+            sessionTime: originalSegment.sessionTime,
             source: originalSegment.source,
             splitFrom: originalSegment.id
         };
@@ -203,10 +356,14 @@ class TranscriptSummarizer {
             startWordIndex: splitWordIndex,
             endWordIndex: originalSegment.endWordIndex,
             timestamp: new Date().toISOString(), // New timestamp for the split
+            sessionTime: originalSegment.sessionTime,
             source: originalSegment.source,
             splitFrom: originalSegment.id
         };
         
+        this.attachSegmentTimings(firstSegment);
+        this.attachSegmentTimings(secondSegment);
+        
         console.log(`Split segment into: ${firstSegment.id} (${firstSegment.startWordIndex}-${firstSegment.endWordIndex}) and ${secondSegment.id} (${secondSegment.startWordIndex}-${secondSegment.endWordIndex})`);
         
         return { firstSegment, secondSegment };
@@ -272,6 +429,10 @@ class TranscriptSummarizer {
             const currentContent = fs.readFileSync(this.filePath, 'utf8');
             const words = currentContent.split(/\s+/).filter(word => word.length > 0);
             this.lastKnownWordCount = words.length;
+            if (currentContent.trim()) {
+                this.liveLineParser = this.createLineParser();
+                currentContent.split('\n').forEach(line => this.liveLineParser(line));
+            }
             
             console.log(`Initialized word count: ${this.lastKnownWordCount} words`);
             
@@ -289,6 +450,7 @@ class TranscriptSummarizer {
         console.log(`Segmenting existing content of ${words.length} words into 30-word chunks...`);
         
         const SEGMENT_SIZE = 50;
+        const timeline = this.getWordTimeline();
         let startWordIndex = 0;
         
         while (startWordIndex < words.length) {
@@ -301,8 +463,10 @@ class TranscriptSummarizer {
                 startWordIndex,
                 endWordIndex,
                 timestamp: new Date().toISOString(),
+                sessionTime: 0, // cut from an existing file, so there is no session clock to go by
                 source: 'initial-load'
             };
+            this.attachSegmentTimings(segment, timeline);
             
             this.metadata.segments.push(segment);
             console.log(`Created segment: ${segmentId} (${startWordIndex}-${endWordIndex}, ${endWordIndex - startWordIndex + 1} words)`);
@@ -347,10 +511,14 @@ class TranscriptSummarizer {
         if (fs.existsSync(this.summaryFilePath)) {
             this.currentSummary = fs.readFileSync(this.summaryFilePath, 'utf8').trim();
             console.log(`📋 Loaded existing summary from: ${this.summaryFilePath}`);
+
+            // A summary from before the history existed, or one edited while the app was closed
+            const latest = this.summaryHistory.latest();
+            this.summaryHistory.record(this.currentSummary, latest ? 'edit' : 'loaded');
             return true;
         } else {
             // Create blank summary file
-            fs.writeFileSync(this.summaryFilePath, '', 'utf8');
+            writeFileAtomic(this.summaryFilePath, '');
             console.log(`📄 Created blank summary file: ${this.summaryFilePath}`);
             return false;
         }
@@ -364,7 +532,7 @@ class TranscriptSummarizer {
             
             const initialContent = `# ${transcriptBasename} - ${today}\n\n`;
             
-            fs.writeFileSync(this.notesFilePath, initialContent, 'utf8');
+            writeFileAtomic(this.notesFilePath, initialContent);
             console.log(`📝 Created formatted notes file: ${this.notesFilePath}`);
         } else {
             console.log(`📝 Notes file available: ${this.notesFilePath}`);
@@ -439,47 +607,85 @@ class TranscriptSummarizer {
         }
     }
 
-    // Include all the rest of the methods from the original class
-    // For brevity, I'll include the key methods that the Electron app needs
+    // Detect the transcript format once, so appended chunks are parsed the same way as the whole file
+    getTranscriptFormat() {
+        if (this.transcriptFormat) return this.transcriptFormat;
+
+        try {
+            const content = fs.readFileSync(this.filePath, 'utf8');
+            if (!content.trim()) {
+                return transcriptParsers.detectFormat(this.filePath);
+            }
+            this.transcriptFormat = transcriptParsers.detectFormat(this.filePath, content);
+            console.log(`📄 Transcript format: ${this.transcriptFormat}`);
+        } catch (error) {
+            return transcriptParsers.detectFormat(this.filePath);
+        }
+
+        return this.transcriptFormat;
+    }
+
+    // Parse transcript content into { timestamp, speaker, content } records
+    parseTranscript(content) {
+        return transcriptParsers.parse(content, {
+            filePath: this.filePath,
+            format: this.getTranscriptFormat()
+        });
+    }
 
+    // One line in the transcript's format; cue formats (VTT, SRT, SBV) give no timestamp here
     parseTranscriptLine(line) {
-        // Parse format: [00:42:55.55] Juho: Message content (original format)
-        const timestampMatch = line.match(/^\[(\d{2}:\d{2}:\d{2}\.\d{2})\]\s*([^:]+):\s*(.+)$/);
-        if (timestampMatch) {
-            return {
-                timestamp: timestampMatch[1],
-                speaker: timestampMatch[2].trim(),
-                content: timestampMatch[3].trim()
-            };
+        return transcriptParsers.parseLine(line, this.getTranscriptFormat());
+    }
+
+    // For reading the transcript's lines in order, so cue text lines get their cue's timestamp
+    createLineParser() {
+        return transcriptParsers.createLineParser(this.getTranscriptFormat());
+    }
+
+    // Switch the meeting profile; the choice is saved with the transcript's metadata unless save is false
+    setProfile(profileId, { save = true } = {}) {
+        this.profile = this.meetingProfiles.get(profileId);
+        this.contextWordLimit = this.profile.contextLimit;
+        console.log(`📐 Meeting profile: ${this.profile.name}${this.profile.contextLimit > 0 ? ` (context limit ${this.profile.contextLimit} words)` : ''}`);
+
+        if (save) {
+            this.metadata.profile = this.profile.id;
+            this.saveMetadata();
         }
-        
-        // Parse format: [00:00:00.16]: content (Teams/single timestamp format)
-        const timestampWithColonMatch = line.match(/^\[(\d{2}:\d{2}:\d{2}\.\d{2})\]:\s*(.+)$/);
-        if (timestampWithColonMatch) {
-            return {
-                timestamp: timestampWithColonMatch[1],
-                speaker: 'Transcript',
-                content: timestampWithColonMatch[2].trim()
-            };
+        return this.profile;
+    }
+
+    // The profile saved with this transcript, else the default one. A profile requested before
+    // start() (the CLI's --profile) wins over the saved one and is saved in its place.
+    applySessionProfile() {
+        if (this.requestedProfile) {
+            this.setProfile(this.requestedProfile);
+            return;
         }
-        
-        // Parse format: [00:00:00.000 --> 00:00:01.760]   Content (time range format)
-        const timeRangeMatch = line.match(/^\[(\d{2}:\d{2}:\d{2}\.\d{3})\s*-->\s*(\d{2}:\d{2}:\d{2}\.\d{3})\]\s*(.+)$/);
-        if (timeRangeMatch) {
-            return {
-                timestamp: timeRangeMatch[1], // Use start timestamp
-                speaker: 'Speaker',
-                content: timeRangeMatch[3].trim()
-            };
+
+        try {
+            this.setProfile(this.metadata.profile || DEFAULT_PROFILE_ID, { save: false });
+        } catch (error) {
+            console.log('⚠️  Could not load the meeting profile, using the default:', error.message);
+            this.setProfile(DEFAULT_PROFILE_ID, { save: false });
         }
-        
-        return null;
     }
 
-    calculateCost(inputTokens, outputTokens) {
-        const inputCost = (inputTokens / 1000) * this.PRICING.input;
-        const outputCost = (outputTokens / 1000) * this.PRICING.output;
-        return inputCost + outputCost;
+    // "TOPICS IN THIS KIND OF MEETING" section for topic prompts; empty when the profile has none
+    topicGuidancePrompt() {
+        return this.profile.topicGuidance ? `\n\nTOPICS IN THIS KIND OF MEETING:\n${this.profile.topicGuidance}` : '';
+    }
+
+    // Switch provider or models at runtime (e.g. after the desktop settings change)
+    configureLlm(llmConfig = {}) {
+        this.llm = new LlmClient(loadLlmConfig(llmConfig));
+        requestExecutor.configure(this.llm.config);
+        console.log(`🤖 LLM provider: ${this.llm.provider.name} (default model: ${this.llm.resolveModel('default')})`);
+    }
+
+    calculateCost(inputTokens, outputTokens, model = this.llm.resolveModel('default')) {
+        return this.llm.calculateCost(model, inputTokens, outputTokens);
     }
 
     displayCostReport(requestCost, inputTokens, outputTokens) {
@@ -497,141 +703,684 @@ class TranscriptSummarizer {
         console.log(`📈 Cumulative: ${this.totalInputTokens} in + ${this.totalOutputTokens} out = $${this.totalCost.toFixed(4)}`);
         console.log(`⏱️  Runtime: ${(runtimeHours * 60).toFixed(1)} minutes | Requests: ${this.requestCount}`);
         console.log(`💵 Estimated hourly cost: $${estimatedHourlyCost.toFixed(2)}/hour`);
+        
+        const ledger = this.costLedger.getSummary();
+        const budgets = ledger.budget.budgets;
+        console.log(`🗂️  Meeting total: $${ledger.meeting.cost.toFixed(4)}${budgets.meeting ? ` of $${budgets.meeting.toFixed(2)}` : ''} | Today: $${ledger.daily.cost.toFixed(4)}${budgets.daily ? ` of $${budgets.daily.toFixed(2)}` : ''}`);
+        
+        // Update and display context usage
+        this.updateContextUsage();
+        const contextPercentage = Math.round((this.contextUsage / this.maxContextTokens) * 100);
+        console.log(`📊 Context usage: ${this.contextUsage.toLocaleString()} tokens (${contextPercentage}%)`);
+        
+        if (contextPercentage > 70) {
+            console.log('⚠️  Context getting large - consider compacting the transcript');
+        }
+        
         console.log('─'.repeat(50));
     }
 
-    saveSummary() {
-        fs.writeFileSync(this.summaryFilePath, this.currentSummary, 'utf8');
+    estimateTokenCount(text) {
+        // Rough estimation: ~1.3 tokens per word for English text
+        const words = text.trim().split(/\s+/).length;
+        return Math.ceil(words * 1.3);
     }
 
-    saveNote(note, startWordIndex = null, endWordIndex = null, noteHeader = null) {
-        const now = new Date();
-        const timestamp = now.getFullYear() + '-' + 
-                         String(now.getMonth() + 1).padStart(2, '0') + '-' + 
-                         String(now.getDate()).padStart(2, '0') + ' ' + 
-                         String(now.getHours()).padStart(2, '0') + ':' + 
-                         String(now.getMinutes()).padStart(2, '0') + ':' + 
-                         String(now.getSeconds()).padStart(2, '0');
-        
-        // Create H2 header with word indices if provided
-        let noteEntry = '';
-        if (noteHeader) {
-            noteEntry += `## ${noteHeader}`;
-            if (startWordIndex !== null && endWordIndex !== null) {
-                noteEntry += ` <!-- words:${startWordIndex}-${endWordIndex} -->`;
+    updateContextUsage() {
+        try {
+            const transcriptToUse = this.useCompressed && this.compressedTranscript 
+                ? this.compressedTranscript 
+                : fs.readFileSync(this.filePath, 'utf8');
+            this.contextUsage = this.estimateTokenCount(transcriptToUse) + 
+                               this.estimateTokenCount(this.currentSummary);
+        } catch (error) {
+            // If we can't read the file, estimate from pending content
+            this.contextUsage = this.estimateTokenCount(this.pendingContent) + 
+                               this.estimateTokenCount(this.currentSummary);
+        }
+    }
+
+    // Send a request for an operation (a method name, see OPERATION_GROUPS) using its configured model.
+    // All requests share the process-wide executor: concurrency limit, retries and overload degradation.
+    async createMessage(operation, params, signal = null) {
+        this.assertBudgetAllows(operation);
+        const message = await requestExecutor.execute(operation, params, request => this.llm.createMessage(operation, request), {
+            signal,
+            context: { fallbackModel: this.llm.models.fallback }
+        });
+        this.recordUsage(operation, message);
+        return message;
+    }
+
+    // Background operations stop once the meeting or daily budget is used up
+    assertBudgetAllows(operation) {
+        if (!this.costLedger.isAllowed(operation)) {
+            const error = new Error(`Budget exceeded - skipping non-essential ${operation}`);
+            error.code = 'BUDGET_EXCEEDED';
+            throw error;
+        }
+    }
+
+    recordUsage(operation, message) {
+        const status = this.costLedger.record({
+            operation,
+            model: message.model,
+            inputTokens: message.usage.input_tokens,
+            outputTokens: message.usage.output_tokens,
+            cost: this.calculateCost(message.usage.input_tokens, message.usage.output_tokens, message.model)
+        });
+
+        if (status.changed) {
+            if (status.level === 'exceeded') {
+                console.log(`🛑 Budget exceeded (${status.exceeded.join(', ')}) - automatic topics and summary updates are paused`);
+            } else if (status.level === 'warning') {
+                console.log(`⚠️  Approaching the budget (${status.warning.join(', ')})`);
             }
-            noteEntry += `\n\n${note}\n\n`;
-        } else {
-            // Legacy format for backward compatibility
-            noteEntry = `[${timestamp}] ${note}\n\n`;
+            this.onBudgetStatus(status);
         }
-        
-        fs.appendFileSync(this.notesFilePath, noteEntry, 'utf8');
     }
 
-    async createNote(noteRequest, forceTextOnly = false, startWordIndex = null, endWordIndex = null) {
-        try {
-            // Get the active transcript (compressed if available)
-            const fullTranscript = this.getActiveTranscript();
-            
-            if (!fullTranscript.trim()) {
-                console.log('⚠️  No transcript content available for note context');
-                return;
+    // Budget hook, called when spend crosses the warning or exceeded threshold
+    onBudgetStatus(status) {}
+
+    // Stream a summary or note, reporting chunks through the onStream* hooks.
+    // Resolves to the final message, or null when the generation was cancelled.
+    async streamMessage(operation, params, kind, details = {}) {
+        const stream = {
+            id: `stream-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            kind,
+            ...details
+        };
+        this.assertBudgetAllows(operation);
+        const controller = new AbortController();
+        this.activeStreams.set(stream.id, { kind, controller });
+        this.onStreamStart(stream);
+
+        let text = '';
+        const send = async request => {
+            try {
+                return await this.llm.streamMessage(operation, request, {
+                    signal: controller.signal,
+                    onText: delta => {
+                        text += delta;
+                        this.onStreamDelta(stream, delta, text);
+                    }
+                });
+            } catch (error) {
+                error.partialOutput = text.length > 0;
+                throw error;
             }
+        };
 
-            // Use selected word range if provided, otherwise use full transcript or apply word limit
-            let contextTranscript = fullTranscript;
-            let actualStartWordIndex = startWordIndex;
-            let actualEndWordIndex = endWordIndex;
-            
-            if (startWordIndex !== null && endWordIndex !== null) {
-                contextTranscript = this.extractWordRange(fullTranscript, startWordIndex, endWordIndex);
-                console.log(`Using selected word range ${startWordIndex}-${endWordIndex} for note context`);
-            } else if (this.contextWordLimit > 0) {
-                // Apply context limit and calculate word range indices
-                const words = fullTranscript.trim().split(/\s+/);
-                const totalWords = words.length;
-                
-                if (totalWords > this.contextWordLimit) {
-                    // Calculate range: last_word - limit as start, last_word as end
-                    actualStartWordIndex = totalWords - this.contextWordLimit;
-                    actualEndWordIndex = totalWords - 1;
-                    contextTranscript = this.getLimitedTranscript(fullTranscript);
-                    console.log(`Using word limit ${this.contextWordLimit}, calculated range ${actualStartWordIndex}-${actualEndWordIndex} for note context`);
-                } else {
-                    // If total words is less than limit, use the full transcript with proper indices
-                    actualStartWordIndex = 0;
-                    actualEndWordIndex = totalWords - 1;
-                    contextTranscript = fullTranscript;
-                    console.log(`Full transcript is within word limit, using range 0-${actualEndWordIndex} for note context`);
-                }
-            } else {
-                contextTranscript = fullTranscript;
-                console.log('Using full transcript for note context');
+        try {
+            const message = await requestExecutor.execute(operation, params, send, {
+                signal: controller.signal,
+                context: { fallbackModel: this.llm.models.fallback }
+            });
+            this.recordUsage(operation, message);
+            this.onStreamEnd(stream, { cancelled: false });
+            return message;
+        } catch (error) {
+            if (controller.signal.aborted) {
+                console.log(`⏹️  ${kind === 'note' ? 'Note' : 'Summary'} generation cancelled`);
+                this.onStreamEnd(stream, { cancelled: true });
+                return null;
             }
+            this.onStreamEnd(stream, { cancelled: false, error: error.message });
+            throw error;
+        } finally {
+            this.activeStreams.delete(stream.id);
+        }
+    }
 
-            const messages = [];
+    // Abort one in-flight generation, or all of them when no id is given
+    cancelStream(streamId = null) {
+        let cancelled = 0;
+        for (const [id, active] of this.activeStreams) {
+            if (!streamId || id === streamId) {
+                active.controller.abort();
+                cancelled++;
+            }
+        }
+        return cancelled;
+    }
 
-            let promptText = `You are an AI assistant helping create concise meeting notes for a SOFTWARE SOLUTION ARCHITECT. You have access to the meeting transcript and are asked to create a brief note about a specific topic.
+    // Streaming hooks for front ends - the CLI writes to stdout, the desktop app forwards over IPC
+    onStreamStart(stream) {}
 
-MEETING TRANSCRIPT:
-${contextTranscript}
+    onStreamDelta(stream, delta, text) {}
 
-NOTE REQUEST:
-${noteRequest}
+    onStreamEnd(stream, result) {}
 
-INSTRUCTIONS:
-- Create a brief, focused note (2-8 sentences and a list of bullet points depending on the need) based on the request and transcript content
-- Include only the most relevant details from the transcript related to the request
-- Use a conversational, note-taking style rather than formal documentation
-- If the topic isn't discussed in the transcript, state that clearly
-- Keep it concise - this is a quick note, not a full analysis
-- IMPORTANT: Write the note in the same language as the note request - if the request is in Finnish, respond in Finnish; if in English, respond in English
-- DO NOT include any headers, titles, or formatting - just provide the note content as the header will be added automatically
+    // Request queue hook ({ active, queued, retrying, nextRetryAt, maxConcurrent, lastError })
+    onRequestQueueStatus(status) {}
 
-Brief note content:`;
+    // trigger and detail describe the change in the summary history (see summary-history.js);
+    // without a trigger the summary is only written out
+    saveSummary(trigger = null, detail = '') {
+        writeFileAtomic(this.summaryFilePath, this.currentSummary);
+        if (trigger) {
+            this.summaryHistory.record(this.currentSummary, trigger, detail);
+        }
+    }
 
-            // Add text content
-            const content = [{ type: 'text', text: promptText }];
+    // Rename speakers ({ 'Speaker 1': 'Alice' }) in the transcript, topic metadata, notes and summary.
+    // Names can change the transcript's word count, so word indices in metadata and notes are remapped.
+    renameSpeakers(renames) {
+        const updated = [];
+        let mapWordIndex = index => index;
 
-            // Add selected screenshots (unless forced text-only)
-            if (!forceTextOnly && this.selectedScreenshots.length > 0) {
-                for (const screenshotPath of this.selectedScreenshots) {
-                    try {
-                        const imageData = fs.readFileSync(screenshotPath);
-                        const base64Image = imageData.toString('base64');
-                        const fileExtension = path.extname(screenshotPath).toLowerCase().substring(1);
-                        const mimeType = fileExtension === 'jpg' ? 'jpeg' : fileExtension;
-                        
-                        content.push({
-                            type: 'image',
-                            source: {
-                                type: 'base64',
-                                media_type: `image/${mimeType}`,
-                                data: base64Image
-                            }
-                        });
-                    } catch (error) {
-                        console.log(`⚠️  Could not read screenshot ${screenshotPath}:`, error.message);
-                    }
+        try {
+            if (fs.existsSync(this.filePath)) {
+                const transcript = fs.readFileSync(this.filePath, 'utf8');
+                const renamed = renameSpeakersInText(transcript, renames);
+                if (renamed !== transcript) {
+                    mapWordIndex = createWordIndexMapper(transcript, renames);
+
+                    // Keep the read position on the same content so nothing is processed twice
+                    const processed = Buffer.from(transcript, 'utf8').subarray(0, this.lastPosition).toString('utf8');
+                    this.lastPosition = Buffer.byteLength(renameSpeakersInText(processed, renames), 'utf8');
+                    this.lastKnownWordCount = mapWordIndex(this.lastKnownWordCount);
+
+                    writeFileAtomic(this.filePath, renamed);
+                    updated.push('transcript');
                 }
             }
 
-            messages.push({ role: 'user', content });
-
-            const message = await this.anthropic.messages.create({
-                model: 'claude-sonnet-4-20250514',
-                max_tokens: 800,
-                messages
+            this.metadata.segments.forEach(segment => {
+                segment.startWordIndex = mapWordIndex(segment.startWordIndex);
+                segment.endWordIndex = mapWordIndex(segment.endWordIndex);
             });
+            this.metadata.headers.forEach(header => {
+                header.title = renameSpeakersInText(header.title, renames);
+                header.summary = renameSpeakersInText(header.summary, renames);
+                header.subHeaders.forEach(subHeader => {
+                    subHeader.title = renameSpeakersInText(subHeader.title, renames);
+                });
+            });
+            this.saveMetadata();
+
+            // Timings are stored per segment word, so rebuild them for the remapped segments
+            this.refreshSegmentTimings();
+
+            if (this.compressedTranscript) {
+                this.compressedTranscript = renameSpeakersInText(this.compressedTranscript, renames);
+            }
+            this.pendingContent = renameSpeakersInText(this.pendingContent, renames);
+
+            if (fs.existsSync(this.notesFilePath)) {
+                const notes = fs.readFileSync(this.notesFilePath, 'utf8');
+                const renamedNotes = renameSpeakersInText(notes, renames)
+                    .replace(/<!-- words:(\d+)-(\d+) -->/g, (_, start, end) =>
+                        `<!-- words:${mapWordIndex(parseInt(start, 10))}-${mapWordIndex(parseInt(end, 10))} -->`);
+                if (renamedNotes !== notes) {
+                    writeFileAtomic(this.notesFilePath, renamedNotes);
+                    updated.push('notes');
+                }
+            }
+
+            const names = Object.entries(renames).map(([from, to]) => `${from} → ${to}`).join(', ');
+            const renamedSummary = renameSpeakersInText(this.currentSummary, renames);
+            if (renamedSummary !== this.currentSummary) {
+                this.currentSummary = renamedSummary;
+                this.saveSummary('speaker-rename', names);
+                updated.push('summary');
+            }
+
+            console.log(`🗣️  Renamed speakers (${names})${updated.length > 0 ? ` in ${updated.join(', ')}` : ''}`);
+        } catch (error) {
+            console.error('Error renaming speakers:', error.message);
+        }
+
+        return updated;
+    }
+
+    // Spoken commands let a speaker add notes, decisions, action items and topics, or steer the
+    // summary, from inside the meeting. settings are as in voice-commands.js; null or
+    // enabled: false turns them off.
+    setVoiceCommands(settings) {
+        const voiceSettings = settings ? normalizeVoiceSettings(settings) : null;
+        this.voiceCommands = voiceSettings && voiceSettings.enabled ? voiceSettings : null;
+    }
+
+    // { line, command } for one transcript line: line is the part that is meeting content (null when
+    // nothing is) and command is null for ordinary lines. parseLine is for lines read in order.
+    parseVoiceCommandLine(line, parseLine = text => this.parseTranscriptLine(text)) {
+        const parsed = parseLine(line) || { timestamp: '', speaker: '', content: line.trim() };
+        if (!this.voiceCommands || !line.trim()) return { line, command: null };
+
+        const command = parseVoiceCommand(parsed.content, parsed.speaker, this.voiceCommands);
+        if (!command) return { line, command: null };
+
+        return {
+            line: command.before ? line.substring(0, line.lastIndexOf(parsed.content)) + command.before : null,
+            command: { ...command, timestamp: parsed.timestamp, speaker: parsed.speaker }
+        };
+    }
+
+    // A parsed transcript line without its voice command: the words said before the trigger, or null
+    // when the whole line was a command
+    withoutVoiceCommand(parsed) {
+        const command = this.voiceCommands && parseVoiceCommand(parsed.content, parsed.speaker, this.voiceCommands);
+        if (!command) return parsed;
+        return command.before ? { ...parsed, content: command.before } : null;
+    }
+
+    // Voice commands stay in the transcript file; they are left out of what is summarized
+    removeControlInstructions(content) {
+        const parseLine = this.createLineParser();
+        return content.split('\n')
+            .map(line => this.parseVoiceCommandLine(line, parseLine).line)
+            .filter(line => line !== null)
+            .join('\n')
+            .trim();
+    }
+
+    // true when the summary was changed
+    async processControlInstruction(instruction) {
+        if (!this.currentSummary) {
+            console.log('⚠️  No existing summary to modify with control instruction');
+            return false;
+        }
+
+        try {
+            this.currentSummary = await this.reviseSummary(this.currentSummary, instruction);
+            this.saveSummary('instruction', instruction);
+            
+            console.log('\n🎛️  CONTROL INSTRUCTION APPLIED - SUMMARY UPDATED');
+            console.log('═'.repeat(60));
+            console.log(this.currentSummary);
+            console.log('═'.repeat(60));
+            console.log(`💾 Updated summary saved to: ${this.summaryFilePath}`);
+            
+            // Check if summary needs condensing after control instruction
+            await this.condenseSummaryIfNeeded();
+            return true;
+
+        } catch (error) {
+            console.error('Error processing control instruction:', error.message);
+            return false;
+        }
+    }
+
+    // The summary with the instruction applied; nothing is saved
+    async reviseSummary(summary, instruction) {
+        const prompt = `You are managing a real-time meeting summary. You have received a control instruction to modify the current summary.
+
+CURRENT SUMMARY:
+${summary}
+
+CONTROL INSTRUCTION:
+${instruction}
+
+INSTRUCTIONS:
+- MUST apply the requested modification to the summary
+- If asked to add a section, ADD IT - do not ignore the request
+- If asked to change terminology, CHANGE IT throughout the document
+- If asked to restructure, DO IT completely
+- Return the COMPLETE modified summary with all requested changes implemented
+- Do NOT return the summary unchanged - you MUST make the requested modifications
+
+IMPORTANT: The user expects to see changes. If you don't make changes, they will think the system is broken.
+
+Modified summary:`;
+
+        const message = await this.createMessage('processControlInstruction', {
+            max_tokens: 4000,
+            messages: [{
+                role: 'user',
+                content: prompt
+            }]
+        });
+
+        const inputTokens = message.usage.input_tokens;
+        const outputTokens = message.usage.output_tokens;
+        const requestCost = this.calculateCost(inputTokens, outputTokens, message.model);
+        this.displayCostReport(requestCost, inputTokens, outputTokens);
+
+        return message.content[0].text;
+    }
+
+    // Instruction edits from the app are previewed first: the revised summary is kept aside with a
+    // diff against the current one until applySummaryPreview() or discardSummaryPreview()
+    async previewSummaryInstruction(instruction) {
+        if (this.summaryUpdate) await this.summaryUpdate;
+        if (!this.currentSummary) {
+            throw new Error('There is no summary to edit yet');
+        }
+
+        const baseSummary = this.currentSummary;
+        const summary = await this.reviseSummary(baseSummary, instruction);
+        this.pendingSummaryEdit = { instruction, baseSummary, summary };
+        console.log(`🎛️  Previewing summary instruction: "${instruction}"`);
+        return { summary, diff: summaryHistory.diffSummaries(baseSummary, summary) };
+    }
+
+    async applySummaryPreview() {
+        if (!this.pendingSummaryEdit) {
+            throw new Error('There is no summary preview to apply');
+        }
+        if (this.summaryUpdate) await this.summaryUpdate;
+
+        const { instruction, baseSummary, summary } = this.pendingSummaryEdit;
+        this.pendingSummaryEdit = null;
+        if (this.currentSummary !== baseSummary) {
+            throw new Error('The summary changed after the preview was made; preview the instruction again');
+        }
+
+        this.currentSummary = summary;
+        this.saveSummary('instruction', instruction);
+        console.log(`🎛️  Summary instruction applied: "${instruction}"`);
+        await this.condenseSummaryIfNeeded();
+        return this.currentSummary;
+    }
+
+    discardSummaryPreview() {
+        const discarded = this.pendingSummaryEdit !== null;
+        this.pendingSummaryEdit = null;
+        return discarded;
+    }
+
+    // Hand edits replace the summary as written; later updates keep them (see composeMeetingSummary)
+    async saveEditedSummary(summary) {
+        if (this.summaryUpdate) await this.summaryUpdate;
+
+        this.currentSummary = summary.trim();
+        this.saveSummary('edit');
+        console.log(`✏️  Summary edited (${this.summaryFilePath})`);
+        return this.currentSummary;
+    }
+
+    async compactTranscript() {
+        try {
+            const fullTranscript = fs.readFileSync(this.filePath, 'utf8');
+            
+            if (!fullTranscript.trim()) {
+                console.log('⚠️  No transcript content to compact');
+                return;
+            }
+
+            console.log(`🗜️  Compacting transcript (${this.estimateTokenCount(fullTranscript)} tokens)`);
+            
+            const prompt = `You are compacting a meeting transcript for efficient LLM processing. Your goal is to preserve ALL crucial information while reducing token count by 60-70%.
+
+ORIGINAL TRANSCRIPT:
+${fullTranscript}
+
+PRESERVE EXACTLY:
+- All participant names, roles, and speaker attributions for key points
+- All technical terms, system names, tools, processes (Jira X-Ray, M4DevOps, etc.)
+- All specific decisions, action items, timelines, and concrete outcomes
+- All questions/answers and important clarifications
+- All numerical data, percentages, dates, and metrics
+- Context about WHO said WHAT for important statements
+
+SELECTIVE COMPRESSION:
+- Remove articles (a, an, the) where meaning remains clear
+- Use contractions and shorter verb forms
+- Convert wordy phrases to concise equivalents
+- Remove conversational filler and redundant explanations
+- Combine similar points from same speaker
+- Use telegraphic style for process descriptions
+
+KEEP STRUCTURE:
+- Logical flow and chronological order
+- Speaker context: "Emma: [key point]" or "Otto mentioned [technical detail]"
+- Clear section divisions
+- Technical accuracy and business context
+
+Example transformations:
+"Emma explained that the testing process involves..." → "Emma: Testing process involves..."
+"There was a discussion about whether..." → "Discussion: whether..."
+"It was mentioned by Otto that the system..." → "Otto: System..."
+
+Compress this transcript while preserving who said what:
+
+Compacted transcript:`;
+
+            const message = await this.createMessage('compactTranscript', {
+                max_tokens: 8000,
+                messages: [{
+                    role: 'user',
+                    content: prompt
+                }]
+            });
+
+            const inputTokens = message.usage.input_tokens;
+            const outputTokens = message.usage.output_tokens;
+            const requestCost = this.calculateCost(inputTokens, outputTokens, message.model);
+
+            const compactedTranscript = message.content[0].text;
+            
+            // Store compressed version in memory AND save to file
+            this.compressedTranscript = compactedTranscript;
+            this.useCompressed = true;
+            
+            // Save compacted version to file for reference
+            const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+            const compactedContent = `# Compacted Transcript\n# Generated: ${timestamp}\n# Original size: ${fullTranscript.length} chars -> Compacted: ${compactedTranscript.length} chars\n\n${compactedTranscript}`;
+            writeFileAtomic(this.compactedFilePath, compactedContent);
+            
+            const oldTokens = this.estimateTokenCount(fullTranscript);
+            const newTokens = this.estimateTokenCount(compactedTranscript);
+            
+            console.log(`\n🗜️  TRANSCRIPT COMPRESSED`);
+            console.log(`📊 Before: ${oldTokens.toLocaleString()} tokens (${fullTranscript.length} chars)`);
+            console.log(`📊 After: ${newTokens.toLocaleString()} tokens (${compactedTranscript.length} chars)`);
+            console.log(`📁 Original file unchanged - using compressed version for AI operations`);
+            console.log(`💾 Compacted version saved to: ${this.compactedFilePath}`);
+            
+            this.displayCostReport(requestCost, inputTokens, outputTokens);
+
+        } catch (error) {
+            console.error('Error compacting transcript:', error.message);
+        }
+    }
+
+    uncompactTranscript() {
+        this.useCompressed = false;
+        this.compressedTranscript = null;
+        console.log('🔄 Reverted to using original uncompressed transcript');
+    }
+
+    async condenseSummaryIfNeeded() {
+        const estimatedTokens = this.estimateTokenCount(this.currentSummary);
+        
+        if (estimatedTokens > this.maxSummaryTokens) {
+            console.log(`\n🗜️  Summary too long (${estimatedTokens} tokens), condensing...`);
+            
+            const condensePrompt = `You are condensing a meeting summary for ${this.profile.audience} that has grown too long. Your task is to reduce it to essential information while keeping every detail that reader needs.
+
+CURRENT SUMMARY (TOO LONG):
+${this.currentSummary}
+
+${this.profile.summaryInstructions ? `WHAT THE SUMMARY CAPTURES:\n${this.profile.summaryInstructions}\n\n` : ''}CONDENSATION INSTRUCTIONS:
+- KEEP the specific details the summary is meant to capture: names, figures, decisions and open questions
+- KEEP every section of the summary, including sections listing open questions
+- REMOVE redundant explanations and verbose descriptions
+- MERGE related bullet points where possible
+- PRIORITIZE facts over meeting logistics
+- MAINTAIN section structure but make each point more concise
+- TARGET: Reduce to approximately 3000-3500 tokens while preserving what matters to ${this.profile.audience}
+
+CRITICAL: Do not lose important information - just make it more concise.
+
+Condensed summary:`;
+
+            try {
+                const message = await this.createMessage('condenseSummaryIfNeeded', {
+                    max_tokens: 4000,
+                    messages: [{
+                        role: 'user',
+                        content: condensePrompt
+                    }]
+                });
+
+                const inputTokens = message.usage.input_tokens;
+                const outputTokens = message.usage.output_tokens;
+                const requestCost = this.calculateCost(inputTokens, outputTokens, message.model);
+
+                const oldLength = this.currentSummary.length;
+                this.currentSummary = message.content[0].text;
+                this.saveSummary('condense');
+                
+                const newEstimatedTokens = this.estimateTokenCount(this.currentSummary);
+                
+                console.log(`\n🗜️  SUMMARY CONDENSED`);
+                console.log(`📊 Before: ${estimatedTokens} tokens (${oldLength} chars)`);
+                console.log(`📊 After: ${newEstimatedTokens} tokens (${this.currentSummary.length} chars)`);
+                console.log(`💾 Condensed summary saved to: ${this.summaryFilePath}`);
+                
+                this.displayCostReport(requestCost, inputTokens, outputTokens);
+
+            } catch (error) {
+                console.error('Error condensing summary:', error.message);
+            }
+        }
+    }
+
+    saveNote(note, startWordIndex = null, endWordIndex = null, noteHeader = null) {
+        const now = new Date();
+        const timestamp = now.getFullYear() + '-' + 
+                         String(now.getMonth() + 1).padStart(2, '0') + '-' + 
+                         String(now.getDate()).padStart(2, '0') + ' ' + 
+                         String(now.getHours()).padStart(2, '0') + ':' + 
+                         String(now.getMinutes()).padStart(2, '0') + ':' + 
+                         String(now.getSeconds()).padStart(2, '0');
+        
+        // Create H2 header with word indices if provided
+        let noteEntry = '';
+        if (noteHeader) {
+            noteEntry += `## ${noteHeader}`;
+            if (startWordIndex !== null && endWordIndex !== null) {
+                noteEntry += ` <!-- words:${startWordIndex}-${endWordIndex} -->`;
+            }
+            noteEntry += `\n\n${note}\n\n`;
+        } else {
+            // Legacy format for backward compatibility
+            noteEntry = `[${timestamp}] ${note}\n\n`;
+        }
+        
+        appendFileAtomic(this.notesFilePath, noteEntry);
+    }
+
+    async createNote(noteRequest, forceTextOnly = false, startWordIndex = null, endWordIndex = null) {
+        try {
+            // Get the active transcript (compressed if available)
+            const fullTranscript = this.getActiveTranscript();
+            
+            if (!fullTranscript.trim()) {
+                console.log('⚠️  No transcript content available for note context');
+                return;
+            }
+
+            // Use selected word range if provided, otherwise use full transcript or apply word limit
+            let contextTranscript = fullTranscript;
+            let actualStartWordIndex = startWordIndex;
+            let actualEndWordIndex = endWordIndex;
+            
+            if (startWordIndex !== null && endWordIndex !== null) {
+                contextTranscript = this.extractWordRange(fullTranscript, startWordIndex, endWordIndex);
+                console.log(`Using selected word range ${startWordIndex}-${endWordIndex} for note context`);
+            } else if (this.contextWordLimit > 0) {
+                // Apply context limit and calculate word range indices
+                const words = fullTranscript.trim().split(/\s+/);
+                const totalWords = words.length;
+                
+                if (totalWords > this.contextWordLimit) {
+                    // Calculate range: last_word - limit as start, last_word as end
+                    actualStartWordIndex = totalWords - this.contextWordLimit;
+                    actualEndWordIndex = totalWords - 1;
+                    contextTranscript = this.getLimitedTranscript(fullTranscript);
+                    console.log(`Using word limit ${this.contextWordLimit}, calculated range ${actualStartWordIndex}-${actualEndWordIndex} for note context`);
+                } else {
+                    // If total words is less than limit, use the full transcript with proper indices
+                    actualStartWordIndex = 0;
+                    actualEndWordIndex = totalWords - 1;
+                    contextTranscript = fullTranscript;
+                    console.log(`Full transcript is within word limit, using range 0-${actualEndWordIndex} for note context`);
+                }
+            } else {
+                contextTranscript = fullTranscript;
+                console.log('Using full transcript for note context');
+            }
+
+            const messages = [];
+
+            let promptText = `You are an AI assistant helping create concise meeting notes for ${this.profile.audience}. You have access to the meeting transcript and are asked to create a brief note about a specific topic.
+
+MEETING TRANSCRIPT:
+${contextTranscript}
+
+NOTE REQUEST:
+${noteRequest}
+
+INSTRUCTIONS:
+- Create a brief, focused note (2-8 sentences and a list of bullet points depending on the need) based on the request and transcript content
+- Include only the most relevant details from the transcript related to the request
+- ${this.profile.noteStyle || 'Use a conversational, note-taking style rather than formal documentation'}
+- If the topic isn't discussed in the transcript, state that clearly
+- Keep it concise - this is a quick note, not a full analysis
+- IMPORTANT: Write the note in the same language as the note request - if the request is in Finnish, respond in Finnish; if in English, respond in English
+- DO NOT include any headers, titles, or formatting - just provide the note content as the header will be added automatically
+
+Brief note content:`;
+
+            // Add text content
+            const content = [{ type: 'text', text: promptText }];
+
+            // Add selected screenshots (unless forced text-only)
+            const useScreenshots = !forceTextOnly && this.selectedScreenshots.length > 0;
+            if (useScreenshots) {
+                console.log(`📸 Including ${this.selectedScreenshots.length} selected screenshot(s) for context`);
+                for (const screenshotPath of this.selectedScreenshots) {
+                    try {
+                        const imageData = fs.readFileSync(screenshotPath);
+                        const base64Image = imageData.toString('base64');
+                        const fileExtension = path.extname(screenshotPath).toLowerCase().substring(1);
+                        const mimeType = fileExtension === 'jpg' ? 'jpeg' : fileExtension;
+                        
+                        content.push({
+                            type: 'image',
+                            source: {
+                                type: 'base64',
+                                media_type: `image/${mimeType}`,
+                                data: base64Image
+                            }
+                        });
+                    } catch (error) {
+                        console.log(`⚠️  Could not read screenshot ${screenshotPath}:`, error.message);
+                    }
+                }
+            }
+
+            messages.push({ role: 'user', content });
+
+            // If the API is overloaded, the executor retries the same prompt without screenshots
+            const message = await this.streamMessage('createNote', {
+                max_tokens: 800,
+                messages
+            }, 'note', { header: noteRequest });
+
+            if (!message) {
+                return null;
+            }
 
             const inputTokens = message.usage.input_tokens;
             const outputTokens = message.usage.output_tokens;
-            const requestCost = this.calculateCost(inputTokens, outputTokens);
+            const requestCost = this.calculateCost(inputTokens, outputTokens, message.model);
 
             const noteContent = message.content[0].text;
             this.saveNote(noteContent, actualStartWordIndex, actualEndWordIndex, noteRequest);
             
+            if (!this.streamsToConsole) {
+                console.log('📝 AI-ASSISTED NOTE CREATED:');
+                console.log('─'.repeat(50));
+                console.log(noteContent);
+                console.log('─'.repeat(50));
+            }
+            console.log(`💾 Note saved to: ${this.notesFilePath}`);
+            
             this.displayCostReport(requestCost, inputTokens, outputTokens);
 
             return noteContent;
@@ -706,19 +1455,30 @@ Brief note content:`;
 
             messages.push({ role: 'user', content });
 
-            const message = await this.anthropic.messages.create({
-                model: 'claude-sonnet-4-20250514',
+            const message = await this.streamMessage('createNoteFromScreenshotsOnly', {
                 max_tokens: 800,
                 messages
-            });
+            }, 'note', { header: noteRequest });
+
+            if (!message) {
+                return null;
+            }
 
             const inputTokens = message.usage.input_tokens;
             const outputTokens = message.usage.output_tokens;
-            const requestCost = this.calculateCost(inputTokens, outputTokens);
+            const requestCost = this.calculateCost(inputTokens, outputTokens, message.model);
 
             const noteContent = message.content[0].text;
             this.saveNote(noteContent, actualStartWordIndex, actualEndWordIndex, noteRequest);
             
+            if (!this.streamsToConsole) {
+                console.log('📸 AI-ASSISTED NOTE CREATED FROM SCREENSHOTS:');
+                console.log('─'.repeat(50));
+                console.log(noteContent);
+                console.log('─'.repeat(50));
+            }
+            console.log(`💾 Note saved to: ${this.notesFilePath}`);
+            
             this.displayCostReport(requestCost, inputTokens, outputTokens);
 
             return noteContent;
@@ -756,7 +1516,7 @@ Brief note content:`;
             const content = [];
 
             // Create prompt for header generation
-            let promptText = `You are an AI assistant helping generate concise note headers for a SOFTWARE SOLUTION ARCHITECT. You have access to the meeting transcript and need to generate a brief, descriptive header that captures the main topic or theme of the content.
+            let promptText = `You are an AI assistant helping generate concise note headers for ${this.profile.audience}. You have access to the meeting transcript and need to generate a brief, descriptive header that captures the main topic or theme of the content.
 
 MEETING TRANSCRIPT:
 ${contextTranscript}`;
@@ -768,6 +1528,11 @@ ${contextTranscript}`;
 CONTEXT TYPE: ${contextType}`;
             }
 
+            // Topic headers follow the profile's idea of a topic; note headers don't
+            if (contextType === 'segment') {
+                promptText += this.topicGuidancePrompt();
+            }
+
             promptText += `
 
 Generate a concise header (3-8 words) that describes the main topic, decision, or discussion point from this content. The header should be:
@@ -814,15 +1579,14 @@ CRITICAL: Respond with ONLY the header title. Do NOT include explanations, reaso
 
             messages.push({ role: 'user', content });
 
-            const message = await this.anthropic.messages.create({
-                model: 'claude-sonnet-4-20250514',
+            const message = await this.createMessage('generateHeader', {
                 max_tokens: 100,
                 messages
             });
 
             const inputTokens = message.usage.input_tokens;
             const outputTokens = message.usage.output_tokens;
-            const requestCost = this.calculateCost(inputTokens, outputTokens);
+            const requestCost = this.calculateCost(inputTokens, outputTokens, message.model);
 
             const rawHeaderContent = message.content[0].text.trim();
             const headerContent = this.cleanupHeaderText(rawHeaderContent);
@@ -909,8 +1673,7 @@ Create a concise summary (max 400 words) that:
 
 Provide ONLY the compressed summary, no explanations.`;
 
-            const message = await this.anthropic.messages.create({
-                model: 'claude-sonnet-4-20250514',
+            const message = await this.createMessage('compressSummary', {
                 max_tokens: 600,
                 messages: [{
                     role: 'user',
@@ -920,7 +1683,7 @@ Provide ONLY the compressed summary, no explanations.`;
 
             const inputTokens = message.usage.input_tokens;
             const outputTokens = message.usage.output_tokens;
-            const requestCost = this.calculateCost(inputTokens, outputTokens);
+            const requestCost = this.calculateCost(inputTokens, outputTokens, message.model);
             this.displayCostReport(requestCost, inputTokens, outputTokens);
 
             return message.content[0].text.trim();
@@ -935,6 +1698,19 @@ Provide ONLY the compressed summary, no explanations.`;
 
     // Automatic Topic Assignment Methods
     async processAutomaticTopicAssignment(segment) {
+        // A "new topic" voice command decides for the segment after it
+        if (this.pendingVoiceTopic) {
+            const { title } = this.pendingVoiceTopic;
+            this.pendingVoiceTopic = null;
+            await this.createNewHeader(segment, title);
+            return;
+        }
+
+        if (!this.costLedger.isAllowed('analyzeSegmentTopicDecision')) {
+            console.log(`🛑 Budget exceeded - segment ${segment.id} left without a topic`);
+            return;
+        }
+
         try {
             // Check if this is the first segment
             const isFirstSegment = this.metadata.segments.length === 1;
@@ -1007,15 +1783,22 @@ Provide ONLY the compressed summary, no explanations.`;
             const latestHeader = this.metadata.headers[this.metadata.headers.length - 1];
             const segmentContent = this.getSegmentContent(segment);
             
-            // Check if header is locked (>= 3 segments)
-            if (latestHeader.segments.length >= 3 && !latestHeader.locked) {
+            // Check if header is locked (>= 3 segments), unless the user unlocked it
+            if (latestHeader.segments.length >= 3 && !latestHeader.locked && !latestHeader.unlockedByUser) {
                 latestHeader.locked = true;
                 console.log(`🔒 Locked header "${latestHeader.title}" after 3 segments`);
             }
             
-            const headerSummary = latestHeader.summary || '';
-            const decision = await this.analyzeSegmentTopicDecisionWithSplitting(segmentContent, headerSummary, latestHeader.title, segment);
-            
+            // Clear-cut cases are decided locally; the LLM only sees segments in the ambiguous band
+            const local = await this.compareSegmentToTopic(segment, segmentContent, latestHeader);
+            let decision;
+            if (local && local.action !== 'AMBIGUOUS') {
+                decision = { action: local.action };
+            } else {
+                const headerSummary = latestHeader.summary || '';
+                decision = await this.analyzeSegmentTopicDecisionWithSplitting(segmentContent, headerSummary, latestHeader.title, segment);
+            }
+            
             if (decision.action === 'FIT') {
                 // Assign to existing header (but don't update summary/title if locked)
                 latestHeader.segments.push(segment.id);
@@ -1083,7 +1866,7 @@ Provide ONLY the compressed summary, no explanations.`;
                 await this.handleSegmentSplit(segment, decision, latestHeader);
             } else {
                 // NEW topic decision - check if it should be a sub-header (for both locked and unlocked headers)
-                const belongsToMainTopic = await this.analyzeMainTopicRelatedness(segmentContent, latestHeader.title);
+                const belongsToMainTopic = await this.isRelatedToMainTopic(segment, segmentContent, latestHeader);
                 if (belongsToMainTopic) {
                     console.log(`Creating sub-header under ${latestHeader.locked ? 'locked' : 'unlocked'} header: "${latestHeader.title}"`);
                     await this.assignToSubHeaderOrCreate(latestHeader, segment, segmentContent);
@@ -1110,6 +1893,7 @@ Provide ONLY the compressed summary, no explanations.`;
             }
             
             const { firstSegment, secondSegment } = splitResult;
+            this.topicEmbedder.forget(originalSegment.id);
             
             // First segment stays with current header (but don't update summary/title if locked)
             currentHeader.segments.push(firstSegment.id);
@@ -1256,7 +2040,7 @@ Provide ONLY the compressed summary, no explanations.`;
             }
             
             // Use AI to decide between evolution and sub-header creation
-            const prompt = `You are deciding whether to evolve a main header or create a sub-header for a SOFTWARE SOLUTION ARCHITECT meeting transcript.
+            const prompt = `You are deciding whether to evolve a main header or create a sub-header in a meeting transcript for ${this.profile.audience}.
 
 CURRENT HEADER: "${currentHeader.title}"
 
@@ -1285,8 +2069,7 @@ Guidelines:
 
 Respond with only "EVOLVE" or "SUBHEADER" - no explanations.`;
 
-            const message = await this.anthropic.messages.create({
-                model: 'claude-sonnet-4-20250514',
+            const message = await this.createMessage('shouldCreateSubHeaderForEvolution', {
                 max_tokens: 50,
                 messages: [{
                     role: 'user',
@@ -1296,7 +2079,7 @@ Respond with only "EVOLVE" or "SUBHEADER" - no explanations.`;
 
             const inputTokens = message.usage.input_tokens;
             const outputTokens = message.usage.output_tokens;
-            const requestCost = this.calculateCost(inputTokens, outputTokens);
+            const requestCost = this.calculateCost(inputTokens, outputTokens, message.model);
             this.displayCostReport(requestCost, inputTokens, outputTokens);
 
             const response = message.content[0].text.trim().toUpperCase();
@@ -1316,8 +2099,10 @@ Respond with only "EVOLVE" or "SUBHEADER" - no explanations.`;
         try {
             // First, try to assign to existing sub-headers
             for (const subHeader of mainHeader.subHeaders) {
-                const subHeaderSummary = subHeader.summary || '';
-                const decision = await this.analyzeSubHeaderTopicDecision(segmentContent, subHeaderSummary, subHeader.title);
+                const local = await this.compareSegmentToTopic(segment, segmentContent, subHeader);
+                const decision = local && local.action !== 'AMBIGUOUS'
+                    ? { action: local.action }
+                    : await this.analyzeSubHeaderTopicDecision(segmentContent, subHeader.summary || '', subHeader.title);
                 
                 if (decision.action === 'FIT') {
                     // Assign to existing sub-header
@@ -1340,7 +2125,7 @@ Respond with only "EVOLVE" or "SUBHEADER" - no explanations.`;
             }
             
             // No existing sub-header fits, check if it belongs to main topic
-            const belongsToMainTopic = await this.analyzeMainTopicRelatedness(segmentContent, mainHeader.title);
+            const belongsToMainTopic = await this.isRelatedToMainTopic(segment, segmentContent, mainHeader);
             
             if (belongsToMainTopic) {
                 // Create new sub-header under this main header
@@ -1392,7 +2177,8 @@ Respond with only "EVOLVE" or "SUBHEADER" - no explanations.`;
         }
     }
 
-    async createNewHeader(segment) {
+    // A title given by the user is kept as it is: the topic is locked instead of generating one
+    async createNewHeader(segment, title = null) {
         try {
             console.log('Creating new header for segment:', segment.id);
             
@@ -1406,7 +2192,9 @@ Respond with only "EVOLVE" or "SUBHEADER" - no explanations.`;
             const expandedContext = this.createExpandedContextForNewTopic(segment);
             
             // Generate header using the expanded context
-            const headerTitle = await this.generateHeader(expandedContext.startWordIndex, expandedContext.endWordIndex, 'segment');
+            const headerTitle = title
+                ? this.cleanupHeaderText(title)
+                : await this.generateHeader(expandedContext.startWordIndex, expandedContext.endWordIndex, 'segment');
             
             // Create initial summary for the header (use expanded context)
             const initialSummary = this.getContentByWordRange(expandedContext.startWordIndex, expandedContext.endWordIndex);
@@ -1418,7 +2206,7 @@ Respond with only "EVOLVE" or "SUBHEADER" - no explanations.`;
                 title: headerTitle,
                 segments: [segment.id],
                 summary: initialSummary,
-                locked: false,
+                locked: !!title,
                 subHeaders: [],
                 timestamp: new Date().toISOString()
             };
@@ -1442,13 +2230,570 @@ Respond with only "EVOLVE" or "SUBHEADER" - no explanations.`;
         }
     }
 
+    // Manual topic editing (transcript context menu in the desktop app). Each edit saves the metadata
+    // and returns the topic it created or changed.
+    findTopic(topicId) {
+        for (const header of this.metadata.headers || []) {
+            if (header.id === topicId) return { header, subHeader: null };
+            const subHeader = (header.subHeaders || []).find(candidate => candidate.id === topicId);
+            if (subHeader) return { header, subHeader };
+        }
+        return null;
+    }
+
+    requireTopic(topicId) {
+        const topic = this.findTopic(topicId);
+        if (!topic) {
+            throw new Error(`Topic not found: ${topicId}`);
+        }
+        return topic;
+    }
+
+    sortSegmentIds(segmentIds) {
+        const starts = new Map(this.metadata.segments.map(segment => [segment.id, segment.startWordIndex]));
+        return segmentIds.sort((a, b) => (starts.get(a) || 0) - (starts.get(b) || 0));
+    }
+
+    saveTopicEdit(description) {
+        // Topics left without segments disappear
+        this.metadata.headers.forEach(header => {
+            header.subHeaders = (header.subHeaders || []).filter(subHeader => subHeader.segments.length > 0);
+        });
+        this.metadata.headers = this.metadata.headers.filter(header => header.segments.length > 0 || header.subHeaders.length > 0);
+
+        this.saveMetadata();
+        console.log(`✏️  ${description}`);
+    }
+
+    renameTopic(topicId, title) {
+        const { header, subHeader } = this.requireTopic(topicId);
+        const newTitle = this.cleanupHeaderText(title || '');
+        if (!newTitle) {
+            throw new Error('Topic title cannot be empty');
+        }
+
+        const topic = subHeader || header;
+        const oldTitle = topic.title;
+        topic.title = newTitle;
+        topic.renamedByUser = true;
+        // A hand-picked title must not be replaced by an EVOLVE decision
+        header.locked = true;
+
+        this.saveTopicEdit(`Renamed topic "${oldTitle}" to "${newTitle}"`);
+        return topic;
+    }
+
+    setTopicLocked(headerId, locked) {
+        const { header, subHeader } = this.requireTopic(headerId);
+        if (subHeader) {
+            throw new Error('Only main topics can be locked');
+        }
+
+        header.locked = locked;
+        header.unlockedByUser = !locked;
+        this.saveTopicEdit(`${locked ? 'Locked' : 'Unlocked'} topic "${header.title}"`);
+        return header;
+    }
+
+    // Merge a main topic with the one that follows it
+    mergeTopicWithNext(headerId) {
+        const index = this.metadata.headers.findIndex(header => header.id === headerId);
+        if (index < 0 || index >= this.metadata.headers.length - 1) {
+            throw new Error('There is no following topic to merge with');
+        }
+
+        const [first, second] = this.metadata.headers.slice(index, index + 2);
+        first.segments = this.sortSegmentIds([...first.segments, ...second.segments]);
+        first.subHeaders = [
+            ...(first.subHeaders || []),
+            ...(second.subHeaders || []).map(subHeader => ({ ...subHeader, parentId: first.id }))
+        ];
+        first.summary = [first.summary, second.summary].filter(Boolean).join(' ');
+        this.metadata.headers.splice(index + 1, 1);
+
+        this.saveTopicEdit(`Merged topic "${second.title}" into "${first.title}"`);
+        return first;
+    }
+
+    // Replace a segment by its parts everywhere it is referenced, keeping transcript order
+    replaceSegment(original, parts) {
+        const index = this.metadata.segments.findIndex(segment => segment.id === original.id);
+        this.metadata.segments.splice(index, 1, ...parts);
+
+        const replaceIn = segmentIds => {
+            const position = segmentIds.indexOf(original.id);
+            if (position >= 0) {
+                segmentIds.splice(position, 1, ...parts.map(part => part.id));
+            }
+        };
+        this.metadata.headers.forEach(header => {
+            replaceIn(header.segments);
+            (header.subHeaders || []).forEach(subHeader => replaceIn(subHeader.segments));
+        });
+        this.topicEmbedder.forget(original.id);
+    }
+
+    // Start a new main topic at wordIndex: everything of the topic from there on moves to it
+    splitTopicAtWord(wordIndex, title = null) {
+        const segment = this.metadata.segments.find(candidate =>
+            candidate.startWordIndex <= wordIndex && wordIndex <= candidate.endWordIndex
+        );
+        const header = segment && this.metadata.headers.find(candidate => this.getTopicSegmentIds(candidate).has(segment.id));
+        if (!header) {
+            throw new Error('That part of the transcript has no topic yet');
+        }
+
+        const topicSegmentIds = this.getTopicSegmentIds(header);
+        const firstStart = Math.min(...this.metadata.segments
+            .filter(candidate => topicSegmentIds.has(candidate.id))
+            .map(candidate => candidate.startWordIndex));
+        if (wordIndex <= firstStart) {
+            throw new Error('Cannot split a topic at its first word');
+        }
+
+        if (wordIndex > segment.startWordIndex) {
+            const { firstSegment, secondSegment } = this.splitSegmentAtWordIndex(segment, wordIndex);
+            this.replaceSegment(segment, [firstSegment, secondSegment]);
+        }
+
+        const starts = new Map(this.metadata.segments.map(candidate => [candidate.id, candidate.startWordIndex]));
+        const movesOn = segmentId => starts.get(segmentId) >= wordIndex;
+
+        const newHeader = {
+            id: `header-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            title: title ? this.cleanupHeaderText(title) : `${header.title} (continued)`,
+            segments: header.segments.filter(movesOn),
+            summary: '',
+            locked: false,
+            subHeaders: [],
+            timestamp: new Date().toISOString()
+        };
+        header.segments = header.segments.filter(segmentId => !movesOn(segmentId));
+
+        (header.subHeaders || []).forEach(subHeader => {
+            const moved = subHeader.segments.filter(movesOn);
+            if (moved.length === 0) return;
+
+            subHeader.segments = subHeader.segments.filter(segmentId => !movesOn(segmentId));
+            newHeader.subHeaders.push({
+                ...subHeader,
+                id: `subheader-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+                segments: moved,
+                parentId: newHeader.id
+            });
+        });
+        newHeader.summary = this.getHeaderSegmentsContent(newHeader);
+
+        this.metadata.headers.splice(this.metadata.headers.indexOf(header) + 1, 0, newHeader);
+        this.saveTopicEdit(`Split topic "${header.title}" at word ${wordIndex}`);
+        return newHeader;
+    }
+
+    promoteSubHeader(subHeaderId) {
+        const { header, subHeader } = this.requireTopic(subHeaderId);
+        if (!subHeader) {
+            throw new Error('Only sub-topics can be promoted');
+        }
+
+        const moved = new Set(subHeader.segments);
+        header.subHeaders = header.subHeaders.filter(candidate => candidate !== subHeader);
+        header.segments = header.segments.filter(segmentId => !moved.has(segmentId));
+
+        const newHeader = {
+            id: `header-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            title: subHeader.title,
+            segments: this.sortSegmentIds([...subHeader.segments]),
+            summary: subHeader.summary || '',
+            locked: false,
+            subHeaders: [],
+            timestamp: subHeader.timestamp || new Date().toISOString()
+        };
+        this.metadata.headers.splice(this.metadata.headers.indexOf(header) + 1, 0, newHeader);
+
+        this.saveTopicEdit(`Promoted sub-topic "${subHeader.title}" out of "${header.title}"`);
+        return newHeader;
+    }
+
+    moveSegmentToTopic(segmentId, topicId) {
+        const segment = this.metadata.segments.find(candidate => candidate.id === segmentId);
+        if (!segment) {
+            throw new Error(`Segment not found: ${segmentId}`);
+        }
+        const { header, subHeader } = this.requireTopic(topicId);
+
+        this.metadata.headers.forEach(candidate => {
+            candidate.segments = candidate.segments.filter(id => id !== segmentId);
+            (candidate.subHeaders || []).forEach(sub => {
+                sub.segments = sub.segments.filter(id => id !== segmentId);
+            });
+        });
+
+        // Sub-topic segments are listed under the main topic too, which is how the transcript groups them
+        header.segments = this.sortSegmentIds([...header.segments, segmentId]);
+        if (subHeader) {
+            subHeader.segments = this.sortSegmentIds([...subHeader.segments, segmentId]);
+        }
+
+        this.saveTopicEdit(`Moved segment ${segmentId} to "${(subHeader || header).title}"`);
+        return subHeader || header;
+    }
+
+    // Batch topic rebuild: the whole transcript in a few large passes instead of one request per
+    // segment. Returns a proposal with a diff against the current topics; nothing changes until
+    // applyTopicRebuild() is called.
+    async rebuildTopics() {
+        const segments = [...this.metadata.segments].sort((a, b) => a.startWordIndex - b.startWordIndex);
+        if (segments.length === 0) {
+            throw new Error('The transcript has no segments yet');
+        }
+
+        // Segment word indices count words of the original file, not the compacted transcript
+        const words = fs.readFileSync(this.filePath, 'utf8').split(/\s+/).filter(word => word.length > 0);
+        const segmentTexts = segments.map(segment => words.slice(segment.startWordIndex, segment.endWordIndex + 1).join(' '));
+        const passes = topicRebuild.planRebuildPasses(segmentTexts);
+
+        const topics = [];
+        for (let i = 0; i < passes.length; i++) {
+            const pass = passes[i];
+            console.log(`🧱 Rebuilding topics: pass ${i + 1}/${passes.length} (segments ${pass.start}-${pass.end})`);
+            const previous = topics[topics.length - 1];
+            const passTopics = await this.analyzeTopicOutline(segmentTexts, pass, previous ? previous.title : null);
+            topicRebuild.mergeOutlinePass(topics, passTopics);
+        }
+
+        // Topics from a reply that could not be parsed still get a title
+        for (const topic of topics) {
+            if (!topic.title) {
+                topic.title = await this.generateHeader(segments[topic.start].startWordIndex, segments[topic.end].endWordIndex, 'segment');
+            }
+        }
+
+        const headers = topicRebuild.buildHeadersFromOutline(topics, segments);
+        const diff = topicRebuild.diffTopicOutlines(
+            topicRebuild.renderTopicOutline(this.metadata.headers, this.metadata.segments),
+            topicRebuild.renderTopicOutline(headers, this.metadata.segments)
+        );
+
+        this.pendingTopicRebuild = { headers, diff };
+        console.log(`🧱 Proposed ${headers.length} topics from ${segments.length} segments in ${passes.length} pass${passes.length === 1 ? '' : 'es'}`);
+        return this.pendingTopicRebuild;
+    }
+
+    applyTopicRebuild() {
+        if (!this.pendingTopicRebuild) {
+            throw new Error('There is no topic rebuild to apply');
+        }
+
+        const { headers } = this.pendingTopicRebuild;
+        this.metadata.headers = headers;
+        this.pendingTopicRebuild = null;
+        this.saveTopicEdit(`Replaced the topics with ${headers.length} rebuilt topics`);
+        return headers;
+    }
+
+    discardTopicRebuild() {
+        const discarded = this.pendingTopicRebuild !== null;
+        this.pendingTopicRebuild = null;
+        return discarded;
+    }
+
+    // Write the topic tree as a meeting outline (md, html or doc); returns the file written
+    exportTopicOutline(format = 'md', outputPath = null) {
+        if (!OUTLINE_FORMATS[format]) {
+            throw new Error(`Unknown outline format: ${format}`);
+        }
+        if (!this.metadata.headers || this.metadata.headers.length === 0) {
+            throw new Error('The transcript has no topics yet');
+        }
+
+        // Segment word indices count words of the original file, not the compacted transcript
+        const outline = buildTopicOutline({
+            headers: this.metadata.headers,
+            segments: this.metadata.segments,
+            transcript: fs.readFileSync(this.filePath, 'utf8'),
+            notes: fs.existsSync(this.notesFilePath) ? fs.readFileSync(this.notesFilePath, 'utf8') : '',
+            parseLine: this.createLineParser()
+        });
+
+        const title = `${path.basename(this.filePath, path.extname(this.filePath))} - Meeting Outline`;
+        const filePath = outputPath || this.getOutlineFilePath(this.filePath, format);
+        writeFileAtomic(filePath, formatTopicOutline(outline, format, { title, notesFilePath: this.notesFilePath }));
+        console.log(`🗂️  Topic outline saved to: ${filePath}`);
+        return filePath;
+    }
+
+    // Action items and decisions (metadata.actionItems / metadata.decisions)
+    getActionTracker() {
+        return {
+            actionItems: this.metadata.actionItems,
+            decisions: this.metadata.decisions,
+            extractedThroughWord: Number.isInteger(this.metadata.extractedThroughWord) ? this.metadata.extractedThroughWord : -1
+        };
+    }
+
+    // Tracker hook, called after items are extracted or edited
+    onActionItemsChanged(tracker) {}
+
+    saveTrackerChange(description) {
+        this.saveMetadata();
+        console.log(`✅ ${description}`);
+        this.onActionItemsChanged(this.getActionTracker());
+    }
+
+    // Live segments: extract once enough new words have come in since the last pass
+    extractActionItemsIfDue(lastWordIndex) {
+        const unread = lastWordIndex - this.getActionTracker().extractedThroughWord;
+        if (unread < actionItems.EXTRACTION_BATCH_WORDS || this.actionItemExtraction) return;
+        if (this.actionItemRetry && lastWordIndex < this.actionItemRetry.atWord) return;
+        if (this.costLedger.getBudgetStatus().level === 'exceeded') {
+            console.log('🛑 Budget exceeded - automatic action item extraction skipped');
+            return;
+        }
+
+        this.extractActionItems().catch(error => {
+            // A failed pass (e.g. a reply that is not JSON) leaves extractedThroughWord where it was, so
+            // wait for twice as many new words after each consecutive failure before paying for it again
+            const failures = this.actionItemRetry ? this.actionItemRetry.failures + 1 : 1;
+            const waitWords = Math.min(actionItems.EXTRACTION_BATCH_WORDS * 2 ** (failures - 1), actionItems.EXTRACTION_PASS_WORDS);
+            this.actionItemRetry = { failures, atWord: lastWordIndex + waitWords };
+            console.error('Error extracting action items:', error.message);
+            console.log(`⏳ Retrying automatic action item extraction after ${waitWords} more word(s)`);
+        });
+    }
+
+    // Read the transcript words not extracted yet, in passes of at most EXTRACTION_PASS_WORDS.
+    // Resolves to { actionItems, decisions } that were added.
+    extractActionItems() {
+        if (!this.actionItemExtraction) {
+            this.actionItemExtraction = this.runActionItemExtraction().finally(() => {
+                this.actionItemExtraction = null;
+            });
+        }
+        return this.actionItemExtraction;
+    }
+
+    async runActionItemExtraction() {
+        // Word indices count words of the original file, not the compacted transcript
+        const transcript = fs.readFileSync(this.filePath, 'utf8');
+        const totalWords = transcript.split(/\s+/).filter(word => word.length > 0).length;
+        const added = { actionItems: [], decisions: [] };
+        const stats = fs.statSync(this.filePath);
+        const meetingDate = `${stats.mtime.getFullYear()}-${String(stats.mtime.getMonth() + 1).padStart(2, '0')}-${String(stats.mtime.getDate()).padStart(2, '0')}`;
+
+        let from = this.getActionTracker().extractedThroughWord + 1;
+        while (from < totalWords) {
+            const to = Math.min(from + actionItems.EXTRACTION_PASS_WORDS, totalWords) - 1;
+            console.log(`✅ Extracting action items and decisions from words ${from}-${to}...`);
+
+            const tracked = [
+                ...this.metadata.actionItems.map(item => `- Action item: ${item.text}`),
+                ...this.metadata.decisions.map(item => `- Decision: ${item.text}`)
+            ].slice(-40);
+
+            const promptText = `You are extracting ACTION ITEMS and DECISIONS from a meeting transcript for ${this.profile.audience}.
+
+MEETING DATE: ${meetingDate}
+
+ALREADY TRACKED (do not repeat these):
+${tracked.length > 0 ? tracked.join('\n') : '(nothing yet)'}
+
+NEW TRANSCRIPT (each line starts with the index of its first word):
+${numberTranscriptLines(transcript, from, to)}
+
+INSTRUCTIONS:
+- An action item is a concrete task someone agreed to do or was asked to do
+- A decision is something the participants settled or agreed on
+- owner: the person responsible as named in the transcript, or "" if nobody was named
+- due: YYYY-MM-DD when the date can be worked out from the meeting date, otherwise the words used (e.g. "next sprint"), or ""
+- words: the word range the item comes from, e.g. "120-135", using the line prefixes
+- Skip anything already tracked, vague intentions and general discussion
+- Write items as short imperative sentences in the language of the transcript
+
+Reply with JSON only, in this shape:
+{"actionItems": [{"text": "...", "owner": "...", "due": "...", "words": "120-135"}], "decisions": [{"text": "...", "words": "140-152"}]}`;
+
+            const message = await this.createMessage('extractActionItems', {
+                max_tokens: 1500,
+                messages: [{ role: 'user', content: promptText }]
+            });
+
+            const extraction = actionItems.parseExtraction(message.content[0].text, from, to);
+            const passAdded = actionItems.mergeExtraction(this.metadata, extraction);
+            added.actionItems.push(...passAdded.actionItems);
+            added.decisions.push(...passAdded.decisions);
+            this.metadata.extractedThroughWord = to;
+            this.saveTrackerChange(`Found ${passAdded.actionItems.length} action item(s) and ${passAdded.decisions.length} decision(s) in words ${from}-${to}`);
+
+            const requestCost = this.calculateCost(message.usage.input_tokens, message.usage.output_tokens, message.model);
+            this.displayCostReport(requestCost, message.usage.input_tokens, message.usage.output_tokens);
+            from = to + 1;
+        }
+
+        this.actionItemRetry = null;
+        return added;
+    }
+
+    findTrackerItem(kind, itemId) {
+        if (kind !== 'actionItems' && kind !== 'decisions') {
+            throw new Error(`Unknown tracker list: ${kind}`);
+        }
+        const item = this.metadata[kind].find(candidate => candidate.id === itemId);
+        if (!item) {
+            throw new Error('Item not found');
+        }
+        return item;
+    }
+
+    // Manually added items; the word range is optional (e.g. the current transcript selection)
+    addTrackerItem(kind, { text, owner = '', dueDate = '', startWordIndex = null, endWordIndex = null }) {
+        if (kind !== 'actionItems' && kind !== 'decisions') {
+            throw new Error(`Unknown tracker list: ${kind}`);
+        }
+        if (!text || !text.trim()) {
+            throw new Error('Text cannot be empty');
+        }
+
+        const item = {
+            id: actionItems.generateItemId(kind === 'actionItems' ? 'action' : 'decision'),
+            text: text.trim(),
+            startWordIndex,
+            endWordIndex,
+            createdAt: new Date().toISOString(),
+            editedByUser: true
+        };
+        if (kind === 'actionItems') {
+            Object.assign(item, { owner: owner.trim(), dueDate: dueDate.trim(), status: 'open' });
+        }
+        this.metadata[kind].push(item);
+        this.saveTrackerChange(`Added ${kind === 'actionItems' ? 'action item' : 'decision'} "${item.text}"`);
+        return item;
+    }
+
+    // changes: text, owner, dueDate and status ('open' | 'done') for action items, text for decisions
+    updateTrackerItem(kind, itemId, changes) {
+        const item = this.findTrackerItem(kind, itemId);
+        const fields = kind === 'actionItems' ? ['text', 'owner', 'dueDate', 'status'] : ['text'];
+
+        fields.filter(field => changes[field] !== undefined).forEach(field => {
+            const value = String(changes[field]).trim();
+            if (field === 'text' && !value) {
+                throw new Error('Text cannot be empty');
+            }
+            if (field === 'status') {
+                if (!actionItems.ACTION_STATUSES.includes(value)) {
+                    throw new Error(`Unknown status: ${value}`);
+                }
+                if (value === 'done' && item.status !== 'done') item.completedAt = new Date().toISOString();
+                if (value === 'open') delete item.completedAt;
+            }
+            item[field] = value;
+        });
+        item.editedByUser = true;
+
+        this.saveTrackerChange(`Updated "${item.text}"`);
+        return item;
+    }
+
+    removeTrackerItem(kind, itemId) {
+        const item = this.findTrackerItem(kind, itemId);
+        this.metadata[kind] = this.metadata[kind].filter(candidate => candidate !== item);
+        this.saveTrackerChange(`Removed "${item.text}"`);
+        return item;
+    }
+
+    exportActionItems(format = 'md', outputPath = null) {
+        if (!actionItems.TRACKER_FORMATS[format]) {
+            throw new Error(`Unknown action item export format: ${format}`);
+        }
+
+        const transcript = fs.existsSync(this.filePath) ? fs.readFileSync(this.filePath, 'utf8') : '';
+        const title = `${path.basename(this.filePath, path.extname(this.filePath))} - Action Items`;
+        const filePath = outputPath || this.getActionItemsFilePath(this.filePath, format);
+        writeFileAtomic(filePath, actionItems.formatTracker(this.getActionTracker(), format, {
+            title,
+            transcriptFilePath: this.filePath,
+            lines: indexTranscriptLines(transcript, this.createLineParser())
+        }));
+        console.log(`✅ Action items saved to: ${filePath}`);
+        return filePath;
+    }
+
+    async analyzeTopicOutline(segmentTexts, pass, previousTitle) {
+        try {
+            const message = await this.createMessage('rebuildTopics', {
+                max_tokens: 2000,
+                messages: [{
+                    role: 'user',
+                    content: topicRebuild.buildRebuildPrompt(segmentTexts, pass, previousTitle, this.profile)
+                }]
+            });
+
+            const inputTokens = message.usage.input_tokens;
+            const outputTokens = message.usage.output_tokens;
+            const requestCost = this.calculateCost(inputTokens, outputTokens, message.model);
+            this.displayCostReport(requestCost, inputTokens, outputTokens);
+
+            const topics = topicRebuild.parseTopicOutline(message.content[0].text, pass);
+            topics.forEach(topic => {
+                if (topic.title) topic.title = this.cleanupHeaderText(topic.title);
+                topic.subTopics.forEach(subTopic => { subTopic.title = this.cleanupHeaderText(subTopic.title); });
+            });
+            return topics;
+        } catch (error) {
+            console.error('Error analyzing topic outline:', error.message);
+            return topicRebuild.parseTopicOutline('', pass);
+        }
+    }
+
+    // Segments of a header (including its sub-headers) or of a sub-header, in transcript order
+    getTopicSegmentIds(topic) {
+        const segmentIds = new Set(topic.segments || []);
+        (topic.subHeaders || []).forEach(subHeader => subHeader.segments.forEach(id => segmentIds.add(id)));
+        return segmentIds;
+    }
+
+    getTopicSegments(topic) {
+        const segmentIds = this.getTopicSegmentIds(topic);
+        return this.metadata.segments
+            .filter(segment => segmentIds.has(segment.id))
+            .sort((a, b) => a.startWordIndex - b.startWordIndex)
+            .slice(-this.topicEmbedder.options.topicSegments)
+            .map(segment => ({ segment, text: this.getSegmentContent(segment) }));
+    }
+
+    // Embedding similarity of a segment to a header or sub-header; null when local detection is
+    // off or unavailable, in which case the caller asks the LLM
+    async compareSegmentToTopic(segment, segmentContent, topic) {
+        if (!await this.topicEmbedder.initialize()) return null;
+
+        try {
+            const result = await this.topicEmbedder.compareToTopic(segment, segmentContent, this.getTopicSegments(topic));
+            if (result) {
+                console.log(`🧭 Topic similarity to "${topic.title}": ${result.similarity.toFixed(2)} (${result.action})`);
+            }
+            return result;
+        } catch (error) {
+            console.error('Error in local topic detection:', error.message);
+            return null;
+        }
+    }
+
+    async isRelatedToMainTopic(segment, segmentContent, mainHeader) {
+        const local = await this.compareSegmentToTopic(segment, segmentContent, mainHeader);
+        if (local) {
+            // Anything short of a clear topic change still belongs to the main topic
+            return local.action !== 'NEW';
+        }
+        return await this.analyzeMainTopicRelatedness(segmentContent, mainHeader.title);
+    }
+
     async analyzeSubHeaderTopicDecision(segmentContent, subHeaderSummary, subHeaderTitle) {
         try {
             if (!segmentContent.trim() || !subHeaderSummary.trim()) {
                 return { action: 'NEW' };
             }
             
-            const prompt = `You are analyzing if a new segment fits under an existing SUB-HEADER in a meeting transcript for a SOFTWARE SOLUTION ARCHITECT.
+            const prompt = `You are analyzing if a new segment fits under an existing SUB-HEADER in a meeting transcript for ${this.profile.audience}.
 
 SUB-HEADER: "${subHeaderTitle}"
 
@@ -1474,15 +2819,14 @@ Be more lenient than main header decisions - sub-headers should capture related
 
 Respond with only "FIT" or "NEW".`;
 
-            const message = await this.anthropic.messages.create({
-                model: 'claude-sonnet-4-20250514',
+            const message = await this.createMessage('analyzeSubHeaderTopicDecision', {
                 max_tokens: 50,
                 messages: [{ role: 'user', content: prompt }]
             });
 
             const inputTokens = message.usage.input_tokens;
             const outputTokens = message.usage.output_tokens;
-            const requestCost = this.calculateCost(inputTokens, outputTokens);
+            const requestCost = this.calculateCost(inputTokens, outputTokens, message.model);
             this.displayCostReport(requestCost, inputTokens, outputTokens);
 
             const response = message.content[0].text.trim().toUpperCase();
@@ -1499,7 +2843,7 @@ Respond with only "FIT" or "NEW".`;
 
     async analyzeMainTopicRelatedness(segmentContent, mainHeaderTitle) {
         try {
-            const prompt = `Determine if this segment is related to the main topic for a SOFTWARE SOLUTION ARCHITECT meeting.
+            const prompt = `Determine if this segment is related to the main topic of a meeting transcript for ${this.profile.audience}.
 
 MAIN TOPIC: "${mainHeaderTitle}"
 
@@ -1514,15 +2858,14 @@ Examples:
 
 Respond with only "YES" if related to the main topic, or "NO" if it's a completely different area.`;
 
-            const message = await this.anthropic.messages.create({
-                model: 'claude-sonnet-4-20250514',
+            const message = await this.createMessage('analyzeMainTopicRelatedness', {
                 max_tokens: 50,
                 messages: [{ role: 'user', content: prompt }]
             });
 
             const inputTokens = message.usage.input_tokens;
             const outputTokens = message.usage.output_tokens;
-            const requestCost = this.calculateCost(inputTokens, outputTokens);
+            const requestCost = this.calculateCost(inputTokens, outputTokens, message.model);
             this.displayCostReport(requestCost, inputTokens, outputTokens);
 
             const response = message.content[0].text.trim().toUpperCase();
@@ -1541,7 +2884,7 @@ Respond with only "YES" if related to the main topic, or "NO" if it's a complete
         try {
             const segmentContent = this.getSegmentContent(segment);
             
-            const prompt = `Generate a concise sub-header (3-6 words) for this meeting content under the main topic.
+            const prompt = `Generate a concise sub-header (3-6 words) for this meeting content under the main topic.${this.topicGuidancePrompt()}
 
 MAIN TOPIC: "${mainHeaderTitle}"
 
@@ -1561,15 +2904,14 @@ Examples:
 
 CRITICAL: Respond with ONLY the sub-header title, no explanations.`;
 
-            const message = await this.anthropic.messages.create({
-                model: 'claude-sonnet-4-20250514',
+            const message = await this.createMessage('generateSubHeader', {
                 max_tokens: 50,
                 messages: [{ role: 'user', content: prompt }]
             });
 
             const inputTokens = message.usage.input_tokens;
             const outputTokens = message.usage.output_tokens;
-            const requestCost = this.calculateCost(inputTokens, outputTokens);
+            const requestCost = this.calculateCost(inputTokens, outputTokens, message.model);
             this.displayCostReport(requestCost, inputTokens, outputTokens);
 
             const rawTitle = message.content[0].text.trim();
@@ -1646,7 +2988,7 @@ CRITICAL: Respond with ONLY the sub-header title, no explanations.`;
 
     async analyzeContentForSubHeaders(content, mainHeaderTitle) {
         try {
-            const prompt = `You are analyzing meeting content to determine if it should be broken down into sub-headers for a SOFTWARE SOLUTION ARCHITECT.
+            const prompt = `You are analyzing meeting content to determine if it should be broken down into sub-headers for ${this.profile.audience}.
 
 MAIN HEADER: "${mainHeaderTitle}"
 
@@ -1675,8 +3017,7 @@ Examples:
 
 Respond with ONLY the format above - no explanations.`;
 
-            const message = await this.anthropic.messages.create({
-                model: 'claude-sonnet-4-20250514',
+            const message = await this.createMessage('analyzeContentForSubHeaders', {
                 max_tokens: 150,
                 messages: [{
                     role: 'user',
@@ -1686,7 +3027,7 @@ Respond with ONLY the format above - no explanations.`;
 
             const inputTokens = message.usage.input_tokens;
             const outputTokens = message.usage.output_tokens;
-            const requestCost = this.calculateCost(inputTokens, outputTokens);
+            const requestCost = this.calculateCost(inputTokens, outputTokens, message.model);
             this.displayCostReport(requestCost, inputTokens, outputTokens);
 
             const response = message.content[0].text.trim();
@@ -1794,7 +3135,7 @@ Respond with ONLY the format above - no explanations.`;
                 endWordIndex: segment.endWordIndex
             }));
             
-            const prompt = `You are assigning transcript segments to sub-headers for a SOFTWARE SOLUTION ARCHITECT meeting.
+            const prompt = `You are assigning transcript segments to sub-headers in a meeting transcript for ${this.profile.audience}.
 
 SUB-HEADERS:
 ${subHeaderTitles.map((title, index) => `${index}: ${title}`).join('\n')}
@@ -1817,8 +3158,7 @@ Example:
 
 Assign ALL segments to sub-headers. Each segment should be assigned to exactly one sub-header.`;
 
-            const message = await this.anthropic.messages.create({
-                model: 'claude-sonnet-4-20250514',
+            const message = await this.createMessage('assignSegmentsToSubHeaders', {
                 max_tokens: 200,
                 messages: [{
                     role: 'user',
@@ -1828,7 +3168,7 @@ Assign ALL segments to sub-headers. Each segment should be assigned to exactly o
 
             const inputTokens = message.usage.input_tokens;
             const outputTokens = message.usage.output_tokens;
-            const requestCost = this.calculateCost(inputTokens, outputTokens);
+            const requestCost = this.calculateCost(inputTokens, outputTokens, message.model);
             this.displayCostReport(requestCost, inputTokens, outputTokens);
 
             const response = message.content[0].text.trim();
@@ -1943,7 +3283,7 @@ Assign ALL segments to sub-headers. Each segment should be assigned to exactly o
                 return { action: 'FIT' }; // Default to fit for headers without summaries
             }
             
-            const prompt = `You are analyzing meeting transcript segments to determine topic organization for a SOFTWARE SOLUTION ARCHITECT.
+            const prompt = `You are analyzing meeting transcript segments to determine topic organization for ${this.profile.audience}.${this.topicGuidancePrompt()}
 
 CURRENT HEADER: "${headerTitle}"
 
@@ -1976,8 +3316,7 @@ Examples of good EVOLVE responses:
 
 DO NOT include explanations, reasoning, or additional text. Respond with ONLY the action and title.`;
 
-            const message = await this.anthropic.messages.create({
-                model: 'claude-sonnet-4-20250514',
+            const message = await this.createMessage('analyzeSegmentTopicDecision', {
                 max_tokens: 100,
                 messages: [{
                     role: 'user',
@@ -1987,7 +3326,7 @@ DO NOT include explanations, reasoning, or additional text. Respond with ONLY th
 
             const inputTokens = message.usage.input_tokens;
             const outputTokens = message.usage.output_tokens;
-            const requestCost = this.calculateCost(inputTokens, outputTokens);
+            const requestCost = this.calculateCost(inputTokens, outputTokens, message.model);
             this.displayCostReport(requestCost, inputTokens, outputTokens);
 
             const response = message.content[0].text.trim();
@@ -2031,7 +3370,7 @@ DO NOT include explanations, reasoning, or additional text. Respond with ONLY th
                 return await this.analyzeSegmentTopicDecision(segmentContent, headerSummary, headerTitle);
             }
             
-            const prompt = `You are analyzing a meeting transcript segment to determine if and where a topic change occurs for a SOFTWARE SOLUTION ARCHITECT.
+            const prompt = `You are analyzing a meeting transcript segment to determine if and where a topic change occurs for ${this.profile.audience}.${this.topicGuidancePrompt()}
 
 CURRENT HEADER: "${headerTitle}"
 
@@ -2069,8 +3408,7 @@ CRITICAL: Only suggest SPLIT if there's a clear topic boundary within the segmen
 
 Respond with ONLY the action format - no explanations.`;
 
-            const message = await this.anthropic.messages.create({
-                model: 'claude-sonnet-4-20250514',
+            const message = await this.createMessage('analyzeSegmentTopicDecisionWithSplitting', {
                 max_tokens: 150,
                 messages: [{
                     role: 'user',
@@ -2080,7 +3418,7 @@ Respond with ONLY the action format - no explanations.`;
 
             const inputTokens = message.usage.input_tokens;
             const outputTokens = message.usage.output_tokens;
-            const requestCost = this.calculateCost(inputTokens, outputTokens);
+            const requestCost = this.calculateCost(inputTokens, outputTokens, message.model);
             this.displayCostReport(requestCost, inputTokens, outputTokens);
 
             const response = message.content[0].text.trim();
@@ -2138,96 +3476,239 @@ Respond with ONLY the action format - no explanations.`;
         }
     }
 
+    // SUMMARIZE: bring the summary up to date with everything read so far. Only segments no topic
+    // summary has seen yet are sent (see updateSummary)
     async createSummaryFromCurrent() {
+        this.pendingContent = '';
+        await this.updateSummary();
+    }
+
+    // REGENERATE: summarize every topic again from its transcript, ignoring any compacted version
+    async regenerateFromFullTranscript() {
         try {
-            // Get the active transcript (compressed if available)
-            const fullTranscript = this.getActiveTranscript();
+            this.metadata.topicSummaries = [];
+            this.currentSummary = '';
+            this.pendingContent = '';
+            this.saveMetadata();
+
+            await this.updateSummary({ trigger: 'regenerate' });
+            this.lastPosition = fs.statSync(this.filePath).size;
+
+            console.log('\n🔄 SUMMARY REGENERATED FROM FULL TRANSCRIPT');
+            console.log(`📍 Position reset to end of file: ${this.lastPosition}`);
+
+        } catch (error) {
+            console.error('Error regenerating summary from full transcript:', error.message);
+        }
+    }
+
+    // ASK about the open meeting. With a word range only those words are sent, otherwise the whole
+    // transcript (or its last contextWordLimit words). The last few questions and answers go along
+    // for follow-ups. Returns the saved chat turn, whose citations are word ranges in the transcript.
+    async answerQuestion(question, { startWordIndex = null, endWordIndex = null, scope = null } = {}) {
+        try {
+            // Cited and selected word ranges count words of the original file, not the compacted transcript
+            const fullTranscript = fs.readFileSync(this.filePath, 'utf8');
             
             if (!fullTranscript.trim()) {
-                console.log('⚠️  No transcript content found to summarize');
-                return;
+                console.log('⚠️  No transcript content available to answer questions');
+                return null;
             }
-            
-            console.log(`📖 Processing transcript: ${fullTranscript.length} characters`);
-            
-            // Use full transcript content (no control instructions to filter)
-            const cleanTranscript = fullTranscript.trim();
-            
-            if (!cleanTranscript) {
-                console.log('⚠️  No transcript content found to summarize');
-                return;
+
+            const totalWords = fullTranscript.trim().split(/\s+/).length;
+            let rangeStart = 0;
+            let rangeEnd = totalWords - 1;
+            let rangeScope = 'transcript';
+            if (startWordIndex !== null && endWordIndex !== null &&
+                startWordIndex >= 0 && startWordIndex <= endWordIndex && endWordIndex < totalWords) {
+                rangeStart = startWordIndex;
+                rangeEnd = endWordIndex;
+                rangeScope = scope || 'selection';
+                console.log(`Using word range ${rangeStart}-${rangeEnd} for the question`);
+            } else if (this.contextWordLimit > 0 && totalWords > this.contextWordLimit) {
+                rangeStart = totalWords - this.contextWordLimit;
+                rangeScope = 'limit';
+                console.log(`📊 Using last ${this.contextWordLimit} words of transcript (limit: ${this.contextWordLimit})`);
             }
-            
-            console.log(`📄 Using transcript: ${cleanTranscript.length} characters`);
-            
-            // Read existing notes for additional context
-            let existingNotes = '';
-            try {
-                if (fs.existsSync(this.notesFilePath)) {
-                    existingNotes = fs.readFileSync(this.notesFilePath, 'utf8').trim();
+
+            let promptText = `You are an AI assistant helping ${this.profile.audience} understand a meeting transcript. Answer the user's question based on the meeting content.
+
+MEETING TRANSCRIPT (each line starts with the index of its first word):
+${numberTranscriptLines(fullTranscript, rangeStart, rangeEnd)}
+
+QUESTION:
+${question}
+
+INSTRUCTIONS:
+- Answer the question directly and concisely based on the transcript content
+- If the information is not in the transcript, clearly state that
+- Cite the transcript passages your answer relies on as [words 120-135], using the word indices from the line prefixes
+- Be accurate, and focus on the details that matter to ${this.profile.audience}
+- If the question refers to an earlier question or answer, use the conversation so far
+- If the question is unclear, ask for clarification`;
+
+            if (this.selectedScreenshots.length > 0) {
+                promptText += `\n- You also have access to ${this.selectedScreenshots.length} selected meeting screenshot(s) that may provide visual context`;
+            }
+
+            promptText += `\n\nAnswer:`;
+
+            // Add text content
+            const content = [{ type: 'text', text: promptText }];
+
+            // Add selected screenshots
+            if (this.selectedScreenshots.length > 0) {
+                console.log(`📸 Including ${this.selectedScreenshots.length} selected screenshot(s) for context`);
+                
+                for (const screenshotPath of this.selectedScreenshots) {
+                    try {
+                        const imageData = fs.readFileSync(screenshotPath);
+                        const base64Image = imageData.toString('base64');
+                        const fileExtension = path.extname(screenshotPath).toLowerCase().substring(1);
+                        const mimeType = fileExtension === 'jpg' ? 'jpeg' : fileExtension;
+                        
+                        content.push({
+                            type: 'image',
+                            source: {
+                                type: 'base64',
+                                media_type: `image/${mimeType}`,
+                                data: base64Image
+                            }
+                        });
+                    } catch (error) {
+                        console.log(`⚠️  Could not read screenshot ${screenshotPath}:`, error.message);
+                    }
                 }
-            } catch (error) {
-                console.log('⚠️  Could not read notes file for context');
             }
+
+            const message = await this.createMessage('answerQuestion', {
+                max_tokens: 1500,
+                messages: [...this.chatHistory.recentMessages(), { role: 'user', content }]
+            });
+
+            const inputTokens = message.usage.input_tokens;
+            const outputTokens = message.usage.output_tokens;
+            const requestCost = this.calculateCost(inputTokens, outputTokens, message.model);
+
+            const answer = message.content[0].text;
             
-            // Clear pending content since we're processing everything
-            this.pendingContent = '';
+            console.log('💬 ANSWER:');
+            console.log('─'.repeat(50));
+            console.log(answer);
+            console.log('─'.repeat(50));
             
-            if (this.currentSummary) {
-                // Update existing summary
-                await this.updateSummary(cleanTranscript);
-            } else {
-                // Create initial summary
-                const prompt = `You are creating a technical meeting summary for a SOFTWARE SOLUTION ARCHITECT. This is the complete transcript content:
+            this.displayCostReport(requestCost, inputTokens, outputTokens);
 
-${cleanTranscript}
+            return this.chatHistory.append({
+                id: `chat-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+                askedAt: new Date().toISOString(),
+                question,
+                answer,
+                startWordIndex: rangeStart,
+                endWordIndex: rangeEnd,
+                scope: rangeScope,
+                screenshots: this.selectedScreenshots.map(screenshotPath => path.basename(screenshotPath)),
+                citations: parseWordCitations(answer, rangeStart, rangeEnd),
+                savedToNotes: false
+            });
 
-${existingNotes ? `SUPPLEMENTARY NOTES (for additional context):
-${existingNotes}
+        } catch (error) {
+            console.error('Error answering question:', error.message);
+            return null;
+        }
+    }
 
-` : ''}CRITICAL: ONLY SUMMARIZE WHAT WAS EXPLICITLY MENTIONED. DO NOT INVENT OR EXTRAPOLATE.
+    // Append a chat answer to the notes file as "## <question>" covering the range it was asked about
+    saveChatTurnToNotes(turnId) {
+        const turn = this.chatHistory.find(turnId);
+        if (!turn) {
+            throw new Error('That question is no longer in the chat history');
+        }
 
-Create a summary that captures only the technical details explicitly mentioned in the transcript. Do not infer system architecture, expand on brief mentions, or add technical depth not discussed. Use exact terminology from speakers. Include a "Questions for Further Investigation" section only for topics that were mentioned but need clarification.
+        this.saveNote(turn.answer, turn.startWordIndex, turn.endWordIndex, turn.question);
+        console.log(`💾 Answer saved to: ${this.notesFilePath}`);
+        return this.chatHistory.update(turnId, { savedToNotes: true });
+    }
 
-Be conservative - if technical details weren't explicitly discussed, don't include them.`;
+    // ASK ALL: answer from passages retrieved across every meeting in the session library.
+    // Returns { answer, citations: [{ number, title, date, transcriptFile, source, startWordIndex, endWordIndex }] }
+    async answerAcrossMeetings(question) {
+        try {
+            if (!this.meetingSearch) {
+                // Shares the topic embedding model; with local topic detection off, search is BM25 only
+                this.meetingSearch = new MeetingSearch({ library: new SessionLibrary(), embedder: this.topicEmbedder });
+            }
 
-                const message = await this.anthropic.messages.create({
-                    model: 'claude-sonnet-4-20250514',
-                    max_tokens: 4000,
-                    messages: [{
-                        role: 'user',
-                        content: prompt
-                    }]
-                });
+            const { passages, method } = await this.meetingSearch.search(question);
+            if (passages.length === 0) {
+                console.log('⚠️  No past meeting passages match that question');
+                return { answer: 'No passages in past meetings match that question.', citations: [] };
+            }
+            console.log(`🔎 Retrieved ${passages.length} passage(s) from past meetings (${method === 'hybrid' ? 'embeddings + BM25' : 'BM25'})`);
 
-                const inputTokens = message.usage.input_tokens;
-                const outputTokens = message.usage.output_tokens;
-                const requestCost = this.calculateCost(inputTokens, outputTokens);
+            const numbered = passages.map((passage, index) => {
+                const date = passage.meeting.date ? ` (${new Date(passage.meeting.date).toLocaleDateString()})` : '';
+                return `[${index + 1}] Meeting: "${passage.meeting.title}"${date}, ${describePassageLocation(passage)}\n${passage.text}`;
+            }).join('\n\n');
 
-                this.currentSummary = message.content[0].text;
-                this.saveSummary();
-                
-                this.displayCostReport(requestCost, inputTokens, outputTokens);
-                
-                console.log('\n📋 Summary Created:');
-                console.log('='.repeat(50));
-                console.log(this.currentSummary);
-                console.log('='.repeat(50));
-                console.log(`💾 Summary saved to: ${this.summaryFilePath}`);
-            }
-            
-            // Notify electron app if available (for button state reset)
-            if (this.electronApp) {
-                this.electronApp.sendSummaryUpdate(this.currentSummary);
+            const promptText = `You are an AI assistant helping ${this.profile.audience} find answers across the records of past meetings. Answer the question using only the numbered passages below, retrieved from transcripts, notes and summaries of several meetings.
+
+PASSAGES FROM PAST MEETINGS:
+${numbered}
+
+QUESTION:
+${question}
+
+INSTRUCTIONS:
+- Cite every statement with the number of the passage it comes from in square brackets, e.g. [2] or [1][3]
+- When the question asks when something happened or was decided, name the meeting and its date
+- If the passages do not answer the question, say so plainly instead of guessing
+- Be concise and focus on decisions, reasons and owners
+
+Answer:`;
+
+            const message = await this.createMessage('answerAcrossMeetings', {
+                max_tokens: 1500,
+                messages: [{ role: 'user', content: [{ type: 'text', text: promptText }] }]
+            });
+
+            const inputTokens = message.usage.input_tokens;
+            const outputTokens = message.usage.output_tokens;
+            const requestCost = this.calculateCost(inputTokens, outputTokens, message.model);
+
+            const answer = message.content[0].text;
+            const citations = parseCitations(answer, passages.length).map(number => {
+                const passage = passages[number - 1];
+                return {
+                    number,
+                    title: passage.meeting.title,
+                    date: passage.meeting.date,
+                    transcriptFile: passage.meeting.transcriptFile,
+                    source: passage.source,
+                    label: passage.label || '',
+                    startWordIndex: passage.startWordIndex,
+                    endWordIndex: passage.endWordIndex
+                };
+            });
+
+            console.log('💬 ANSWER (all meetings):');
+            console.log('─'.repeat(50));
+            console.log(answer);
+            if (citations.length > 0) {
+                console.log('');
+                citations.forEach(citation => {
+                    console.log(`[${citation.number}] ${citation.title} - ${describePassageLocation(citation)} - ${citation.transcriptFile}`);
+                });
             }
+            console.log('─'.repeat(50));
+
+            this.displayCostReport(requestCost, inputTokens, outputTokens);
+
+            return { answer, citations };
 
         } catch (error) {
-            console.error('Error creating summary from current transcript:', error.message);
-            
-            // Notify electron app of error completion if available
-            if (this.electronApp) {
-                this.electronApp.sendSummaryUpdate(null);
-            }
+            console.error('Error answering across meetings:', error.message);
+            return null;
         }
     }
 
@@ -2272,7 +3753,6 @@ Be conservative - if technical details weren't explicitly discussed, don't inclu
         return extractedText;
     }
 
-    // Add other essential methods as needed...
     async start() {
         console.log(`Monitoring transcript file: ${this.filePath}`);
         console.log(`Summary will be saved to: ${this.summaryFilePath}`);
@@ -2283,9 +3763,17 @@ Be conservative - if technical details weren't explicitly discussed, don't inclu
             throw new Error(`File does not exist: ${this.filePath}`);
         }
 
+        const transcriptName = path.basename(this.filePath, path.extname(this.filePath));
+        const staleWrites = removeStaleTempFiles(path.dirname(this.filePath), transcriptName);
+        if (staleWrites.length > 0) {
+            console.log(`🧹 Removed ${staleWrites.length} unfinished write(s) left by an earlier crash`);
+        }
+
+        requestExecutor.addStatusListener(this.handleRequestQueueStatus);
         this.loadExistingSummary();
         this.loadOrCreateNotesFile();
         this.loadMetadata();
+        this.applySessionProfile();
         await this.initializeWordCount();
         
         this.lastPosition = fs.statSync(this.filePath).size;
@@ -2313,25 +3801,32 @@ Be conservative - if technical details weren't explicitly discussed, don't inclu
                 });
 
                 stream.on('end', async () => {
-                    const trimmedContent = newContent.trim();
-                    
-                    if (trimmedContent) {
-                        console.log(`\n📝 New transcript content (${newContent.length} chars):`);
-                        console.log(trimmedContent);
-                        
-                        // Calculate word indices for the new segment
-                        const newWords = trimmedContent.split(/\s+/).filter(word => word.length > 0);
-                        const startWordIndex = this.lastKnownWordCount;
-                        const endWordIndex = this.lastKnownWordCount + newWords.length - 1;
-                        
-                        // Add segment for the new content
-                        if (newWords.length > 0) {
-                            this.addSegment(startWordIndex, endWordIndex, 'live-transcription', this.sessionStartTime);
-                            this.lastKnownWordCount = endWordIndex + 1;
+                    // Voice commands get no segment, so they are neither shown nor summarized; the
+                    // content around them is read in order, so a "new topic" command starts its
+                    // topic with the words after it
+                    const { parts, words } = this.splitAtVoiceCommands(newContent);
+                    const firstWordIndex = this.lastKnownWordCount;
+                    this.lastPosition = stats.size;
+
+                    let added = false;
+                    const commands = [];
+                    for (const part of parts) {
+                        added = this.addLiveContent(part.content, firstWordIndex + part.startWord) || added;
+                        if (part.command) {
+                            commands.push(this.prepareVoiceCommand(part.command));
                         }
-                        
-                        this.pendingContent += ' ' + trimmedContent;
-                        this.lastPosition = stats.size;
+                    }
+                    if (commands.length > 0) {
+                        this.lastKnownWordCount = firstWordIndex + words;
+                    }
+
+                    // Run commands immediately
+                    for (const command of commands) {
+                        await this.runVoiceCommand(command);
+                    }
+
+                    if (added) {
+                        await this.updateSummaryIfDue();
                     }
                 });
             }
@@ -2340,17 +3835,314 @@ Be conservative - if technical details weren't explicitly discussed, don't inclu
         }
     }
 
-    async updateSummary(newContent) {
-        // Implementation of updateSummary method
-        // This is a simplified version - include the full implementation as needed
+    // Split content newly read from the transcript at its voice command lines. Returns the parts,
+    // each with the word it starts at (counted from the start of newContent) and the command said
+    // after it (null for the last part), and how many words newContent holds. Only what was read is
+    // split: the transcript file is never changed, as another program may still be writing it.
+    splitAtVoiceCommands(newContent) {
+        const countWords = text => text.split(/\s+/).filter(word => word.length > 0).length;
+        const parts = [{ lines: [], startWord: 0, command: null }];
+        let words = 0;
+        if (!this.liveLineParser) {
+            this.liveLineParser = this.createLineParser();
+        }
+
+        newContent.split('\n').forEach(rawLine => {
+            const { line, command } = this.parseVoiceCommandLine(rawLine, this.liveLineParser);
+            if (line !== null) {
+                parts[parts.length - 1].lines.push(line);
+            }
+            words += countWords(rawLine);
+            if (command) {
+                parts[parts.length - 1].command = command;
+                parts.push({ lines: [], startWord: words, command: null });
+            }
+        });
+
+        return {
+            parts: parts.map(part => ({ content: part.lines.join('\n'), startWord: part.startWord, command: part.command })),
+            words
+        };
+    }
+
+    // Add a segment for new live content and count its words towards the next summary update;
+    // false when there was nothing to add
+    addLiveContent(content, startWordIndex = this.lastKnownWordCount) {
+        const trimmedContent = content.trim();
+        
+        // Filter out common transcript placeholders
+        const isBlankContent = !trimmedContent || 
+                             trimmedContent === 'BLANK' || 
+                             trimmedContent === 'blank' ||
+                             trimmedContent === '(blank)' ||
+                             trimmedContent === '[blank]' ||
+                             trimmedContent.match(/^(blank|empty|none)$/i);
+        
+        if (trimmedContent && isBlankContent) {
+            console.log(`\n📝 Ignoring blank transcript marker: "${trimmedContent}"`);
+        }
+        if (isBlankContent) {
+            return false;
+        }
+
+        console.log(`\n📝 New transcript content (${content.length} chars):`);
+        console.log(trimmedContent);
+        
+        // Calculate word indices for the new segment
+        const newWords = trimmedContent.split(/\s+/).filter(word => word.length > 0);
+        const endWordIndex = startWordIndex + newWords.length - 1;
+        
+        // Add segment for the new content
+        this.addSegment(startWordIndex, endWordIndex, 'live-transcription', this.sessionStartTime);
+        this.lastKnownWordCount = endWordIndex + 1;
+
+        // What "mark decision" and "action item" refer to when nothing follows them
+        const lastLine = trimmedContent.split('\n').pop();
+        const parsedLine = this.parseTranscriptLine(lastLine);
+        this.lastLiveLine = {
+            text: parsedLine ? parsedLine.content : lastLine.trim(),
+            startWordIndex: endWordIndex + 1 - lastLine.split(/\s+/).filter(word => word.length > 0).length,
+            endWordIndex
+        };
+
+        this.onTranscriptContent(trimmedContent, startWordIndex);
+        this.pendingContent += ' ' + trimmedContent;
+        return true;
+    }
+
+    // Live transcript hook, called with each piece of new content after its segment is added
+    onTranscriptContent(content, startWordIndex) {}
+
+    async updateSummaryIfDue() {
+        const wordCount = this.pendingContent.trim().split(/\s+/).length;
+        
+        if (this.readOnlyMode) {
+            console.log(`👁️  Read-only: ${wordCount} words accumulated`);
+        } else {
+            console.log(`📊 Pending content: ${wordCount} words (threshold: ${this.wordThreshold})`);
+            
+            if (this.costLedger.getBudgetStatus().level === 'exceeded') {
+                console.log('🛑 Budget exceeded - automatic summary update skipped (manual summaries still work)');
+            } else if (wordCount >= this.wordThreshold || !this.currentSummary) {
+                console.log('\n🤖 Updating summary...');
+                this.pendingContent = '';
+                await this.updateSummary({ automatic: true });
+            } else {
+                console.log(`⏳ Waiting for more content (need ${this.wordThreshold - wordCount} more words)`);
+            }
+        }
+    }
+
+    // Settle what a command refers to while the content around it is read: the line said before
+    // it, and for "new topic" the title the next live segment starts
+    prepareVoiceCommand(command) {
+        if (command.kind === 'newTopic') {
+            const title = command.argument.replace(/[.!?]+$/, '').trim();
+            this.pendingVoiceTopic = { title: title ? title.charAt(0).toUpperCase() + title.slice(1) : null };
+        }
+        return { ...command, previousLine: this.lastLiveLine };
+    }
+
+    // Lines a front end transcribes itself (the desktop app's recorder) instead of reading them from
+    // the transcript go through the same detection. Returns the part of the content that is meeting
+    // content ('' when the whole line was a command); the command runs in the background.
+    handleRecordedLine({ timestamp = '', speaker = '', content }) {
+        const command = this.voiceCommands && parseVoiceCommand(content, speaker, this.voiceCommands);
+        if (!command) {
+            this.lastRecordedLine = { text: content };
+            return content;
+        }
+
+        if (command.before) {
+            this.lastRecordedLine = { text: command.before };
+        }
+        const prepared = this.prepareVoiceCommand({ ...command, timestamp, speaker });
+        this.runVoiceCommand({ ...prepared, previousLine: this.lastRecordedLine }).catch(error => {
+            console.error('Error running voice command:', error.message);
+        });
+        return command.before;
+    }
+
+    // Run a voice command, log it and pass the log entry to onVoiceCommand()
+    async runVoiceCommand(command) {
+        console.log(`\n🎙️  Voice command${command.timestamp ? ` at ${command.timestamp}` : ''}: ${describeVoiceCommand(command)}`);
+
+        const entry = {
+            timestamp: command.timestamp,
+            speaker: command.speaker,
+            text: command.text,
+            kind: command.kind,
+            argument: command.argument
+        };
         try {
-            const prompt = this.currentSummary 
-                ? `Update the existing summary with new content: ${newContent}`
-                : `Create initial summary from: ${newContent}`;
+            entry.result = await this.executeVoiceCommand(command);
+            entry.status = 'done';
+            console.log(`✅ ${entry.result}`);
+        } catch (error) {
+            entry.status = 'failed';
+            entry.error = error.message;
+            console.log(`❌ Voice command failed: ${error.message}`);
+        }
+
+        let logged = { ...entry, description: describeVoiceCommand(entry) };
+        try {
+            logged = this.voiceCommandLog.append(entry);
+        } catch (error) {
+            console.error('Error saving voice command log:', error.message);
+        }
+        this.onVoiceCommand(logged);
+        return logged;
+    }
+
+    // What the command did, as a line for the command log; throws when it could not be done
+    async executeVoiceCommand(command) {
+        switch (command.kind) {
+            case 'note': {
+                const note = await this.createNote(command.text);
+                if (!note) {
+                    throw new Error('The note could not be created');
+                }
+                return 'Note added';
+            }
+            case 'decision':
+            case 'actionItem': {
+                const kind = command.kind === 'decision' ? 'decisions' : 'actionItems';
+                const spoken = command.argument
+                    ? { text: command.argument }
+                    : command.previousLine;
+                if (!spoken) {
+                    throw new Error('Nothing was said before the command to add');
+                }
+                const item = this.addTrackerItem(kind, spoken);
+                return `${kind === 'decisions' ? 'Decision' : 'Action item'} added: "${item.text}"`;
+            }
+            case 'newTopic':
+                return command.argument
+                    ? 'The words after the command start a new topic with this title'
+                    : 'The words after the command start a new topic';
+            default: {
+                if (this.summaryUpdate) await this.summaryUpdate;
+                if (!this.currentSummary) {
+                    throw new Error('There is no summary to apply the instruction to yet');
+                }
+                if (!await this.processControlInstruction(command.text)) {
+                    throw new Error('The summary could not be updated');
+                }
+                return 'Summary updated';
+            }
+        }
+    }
+
+    // Voice command hook, called with each log entry after the command has run
+    onVoiceCommand(entry) {}
+
+    getVoiceCommands() {
+        return this.voiceCommandLog.list();
+    }
+
+    // The profile's summary instructions and template, as prompt sections
+    summaryProfilePrompt() {
+        let prompt = '';
+        if (this.profile.summaryInstructions) {
+            prompt += `WHAT TO CAPTURE:\n${this.profile.summaryInstructions}\n\n`;
+        }
+        if (this.profile.summaryTemplate) {
+            prompt += `SUMMARY TEMPLATE (use these sections in this order; the lines under each heading describe what goes there. Write "Not discussed" under a section nothing was said about):\n${this.profile.summaryTemplate}\n\n`;
+        }
+        return prompt;
+    }
+
+    // Incremental summary update: new segments go into the summaries of their topics, then the
+    // meeting summary is composed from the topic summaries (see rolling-summary.js). Automatic
+    // updates leave the newest segments for later while their topic is still being decided.
+    // One update runs at a time; a manual one waits for the running one and then catches up.
+    // trigger is what the summary history records the new summary as.
+    async updateSummary({ automatic = false, trigger = automatic ? 'auto-update' : 'summarize' } = {}) {
+        if (this.summaryUpdate) {
+            if (automatic) return this.summaryUpdate;
+            await this.summaryUpdate;
+        }
+
+        this.summaryUpdate = this.runSummaryUpdate(automatic, trigger).finally(() => {
+            this.summaryUpdate = null;
+        });
+        return this.summaryUpdate;
+    }
 
-            const message = await this.anthropic.messages.create({
-                model: 'claude-sonnet-4-20250514',
-                max_tokens: 4000,
+    async runSummaryUpdate(automatic, trigger) {
+        try {
+            const plan = rollingSummary.planSummaryUpdate(this.metadata, {
+                holdBackUnassigned: automatic && this.costLedger.isAllowed('analyzeSegmentTopicDecision')
+            });
+            if (plan.dropped > 0) {
+                this.metadata.topicSummaries = plan.kept;
+                console.log(`🧹 Dropped ${plan.dropped} summary(ies) of topics that no longer exist; their segments are summarized again`);
+            }
+            if (plan.heldBack > 0) {
+                console.log(`⏳ ${plan.heldBack} newest word(s) wait for their topic before they are summarized`);
+            }
+
+            if (plan.groups.length === 0 && this.currentSummary && plan.dropped === 0) {
+                console.log('📋 Summary is up to date');
+                return;
+            }
+
+            const transcript = fs.readFileSync(this.filePath, 'utf8');
+            for (const group of plan.groups) {
+                for (const segments of rollingSummary.batchSegments(group.segments)) {
+                    await this.updateTopicSummary(group, segments, transcript);
+                }
+            }
+
+            if (!this.metadata.topicSummaries.some(entry => entry.summary)) {
+                console.log('⚠️  No transcript content found to summarize');
+                return;
+            }
+            await this.composeMeetingSummary(trigger);
+
+        } catch (error) {
+            console.error('Error updating summary:', error.message);
+        }
+    }
+
+    // Fold a batch of a topic's new segments into its running summary; saved right away, so an
+    // interrupted update resumes where it stopped
+    async updateTopicSummary(group, segments, transcript) {
+        let entry = this.metadata.topicSummaries.find(candidate => candidate.headerId === group.headerId);
+        if (!entry) {
+            entry = { headerId: group.headerId, summary: '', segments: [] };
+            this.metadata.topicSummaries.push(entry);
+        }
+
+        const newContent = this.removeControlInstructions(segments
+            .map(segment => rollingSummary.transcriptRangeText(transcript, segment.startWordIndex, segment.endWordIndex))
+            .join('\n'));
+
+        if (newContent) {
+            const words = segments.reduce((sum, segment) => sum + segment.endWordIndex - segment.startWordIndex + 1, 0);
+            console.log(`📝 Summarizing ${words} new word(s) of "${group.title}"...`);
+
+            const prompt = `You are keeping a running summary of one topic of a meeting for ${this.profile.audience}.
+
+TOPIC: "${group.title}"
+
+SUMMARY OF THIS TOPIC SO FAR:
+${entry.summary || '(nothing yet - this is the start of the topic)'}
+
+NEW TRANSCRIPT CONTENT FOR THIS TOPIC:
+${newContent}
+
+CRITICAL: ONLY SUMMARIZE WHAT WAS EXPLICITLY MENTIONED. DO NOT INVENT OR EXTRAPOLATE.
+
+${this.profile.summaryInstructions ? `WHAT TO CAPTURE:\n${this.profile.summaryInstructions}\n\n` : ''}INSTRUCTIONS:
+- Keep every point of the summary so far that still holds, add what the new content says, and correct points it contradicts
+- Use the speakers' own terminology and attribute statements to speakers where the transcript names them
+- Write concise bullet points without a heading; the topic title is added separately
+
+Updated topic summary:`;
+
+            const message = await this.createMessage('updateTopicSummary', {
+                max_tokens: 1500,
                 messages: [{
                     role: 'user',
                     content: prompt
@@ -2359,29 +4151,161 @@ Be conservative - if technical details weren't explicitly discussed, don't inclu
 
             const inputTokens = message.usage.input_tokens;
             const outputTokens = message.usage.output_tokens;
-            const requestCost = this.calculateCost(inputTokens, outputTokens);
-
-            this.currentSummary = message.content[0].text;
-            this.saveSummary();
-            
+            const requestCost = this.calculateCost(inputTokens, outputTokens, message.model);
             this.displayCostReport(requestCost, inputTokens, outputTokens);
-            
+
+            entry.summary = message.content[0].text.trim();
+        }
+
+        entry.segments.push(...segments.map(segment => segment.id));
+        entry.updatedAt = new Date().toISOString();
+        this.saveMetadata();
+    }
+
+    // Meeting summary from the topic summaries. The current summary goes along so its structure and
+    // any edits made to it (control instructions, edits in the summary file) survive the update
+    async composeMeetingSummary(trigger) {
+        let existingNotes = '';
+        try {
+            if (fs.existsSync(this.notesFilePath)) {
+                existingNotes = fs.readFileSync(this.notesFilePath, 'utf8').trim();
+            }
         } catch (error) {
-            console.error('Error updating summary:', error.message);
+            console.log('⚠️  Could not read notes file for context');
+        }
+
+        const topics = rollingSummary.orderedTopicSummaries(this.metadata).map(topic => {
+            const subTopics = topic.subTopics.length > 0 ? ` (sub-topics: ${topic.subTopics.join(', ')})` : '';
+            return `### ${topic.title}${subTopics}\n${topic.summary}`;
+        });
+
+        const prompt = `You are writing the summary of a meeting for ${this.profile.audience}, from the running summaries of its topics.
+
+${this.currentSummary ? `CURRENT MEETING SUMMARY (keep its structure, wording and any edits made to it; change only what the topic summaries update or add):
+${this.currentSummary}
+
+` : ''}TOPIC SUMMARIES (in meeting order):
+${topics.join('\n\n')}
+
+${existingNotes ? `SUPPLEMENTARY NOTES (for additional context):
+${existingNotes}
+
+` : ''}CRITICAL: ONLY INCLUDE WHAT THE TOPIC SUMMARIES AND NOTES SAY. DO NOT INVENT OR EXTRAPOLATE.
+
+${this.summaryProfilePrompt()}Write the complete meeting summary in Markdown${this.profile.summaryTemplate ? '' : ', organized by topic'}.
+
+Meeting summary:`;
+
+        const message = await this.streamMessage('updateSummary', {
+            max_tokens: 4000,
+            messages: [{
+                role: 'user',
+                content: prompt
+            }]
+        }, 'summary');
+
+        if (!message) {
+            return;
+        }
+
+        const inputTokens = message.usage.input_tokens;
+        const outputTokens = message.usage.output_tokens;
+        const requestCost = this.calculateCost(inputTokens, outputTokens, message.model);
+
+        this.currentSummary = message.content[0].text;
+        this.saveSummary(trigger);
+
+        this.displayCostReport(requestCost, inputTokens, outputTokens);
+
+        // Check if summary needs condensing
+        await this.condenseSummaryIfNeeded();
+
+        if (!this.streamsToConsole) {
+            console.log('\n📋 Updated Summary:');
+            console.log('='.repeat(50));
+            console.log(this.currentSummary);
+            console.log('='.repeat(50));
         }
+        console.log(`💾 Summary saved to: ${this.summaryFilePath}`);
+    }
+
+    // Summary history (see summary-history.js); revisions are listed without their text
+    getSummaryRevisions() {
+        return this.summaryHistory.list();
+    }
+
+    // One revision with the titles of its sections, for copying sections back
+    getSummaryRevision(number) {
+        const revision = this.summaryHistory.get(number);
+        return {
+            ...revision,
+            description: summaryHistory.describeRevision(revision),
+            sections: summaryHistory.splitSummarySections(revision.summary).map(section => section.title || '(before the first heading)')
+        };
+    }
+
+    diffSummaryRevisions(fromNumber, toNumber) {
+        return summaryHistory.diffSummaries(this.summaryHistory.get(fromNumber).summary, this.summaryHistory.get(toNumber).summary);
+    }
+
+    // Restoring waits for a running update, which would otherwise overwrite the restored summary
+    async rollbackSummary(number) {
+        if (this.summaryUpdate) await this.summaryUpdate;
+
+        const revision = this.summaryHistory.get(number);
+        this.currentSummary = revision.summary;
+        this.saveSummary('rollback', `revision ${number}`);
+        console.log(`⏪ Summary restored to revision ${number} (${summaryHistory.describeRevision(revision)})`);
+        return this.currentSummary;
+    }
+
+    // Copy one section of an earlier revision into the current summary (sectionIndex counts from 0)
+    async cherryPickSummarySection(number, sectionIndex) {
+        if (this.summaryUpdate) await this.summaryUpdate;
+
+        const revision = this.summaryHistory.get(number);
+        this.currentSummary = summaryHistory.cherryPickSection(this.currentSummary, revision.summary, sectionIndex);
+        const title = summaryHistory.splitSummarySections(revision.summary)[sectionIndex].title || 'Introduction';
+        this.saveSummary('cherry-pick', `"${title}" from revision ${number}`);
+        console.log(`⏪ Section "${title}" restored from revision ${number}`);
+        return this.currentSummary;
     }
 
     async stop() {
         fs.unwatchFile(this.filePath);
         
+        // Close readline interface
         if (this.rl) {
             this.rl.close();
         }
         
+        if (this.pendingContent.trim() && !this.readOnlyMode) {
+            console.log('\n🤖 Processing remaining content before stopping...');
+            this.pendingContent = '';
+            await this.updateSummary({ trigger: 'auto-update' });
+        } else if (this.pendingContent.trim() && this.readOnlyMode) {
+            console.log(`\n👁️  ${this.pendingContent.trim().split(/\s+/).length} words of unprocessed content available (was in read-only mode)`);
+        }
+        
         if (this.currentSummary) {
             this.saveSummary();
+            console.log(`\n💾 Final summary saved to: ${this.summaryFilePath}`);
         }
+        
+        const runtimeHours = (Date.now() - this.startTime) / (1000 * 60 * 60);
+        console.log('\n🏁 Final Cost Summary:');
+        console.log('═'.repeat(50));
+        console.log(`📊 Total tokens: ${this.totalInputTokens} in + ${this.totalOutputTokens} out`);
+        console.log(`💰 Total cost: $${this.totalCost.toFixed(4)}`);
+        console.log(`🗂️  Meeting total (all sessions): $${this.costLedger.meeting.cost.toFixed(4)} | Today: $${this.costLedger.getDailyTotal().cost.toFixed(4)}`);
+        console.log(`📞 API requests: ${this.requestCount}`);
+        console.log(`⏱️  Session duration: ${(runtimeHours * 60).toFixed(1)} minutes`);
+        console.log(`💵 Average cost per hour: $${(this.totalCost / runtimeHours).toFixed(2)}/hour`);
+        console.log('═'.repeat(50));
+        console.log('\nStopped monitoring transcript file.');
+        
+        requestExecutor.removeStatusListener(this.handleRequestQueueStatus);
     }
 }
 
-module.exports = { TranscriptSummarizer };
\ No newline at end of file
+module.exports = { TranscriptSummarizer };
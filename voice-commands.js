@@ -0,0 +1,157 @@
+const fs = require('fs');
+const { writeJsonAtomic } = require('./safe-files');
+
+// Spoken commands in the live transcript, shared by the CLI and the Electron app.
+// A sentence that starts with the trigger phrase and a comma or colon ("Assistant, note that the
+// budget is fixed") is a command rather than meeting content: the front ends run it and leave it out
+// of what they show and summarize, while the transcript file itself is never changed. What follows
+// the trigger picks the command by its opening words (COMMAND_KINDS); anything else is an
+// instruction for the summary, like the INSTRUCTION command. Words said before the trigger on the
+// same line are ordinary content. Recognized commands are kept in <transcript>_voice_commands.json.
+// The 'instructions' grammar is the CLI's original control channel: the trigger anywhere in the
+// speaker's line, with or without a separator, makes the whole line a summary instruction.
+
+const COMMAND_KINDS = {
+    note: 'Note',
+    decision: 'Decision',
+    actionItem: 'Action item',
+    newTopic: 'New topic',
+    instruction: 'Summary instruction'
+};
+
+const DEFAULT_TRIGGER = 'assistant';
+
+// Opening words of each command; instruction is what is left over, so it has none
+const DEFAULT_PHRASES = {
+    note: ['note that', 'take a note', 'note'],
+    decision: ['mark decision', 'decision'],
+    actionItem: ['mark action item', 'action item', 'to do'],
+    newTopic: ['new topic', 'next topic']
+};
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Settings with blanks filled in from the defaults; phrases may be arrays or comma-separated text.
+// Commands are off unless enabled is true. grammar is 'commands' (default) or 'instructions'.
+function normalizeVoiceSettings(settings = {}) {
+    const phrases = {};
+    Object.keys(DEFAULT_PHRASES).forEach(kind => {
+        const given = settings.phrases && settings.phrases[kind];
+        const list = (Array.isArray(given) ? given : String(given || '').split(','))
+            .map(phrase => phrase.trim().toLowerCase())
+            .filter(phrase => phrase.length > 0);
+        phrases[kind] = list.length > 0 ? list : DEFAULT_PHRASES[kind];
+    });
+
+    return {
+        enabled: settings.enabled === true,
+        trigger: (settings.trigger || '').trim() || DEFAULT_TRIGGER,
+        speaker: (settings.speaker || '').trim(),
+        grammar: settings.grammar === 'instructions' ? 'instructions' : 'commands',
+        phrases
+    };
+}
+
+// { kind, argument } for the words after the trigger; the longest matching phrase wins, so
+// "mark decision" is not read as a note
+function classifyCommand(text, phrases) {
+    const candidates = Object.entries(phrases)
+        .flatMap(([kind, list]) => list.map(phrase => ({ kind, phrase })))
+        .sort((a, b) => b.phrase.length - a.phrase.length);
+
+    for (const { kind, phrase } of candidates) {
+        const match = text.match(new RegExp(`^${escapeRegExp(phrase)}(?=$|[^\\p{L}\\p{N}])`, 'iu'));
+        if (match) {
+            return { kind, argument: text.substring(match[0].length).replace(/^[\s.,:;!?-]+/, '').trim() };
+        }
+    }
+    return { kind: 'instruction', argument: text };
+}
+
+// The command in one line's content, or null: { before, text, kind, argument }. The trigger has to
+// start the line or a sentence and be followed by a comma or colon, so neither "ask the assistant
+// later" nor "Assistant managers need more budget" is a command. speaker, when set, is the only
+// speaker whose lines are read. In the 'instructions' grammar the trigger may be anywhere, exactly as
+// written, and the whole line is taken up by the instruction after it.
+function parseVoiceCommand(content, speaker, { trigger, speaker: commandSpeaker, phrases, grammar }) {
+    if (!content || !trigger) return null;
+
+    if (grammar === 'instructions') {
+        if (commandSpeaker && speaker !== commandSpeaker) return null;
+        const triggerIndex = content.indexOf(trigger);
+        if (triggerIndex === -1) return null;
+
+        const text = content.substring(triggerIndex + trigger.length).replace(/^[\s.,:;!?-]+/, '').trim();
+        return text ? { before: '', text, kind: 'instruction', argument: text } : null;
+    }
+
+    if (commandSpeaker && (speaker || '').toLowerCase() !== commandSpeaker.toLowerCase()) return null;
+
+    const pattern = new RegExp(`(^|[.!?]\\s+)${escapeRegExp(trigger)}\\s*[,:]`, 'iu');
+    const match = content.match(pattern);
+    if (!match) return null;
+
+    const text = content.substring(match.index + match[0].length).replace(/^[\s.,:;!?-]+/, '').trim();
+    if (!text) return null;
+
+    return {
+        before: content.substring(0, match.index + match[1].length).trim(),
+        text,
+        ...classifyCommand(text, phrases)
+    };
+}
+
+// "New topic: Budget"
+function describeVoiceCommand(entry) {
+    const label = COMMAND_KINDS[entry.kind] || entry.kind;
+    return entry.argument ? `${label}: ${entry.argument}` : label;
+}
+
+// <transcript>_voice_commands.json: { commands: [{ id, recognizedAt, timestamp, speaker, text, kind,
+// argument, status ('done' | 'failed'), result, error }] }
+class VoiceCommandLog {
+    constructor(filePath) {
+        this.filePath = filePath;
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(this.filePath)) {
+                const log = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+                if (Array.isArray(log.commands)) return log.commands;
+            }
+        } catch (error) {
+            console.log('⚠️  Could not read voice command log:', error.message);
+        }
+        return [];
+    }
+
+    // Oldest first, each with a description for display
+    list() {
+        return this.load().map(entry => ({ ...entry, description: describeVoiceCommand(entry) }));
+    }
+
+    append(entry) {
+        const commands = this.load();
+        const logged = {
+            id: `voice-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            recognizedAt: new Date().toISOString(),
+            ...entry
+        };
+        commands.push(logged);
+        writeJsonAtomic(this.filePath, { commands });
+        return { ...logged, description: describeVoiceCommand(logged) };
+    }
+}
+
+module.exports = {
+    VoiceCommandLog,
+    COMMAND_KINDS,
+    DEFAULT_TRIGGER,
+    DEFAULT_PHRASES,
+    normalizeVoiceSettings,
+    parseVoiceCommand,
+    describeVoiceCommand
+};
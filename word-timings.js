@@ -0,0 +1,156 @@
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./safe-files');
+
+// Word-level audio timings for recorded transcripts, shared by the CLI and the Electron app.
+// Recordings write <transcript>.words.json next to the transcript:
+//   { audioFile: 'audio.webm', lines: [{ start, end, words: [[start, end], ...] }] }
+// with one entry per non-empty transcript line and one [start, end] pair (seconds into the
+// audio) per spoken word of that line. Timings are kept per line rather than per transcript
+// word index, so renaming a speaker or changing the line prefix never shifts them.
+
+function getWordTimingsFilePath(transcriptPath) {
+    const dir = path.dirname(transcriptPath);
+    const basename = path.basename(transcriptPath, path.extname(transcriptPath));
+    return path.join(dir, `${basename}.words.json`);
+}
+
+function roundTime(seconds) {
+    return Math.round(seconds * 100) / 100;
+}
+
+function splitWords(text) {
+    return (text || '').split(/\s+/).filter(word => word.length > 0);
+}
+
+// Whisper returns chunks like { text: ' hello', timestamp: [0.4, 0.7] }; punctuation chunks may
+// not start with a space. Re-split the joined text on whitespace so the result lines up with
+// the words of the transcript line, timing each word from the chunks it was built from.
+function alignWordTimings(chunks, duration = null) {
+    let text = '';
+    const charTimes = [];
+    (chunks || []).forEach((chunk, index) => {
+        const [start, end] = chunk.timestamp || [];
+        const next = chunks[index + 1];
+        const chunkEnd = end !== null && end !== undefined ? end
+            : next && next.timestamp ? next.timestamp[0]
+            : duration !== null ? duration : start;
+        for (const char of chunk.text || '') {
+            text += char;
+            charTimes.push([start, chunkEnd]);
+        }
+    });
+
+    const words = [];
+    const pattern = /\S+/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        const first = charTimes[match.index];
+        const last = charTimes[match.index + match[0].length - 1];
+        if (typeof first[0] !== 'number') continue;
+        words.push({ word: match[0], start: roundTime(first[0]), end: roundTime(Math.max(first[0], last[1])) });
+    }
+    return { text: text.trim(), words };
+}
+
+// lines: [{ audioStart, audioEnd, words: [{ start, end }] }] in transcript order
+function writeWordTimings(transcriptPath, audioFile, lines) {
+    const data = {
+        audioFile,
+        lines: lines.map(line => ({
+            start: roundTime(line.audioStart || 0),
+            end: roundTime(line.audioEnd || line.audioStart || 0),
+            words: (line.words || []).map(word => [roundTime(word.start), roundTime(word.end)])
+        }))
+    };
+    writeFileAtomic(getWordTimingsFilePath(transcriptPath), JSON.stringify(data));
+}
+
+function loadWordTimings(transcriptPath) {
+    const timingsPath = getWordTimingsFilePath(transcriptPath);
+    if (!fs.existsSync(timingsPath)) return null;
+    return JSON.parse(fs.readFileSync(timingsPath, 'utf8'));
+}
+
+// Map every word index of the transcript (content split on whitespace, as the summarizer counts
+// words) to [start, end] in seconds, or null where the audio position is unknown.
+// Timestamp and speaker words share the time of the line's first spoken word; lines without
+// word timings spread their words evenly over the line.
+function buildWordTimeline(content, timings, parseLine) {
+    const timeline = [];
+    let lineIndex = 0;
+
+    for (const line of content.split('\n')) {
+        const tokens = splitWords(line);
+        if (tokens.length === 0) continue;
+
+        const entry = timings && timings.lines ? timings.lines[lineIndex] : null;
+        lineIndex++;
+        if (!entry) {
+            tokens.forEach(() => timeline.push(null));
+            continue;
+        }
+
+        const parsed = parseLine(line);
+        const spoken = parsed ? Math.min(tokens.length, splitWords(parsed.content).length) : tokens.length;
+        const prefix = tokens.length - spoken;
+        const firstStart = entry.words.length > 0 ? entry.words[0][0] : entry.start;
+
+        for (let i = 0; i < prefix; i++) {
+            timeline.push([firstStart, firstStart]);
+        }
+        for (let i = 0; i < spoken; i++) {
+            if (entry.words[i]) {
+                timeline.push(entry.words[i]);
+            } else {
+                const step = (entry.end - entry.start) / spoken;
+                timeline.push([roundTime(entry.start + step * i), roundTime(entry.start + step * (i + 1))]);
+            }
+        }
+    }
+
+    return timeline;
+}
+
+// Break a stream of timed words ({ word, start, end }) into transcript lines for imported recordings:
+// at a sentence end once the line has a few words, at a pause, or when the line gets too long
+function groupWordsIntoLines(words, { minWords = 6, maxWords = 40, pauseSeconds = 1.0 } = {}) {
+    const lines = [];
+    let current = [];
+
+    const flush = () => {
+        if (current.length === 0) return;
+        lines.push({
+            audioStart: current[0].start,
+            audioEnd: current[current.length - 1].end,
+            content: current.map(word => word.word).join(' '),
+            words: current
+        });
+        current = [];
+    };
+
+    words.forEach((word, index) => {
+        const previous = current[current.length - 1];
+        if (previous && word.start - previous.end >= pauseSeconds) {
+            flush();
+        }
+        current.push(word);
+
+        const next = words[index + 1];
+        const sentenceEnd = /[.?!]["')\]]*$/.test(word.word);
+        if ((sentenceEnd && current.length >= minWords) || current.length >= maxWords || !next) {
+            flush();
+        }
+    });
+
+    return lines;
+}
+
+module.exports = {
+    getWordTimingsFilePath,
+    alignWordTimings,
+    groupWordsIntoLines,
+    writeWordTimings,
+    loadWordTimings,
+    buildWordTimeline
+};